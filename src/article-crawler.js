@@ -3,25 +3,53 @@
  * Stage B: Crawl every article URL and extract content
  */
 
-import { Actor, Dataset } from 'apify';
-import { CheerioCrawler, PlaywrightCrawler, log } from 'crawlee';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { CheerioCrawler, PlaywrightCrawler, RequestQueue, log } from 'crawlee';
 import { gotScraping } from 'got-scraping';
 import * as cheerio from 'cheerio';
 import { CONFIG } from './config.js';
-import { extractRealUrl, extractImages, validateImageUrl, cleanText, sleep, decodeGoogleNewsUrl, resolveGoogleNewsUrlWithBrowser, validateContentQuality } from './utils.js';
+import { canonicalizeUrl, extractRealUrl, extractImages, tagQuery, matchesQuery, validateImageUrl, cleanText, sleep, decodeGoogleNewsUrl, resolveGoogleNewsUrlWithBrowser, validateContentQuality } from './utils.js';
 import { SessionManager } from './session-manager.js';
 import { ContentExtractor } from './content-extractor.js';
 import { GoogleNewsResolver } from './google-news-resolver.js';
+import { ResolutionStage } from './resolution-stage.js';
 import { ProxyManager } from './proxy-manager.js';
 import { costMonitor } from './cost-monitor.js';
+import { DatasetSink } from './output-sinks.js';
+import { keyValueStore } from './key-value-store.js';
+import { domainStats, getDomain } from './domain-stats.js';
+import { expandWithRelatedItems, getRelatedItems } from './related-coverage.js';
+
+// Skip reasons that reflect the article itself rather than a transient failure
+const FINAL_SKIP_REASONS = new Set([
+    'extractionFailed',
+    'textTooShort',
+    'lowQualityContent',
+    'noImages',
+    'imageValidationFailed',
+    'qualityTooLow',
+]);
+
+// Skip reasons after which the article is still crawled later in the same run (browser fallback, next batch)
+const RETRIED_SKIP_REASONS = new Set(['consentPageDetected', 'maxItemsReached']);
 
 /**
  * Article Crawler class
+ * Emits 'skip' ({ reason, url, title, query }) for every article that is not saved and
+ * 'progress' ({ processed, saved, failed }) after every processed article
  */
-export class ArticleCrawler {
-    constructor(proxyConfiguration = null, useBrowser = false) {
+export class ArticleCrawler extends EventEmitter {
+    /**
+     * @param {object} proxyConfiguration - Proxy configuration for article requests
+     * @param {boolean} useBrowser - Allow the Playwright fallback
+     * @param {object} outputSink - Where saved records go (defaults to the Apify Dataset)
+     */
+    constructor(proxyConfiguration = null, useBrowser = false, outputSink = null) {
+        super();
         this.proxyConfiguration = proxyConfiguration;
         this.useBrowser = useBrowser;
+        this.outputSink = outputSink || new DatasetSink();
         this.failedUrls = [];
         this.sessionManager = new SessionManager();
         // Initialize unified content extractor (replaces all previous extractors)
@@ -33,14 +61,18 @@ export class ArticleCrawler {
         // Initialize production-grade Google News resolver with unified proxy support
         // Increase minRequestInterval to reduce 429 rate limiting from Google News
         this.googleNewsResolver = new GoogleNewsResolver(this.proxyManager, {
-            enablePersistence: true,
-            cacheFile: 'storage/google-news-cache.json',
-            maxCacheSize: 50000,
-            cacheExpiryHours: 24,
+            enablePersistence: true, // Cache backend and limits from CONFIG.RESOLVER
             minRequestInterval: 2000 // 2 seconds between requests
         });
+        this.resolutionStage = new ResolutionStage(this.googleNewsResolver);
         this.browserFallbackDomains = new Set(); // Domains that require browser mode
 
+        // Request queues of this crawler's runs are named after it (see runWithOwnQueue)
+        this.queueId = randomUUID().slice(0, 8);
+        this.queueCount = 0;
+        this.activeCrawler = null;
+        this.aborted = false;
+
         this.browserFallbackIndicators = [
             'javascript is required',
             'enable javascript',
@@ -89,6 +121,62 @@ export class ArticleCrawler {
 
         // Current maxItems limit for the crawling session
         this.currentMaxItemsLimit = null;
+
+        // GUIDs of saved articles, used to attribute saves to queries in multi-query runs
+        this.savedGuids = new Set();
+
+        // Seen-article state from earlier runs (incremental mode), see IncrementalState
+        this.incrementalState = null;
+
+        // What to do with related coverage: 'record', 'alternates' or 'candidates' (see RELATED_COVERAGE_MODES)
+        this.relatedCoverageMode = 'record';
+        this.relatedOrigins = new Map(); // Saved related-article GUID -> GUID of the item it came from
+
+        // Crash-safe checkpoint state, see RunCheckpoint
+        this.checkpoint = null;
+        this.processedGuids = new Set(); // GUIDs that reached a final outcome (saved, skipped or failed)
+        this.resolvedUrls = new Map(); // Google News URL -> publisher URL
+        this.batchState = null; // Progress of crawlWithQualityTarget
+        this.resumeBatchState = null; // Batch progress restored from a checkpoint, used once
+    }
+
+    /**
+     * Restore crawl progress from a checkpoint
+     * Counters in stats start from zero; only what is needed to avoid repeated work is restored
+     * @param {object} progress - Checkpointed progress (see getCheckpointState)
+     */
+    restoreState(progress) {
+        (progress.savedGuids || []).forEach(guid => this.savedGuids.add(guid));
+        (progress.processedGuids || []).forEach(guid => this.processedGuids.add(guid));
+        Object.entries(progress.relatedOrigins || {}).forEach(([guid, origin]) => this.relatedOrigins.set(guid, origin));
+        Object.entries(progress.resolvedUrls || {}).forEach(([googleUrl, url]) => this.resolvedUrls.set(googleUrl, url));
+        this.resumeBatchState = progress.batch || null;
+    }
+
+    /**
+     * Forget per-article bookkeeping between watch cycles so long runs keep a flat memory profile
+     * Counters in stats are kept
+     */
+    forgetProcessed() {
+        this.savedGuids.clear();
+        this.processedGuids.clear();
+        this.resolvedUrls.clear();
+        this.relatedOrigins.clear();
+        this.failedUrls = [];
+    }
+
+    /**
+     * Get the crawl progress to keep in a checkpoint
+     * @returns {object} { savedGuids, processedGuids, relatedOrigins, resolvedUrls, batch }
+     */
+    getCheckpointState() {
+        return {
+            savedGuids: Array.from(this.savedGuids),
+            processedGuids: Array.from(this.processedGuids),
+            relatedOrigins: Object.fromEntries(this.relatedOrigins),
+            resolvedUrls: Object.fromEntries(this.resolvedUrls),
+            batch: this.batchState,
+        };
     }
 
     /**
@@ -154,11 +242,13 @@ export class ArticleCrawler {
 
     /**
      * Create and configure the crawler
+     * @param {RequestQueue} requestQueue - Queue the crawler takes its requests from (Crawlee's default queue if omitted)
      * @returns {CheerioCrawler|PlaywrightCrawler} Configured crawler
      */
-    createCrawler() {
+    createCrawler(requestQueue = null) {
         try {
             const crawlerOptions = {
+                ...(requestQueue ? { requestQueue } : {}),
                 maxConcurrency: CONFIG.CRAWLER.MAX_CONCURRENCY,
                 maxRequestRetries: CONFIG.CRAWLER.MAX_RETRIES,
                 requestHandlerTimeoutSecs: CONFIG.CRAWLER.REQUEST_TIMEOUT / 1000,
@@ -197,6 +287,7 @@ export class ArticleCrawler {
             log.error('Failed to create crawler:', error.message);
             // Return a basic CheerioCrawler as fallback
             return new CheerioCrawler({
+                ...(requestQueue ? { requestQueue } : {}),
                 maxConcurrency: 1,
                 requestHandler: this.handleRequest.bind(this),
                 failedRequestHandler: this.handleFailedRequest.bind(this),
@@ -237,6 +328,11 @@ export class ArticleCrawler {
         const { request, $, body, page, response, session } = context;
         const { userData } = request;
 
+        // After abort() the requests left in the queue are let go without fetching them
+        if (this.aborted) {
+            return;
+        }
+
         try {
             // Fast guard: if we've already reached the per-call limit, stop immediately to avoid inflating skip stats
             if (this.currentMaxItemsLimit && this.stats.saved >= this.currentMaxItemsLimit) {
@@ -254,17 +350,25 @@ export class ArticleCrawler {
                 log.info(`Google News URL detected: ${request.url}`);
                 isGoogleNewsUrl = true;
 
-                // Use the new Google News resolver
-                finalUrl = await this.googleNewsResolver.resolveUrl(request.url, page);
+                // Use the new Google News resolver (unless an earlier attempt of this run already did)
+                finalUrl = this.resolvedUrls.get(request.url) || await this.googleNewsResolver.resolveUrl(request.url, page);
 
                 if (finalUrl === request.url) {
                     log.warning(`Failed to resolve Google News URL: ${request.url}`);
                     log.info(`SKIPPING ARTICLE - Cannot resolve Google News URL to actual article`);
-                    this.stats.skipped.urlResolutionFailed++;
+                    this.recordSkip('urlResolutionFailed', request.url, userData);
                     return; // Skip this article entirely
                 }
 
                 log.info(`Successfully resolved to: ${finalUrl}`);
+                this.resolvedUrls.set(request.url, finalUrl);
+            }
+
+            // STEP 1.5: Incremental mode - the same story can reappear under a new Google News GUID
+            if (this.incrementalState && this.incrementalState.hasSeenUrl(finalUrl, userData.matchedQueries)) {
+                log.info(`SKIPPING ARTICLE - Already saved by an earlier run: ${finalUrl}`);
+                this.recordSkip('alreadySeen', request.url, userData);
+                return;
             }
 
             // STEP 2: Fetch the actual article content
@@ -321,7 +425,7 @@ export class ArticleCrawler {
                 } catch (error) {
                     log.error(`Failed to fetch content from ${finalUrl}: ${error.message}`);
                     log.info(`SKIPPING ARTICLE - Cannot fetch content`);
-                    this.stats.skipped.contentFetchFailed++;
+                    this.recordSkip('contentFetchFailed', request.url, userData);
                     return; // Skip this article entirely
                 }
             }
@@ -355,7 +459,7 @@ export class ArticleCrawler {
 	                log.info(`Static extraction ${extractedContent.success ? 'succeeded but consent detected' : 'failed'} — marking for browser fallback: ${finalUrl}`);
 
 	                // Skip this article for now - it will be processed in browser fallback
-	                this.stats.skipped.consentPageDetected++;
+	                this.recordSkip('consentPageDetected', request.url, userData);
 	                return;
 	            }
 
@@ -363,7 +467,7 @@ export class ArticleCrawler {
             if (!extractedContent.success) {
                 log.warning(`Content extraction failed for ${finalUrl}`);
                 log.info(`SKIPPING ARTICLE - Content extraction failed`);
-                this.stats.skipped.extractionFailed++;
+                this.recordSkip('extractionFailed', request.url, userData);
                 costMonitor.trackArticleProcessing(false); // Track skipped article
                 return; // Skip this article entirely
             }
@@ -372,7 +476,7 @@ export class ArticleCrawler {
             if (!extractedContent.text || extractedContent.text.length < 300) {
                 log.warning(`Article text too short: ${extractedContent.text ? extractedContent.text.length : 0} characters`);
                 log.info(`SKIPPING ARTICLE - Text content insufficient (minimum 300 characters required)`);
-                this.stats.skipped.textTooShort++;
+                this.recordSkip('textTooShort', request.url, userData);
                 return; // Skip this article entirely
             }
 
@@ -380,7 +484,7 @@ export class ArticleCrawler {
             if (this.isLowQualityContent(extractedContent.text)) {
                 log.warning(`Low quality content detected for ${finalUrl}`);
                 log.info(`SKIPPING ARTICLE - Content appears to be error page or low quality`);
-                this.stats.skipped.lowQualityContent++;
+                this.recordSkip('lowQualityContent', request.url, userData);
                 return; // Skip this article entirely
             }
 
@@ -388,7 +492,7 @@ export class ArticleCrawler {
             if (!extractedContent.images || extractedContent.images.length === 0) {
                 log.warning(`No images found for ${finalUrl}`);
                 log.info(`SKIPPING ARTICLE - No images found (all-or-nothing policy)`);
-                this.stats.skipped.noImages++;
+                this.recordSkip('noImages', request.url, userData);
                 return; // Skip this article entirely
             }
 
@@ -398,7 +502,7 @@ export class ArticleCrawler {
             if (!workingImages || workingImages.length === 0) {
                 log.warning(`No images passed validation for ${finalUrl}`);
                 log.info(`SKIPPING ARTICLE - Image validation failed (all-or-nothing policy)`);
-                this.stats.skipped.imageValidationFailed++;
+                this.recordSkip('imageValidationFailed', request.url, userData);
                 return; // Skip this article entirely
             }
 
@@ -416,22 +520,29 @@ export class ArticleCrawler {
                     log.warning(`Quality issues: ${contentValidation.issues.join(', ')}`);
                 }
                 log.info(`SKIPPING ARTICLE - Quality score too low (minimum 25 required)`);
-                this.stats.skipped.qualityTooLow++;
+                this.recordSkip('qualityTooLow', request.url, userData);
                 return; // Skip this article entirely
             }
 
             // STEP 8: Create final record (only for high-quality articles)
             const record = {
                 query: userData.query,
+                queries: userData.queries || (userData.query ? [userData.query] : []),
                 title: cleanText(extractedContent.title || userData.title || 'No title'),
+                rawTitle: userData.rawTitle || null,
                 url: finalUrl,
-                originalGoogleUrl: isGoogleNewsUrl ? request.url : null,
+                originalGoogleUrl: userData.resolvedFrom || (isGoogleNewsUrl ? request.url : null),
                 source: userData.source || 'Unknown',
+                sourceName: userData.sourceName || null,
+                sourceUrl: userData.sourceUrl || null,
+                sourceDomain: userData.sourceDomain || getDomain(finalUrl),
                 publishedAt: extractedContent.date || userData.pubDate || new Date().toISOString(),
                 author: cleanText(extractedContent.author || ''),
                 text: cleanText(extractedContent.text), // This is now guaranteed to be real article content
                 description: cleanText(extractedContent.description || userData.description || ''),
                 images: workingImages, // This is now guaranteed to have at least 1 valid image
+                relatedCoverage: userData.relatedCoverage || [],
+                relatedTo: userData.relatedTo || null,
                 tags: extractedContent.tags || (userData.query ? [userData.query] : []),
                 language: extractedContent.lang || 'unknown',
                 scrapedAt: new Date().toISOString(),
@@ -450,20 +561,33 @@ export class ArticleCrawler {
             if (this.currentMaxItemsLimit && this.stats.saved >= this.currentMaxItemsLimit) {
                 log.info(`✋ LIMIT REACHED: Already saved ${this.stats.saved} articles (limit: ${this.currentMaxItemsLimit})`);
                 log.info(`   Skipping article: ${record.title}`);
-                this.stats.skipped.maxItemsReached = (this.stats.skipped.maxItemsReached || 0) + 1;
+                this.recordSkip('maxItemsReached', request.url, userData);
                 return;
             }
 
             // STEP 10: Save the high-quality article
             try {
-                await Dataset.pushData(record);
-                log.debug(`Dataset.pushData completed successfully for: ${record.title}`);
+                await this.outputSink.write(record);
+                log.debug(`Record saved successfully for: ${record.title}`);
             } catch (error) {
-                log.error(`Dataset.pushData failed: ${error.message}`);
+                log.error(`Saving record failed: ${error.message}`);
                 throw error;
             }
             this.stats.saved++;
+            this.savedGuids.add(userData.guid || request.url);
+            if (userData.relatedTo) {
+                this.relatedOrigins.set(userData.guid, userData.relatedTo);
+            }
+            this.processedGuids.add(userData.guid || request.url);
+            domainStats.record(userData.sourceUrl || finalUrl, true);
+            this.incrementalState?.markSeen({
+                guid: userData.guid || request.url,
+                url: finalUrl,
+                pubDate: record.publishedAt,
+                matchedQueries: userData.matchedQueries,
+            });
             costMonitor.trackArticleProcessing(true); // Track successful processing
+            this.emitProgress();
 
             log.info(`✅ SUCCESS: Saved high-quality article (${this.stats.saved}/${this.stats.processed})`);
             log.info(`   Title: ${record.title}`);
@@ -494,9 +618,52 @@ export class ArticleCrawler {
                 error: errorMessage,
                 timestamp: new Date().toISOString(),
             });
+            this.processedGuids.add(userData?.guid || request.url);
+            domainStats.record(userData?.sourceUrl || request.url, false);
+            this.emit('skip', { reason: 'error', url: request.url, title: userData?.title || null, query: userData?.query || null, error: errorMessage });
+            this.emitProgress();
         }
     }
 
+    /**
+     * Count a skipped article and notify listeners
+     * @param {string} reason - Key in stats.skipped (e.g. 'noImages')
+     * @param {string} url - Request URL
+     * @param {object} userData - Request user data
+     */
+    recordSkip(reason, url, userData = {}) {
+        this.stats.skipped[reason] = (this.stats.skipped[reason] || 0) + 1;
+        if (!RETRIED_SKIP_REASONS.has(reason)) {
+            this.processedGuids.add(userData.guid || url);
+            // Keyed by the RSS source so dry-run forecasts can look it up before resolving anything
+            if (reason !== 'alreadySeen') {
+                domainStats.record(userData.sourceUrl || url, false);
+            }
+        }
+
+        // Content that failed quality checks won't improve on the next run, so don't crawl it again
+        if (this.incrementalState && FINAL_SKIP_REASONS.has(reason)) {
+            this.incrementalState.markSeen({
+                guid: userData.guid || url,
+                matchedQueries: userData.matchedQueries,
+            });
+        }
+
+        this.emit('skip', { reason, url, title: userData.title || null, query: userData.query || null });
+        this.emitProgress();
+    }
+
+    /**
+     * Notify listeners of the current crawl counters
+     */
+    emitProgress() {
+        this.emit('progress', {
+            processed: this.stats.processed,
+            saved: this.stats.saved,
+            failed: this.failedUrls.length,
+        });
+    }
+
     /**
      * Check if content is low quality (error pages, paywalls, etc.)
      * @param {string} text - Article text content
@@ -783,7 +950,7 @@ export class ArticleCrawler {
 
         // Store failed URLs periodically
         if (this.failedUrls.length % 10 === 0) {
-            await Actor.setValue(CONFIG.STORAGE.FAILED_URLS_KEY, this.failedUrls);
+            await keyValueStore.setValue(CONFIG.STORAGE.FAILED_URLS_KEY, this.failedUrls);
         }
     }
 
@@ -866,9 +1033,6 @@ export class ArticleCrawler {
         this.useBrowser = true;
 
         try {
-            const browserCrawler = this.createCrawler();
-            log.debug(`Created browser crawler: ${browserCrawler.constructor.name}`);
-
             // Add detailed request debugging
             log.debug(`About to run browser crawler with ${requests.length} requests`);
             log.debug('Request details:', requests.map(r => ({ url: r.url, userData: r.userData })));
@@ -882,11 +1046,8 @@ export class ArticleCrawler {
                 return;
             }
 
-            // Add requests directly to crawler and run
-            await browserCrawler.addRequests(validRequests.map(r => ({ url: r.url, userData: r.userData || {} })));
-
-            // Run the crawler
-            await browserCrawler.run();
+            // Run the browser crawler on a queue of its own, so the requests the HTTP crawler handled are fetched again
+            await this.runWithOwnQueue(validRequests.map(r => ({ url: r.url, userData: r.userData || {} })));
 
             // Ensure all async operations complete
             await sleep(500);
@@ -908,13 +1069,13 @@ export class ArticleCrawler {
      * @returns {Promise<object>} Statistics object with saved, totalProcessed, target, and success
      */
     async crawlWithQualityTarget(params) {
-        const { rssFetcher, query, region, language, maxItems, dateFrom, dateTo } = params;
+        const { rssFetcher, query, region, language, maxItems, dateFrom, dateTo, mode, topic, location } = params;
 
         if (maxItems <= 0) {
             log.info('maxItems is 0 or negative, processing all available articles');
             // Fallback to original behavior for unlimited processing
             const articles = await rssFetcher.fetchRssItems({
-                query, region, language, maxItems: 0, dateFrom, dateTo,
+                query, region, language, maxItems: 0, dateFrom, dateTo, mode, topic, location,
             });
 
             if (articles.size === 0) {
@@ -941,12 +1102,50 @@ export class ArticleCrawler {
 
         log.info(`Starting quality-targeted crawling for ${maxItems} complete articles`);
 
+        // A resumed run continues the batch counters and keeps the RSS items restored from the checkpoint
+        const resumed = this.resumeBatchState;
+        this.resumeBatchState = null;
+
         // Reset RSS fetcher for new session - but keep returnedArticles to avoid duplicates across batches
-        rssFetcher.resetArticles(true);
+        if (!resumed) {
+            rssFetcher.resetArticles(true);
+        }
 
-        let qualityArticlesSaved = 0;
-        let totalArticlesProcessed = 0;
-        let batchNumber = 1;
+        const { saved, totalProcessed } = await this.crawlInBatches({
+            maxItems,
+            progress: resumed,
+            fetchBatch: async (batchSize) => Array.from((await rssFetcher.fetchRssItems({
+                query, region, language, maxItems: batchSize, dateFrom, dateTo, mode, topic, location,
+            })).values()),
+            crawlBatch: (rssItems, limit) => this.crawlArticles(rssItems, query, limit),
+        });
+
+        log.info(`Quality-targeted crawling completed: ${saved}/${maxItems} target articles saved`);
+
+        return {
+            saved,
+            totalProcessed,
+            target: maxItems,
+            success: saved >= maxItems
+        };
+    }
+
+    /**
+     * Fetch and crawl batches of RSS items until maxItems quality articles are saved
+     * Batch sizes follow the success rate so far. The loop stops after 10 batches, when the feeds
+     * run dry, on heavy rate limiting, or when almost no article passes the quality checks.
+     * @param {object} params - Batch loop parameters
+     * @param {number} params.maxItems - Quality articles to save
+     * @param {Function} params.fetchBatch - (batchSize) => Promise<Array> of RSS items not crawled yet
+     * @param {Function} params.crawlBatch - (rssItems, limit) => Promise<number> of articles saved towards maxItems,
+     *   where limit is the run-wide saved count to stop at (see crawlArticles)
+     * @param {object} params.progress - { qualityArticlesSaved, totalArticlesProcessed, batchNumber } to continue from (optional)
+     * @returns {Promise<object>} { saved, totalProcessed }
+     */
+    async crawlInBatches({ maxItems, fetchBatch, crawlBatch, progress = null }) {
+        let qualityArticlesSaved = progress?.qualityArticlesSaved || 0;
+        let totalArticlesProcessed = progress?.totalArticlesProcessed || 0;
+        let batchNumber = progress?.batchNumber || 1;
         const maxBatches = 10; // Prevent infinite loops
 
         // More conservative batch size calculation to avoid over-fetching
@@ -966,7 +1165,7 @@ export class ArticleCrawler {
 
         log.info(`Calculated initial batch size: ${batchSize} for maxItems: ${maxItems}`);
 
-        while (qualityArticlesSaved < maxItems && batchNumber <= maxBatches) {
+        while (qualityArticlesSaved < maxItems && batchNumber <= maxBatches && !this.aborted) {
             // Calculate how many more articles we actually need
             const articlesStillNeeded = maxItems - qualityArticlesSaved;
 
@@ -989,36 +1188,31 @@ export class ArticleCrawler {
             }
 
             log.info(`=== Batch ${batchNumber}: Fetching ${currentBatchSize} articles (need ${articlesStillNeeded} more) ===`);
+            this.batchState = { batchNumber, qualityArticlesSaved, totalArticlesProcessed };
 
             // Fetch a batch of articles
-            const articles = await rssFetcher.fetchRssItems({
-                query, region, language, maxItems: currentBatchSize, dateFrom, dateTo,
-            });
+            const articlesArray = await fetchBatch(currentBatchSize);
 
-            if (articles.size === 0) {
+            if (articlesArray.length === 0) {
                 log.warning('No more articles available from RSS feeds');
                 break;
             }
 
-            const articlesArray = Array.from(articles.values());
             log.info(`Batch ${batchNumber}: Processing ${articlesArray.length} articles`);
 
-            // Check if we got any new articles compared to previous batch
-            if (batchNumber > 1 && articlesArray.length === 0) {
-                log.warning('No new articles found in this batch, stopping to avoid reprocessing');
-                break;
-            }
-
             // Calculate how many more articles we need
             const articlesNeeded = maxItems - qualityArticlesSaved;
 
             // Process this batch with maxItems limit and get exact number of saved articles (includes browser fallback)
             log.info(`🔄 Starting batch ${batchNumber} processing (including any browser fallback)...`);
-            const qualityArticlesFromBatch = await this.crawlArticles(articlesArray, query, articlesNeeded);
+            // The crawl limit is compared with every article saved so far, not just this loop's
+            const qualityArticlesFromBatch = await crawlBatch(articlesArray, this.stats.saved + articlesNeeded);
 
             // Update counters using the definitive per-call result
             qualityArticlesSaved += qualityArticlesFromBatch;
             totalArticlesProcessed += articlesArray.length;
+            this.batchState = { batchNumber: batchNumber + 1, qualityArticlesSaved, totalArticlesProcessed };
+            await this.checkpoint?.persist('batch completed');
 
             // Log batch results AFTER all processing (including browser fallback) is complete
             log.info(`✅ Batch ${batchNumber} completed: ${qualityArticlesFromBatch} quality articles saved (${qualityArticlesSaved}/${maxItems} total)`);
@@ -1067,13 +1261,210 @@ export class ArticleCrawler {
             }
         }
 
-        log.info(`Quality-targeted crawling completed: ${qualityArticlesSaved}/${maxItems} target articles saved`);
+        return { saved: qualityArticlesSaved, totalProcessed: totalArticlesProcessed };
+    }
+
+    /**
+     * Crawl several queries in one run, saving each article once
+     * RSS items are collected for every query before crawling starts, so a saved record is tagged
+     * with all the queries whose feeds contained it. A query that falls short of its maxItems after
+     * the quality checks fetches more of its items in batches, like crawlWithQualityTarget.
+     * @param {object} params - Parameters including rssFetcher and querySpecs (see normalizeQuerySpecs)
+     * @returns {Promise<object>} Statistics object with saved, totalProcessed, target, success and perQuery
+     */
+    async crawlMultipleQueries(params) {
+        const { rssFetcher, querySpecs } = params;
+
+        log.info(`Starting multi-query crawling for ${querySpecs.length} queries`);
+
+        // Stage A for every query: merge RSS items by guid and remember which queries matched them
+        const candidates = new Map(); // guid -> rssItem with queries[] and matchedQueries[]
+        const perQuery = [];
+        const crawledGuids = new Set();
+
+        // Merge a query's RSS items into the candidates, returning their guids and how many were already there.
+        // Items already claimed for crawling keep their tags: their record may be saved already, so a query
+        // that finds them later neither tags nor counts them.
+        const addCandidates = (spec, articles) => {
+            const guids = [];
+            let duplicates = 0;
+            for (const [guid, item] of articles) {
+                const existing = candidates.get(guid);
+                if (existing) {
+                    if (!crawledGuids.has(guid)) {
+                        tagQuery(existing, spec);
+                    }
+                    duplicates++;
+                } else {
+                    const candidate = { ...item, queries: [], matchedQueries: [] };
+                    tagQuery(candidate, spec);
+                    candidates.set(guid, candidate);
+                }
+                guids.push(guid);
+            }
+            return { guids, duplicates };
+        };
+
+        for (const spec of querySpecs) {
+            rssFetcher.resetArticles();
+
+            // Over-fetch like the single-query batches do, since not every candidate passes quality checks
+            const articles = await rssFetcher.fetchRssItems({
+                ...spec,
+                maxItems: spec.maxItems > 0 ? Math.ceil(spec.maxItems * 2) : 0,
+            });
+            const { guids, duplicates } = addCandidates(spec, articles);
+
+            perQuery.push({
+                query: spec.query,
+                region: spec.region,
+                language: spec.language,
+                target: spec.maxItems,
+                candidates: guids.length,
+                sharedWithOtherQueries: duplicates,
+                processed: 0,
+                saved: 0,
+                guids,
+            });
+
+            log.info(`Query "${spec.query}" (${spec.region}, ${spec.language}): ${guids.length} RSS items (${duplicates} already matched by earlier queries)`);
+        }
+
+        // Count saved articles per query, including ones saved while crawling another query;
+        // related articles count for the queries of the item they came from
+        const getCandidate = guid => candidates.get(guid) || candidates.get(this.relatedOrigins.get(guid));
+        const countSaved = (spec) => Array.from(this.savedGuids)
+            .filter(guid => {
+                const candidate = getCandidate(guid);
+                return candidate ? matchesQuery(candidate, spec) : false;
+            }).length;
+
+        // Stage B: crawl each query's items that no earlier query has crawled yet
+        let totalArticlesProcessed = 0;
+
+        // Items of a query no earlier query has crawled yet, claimed for crawling
+        const takePending = (guids) => {
+            const pending = guids.filter(guid => !crawledGuids.has(guid));
+            pending.forEach(guid => crawledGuids.add(guid));
+            return pending.map(guid => candidates.get(guid));
+        };
+
+        for (const [index, entry] of perQuery.entries()) {
+            if (this.aborted) {
+                break;
+            }
+            const spec = querySpecs[index];
+            const alreadySaved = countSaved(spec);
+            if (entry.target > 0 && alreadySaved >= entry.target) {
+                log.info(`Query "${entry.query}" already satisfied by earlier queries (${alreadySaved}/${entry.target})`);
+                continue;
+            }
+
+            if (entry.target <= 0) {
+                const pending = takePending(entry.guids);
+                if (pending.length > 0) {
+                    log.info(`=== Query "${entry.query}": crawling ${pending.length} new articles ===`);
+                    await this.crawlArticles(pending, entry.query);
+                    entry.processed = pending.length;
+                    totalArticlesProcessed += pending.length;
+                }
+                continue;
+            }
+
+            log.info(`=== Query "${entry.query}": need ${entry.target - alreadySaved} more articles ===`);
+
+            // The first batch is the items collected above, later ones fetch more of the query's items
+            let collectedTaken = false;
+            let refilling = false;
+            const fetchBatch = async (batchSize) => {
+                if (!collectedTaken) {
+                    collectedTaken = true;
+                    const pending = takePending(entry.guids);
+                    if (pending.length > 0) {
+                        return pending;
+                    }
+                }
+                if (!refilling) {
+                    refilling = true;
+                    rssFetcher.resetArticles();
+                    rssFetcher.markReturned(entry.guids);
+                }
+                const { guids } = addCandidates(spec, await rssFetcher.fetchRssItems({ ...spec, maxItems: batchSize }));
+                entry.guids.push(...guids.filter(guid => !entry.guids.includes(guid)));
+                return takePending(guids);
+            };
+
+            const { totalProcessed } = await this.crawlInBatches({
+                maxItems: entry.target,
+                progress: { qualityArticlesSaved: alreadySaved },
+                fetchBatch,
+                crawlBatch: async (rssItems, limit) => {
+                    const savedBefore = countSaved(spec);
+                    await this.crawlArticles(rssItems, entry.query, limit);
+                    return countSaved(spec) - savedBefore;
+                },
+            });
+            entry.processed = totalProcessed;
+            totalArticlesProcessed += totalProcessed;
+        }
+
+        for (const [index, entry] of perQuery.entries()) {
+            entry.saved = countSaved(querySpecs[index]);
+            entry.candidates = entry.guids.length;
+            delete entry.guids;
+        }
+
+        const saved = Array.from(this.savedGuids).filter(guid => getCandidate(guid)).length;
+        const target = querySpecs.every(spec => spec.maxItems > 0)
+            ? querySpecs.reduce((sum, spec) => sum + spec.maxItems, 0)
+            : 0;
+
+        log.info(`Multi-query crawling completed: ${saved} unique articles saved for ${querySpecs.length} queries`);
 
         return {
-            saved: qualityArticlesSaved,
+            saved,
             totalProcessed: totalArticlesProcessed,
-            target: maxItems,
-            success: qualityArticlesSaved >= maxItems
+            target,
+            success: perQuery.every(entry => entry.target <= 0 || entry.saved >= entry.target),
+            perQuery,
+        };
+    }
+
+    /**
+     * Crawl articles from publisher feeds (extraFeeds input) after the Google News candidates
+     * Items whose canonical URL matches a Google News article resolved in this run are dropped,
+     * so a story found both ways is fetched and saved once.
+     * @param {object} params - Parameters
+     * @param {RssFetcher} params.rssFetcher - RSS fetcher
+     * @param {Array<string>} params.feedUrls - Feed URLs (see normalizeExtraFeeds)
+     * @param {number} params.maxItems - Articles to save from the feeds (0 = unlimited)
+     * @param {string} params.dateFrom - Start date (optional)
+     * @param {string} params.dateTo - End date, inclusive (optional)
+     * @returns {Promise<object>} { feeds, candidates, duplicates, processed, saved }
+     */
+    async crawlExtraFeeds({ rssFetcher, feedUrls, maxItems = 0, dateFrom = null, dateTo = null }) {
+        log.info(`=== Extra feeds: ${feedUrls.length} publisher feeds ===`);
+        const items = await rssFetcher.fetchExtraFeeds(feedUrls, { dateFrom, dateTo });
+
+        const knownUrls = new Set([...this.resolvedUrls.values()].map(url => canonicalizeUrl(url)));
+        const candidates = [...items.values()].filter(item => !knownUrls.has(item.guid));
+        const duplicates = items.size - candidates.length;
+        if (duplicates > 0) {
+            log.info(`Extra feeds: ${duplicates} articles already found through Google News`);
+        }
+
+        const processedBefore = this.stats.processed;
+        // The crawl limit is compared with every article saved so far, not just this call's
+        const saved = candidates.length > 0
+            ? await this.crawlArticles(candidates, null, maxItems > 0 ? this.stats.saved + maxItems : null)
+            : 0;
+
+        return {
+            feeds: feedUrls.length,
+            candidates: candidates.length,
+            duplicates,
+            processed: this.stats.processed - processedBefore,
+            saved,
         };
     }
 
@@ -1085,11 +1476,31 @@ export class ArticleCrawler {
      * @returns {Promise<number>} Number of successfully saved high-quality articles in this call
      */
     async crawlArticles(rssItems, query, maxItemsLimit = null) {
+        if (this.aborted) {
+            return 0;
+        }
         if (!rssItems || rssItems.length === 0) {
             log.warning('No RSS items to crawl');
             return 0;
         }
 
+        // Candidates mode: the other outlets covering each story are crawled too
+        if (this.relatedCoverageMode === 'candidates') {
+            const expanded = expandWithRelatedItems(rssItems);
+            log.info(`Added ${expanded.length - rssItems.length} related-coverage candidates`);
+            rssItems = expanded;
+        }
+
+        // Articles finished before a restart are not crawled again
+        const pendingItems = rssItems.filter(item => !this.processedGuids.has(item.guid || extractRealUrl(item.link)));
+        if (pendingItems.length < rssItems.length) {
+            log.info(`Skipping ${rssItems.length - pendingItems.length} articles already processed before the restart`);
+            rssItems = pendingItems;
+            if (rssItems.length === 0) {
+                return 0;
+            }
+        }
+
         log.info(`Starting article crawling for ${rssItems.length} articles${maxItemsLimit ? ` (limit: ${maxItemsLimit})` : ''}`);
 
         // Track saved count at start of this call to compute per-call savings precisely
@@ -1098,44 +1509,13 @@ export class ArticleCrawler {
         // Store the maxItemsLimit in the instance for use in handleRequest
         this.currentMaxItemsLimit = maxItemsLimit;
 
-        // Prepare requests
-        const requests = rssItems.map((item) => {
-            const realUrl = extractRealUrl(item.link);
-
-            return {
-                url: realUrl,
-                userData: {
-                    ...item,
-                    query,
-                    originalGoogleUrl: item.link,
-                },
-            };
-        });
-
-        // Check if any URLs are Google News URLs. Do NOT force global browser mode.
-        // We'll resolve via HTTP first and use targeted browser fallback only if needed.
-        const hasGoogleNewsUrls = requests.some(req => req.url.includes('news.google.com/articles/'));
-        if (hasGoogleNewsUrls) {
-            log.debug('Google News URLs detected - resolving via HTTP first; browser fallback will be per-URL if required');
-        }
+        // Prepare requests, with Google News links already resolved to the publisher URLs
+        const requests = await this.resolveRequests(this.toRequests(rssItems, query));
 
         // Create and run main crawler
-        const crawler = this.createCrawler();
         log.info(`🚀 Starting main crawler for ${requests.length} articles...`);
-
-        try {
-            await crawler.run(requests);
-            log.info(`📊 Main crawler completed: ${this.stats.saved - savedAtStart} articles saved from initial processing`);
-        } catch (error) {
-            // Handle the special MAX_ITEMS_REACHED signal
-            if (error.message === 'MAX_ITEMS_REACHED') {
-                log.info('🎯 Crawler stopped: Maximum items limit reached');
-                // Continue with normal flow - don't treat this as an error
-            } else {
-                // Re-throw other errors
-                throw error;
-            }
-        }
+        await this.runCrawler(requests);
+        log.info(`📊 Main crawler completed: ${this.stats.saved - savedAtStart} articles saved from initial processing`);
 
         // Check if any URLs need browser mode fallback
         const browserFallbackRequests = this.failedUrls
@@ -1168,7 +1548,7 @@ export class ArticleCrawler {
                 };
             });
 
-        if (browserFallbackRequests.length > 0) {
+        if (browserFallbackRequests.length > 0 && !this.aborted) {
             log.info(`🔄 Running browser mode fallback for ${browserFallbackRequests.length} failed requests`);
             log.debug('Browser fallback requests:', browserFallbackRequests.map(req => req.url));
 
@@ -1201,9 +1581,14 @@ export class ArticleCrawler {
             }
         }
 
+        // Alternates mode: stories whose article wasn't saved get another outlet's version
+        if (this.relatedCoverageMode === 'alternates' && !this.aborted) {
+            await this.crawlAlternates(rssItems, query);
+        }
+
         // Store failed URLs
         if (this.failedUrls.length > 0) {
-            await Actor.setValue(CONFIG.STORAGE.FAILED_URLS_KEY, this.failedUrls);
+            await keyValueStore.setValue(CONFIG.STORAGE.FAILED_URLS_KEY, this.failedUrls);
             log.warning(`${this.failedUrls.length} articles failed to process`);
         }
 
@@ -1220,6 +1605,148 @@ export class ArticleCrawler {
         return savedThisCall;
     }
 
+    /**
+     * Pre-resolution stage: point the requests for Google News links at the publisher URLs
+     * The crawler then fetches the article itself, so its sessions, proxies and retries apply.
+     * Links the stage cannot resolve are skipped, except in browser mode, where handleRequest
+     * tries again with the page.
+     * @param {Array<object>} requests - Crawler requests (see toRequests)
+     * @returns {Promise<Array<object>>} Requests to crawl, at most one per RSS item
+     */
+    async resolveRequests(requests) {
+        const isGoogleNewsUrl = url => url.includes('news.google.com/articles/');
+        const pendingUrls = requests
+            .map(req => req.url)
+            .filter(url => isGoogleNewsUrl(url) && !this.resolvedUrls.has(url));
+
+        if (pendingUrls.length > 0) {
+            try {
+                const resolved = await this.resolutionStage.resolve(pendingUrls);
+                resolved.forEach((url, googleUrl) => this.resolvedUrls.set(googleUrl, url));
+            } catch (error) {
+                log.warning(`Pre-resolution failed, resolving per article: ${error.message}`);
+            }
+        }
+
+        const resolvedRequests = [];
+        for (const req of requests) {
+            const resolvedUrl = this.resolvedUrls.get(req.url);
+            if (!isGoogleNewsUrl(req.url) || (!resolvedUrl && this.useBrowser)) {
+                resolvedRequests.push(req);
+            } else if (resolvedUrl) {
+                // One request per item even when two Google News links lead to the same article
+                resolvedRequests.push({ url: resolvedUrl, uniqueKey: req.userData.guid || req.url, userData: { ...req.userData, resolvedFrom: req.url } });
+            } else {
+                log.info(`SKIPPING ARTICLE - Cannot resolve Google News URL to actual article: ${req.url}`);
+                this.recordSkip('urlResolutionFailed', req.url, req.userData);
+            }
+        }
+        return resolvedRequests;
+    }
+
+    /**
+     * Build crawler requests for RSS items
+     * @param {Array<object>} rssItems - RSS items
+     * @param {string} query - Original search query
+     * @returns {Array<object>} Requests with the item as userData
+     */
+    toRequests(rssItems, query) {
+        return rssItems.map(item => ({
+            url: extractRealUrl(item.link),
+            userData: {
+                ...item,
+                query,
+                originalGoogleUrl: item.link,
+            },
+        }));
+    }
+
+    /**
+     * Run a fresh HTTP crawler over requests, treating a reached maxItems limit as a normal stop
+     * @param {Array<object>} requests - Crawler requests
+     */
+    async runCrawler(requests) {
+        try {
+            await this.runWithOwnQueue(requests);
+        } catch (error) {
+            // Handle the special MAX_ITEMS_REACHED signal
+            if (error.message === 'MAX_ITEMS_REACHED') {
+                log.info('🎯 Crawler stopped: Maximum items limit reached');
+                // Continue with normal flow - don't treat this as an error
+            } else {
+                // Re-throw other errors
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Run a crawler over requests with a request queue of its own, dropped once the crawler is done
+     * Crawlee's default queue is shared by every crawler in the process, so overlapping runs would take each other's requests.
+     * @param {Array<object>} requests - Crawler requests
+     */
+    async runWithOwnQueue(requests) {
+        if (this.aborted) {
+            return;
+        }
+
+        this.queueCount++;
+        const requestQueue = await RequestQueue.open(`${CONFIG.CRAWLER.REQUEST_QUEUE_PREFIX}-${this.queueId}-${this.queueCount}`);
+        const crawler = this.createCrawler(requestQueue);
+        this.activeCrawler = crawler;
+
+        try {
+            await crawler.run(requests);
+        } finally {
+            this.activeCrawler = null;
+            await requestQueue.drop().catch(error => log.debug(`Could not drop request queue: ${error.message}`));
+        }
+    }
+
+    /**
+     * Stop crawling: the running crawler is torn down and no further batches, fallbacks or alternates are crawled
+     * Requests already in progress may still save their article.
+     */
+    async abort() {
+        if (this.aborted) {
+            return;
+        }
+        this.aborted = true;
+        log.info('Article crawling aborted');
+        await this.activeCrawler?.teardown();
+    }
+
+    /**
+     * Crawl related coverage in place of articles that reached a final outcome without being saved
+     * Round n tries the n-th related article of every story that has no saved article yet
+     * @param {Array<object>} rssItems - RSS items of this crawl
+     * @param {string} query - Original search query
+     */
+    async crawlAlternates(rssItems, query) {
+        const primaries = rssItems.filter(item => !item.relatedTo && item.relatedCoverage?.length > 0);
+
+        for (let round = 0; round < CONFIG.RELATED.MAX_ALTERNATES; round++) {
+            if (this.aborted || (this.currentMaxItemsLimit && this.stats.saved >= this.currentMaxItemsLimit)) {
+                break;
+            }
+
+            const alternates = primaries
+                .filter(item => this.processedGuids.has(item.guid) && !this.savedGuids.has(item.guid))
+                .filter(item => !getRelatedItems(item, 0, round).some(related => this.savedGuids.has(related.guid)))
+                .flatMap(item => getRelatedItems(item, round, 1))
+                .filter(related => !this.processedGuids.has(related.guid));
+
+            if (alternates.length === 0) {
+                break;
+            }
+
+            log.info(`🔁 Trying ${alternates.length} related-coverage alternates (round ${round + 1})`);
+            const savedBefore = this.stats.saved;
+            await this.runCrawler(await this.resolveRequests(this.toRequests(alternates, query)));
+            log.info(`Alternates round ${round + 1}: ${this.stats.saved - savedBefore} articles saved`);
+        }
+    }
+
     /**
      * Print final statistics for the "all or nothing" strategy
      */
@@ -1250,6 +1777,14 @@ export class ArticleCrawler {
         log.info(`  • Image validation failed: ${this.stats.skipped.imageValidationFailed}`);
         log.info(`  • Quality score too low: ${this.stats.skipped.qualityTooLow}`);
         log.info(`  • Max items limit reached: ${this.stats.skipped.maxItemsReached || 0}`);
+        log.info(`  • Already seen in earlier runs: ${this.stats.skipped.alreadySeen || 0}`);
+        log.info('');
+        log.info('🧭 URL RESOLUTION STRATEGIES:');
+        Object.entries(this.googleNewsResolver.getStrategyStats())
+            .filter(([, stats]) => stats.attempts > 0)
+            .forEach(([name, stats]) => {
+                log.info(`  • ${name}: ${stats.successes}/${stats.attempts} resolved, ${stats.errors} errors, avg ${stats.avgLatencyMs}ms`);
+            });
         log.info('='.repeat(60));
 
         if (this.stats.saved === 0) {
@@ -0,0 +1,202 @@
+/**
+ * Offline decoding of Google News article IDs
+ * An article ID (the last path segment of news.google.com/rss/articles/... links) is URL-safe base64
+ * of a small protobuf message: field 1 is a type varint (0x13 for "CBMi..." IDs), field 4 holds the
+ * publisher URL and field 26 the AMP URL when the story has one. Newer IDs carry an opaque
+ * "AU_yqL..." token in field 4 instead, which only the batchexecute endpoint can turn into a URL.
+ */
+
+export const ARTICLE_ID_FIELDS = {
+    TYPE: 1,
+    URL: 4,
+    AMP_URL: 26,
+};
+
+// Every format decodeArticleId reports
+export const ARTICLE_ID_FORMATS = ['url', 'token', 'unknown', 'invalid'];
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decode standard or URL-safe base64, with or without padding
+ * @param {string} text - Encoded text
+ * @returns {Buffer|null} Bytes, or null when the text is not base64
+ */
+export function decodeBase64Url(text) {
+    if (typeof text !== 'string' || !/^[A-Za-z0-9_\-+/]+={0,2}$/.test(text) || text.replace(/=+$/, '').length % 4 === 1) {
+        return null;
+    }
+    return Buffer.from(text.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''), 'base64url');
+}
+
+/**
+ * Read a base-128 varint
+ * @param {Uint8Array} bytes - Message bytes
+ * @param {number} offset - Position of the first varint byte
+ * @returns {{value: number, offset: number}|null} Value and the position after it, or null when truncated
+ */
+function readVarint(bytes, offset) {
+    let value = 0;
+    for (let shift = 0, position = offset; position < bytes.length && shift < 64; shift += 7, position++) {
+        value += (bytes[position] & 0x7f) * Math.pow(2, shift);
+        if ((bytes[position] & 0x80) === 0) {
+            return { value, offset: position + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the top-level fields of a protobuf message
+ * Stops at the first malformed field, so a truncated ID still yields the fields before the damage.
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {object} { fields: [{ field, wireType, value }], complete } where length-delimited values are Buffers
+ */
+export function readProtobufFields(bytes) {
+    const fields = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const key = readVarint(bytes, offset);
+        if (!key || key.value < 8) {
+            return { fields, complete: false };
+        }
+        const field = Math.floor(key.value / 8);
+        const wireType = key.value % 8;
+        offset = key.offset;
+
+        if (wireType === 0) {
+            const varint = readVarint(bytes, offset);
+            if (!varint) {
+                return { fields, complete: false };
+            }
+            fields.push({ field, wireType, value: varint.value });
+            offset = varint.offset;
+        } else if (wireType === 2) {
+            const length = readVarint(bytes, offset);
+            if (!length || length.offset + length.value > bytes.length) {
+                return { fields, complete: false };
+            }
+            fields.push({ field, wireType, value: Buffer.from(bytes.subarray(length.offset, length.offset + length.value)) });
+            offset = length.offset + length.value;
+        } else if (wireType === 1 || wireType === 5) {
+            const size = wireType === 1 ? 8 : 4;
+            if (offset + size > bytes.length) {
+                return { fields, complete: false };
+            }
+            fields.push({ field, wireType, value: Buffer.from(bytes.subarray(offset, offset + size)) });
+            offset += size;
+        } else {
+            return { fields, complete: false };
+        }
+    }
+
+    return { fields, complete: true };
+}
+
+/**
+ * Read a length-delimited value as text
+ * @param {Buffer} value - Field bytes
+ * @returns {string|null} Text, or null for binary data
+ */
+function asText(value) {
+    try {
+        const text = utf8.decode(value);
+        return /^[\x20-\x7e\u00a0-\uffff]+$/.test(text) ? text : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL
+ * @param {string} text - Candidate
+ * @returns {boolean} True for http(s) URLs
+ */
+function isHttpUrl(text) {
+    try {
+        return /^https?:$/.test(new URL(text).protocol) && /^https?:\/\//i.test(text);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check whether a URL points at an AMP version of an article
+ * @param {string} url - Article URL
+ * @returns {boolean} True for AMP cache URLs, amp.* hosts, /amp paths and ?amp / outputType=amp queries
+ */
+export function isAmpUrl(url) {
+    try {
+        const { hostname, pathname, searchParams } = new URL(url);
+        return hostname.endsWith('.cdn.ampproject.org')
+            || hostname.startsWith('amp.')
+            || /(^|\/)amp(\/|$)|\.amp(\.html?)?$/i.test(pathname)
+            || searchParams.has('amp')
+            || searchParams.get('outputType') === 'amp';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Decode a Google News article ID without any network request
+ * @param {string} articleId - Article ID (URL-safe base64)
+ * @returns {object} {
+ *   format: 'url' (publisher URL embedded), 'token' (opaque token, needs batchexecute),
+ *           'unknown' (a message without either) or 'invalid' (not a protobuf envelope),
+ *   type: value of field 1, url: publisher URL (the AMP URL when that is all there is),
+ *   ampUrl, token, complete: false when the ID was cut short
+ * }
+ */
+export function decodeArticleId(articleId) {
+    const result = { format: 'invalid', type: null, url: null, ampUrl: null, token: null, complete: false };
+    const bytes = decodeBase64Url(articleId);
+    if (!bytes || bytes.length === 0) {
+        return result;
+    }
+
+    const { fields, complete } = readProtobufFields(bytes);
+    if (fields.length === 0) {
+        return result;
+    }
+
+    result.format = 'unknown';
+    result.complete = complete;
+    result.type = fields.find(({ field, wireType }) => field === ARTICLE_ID_FIELDS.TYPE && wireType === 0)?.value ?? null;
+
+    const urls = [];
+    for (const { field, wireType, value } of fields) {
+        const text = wireType === 2 ? asText(value) : null;
+        if (!text) {
+            continue;
+        }
+        if (isHttpUrl(text)) {
+            urls.push({ field, url: text });
+        } else if (field === ARTICLE_ID_FIELDS.URL && !result.token) {
+            result.token = text;
+        }
+    }
+
+    const canonical = urls.find(({ field, url }) => field !== ARTICLE_ID_FIELDS.AMP_URL && !isAmpUrl(url));
+    const amp = urls.find(({ field }) => field === ARTICLE_ID_FIELDS.AMP_URL) || urls.find(({ url }) => isAmpUrl(url));
+
+    result.ampUrl = amp?.url || null;
+    result.url = canonical?.url || result.ampUrl;
+    if (result.url) {
+        result.format = 'url';
+    } else if (result.token) {
+        result.format = 'token';
+    }
+
+    return result;
+}
+
+export default {
+    ARTICLE_ID_FIELDS,
+    ARTICLE_ID_FORMATS,
+    decodeBase64Url,
+    readProtobufFields,
+    isAmpUrl,
+    decodeArticleId,
+};
@@ -0,0 +1,194 @@
+/**
+ * Crash-safe run checkpoints
+ * Periodically stores crawl progress so a migrated, aborted or crashed run resumes where it stopped
+ */
+
+import { createHash } from 'crypto';
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+
+// Actor events that signal the run is about to stop or should save its state
+const PERSIST_EVENTS = ['migrating', 'aborting', 'persistState'];
+
+/**
+ * Fingerprint the parts of the input that decide which articles a run collects
+ * A checkpoint is only resumed by a run with the same fingerprint
+ * @param {Array<object>} querySpecs - Query specs from normalizeQuerySpecs
+ * @param {Array<string>} testUrls - Direct test URLs (optional)
+ * @returns {string} Hex fingerprint
+ */
+export function getRunFingerprint(querySpecs, testUrls = []) {
+    const identity = querySpecs.map(spec => [
+        spec.query, spec.region, spec.language, spec.maxItems, spec.dateFrom, spec.dateTo, spec.mode, spec.topic, spec.location,
+    ]);
+    return createHash('sha1').update(JSON.stringify({ identity, testUrls })).digest('hex');
+}
+
+/**
+ * Checkpoint of one run's progress in the key-value store
+ *
+ * PROGRESS_KEY holds the crawl progress (processed/saved GUIDs, resolved URLs, batch counters) and is
+ * rewritten after every saved article, on a timer and on Actor 'migrating'/'aborting'/'persistState'.
+ * RSS items are restored from RSS_ITEMS_KEY and the date-slicing position from LAST_DATE_KEY, which the
+ * fetcher refreshes through the checkpoint after every date slice.
+ */
+export class RunCheckpoint {
+    /**
+     * @param {string} fingerprint - Run fingerprint (see getRunFingerprint)
+     * @param {object} options - Checkpoint options
+     * @param {number} options.intervalSecs - Seconds between periodic checkpoints
+     */
+    constructor(fingerprint, { intervalSecs = CONFIG.CHECKPOINT.INTERVAL_SECS } = {}) {
+        this.fingerprint = fingerprint;
+        this.intervalSecs = intervalSecs;
+        this.rssFetcher = null;
+        this.articleCrawler = null;
+        this.interval = null;
+        this.writes = Promise.resolve();
+        this.lastSaved = 0;
+
+        this.onActorEvent = () => this.persist('actor event');
+        this.onProgress = ({ saved }) => {
+            // Record every save right away, so a restart never pushes the same article twice
+            if (saved !== this.lastSaved) {
+                this.lastSaved = saved;
+                this.persist('article saved');
+            }
+        };
+    }
+
+    /**
+     * Load an unfinished checkpoint left by an earlier attempt of the same run
+     * @returns {Promise<object|null>} { progress, rssItems, lastDateChecked } or null when starting fresh
+     */
+    async load() {
+        const progress = await keyValueStore.getValue(CONFIG.STORAGE.PROGRESS_KEY);
+
+        if (!progress || progress.status !== 'running') {
+            return null;
+        }
+        if (progress.fingerprint !== this.fingerprint) {
+            log.info('Ignoring checkpoint from a run with different input');
+            return null;
+        }
+
+        const rssItems = await keyValueStore.getValue(CONFIG.STORAGE.RSS_ITEMS_KEY, []);
+        const lastDateChecked = await keyValueStore.getValue(CONFIG.STORAGE.LAST_DATE_KEY);
+
+        log.info(`Resuming from checkpoint of ${progress.updatedAt}: ${progress.savedGuids.length} saved, ${progress.processedGuids.length} processed, batch ${progress.batch?.batchNumber || 1}`);
+        return { progress, rssItems, lastDateChecked };
+    }
+
+    /**
+     * Restore a loaded checkpoint into the fetcher and crawler
+     * @param {object} checkpoint - Result of load()
+     * @param {RssFetcher} rssFetcher - RSS fetcher of this run
+     * @param {ArticleCrawler} articleCrawler - Article crawler of this run
+     */
+    restore(checkpoint, rssFetcher, articleCrawler) {
+        rssFetcher.restoreState({
+            rssItems: checkpoint.rssItems,
+            // Items that were handed out but never finished are handed out again
+            returnedGuids: checkpoint.progress.processedGuids,
+            lastDateChecked: checkpoint.lastDateChecked,
+        });
+        articleCrawler.restoreState(checkpoint.progress);
+        this.lastSaved = articleCrawler.stats.saved;
+    }
+
+    /**
+     * Start checkpointing the fetcher and crawler
+     * @param {RssFetcher} rssFetcher - RSS fetcher of this run
+     * @param {ArticleCrawler} articleCrawler - Article crawler of this run
+     */
+    start(rssFetcher, articleCrawler) {
+        this.rssFetcher = rssFetcher;
+        this.articleCrawler = articleCrawler;
+        articleCrawler.checkpoint = this;
+        rssFetcher.checkpoint = this;
+        articleCrawler.on('progress', this.onProgress);
+
+        PERSIST_EVENTS.forEach(event => Actor.on(event, this.onActorEvent));
+
+        this.interval = setInterval(() => this.persist('interval'), this.intervalSecs * 1000);
+        this.interval.unref();
+    }
+
+    /**
+     * Stop checkpointing and wait for pending writes
+     */
+    async stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        PERSIST_EVENTS.forEach(event => Actor.off(event, this.onActorEvent));
+        if (this.articleCrawler) {
+            this.articleCrawler.off('progress', this.onProgress);
+            this.articleCrawler.checkpoint = null;
+        }
+        if (this.rssFetcher) {
+            this.rssFetcher.checkpoint = null;
+        }
+        await this.writes;
+    }
+
+    /**
+     * Write a checkpoint; writes are queued so they never interleave
+     * @param {string} reason - Why the checkpoint is written (for debug logs)
+     * @returns {Promise<void>}
+     */
+    persist(reason) {
+        this.writes = this.writes
+            .then(() => this.write(reason))
+            .catch(error => log.warning(`Checkpoint failed: ${error.message}`));
+        return this.writes;
+    }
+
+    /**
+     * Write the current progress
+     * @param {string} reason - Why the checkpoint is written
+     */
+    async write(reason) {
+        if (!this.articleCrawler) {
+            return;
+        }
+
+        await keyValueStore.setValue(CONFIG.STORAGE.PROGRESS_KEY, {
+            fingerprint: this.fingerprint,
+            status: 'running',
+            updatedAt: new Date().toISOString(),
+            ...this.articleCrawler.getCheckpointState(),
+        });
+
+        // RSS items and the date position are written at fetch time; refresh them for event-driven checkpoints
+        if (reason !== 'article saved') {
+            const rssState = this.rssFetcher.getCheckpointState();
+            await keyValueStore.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, rssState.rssItems);
+            if (rssState.lastDateChecked) {
+                await keyValueStore.setValue(CONFIG.STORAGE.LAST_DATE_KEY, rssState.lastDateChecked);
+            }
+        }
+
+        log.debug(`Checkpoint written (${reason})`);
+    }
+
+    /**
+     * Mark the run as finished so the next run starts fresh
+     * @param {object} summary - Run summary to keep with the final progress record
+     */
+    async complete(summary = {}) {
+        await this.stop();
+        await keyValueStore.setValue(CONFIG.STORAGE.PROGRESS_KEY, {
+            fingerprint: this.fingerprint,
+            status: 'completed',
+            updatedAt: new Date().toISOString(),
+            saved: summary.saved ?? null,
+        });
+        await keyValueStore.setValue(CONFIG.STORAGE.LAST_DATE_KEY, null);
+    }
+}
+
+export default RunCheckpoint;
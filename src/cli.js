@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Google News Scraper - Command-line runner
+ *
+ * Runs the same pipeline as the Apify Actor outside the platform, writing
+ * results to local JSON/NDJSON files instead of the Apify Dataset.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { Actor } from 'apify';
+import { log, ProxyConfiguration } from 'crawlee';
+import { CONFIG } from './config.js';
+import { errorHandling } from './error-handling.js';
+import { costMonitor } from './cost-monitor.js';
+import { createOutputSink } from './output-sinks.js';
+import { TIMELINE_CSV_FORMATTERS } from './timeline.js';
+import { applyRuntimeOptions, scrape, collectRssItems, resolveUrl, extractArticle } from './scraper.js';
+
+export const COMMANDS = ['scrape', 'rss-only', 'resolve', 'extract'];
+
+// Flag name -> input field and how to parse the raw string
+const INPUT_FLAGS = {
+    'query': { field: 'query', type: 'string' },
+    'queries': { field: 'queries', type: 'json' },
+    'search': { field: 'search', type: 'json' },
+    'mode': { field: 'mode', type: 'string' },
+    'topic': { field: 'topic', type: 'string' },
+    'location': { field: 'location', type: 'string' },
+    'region': { field: 'region', type: 'string' },
+    'language': { field: 'language', type: 'string' },
+    'max-items': { field: 'maxItems', type: 'integer' },
+    'date-from': { field: 'dateFrom', type: 'string' },
+    'date-to': { field: 'dateTo', type: 'string' },
+    'use-browser': { field: 'useBrowser', type: 'boolean' },
+    'lightweight-mode': { field: 'lightweightMode', type: 'boolean' },
+    'cost-optimized': { field: 'costOptimized', type: 'boolean' },
+    'disable-proxies': { field: 'disableProxies', type: 'boolean' },
+    'test-url': { field: 'testUrls', type: 'list' },
+    'incremental': { field: 'incremental', type: 'boolean' },
+    'incremental-ttl-hours': { field: 'incrementalTtlHours', type: 'integer' },
+    'incremental-store': { field: 'incrementalStoreName', type: 'string' },
+    'no-resume': { field: 'resume', type: 'negated' },
+    'dry-run': { field: 'dryRun', type: 'boolean' },
+    'timeline': { field: 'timeline', type: 'string' },
+    'watch': { field: 'watch', type: 'boolean' },
+    'watch-interval-secs': { field: 'watchIntervalSecs', type: 'integer' },
+    'watch-max-cycles': { field: 'watchMaxCycles', type: 'integer' },
+    'related-coverage-mode': { field: 'relatedCoverageMode', type: 'string' },
+    'extra-feed': { field: 'extraFeeds', type: 'list' },
+    'profile': { field: 'profile', type: 'string' },
+    'config': { field: 'config', type: 'json' },
+};
+
+const OPTIONS = {
+    ...Object.fromEntries(Object.entries(INPUT_FLAGS).map(([flag, { type }]) => [
+        flag,
+        type === 'boolean' || type === 'negated' ? { type: 'boolean' } : { type: 'string', multiple: type === 'list' },
+    ])),
+    'input': { type: 'string', short: 'i' },
+    'output': { type: 'string', short: 'o' },
+    'format': { type: 'string' },
+    'proxy-url': { type: 'string', multiple: true },
+    'base-url': { type: 'string' },
+    'log-level': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' },
+};
+
+const DEFAULT_OUTPUTS = {
+    'scrape': 'results.json',
+    'rss-only': 'rss-items.json',
+};
+
+const USAGE = `Usage: google-news-scraper <command> [options]
+
+Commands:
+  scrape              Fetch feeds and crawl articles (default output: ${DEFAULT_OUTPUTS.scrape})
+  rss-only            Fetch feeds only, without crawling articles (default output: ${DEFAULT_OUTPUTS['rss-only']})
+  resolve <url>       Resolve a Google News article URL to the publisher URL
+  extract <file|url>  Extract article content from a saved HTML file or a URL
+
+Input options (same fields as the Actor input; flags override --input):
+  -i, --input <file>        JSON file with Actor-style input
+      --query <text>        Search query
+      --queries <json>      JSON array of queries (strings or objects)
+      --search <json>       JSON object with structured search fields
+      --mode <mode>         search, headlines, topic or location
+      --topic <name|id>     Section for topic mode
+      --location <place>    Place for location mode
+      --region <code>       Region code (default: ${CONFIG.RSS.DEFAULT_REGION})
+      --language <code>     Language code (default: ${CONFIG.RSS.DEFAULT_LANGUAGE})
+      --max-items <n>       Maximum articles to save (0 = unlimited)
+      --date-from <date>    Start date (YYYY-MM-DD)
+      --date-to <date>      End date (YYYY-MM-DD)
+      --use-browser         Allow the Playwright fallback
+      --lightweight-mode    Reduce concurrency and skip image validation
+      --cost-optimized      Same as --lightweight-mode
+      --disable-proxies     Never use proxies
+      --test-url <url>      Crawl this URL directly instead of feeds (repeatable)
+      --incremental         Skip articles earlier runs already handled
+      --incremental-ttl-hours <n>  Forget seen articles after this many hours (0 = never)
+      --incremental-store <name>   Named key-value store for the incremental state
+      --no-resume           Ignore the checkpoint of an unfinished earlier run and start fresh
+      --dry-run             Only collect candidates and forecast yield and cost (scrape only)
+      --timeline <bucket>   Only count coverage per day or hour, without crawling (scrape only)
+      --watch               Keep polling feeds and crawl new articles until Ctrl+C (scrape only)
+      --watch-interval-secs <n>  Seconds between polls (default: ${CONFIG.WATCH.INTERVAL_SECS}, minimum: ${CONFIG.WATCH.MIN_INTERVAL_SECS})
+      --watch-max-cycles <n>     Stop after this many polls (0 = until stopped)
+      --related-coverage-mode <mode>  record, alternates or candidates (default: record)
+      --extra-feed <url>    Publisher RSS, Atom or JSON feed to crawl as well (repeatable)
+      --profile <name|file>  Configuration profile from profiles/ or a .json/.yaml file
+      --config <json>       Configuration overrides, e.g. '{"CRAWLER":{"MAX_CONCURRENCY":2}}'
+
+Output options:
+  -o, --output <file>       Output file (.json, .ndjson/.jsonl for one record per line, or .csv)
+      --format <format>     json, ndjson or csv (default: from the file extension)
+      --proxy-url <url>     Proxy URL to use for requests (repeatable)
+      --base-url <url>      Base URL for relative links when extracting from a file
+      --log-level <level>   DEBUG, INFO, WARNING, ERROR or OFF
+  -h, --help                Show this help`;
+
+/**
+ * Convert a raw flag value to the input field type
+ * @param {string} flag - Flag name
+ * @param {string|boolean|Array<string>} value - Raw value from parseArgs
+ * @param {string} type - Field type
+ * @returns {any} Parsed value
+ */
+function parseFlagValue(flag, value, type) {
+    switch (type) {
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`--${flag} must be a non-negative integer (got "${value}")`);
+            }
+            return number;
+        }
+        case 'negated':
+            return !value;
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new Error(`--${flag} must be valid JSON: ${error.message}`);
+            }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Parse command-line arguments into a command, scraper input and runner options
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {object} { command, target, input, options, help }
+ */
+export function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const [command, target, ...extra] = positionals;
+    if (!command) {
+        throw new Error(`Missing command (one of: ${COMMANDS.join(', ')})`);
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}" (one of: ${COMMANDS.join(', ')})`);
+    }
+    if ((command === 'resolve' || command === 'extract') && !target) {
+        throw new Error(`"${command}" needs a ${command === 'resolve' ? '<url>' : '<file|url>'} argument`);
+    }
+    if (extra.length > 0 || (target && (command === 'scrape' || command === 'rss-only'))) {
+        throw new Error(`Unexpected arguments: ${[target, ...extra].filter(Boolean).join(' ')}`);
+    }
+
+    const input = values.input ? JSON.parse(fs.readFileSync(values.input, 'utf8')) : {};
+    for (const [flag, { field, type }] of Object.entries(INPUT_FLAGS)) {
+        if (values[flag] !== undefined) {
+            input[field] = parseFlagValue(flag, values[flag], type);
+        }
+    }
+
+    return {
+        command,
+        target: target || null,
+        input,
+        options: {
+            output: values.output || DEFAULT_OUTPUTS[command] || null,
+            format: values.format || null,
+            proxyUrls: values['proxy-url'] || [],
+            baseUrl: values['base-url'] || null,
+            logLevel: values['log-level'] || null,
+        },
+    };
+}
+
+/**
+ * Write a single JSON result to a file or stdout
+ * @param {object} result - Result to print
+ * @param {string} output - Output file (stdout when empty)
+ */
+function writeResult(result, output) {
+    const json = `${JSON.stringify(result, null, 2)}\n`;
+    if (output) {
+        fs.writeFileSync(output, json);
+        log.info(`Result written to ${output}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+/**
+ * Run a parsed command
+ * @param {object} parsed - Result of parseCliArgs
+ * @returns {Promise<void>}
+ */
+export async function runCommand({ command, target, input, options }) {
+    const proxyConfiguration = options.proxyUrls.length > 0 && !input.disableProxies
+        ? new ProxyConfiguration({ proxyUrls: options.proxyUrls })
+        : null;
+
+    switch (command) {
+        case 'scrape':
+        case 'rss-only': {
+            // An explicit --log-level wins over the level of the effective configuration
+            await applyRuntimeOptions(input, { applyLogLevel: !options.logLevel });
+            const outputSink = createOutputSink({
+                output: options.output,
+                format: options.format,
+                csvFormatters: input.timeline ? TIMELINE_CSV_FORMATTERS : {},
+            });
+
+            try {
+                const summary = command === 'scrape'
+                    ? await scrape(input, { outputSink, googleProxy: proxyConfiguration, articleProxy: proxyConfiguration })
+                    : await collectRssItems(input, { outputSink, googleProxy: proxyConfiguration });
+                log.info(`Wrote ${summary.saved} records to ${options.output}`);
+            } finally {
+                await outputSink.close();
+            }
+
+            costMonitor.logCostSummary();
+            break;
+        }
+        case 'resolve':
+            writeResult(await resolveUrl(target, { proxyConfiguration }), options.output);
+            break;
+        case 'extract':
+            writeResult(await extractArticle(target, { baseUrl: options.baseUrl }), options.output);
+            break;
+        default:
+            throw new Error(`Unknown command "${command}"`);
+    }
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Process exit code
+ */
+export async function cli(argv) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (parsed.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // resolve/extract print JSON to stdout, so keep informational logs out of it by default
+    const printsToStdout = (parsed.command === 'resolve' || parsed.command === 'extract') && !parsed.options.output;
+    const logLevel = (parsed.options.logLevel || (printsToStdout ? 'WARNING' : CONFIG.LOGGING.LEVEL)).toUpperCase();
+    log.setLevel(log.LEVELS[logLevel] ?? log.LEVELS.INFO);
+
+    try {
+        // Without a platform token this only sets up local storage (./storage) for progress and reports
+        await Actor.init();
+        await runCommand(parsed);
+        return 0;
+    } catch (error) {
+        log.error(`💥 ${parsed.command} failed: ${error.message}`);
+        return 1;
+    } finally {
+        errorHandling.cleanup();
+    }
+}
+
+// Run when executed directly (including through the npm bin symlink), not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    // Monitoring intervals keep the event loop alive, so exit explicitly like Actor.exit() does
+    cli(process.argv.slice(2)).then(code => process.exit(code));
+}
@@ -0,0 +1,381 @@
+/**
+ * Layered configuration
+ * Builds the effective configuration from, in order of precedence (last wins):
+ *   1. Built-in defaults (src/config.js, NODE_ENV-aware)
+ *   2. A named JSON/YAML profile (profiles/<name>.json|.yaml|.yml, or a file path)
+ *   3. Environment variables (SCRAPER__<SECTION>__<KEY>, plus the legacy switches)
+ *   4. Run input ("config" overrides and the lightweightMode/costOptimized/disableProxies shortcuts)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from 'crawlee';
+import { CONFIG, DEFAULT_CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+
+// Sections derived from the environment rather than configured
+const FIXED_SECTIONS = ['ENVIRONMENT', 'DEVELOPMENT'];
+
+export const DEFAULT_PROFILE_DIR = 'profiles';
+export const ENV_PREFIX = 'SCRAPER__';
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Range and enum rules on top of the types taken from the defaults
+const CONSTRAINTS = {
+    'RSS.MAX_ITEMS_PER_FEED': { min: 1 },
+    'RSS.REQUEST_TIMEOUT': { min: 1000 },
+    'RSS.RATE_LIMIT_DELAY': { min: 0 },
+    'RSS.HOST_BURST': { min: 1 },
+    'RSS.FEED_CONCURRENCY': { min: 1 },
+    'CRAWLER.MAX_CONCURRENCY': { min: 1 },
+    'CRAWLER.REQUEST_TIMEOUT': { min: 1000 },
+    'CRAWLER.MAX_RETRIES': { min: 0 },
+    'RESOLVER.BATCH_SIZE': { min: 1 },
+    'RESOLVER.CONCURRENCY': { min: 1 },
+    'RESOLVER.HOST_BURST': { min: 1 },
+    'RESOLVER.RATE_LIMIT_DELAY': { min: 0 },
+    'RESOLVER.STRATEGY_WINDOW': { min: 1 },
+    'RESOLVER.CACHE_BACKEND': { enum: ['file', 'sqlite', 'kv', 'memory'] },
+    'RESOLVER.CACHE_MAX_ENTRIES': { min: 1 },
+    'RESOLVER.CACHE_TTL_HOURS': { min: 0 },
+    'RESOLVER.NEGATIVE_TTL_HOURS': { min: 0 },
+    'IMAGE.MAX_CONCURRENT_VALIDATIONS': { min: 1 },
+    'DATE.MAX_DAYS_BACK': { min: 1 },
+    'DATE.SATURATED_FEED_ITEMS': { min: 1 },
+    'DATE.MIN_SLICE_HOURS': { min: 1 },
+    'DATE.MAX_SLICES': { min: 1 },
+    'CHECKPOINT.INTERVAL_SECS': { min: 1 },
+    'FEED_CACHE.TTL_HOURS': { min: 0 },
+    'TIMELINE.TOP_SOURCES': { min: 0 },
+    'TIMELINE.SAMPLE_HEADLINES': { min: 0 },
+    'TIMELINE.MAX_BUCKETS': { min: 1 },
+    'RELATED.MAX_ENTRIES': { min: 0 },
+    'RELATED.MAX_ALTERNATES': { min: 0 },
+    'WATCH.MIN_INTERVAL_SECS': { min: 1 },
+    'WATCH.JITTER_RATIO': { min: 0, max: 1 },
+    'FORECAST.DEFAULT_SUCCESS_RATE': { min: 0, max: 1 },
+    'FORECAST.BROWSER_FALLBACK_RATE': { min: 0, max: 1 },
+    'SESSION.SESSION_ROTATION_RATIO': { min: 0, max: 1 },
+    'ERROR_HANDLING.FAILURE_RATE_THRESHOLD': { min: 0, max: 1 },
+    'RETRY.JITTER_FACTOR': { min: 0, max: 1 },
+    'LOGGING.LEVEL': { enum: ['DEBUG', 'INFO', 'WARNING', 'ERROR', 'OFF'] },
+};
+
+// What lightweightMode / costOptimized switch on
+const LIGHTWEIGHT_OVERRIDES = {
+    CRAWLER: { MAX_CONCURRENCY: 1 },
+    PROXY: { RESIDENTIAL_ENABLED: false },
+    IMAGE: { SKIP_VALIDATION: true },
+};
+
+// Values that must never end up in logs or the key-value store
+const SECRET_KEY_PATTERN = /(KEY|TOKEN|SECRET|PASSWORD)$/;
+
+/**
+ * Get the schema type of a default value
+ * @param {any} value - Default value
+ * @returns {string} 'number', 'boolean', 'string', 'array', 'object' or 'any'
+ */
+function getType(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null || value === undefined) {
+        return 'any';
+    }
+    return typeof value;
+}
+
+/**
+ * Validate a configuration layer against the defaults and constraints
+ * @param {object} layer - Partial configuration ({ SECTION: { KEY: value } })
+ * @param {string} source - Layer name for error messages
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function validateConfigLayer(layer, source) {
+    const errors = [];
+
+    if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+        return [`${source}: configuration must be an object of sections`];
+    }
+
+    for (const [section, values] of Object.entries(layer)) {
+        if (FIXED_SECTIONS.includes(section)) {
+            errors.push(`${source}: section "${section}" cannot be overridden`);
+            continue;
+        }
+        if (!(section in DEFAULT_CONFIG)) {
+            errors.push(`${source}: unknown section "${section}"`);
+            continue;
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push(`${source}: section "${section}" must be an object`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(values)) {
+            const name = `${section}.${key}`;
+            if (!(key in DEFAULT_CONFIG[section])) {
+                errors.push(`${source}: unknown key "${name}"`);
+                continue;
+            }
+
+            const expected = getType(DEFAULT_CONFIG[section][key]);
+            const actual = getType(value);
+            if (expected !== 'any' && expected !== actual) {
+                errors.push(`${source}: "${name}" must be a ${expected} (got ${actual})`);
+                continue;
+            }
+
+            const rule = CONSTRAINTS[name];
+            if (rule?.min !== undefined && value < rule.min) {
+                errors.push(`${source}: "${name}" must be at least ${rule.min}`);
+            }
+            if (rule?.max !== undefined && value > rule.max) {
+                errors.push(`${source}: "${name}" must be at most ${rule.max}`);
+            }
+            if (rule?.enum && !rule.enum.includes(value)) {
+                errors.push(`${source}: "${name}" must be one of ${rule.enum.join(', ')}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Find and parse a profile file
+ * @param {string} profile - Profile name (looked up in profileDir) or path to a .json/.yaml/.yml file
+ * @param {string} profileDir - Directory with named profiles
+ * @returns {object} { file, layer }
+ */
+export function loadProfile(profile, profileDir = DEFAULT_PROFILE_DIR) {
+    const candidates = PROFILE_EXTENSIONS.includes(path.extname(profile).toLowerCase())
+        ? [profile]
+        : PROFILE_EXTENSIONS.map(extension => path.join(profileDir, `${profile}${extension}`));
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!file) {
+        throw new Error(`Configuration profile "${profile}" not found (looked for ${candidates.join(', ')})`);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        const layer = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.safeLoad(text);
+        return { file, layer: layer || {} };
+    } catch (error) {
+        throw new Error(`Configuration profile ${file} could not be parsed: ${error.message}`);
+    }
+}
+
+/**
+ * Parse an environment variable into the type of the default value
+ * @param {string} raw - Raw value
+ * @param {string} type - Schema type
+ * @returns {any} Parsed value (unparseable values are returned as-is and fail validation)
+ */
+function parseEnvValue(raw, type) {
+    switch (type) {
+        case 'number':
+            return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+        case 'boolean':
+            return raw === 'true' ? true : raw === 'false' ? false : raw;
+        case 'array':
+        case 'object':
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Collect overrides from environment variables
+ * SCRAPER__CRAWLER__MAX_CONCURRENCY=2 sets CRAWLER.MAX_CONCURRENCY; arrays and objects are JSON.
+ * The older LIGHTWEIGHT_MODE, COST_OPTIMIZED and DISABLE_PROXIES switches are still honored.
+ * @param {object} env - Environment variables
+ * @returns {object} Partial configuration
+ */
+export function getEnvOverrides(env = process.env) {
+    const layer = {};
+    const set = (section, key, value) => {
+        layer[section] = { ...layer[section], [key]: value };
+    };
+
+    if (env.LIGHTWEIGHT_MODE === 'true' || env.COST_OPTIMIZED === 'true') {
+        for (const [section, values] of Object.entries(LIGHTWEIGHT_OVERRIDES)) {
+            Object.entries(values).forEach(([key, value]) => set(section, key, value));
+        }
+    }
+    if (env.DISABLE_PROXIES === 'true') {
+        set('PROXY', 'RESIDENTIAL_ENABLED', false);
+    }
+
+    for (const [name, raw] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX)) {
+            continue;
+        }
+        const [section, key, ...rest] = name.slice(ENV_PREFIX.length).split('__');
+        if (!section || !key || rest.length > 0) {
+            set(name, '', raw); // Reported as an unknown section by validation
+            continue;
+        }
+        set(section, key, parseEnvValue(raw, getType(DEFAULT_CONFIG[section]?.[key])));
+    }
+
+    return layer;
+}
+
+/**
+ * Collect overrides from the run input
+ * @param {object} input - Scraper input
+ * @returns {object} Partial configuration
+ */
+export function getInputOverrides(input = {}) {
+    const layer = {};
+    const merge = (overrides) => {
+        for (const [section, values] of Object.entries(overrides || {})) {
+            layer[section] = values && typeof values === 'object' && !Array.isArray(values)
+                ? { ...layer[section], ...values }
+                : values;
+        }
+    };
+
+    if (input.lightweightMode || input.costOptimized) {
+        merge(LIGHTWEIGHT_OVERRIDES);
+    }
+    if (input.disableProxies) {
+        merge({ PROXY: { RESIDENTIAL_ENABLED: false } });
+    }
+    merge(input.config);
+
+    return layer;
+}
+
+/**
+ * Merge a layer over a configuration (section by section, key by key)
+ * @param {object} base - Configuration to merge into (modified)
+ * @param {object} layer - Validated partial configuration
+ */
+function mergeLayer(base, layer) {
+    for (const [section, values] of Object.entries(layer)) {
+        Object.assign(base[section], structuredClone(values));
+    }
+}
+
+/**
+ * Build the effective configuration for a run
+ * @param {object} options - Sources
+ * @param {object} options.input - Run input (uses input.profile and input.config)
+ * @param {object} options.env - Environment variables (uses SCRAPER_PROFILE and SCRAPER_PROFILE_DIR)
+ * @returns {object} { config, layers } where layers lists the applied sources in order
+ */
+export function resolveConfig({ input = {}, env = process.env } = {}) {
+    const config = structuredClone(DEFAULT_CONFIG);
+    const layers = [{ name: 'defaults', source: `NODE_ENV=${DEFAULT_CONFIG.ENVIRONMENT.NODE_ENV}` }];
+    const errors = [];
+
+    const profile = input.profile || env.SCRAPER_PROFILE;
+    const pending = [];
+    if (profile) {
+        const { file, layer } = loadProfile(profile, env.SCRAPER_PROFILE_DIR || DEFAULT_PROFILE_DIR);
+        pending.push({ name: 'profile', source: file, layer });
+    }
+    pending.push({ name: 'env', source: 'environment variables', layer: getEnvOverrides(env) });
+    pending.push({ name: 'input', source: 'run input', layer: getInputOverrides(input) });
+
+    for (const { source, layer } of pending) {
+        errors.push(...validateConfigLayer(layer, source));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+
+    for (const { name, source, layer } of pending) {
+        if (Object.keys(layer).length > 0) {
+            mergeLayer(config, layer);
+            layers.push({ name, source, keys: Object.entries(layer).flatMap(([section, values]) => Object.keys(values).map(key => `${section}.${key}`)) });
+        }
+    }
+
+    return { config, layers };
+}
+
+/**
+ * Make a configuration the one every module of the current run reads through CONFIG
+ * Inside runWithOwnConfig() only that run's copy changes; elsewhere the process-wide configuration does.
+ * Always starts from the defaults, so settings of an earlier run in the same process don't leak
+ * @param {object} config - Effective configuration from resolveConfig
+ */
+export function activateConfig(config) {
+    for (const section of Object.keys(DEFAULT_CONFIG)) {
+        if (FIXED_SECTIONS.includes(section)) {
+            continue;
+        }
+        // Update in place, as modules may hold references to the section objects
+        Object.assign(CONFIG[section], structuredClone(config[section]));
+    }
+}
+
+/**
+ * Copy a configuration with secret values masked
+ * @param {object} config - Configuration
+ * @returns {object} Redacted copy
+ */
+export function redactConfig(config) {
+    const copy = structuredClone(config);
+    for (const values of Object.values(copy)) {
+        for (const key of Object.keys(values || {})) {
+            if (SECRET_KEY_PATTERN.test(key) && values[key]) {
+                values[key] = '***';
+            }
+        }
+    }
+    return copy;
+}
+
+/**
+ * Resolve, activate, print and save the configuration of a run
+ * @param {object} input - Run input
+ * @param {object} options - Run options
+ * @param {boolean} options.applyLogLevel - Set the log level to LOGGING.LEVEL before printing (for processes that own
+ *   the logger; embedded runs leave it to the host)
+ * @returns {Promise<object>} { config, layers }
+ */
+export async function configureRun(input = {}, { applyLogLevel = false } = {}) {
+    const resolved = resolveConfig({ input });
+    activateConfig(resolved.config);
+    if (applyLogLevel) {
+        log.setLevel(log.LEVELS[CONFIG.LOGGING.LEVEL]);
+    }
+
+    const effective = {
+        layers: resolved.layers,
+        config: redactConfig(resolved.config),
+        createdAt: new Date().toISOString(),
+    };
+
+    log.info(`⚙️ Effective configuration (${resolved.layers.map(layer => layer.name).join(' → ')})`);
+    for (const layer of resolved.layers.slice(1)) {
+        log.info(`   ${layer.name} (${layer.source}): ${layer.keys.join(', ')}`);
+    }
+    log.debug(`   Settings: ${JSON.stringify(effective.config, null, 2)}`);
+
+    await keyValueStore.setValue(CONFIG.STORAGE.EFFECTIVE_CONFIG_KEY, effective);
+    return resolved;
+}
+
+export default {
+    resolveConfig,
+    activateConfig,
+    configureRun,
+    validateConfigLayer,
+    loadProfile,
+    getEnvOverrides,
+    getInputOverrides,
+    redactConfig,
+};
@@ -3,6 +3,7 @@
  * Environment-aware configuration that works for both production and development
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import { config } from 'dotenv';
 
 // Load environment variables
@@ -14,7 +15,7 @@ const IS_DEVELOPMENT = NODE_ENV === 'development';
 const IS_PRODUCTION = NODE_ENV === 'production';
 const DEBUG = process.env.DEBUG === 'true' || IS_DEVELOPMENT;
 
-export const CONFIG = {
+const PROCESS_CONFIG = {
     // Environment settings
     ENVIRONMENT: {
         NODE_ENV,
@@ -26,11 +27,14 @@ export const CONFIG = {
     // Google News RSS configuration
     RSS: {
         BASE_URL: 'https://news.google.com/rss/search',
+        ROOT_URL: 'https://news.google.com/rss',
         DEFAULT_LANGUAGE: 'en-US',
         DEFAULT_REGION: 'US',
         MAX_ITEMS_PER_FEED: IS_DEVELOPMENT ? 20 : 100, // Smaller limit for dev
         REQUEST_TIMEOUT: 30000,
-        RATE_LIMIT_DELAY: IS_DEVELOPMENT ? 100 : 200, // Faster for dev
+        RATE_LIMIT_DELAY: IS_DEVELOPMENT ? 100 : 200, // Milliseconds per request token of a host (see feed-scheduler.js)
+        HOST_BURST: 3, // Requests a host may get back to back before RATE_LIMIT_DELAY spacing applies
+        FEED_CONCURRENCY: IS_DEVELOPMENT ? 1 : 3, // Variation and date-slice feeds in flight at once
     },
 
     // Article crawling configuration - Environment-aware
@@ -46,6 +50,23 @@ export const CONFIG = {
             'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/121.0',
         ],
         DEFAULT_USER_AGENT: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        REQUEST_QUEUE_PREFIX: 'google-news-articles', // Every crawl opens its own named request queue and drops it when done
+    },
+
+    // Google News URL resolution
+    RESOLVER: {
+        BATCH_SIZE: 20, // Articles decoded per batchexecute request (see GoogleNewsResolver.resolveMany)
+        CONCURRENCY: IS_DEVELOPMENT ? 1 : 2, // Batches resolved at once by the pre-resolution stage
+        HOST_BURST: 2, // Google article page requests back to back before RATE_LIMIT_DELAY spacing applies
+        RATE_LIMIT_DELAY: 500, // Milliseconds per Google request token of the pre-resolution stage
+        STRATEGY_WINDOW: 20, // Recent attempts per strategy that decide the strategy order (see resolver-strategies.js)
+        CACHE_BACKEND: 'file', // Where resolutions persist: 'file', 'sqlite', 'kv' or 'memory' (see resolver-cache.js)
+        CACHE_FILE: 'storage/google-news-cache.json',
+        CACHE_SQLITE_FILE: 'storage/google-news-cache.sqlite',
+        CACHE_STORE_NAME: 'google-news-resolver-cache', // Named key-value store of the kv backend, kept across runs
+        CACHE_MAX_ENTRIES: 50000, // Least recently used links are evicted beyond this
+        CACHE_TTL_HOURS: 24,
+        NEGATIVE_TTL_HOURS: 2, // How long a link that could not be resolved is not retried (0 = always retry)
     },
 
     // Proxy configuration - Environment-aware
@@ -89,6 +110,9 @@ export const CONFIG = {
     DATE: {
         MAX_DAYS_BACK: IS_DEVELOPMENT ? 7 : 30, // Shorter range for dev
         DATE_FORMAT: 'YYYY-MM-DD',
+        SATURATED_FEED_ITEMS: 95, // Google caps feeds at ~100 items; a feed this full is missing results
+        MIN_SLICE_HOURS: 1, // Saturated date slices are split down to this size
+        MAX_SLICES: 500, // Feed requests per date-sliced query
     },
 
     // Storage configuration - Environment-aware
@@ -97,6 +121,16 @@ export const CONFIG = {
         FAILED_URLS_KEY: 'FAILED_URLS',
         PROGRESS_KEY: 'PROGRESS',
         LAST_DATE_KEY: 'LAST_DATE_CHECKED',
+        INCREMENTAL_STATE_PREFIX: 'INCREMENTAL_STATE_',
+        WATCH_STATE_KEY: 'WATCH_STATE',
+        DOMAIN_STATS_KEY: 'DOMAIN_STATS',
+        FORECAST_KEY: 'DRY_RUN_FORECAST',
+        TIMELINE_KEY: 'COVERAGE_TIMELINE',
+        TIMELINE_CSV_KEY: 'COVERAGE_TIMELINE_CSV',
+        EFFECTIVE_CONFIG_KEY: 'EFFECTIVE_CONFIG',
+        FEED_CACHE_PREFIX: 'FEED_CACHE_',
+        FEED_CACHE_INDEX_KEY: 'FEED_CACHE_INDEX',
+        RESOLVER_CACHE_KEY: 'GOOGLE_NEWS_RESOLVER_CACHE',
         // Development-specific storage
         LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR || './storage',
         ENABLE_LOCAL_STORAGE: IS_DEVELOPMENT,
@@ -104,6 +138,57 @@ export const CONFIG = {
         MAX_SIZE_MB: IS_DEVELOPMENT ? 50 : 100,
     },
 
+    // Crash-safe checkpoints (see RunCheckpoint)
+    CHECKPOINT: {
+        INTERVAL_SECS: 30, // Periodic checkpoint in addition to saves and Actor migrating/aborting events
+    },
+
+    // Watch mode (continuous polling)
+    WATCH: {
+        INTERVAL_SECS: 300, // Default time between polls
+        MIN_INTERVAL_SECS: 60, // Polling faster than this gets rate limited by Google News
+        JITTER_RATIO: 0.2, // Each delay varies by up to +/-20% so polls don't line up
+        MAX_SEEN_GUIDS: 20000, // Oldest GUIDs are forgotten first beyond this
+    },
+
+    // Dry-run forecasts (see forecastCrawl); per-article usage is a rough average of real runs
+    FORECAST: {
+        DEFAULT_SUCCESS_RATE: 0.35, // Assumed share of saved articles when there is no crawl history at all
+        MIN_DOMAIN_ATTEMPTS: 3, // Domains with fewer attempts use the overall rate
+        MAX_DOMAINS: 5000, // Domains kept in the stored history
+        HTTP_REQUESTS_PER_ARTICLE: 2, // Google News resolution + article page
+        IMAGES_PER_ARTICLE: 3,
+        BROWSER_FALLBACK_RATE: 0.15, // Share of articles that need Playwright when useBrowser is on
+        SECONDS_PER_ARTICLE: 3,
+    },
+
+    // Incremental ("only new since last run") mode
+    INCREMENTAL: {
+        MAX_ENTRIES_PER_QUERY: 50000, // Oldest entries are forgotten first beyond this
+        STORE_NAME: 'google-news-incremental-state', // Named store, kept across runs unlike the default store
+    },
+
+    // Conditional feed requests (see feed-cache.js)
+    FEED_CACHE: {
+        ENABLED: true,
+        TTL_HOURS: 24, // Older validators are not sent, so the feed is downloaded in full (0 = keep forever)
+        MAX_ENTRIES: 2000, // Least recently fetched feeds are deleted beyond this
+        STORE_NAME: 'google-news-feed-cache', // Named store, kept across runs unlike the default store
+    },
+
+    // Coverage timelines (see timeline.js)
+    TIMELINE: {
+        TOP_SOURCES: 5, // Sources listed per bucket, most articles first
+        SAMPLE_HEADLINES: 3, // Newest headlines listed per bucket
+        MAX_BUCKETS: 10000, // Longer windows are cut at the newest end
+    },
+
+    // Story clusters from RSS descriptions (see related-coverage.js)
+    RELATED: {
+        MAX_ENTRIES: 10, // Related articles kept per item
+        MAX_ALTERNATES: 2, // Related articles tried in turn when the primary article isn't saved
+    },
+
     // Logging configuration - Environment-aware
     LOGGING: {
         LEVEL: IS_DEVELOPMENT ? 'DEBUG' : (process.env.LOG_LEVEL || 'INFO'),
@@ -259,3 +344,43 @@ export const CONFIG = {
         },
     } : {},
 };
+
+// Pristine copy of the defaults; profiles, env vars and run input are layered over it (see config-loader.js)
+export const DEFAULT_CONFIG = structuredClone(PROCESS_CONFIG);
+
+// Configuration of the run the current async context belongs to (see runWithOwnConfig)
+const configScope = new AsyncLocalStorage();
+
+/**
+ * Get the configuration object of the current run
+ * @returns {object} The run's own configuration inside runWithOwnConfig(), else the process-wide one
+ */
+function currentConfig() {
+    return configScope.getStore() || PROCESS_CONFIG;
+}
+
+/**
+ * The configuration every module reads
+ * Code running inside runWithOwnConfig() sees that run's configuration; everything else shares the process-wide one.
+ */
+export const CONFIG = new Proxy(PROCESS_CONFIG, {
+    get: (target, key) => currentConfig()[key],
+    set: (target, key, value) => {
+        currentConfig()[key] = value;
+        return true;
+    },
+    has: (target, key) => key in currentConfig(),
+    ownKeys: () => Reflect.ownKeys(currentConfig()),
+    getOwnPropertyDescriptor: (target, key) => Reflect.getOwnPropertyDescriptor(currentConfig(), key),
+});
+
+/**
+ * Run a function with a configuration of its own
+ * Every call made from it, including timers and callbacks it schedules, reads and activates (see
+ * activateConfig) that copy of the defaults, so concurrent runs in one process don't overwrite each other.
+ * @param {Function} fn - Function to run
+ * @returns {any} What fn returns
+ */
+export function runWithOwnConfig(fn) {
+    return configScope.run(structuredClone(DEFAULT_CONFIG), fn);
+}
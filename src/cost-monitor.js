@@ -2,9 +2,9 @@
  * Cost Monitor - Track and alert on resource usage and costs
  */
 
-import { Actor } from 'apify';
 import { log } from 'crawlee';
 import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
 
 /**
  * Cost Monitor class for tracking resource usage and costs
@@ -30,6 +30,10 @@ export class CostMonitor {
             imagesValidatedByPattern: 0,
             imagesValidatedByHttp: 0,
             
+            // Conditional feed requests
+            feedCacheHits: 0,
+            feedCacheMisses: 0,
+            
             // Processing stats
             articlesProcessed: 0,
             articlesSkipped: 0,
@@ -76,6 +80,18 @@ export class CostMonitor {
         this.updateCostEstimate();
     }
 
+    /**
+     * Track a conditional feed request
+     * @param {boolean} hit - True when the feed was unchanged (304) and cached items were reused
+     */
+    trackFeedCache(hit) {
+        if (hit) {
+            this.stats.feedCacheHits++;
+        } else {
+            this.stats.feedCacheMisses++;
+        }
+    }
+
     /**
      * Track proxy usage
      * @param {string} proxyType - 'datacenter' or 'residential'
@@ -147,14 +163,7 @@ export class CostMonitor {
         const executionSeconds = this.stats.executionTimeMs / 1000;
         
         // Calculate estimated cost
-        this.stats.estimatedCost = 
-            (this.stats.browserRequests * costs.browserRequest) +
-            (this.stats.httpRequests * costs.httpRequest) +
-            (this.stats.residentialProxyRequests * costs.residentialProxy) +
-            (this.stats.datacenterProxyRequests * costs.datacenterProxy) +
-            (this.stats.imagesValidatedByHttp * costs.imageValidation) +
-            (this.stats.memoryUsageMB * costs.memoryMB) +
-            (executionSeconds * costs.executionSecond);
+        this.stats.estimatedCost = this.estimateCost({ ...this.stats, executionSeconds });
         
         // Calculate potential savings from optimizations
         const potentialBrowserRequests = this.stats.httpRequests; // Could have been browser requests
@@ -170,6 +179,25 @@ export class CostMonitor {
         this.checkCostAlert();
     }
 
+    /**
+     * Price a resource usage with the cost multipliers
+     * Also used to forecast the cost of a crawl before running it
+     * @param {object} usage - Counts: browserRequests, httpRequests, residentialProxyRequests,
+     *     datacenterProxyRequests, imagesValidatedByHttp, memoryUsageMB, executionSeconds
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(usage) {
+        const costs = this.costMultipliers;
+
+        return ((usage.browserRequests || 0) * costs.browserRequest) +
+            ((usage.httpRequests || 0) * costs.httpRequest) +
+            ((usage.residentialProxyRequests || 0) * costs.residentialProxy) +
+            ((usage.datacenterProxyRequests || 0) * costs.datacenterProxy) +
+            ((usage.imagesValidatedByHttp || 0) * costs.imageValidation) +
+            ((usage.memoryUsageMB || 0) * costs.memoryMB) +
+            ((usage.executionSeconds || 0) * costs.executionSecond);
+    }
+
     /**
      * Check if cost alert should be triggered
      */
@@ -198,6 +226,9 @@ export class CostMonitor {
             optimizationPercentage: this.stats.totalRequests > 0
                 ? ((this.stats.httpRequests / this.stats.totalRequests) * 100).toFixed(1)
                 : 0,
+            feedCacheHitRate: this.stats.feedCacheHits + this.stats.feedCacheMisses > 0
+                ? ((this.stats.feedCacheHits / (this.stats.feedCacheHits + this.stats.feedCacheMisses)) * 100).toFixed(1)
+                : 0,
             savingsPercentage: this.stats.estimatedCost > 0
                 ? ((this.stats.potentialSavings / (this.stats.estimatedCost + this.stats.potentialSavings)) * 100).toFixed(1)
                 : 0
@@ -234,6 +265,11 @@ export class CostMonitor {
                     patternValidated: stats.imagesValidatedByPattern,
                     httpValidated: stats.imagesValidatedByHttp
                 },
+                feedCache: {
+                    hits: stats.feedCacheHits,
+                    misses: stats.feedCacheMisses,
+                    hitRate: `${stats.feedCacheHitRate}%`
+                },
                 articles: {
                     processed: stats.articlesProcessed,
                     skipped: stats.articlesSkipped
@@ -278,13 +314,13 @@ export class CostMonitor {
     }
 
     /**
-     * Save cost report to Actor storage
+     * Save cost report to the key-value store
      */
     async saveCostReport() {
         try {
             const report = this.generateCostReport();
-            await Actor.setValue('COST_REPORT', report);
-            log.info('💰 Cost report saved to Actor storage');
+            await keyValueStore.setValue('COST_REPORT', report);
+            log.info('💰 Cost report saved to key-value store');
         } catch (error) {
             log.error('Failed to save cost report:', error.message);
         }
@@ -0,0 +1,114 @@
+/**
+ * Per-domain crawl outcomes, kept across runs
+ * Used to forecast how many candidate articles from each publisher will pass the quality checks
+ */
+
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+
+/**
+ * Get the domain of a URL without the www. prefix
+ * @param {string} url - URL
+ * @returns {string|null} Domain or null for invalid URLs
+ */
+export function getDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Historical saved/attempted counts per publisher domain
+ */
+export class DomainStats {
+    constructor() {
+        this.domains = {}; // domain -> { attempts, saved }
+        this.loaded = false;
+    }
+
+    /**
+     * Load the counts of earlier runs (once per process)
+     */
+    async load() {
+        if (this.loaded) {
+            return;
+        }
+        const stored = await keyValueStore.getValue(CONFIG.STORAGE.DOMAIN_STATS_KEY, {});
+
+        // Merge rather than replace, so outcomes recorded before loading are kept
+        for (const [domain, counts] of Object.entries(stored.domains || {})) {
+            const current = this.domains[domain] || { attempts: 0, saved: 0 };
+            this.domains[domain] = { attempts: current.attempts + counts.attempts, saved: current.saved + counts.saved };
+        }
+        this.loaded = true;
+        log.debug(`Loaded crawl history for ${Object.keys(this.domains).length} domains`);
+    }
+
+    /**
+     * Record the outcome of one article
+     * @param {string} url - Publisher URL (or the publisher's home page from the RSS source)
+     * @param {boolean} saved - True if the article was saved
+     */
+    record(url, saved) {
+        const domain = getDomain(url);
+        if (!domain || domain === 'news.google.com') {
+            return;
+        }
+        const counts = this.domains[domain] || (this.domains[domain] = { attempts: 0, saved: 0 });
+        counts.attempts++;
+        if (saved) {
+            counts.saved++;
+        }
+    }
+
+    /**
+     * Get the historical success rate of a domain
+     * @param {string} domain - Publisher domain
+     * @param {number} minAttempts - Fewer attempts than this are treated as no history
+     * @returns {number|null} Saved / attempted, or null without enough history
+     */
+    getSuccessRate(domain, minAttempts = CONFIG.FORECAST.MIN_DOMAIN_ATTEMPTS) {
+        const counts = this.domains[domain];
+        if (!counts || counts.attempts < minAttempts) {
+            return null;
+        }
+        return counts.saved / counts.attempts;
+    }
+
+    /**
+     * Get the success rate over all domains
+     * @returns {number|null} Saved / attempted, or null without any history
+     */
+    getOverallSuccessRate() {
+        const totals = Object.values(this.domains).reduce(
+            (sum, counts) => ({ attempts: sum.attempts + counts.attempts, saved: sum.saved + counts.saved }),
+            { attempts: 0, saved: 0 },
+        );
+        return totals.attempts > 0 ? totals.saved / totals.attempts : null;
+    }
+
+    /**
+     * Persist the counts (merged with earlier runs), keeping the most attempted domains
+     */
+    async save() {
+        // Without this, a run that never loaded would overwrite the stored history with its own counts
+        await this.load();
+
+        const domains = Object.entries(this.domains)
+            .sort((a, b) => b[1].attempts - a[1].attempts)
+            .slice(0, CONFIG.FORECAST.MAX_DOMAINS);
+
+        await keyValueStore.setValue(CONFIG.STORAGE.DOMAIN_STATS_KEY, {
+            domains: Object.fromEntries(domains),
+            updatedAt: new Date().toISOString(),
+        });
+    }
+}
+
+// Create singleton instance for global use
+export const domainStats = new DomainStats();
+
+export default domainStats;
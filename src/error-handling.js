@@ -4,11 +4,11 @@
  */
 
 import { log } from 'crawlee';
-import { Actor } from 'apify';
 import { CONFIG } from './config.js';
 import { RetryManager } from './retry-manager.js';
 import { circuitBreakerManager } from './circuit-breaker.js';
 import { monitoring } from './monitoring.js';
+import { keyValueStore } from './key-value-store.js';
 
 /**
  * Unified Error Handler class with classification, recovery, and integration
@@ -25,7 +25,6 @@ export class ErrorHandler {
         };
         
         this.failedRequests = [];
-        this.errorThresholds = CONFIG.ERROR_HANDLING;
         this.retryManager = new RetryManager();
         
         // Recovery strategies
@@ -36,6 +35,13 @@ export class ErrorHandler {
         this.initializeRecoveryStrategies();
     }
 
+    /**
+     * @returns {object} Error thresholds of the current run's configuration
+     */
+    get errorThresholds() {
+        return CONFIG.ERROR_HANDLING;
+    }
+
     /**
      * Initialize recovery strategies
      */
@@ -506,7 +512,7 @@ export class ErrorHandler {
 
         // Save to Actor storage if available
         try {
-            await Actor.setValue('FAILED_REQUESTS', this.failedRequests.slice(-100)); // Keep last 100
+            await keyValueStore.setValue('FAILED_REQUESTS', this.failedRequests.slice(-100)); // Keep last 100
         } catch (error) {
             log.debug('Failed to save failed requests:', error.message);
         }
@@ -0,0 +1,204 @@
+/**
+ * Publisher feeds as additional article sources
+ * RSS 2.0, Atom and JSON Feed documents are normalized into the item shape of Google News RSS items,
+ * so resolving, crawling and quality checks treat them like any other candidate.
+ */
+
+import { canonicalizeUrl, parseRssDate, stripSourceSuffix } from './utils.js';
+import { getDomain } from './domain-stats.js';
+
+/**
+ * Validate the extraFeeds input
+ * @param {Array<string>} value - Feed URLs (missing = none)
+ * @returns {Array<string>} Feed URLs without duplicates
+ */
+export function normalizeExtraFeeds(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        throw new Error('"extraFeeds" must be a list of feed URLs');
+    }
+
+    const feedUrls = [];
+    for (const entry of value) {
+        const url = typeof entry === 'string' ? entry.trim() : '';
+        let protocol = null;
+        try {
+            protocol = new URL(url).protocol;
+        } catch {
+            // Reported below
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            throw new Error(`"extraFeeds" entry ${JSON.stringify(entry)} is not an http(s) URL`);
+        }
+        if (!feedUrls.includes(url)) {
+            feedUrls.push(url);
+        }
+    }
+
+    return feedUrls;
+}
+
+/**
+ * Get the text of a parsed XML node, which is an object when the element has attributes
+ * @param {*} value - Parsed node
+ * @returns {string} Text content ('' when missing)
+ */
+function textOf(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return value['#text'] !== undefined ? String(value['#text']).trim() : '';
+    }
+    return String(value).trim();
+}
+
+/**
+ * Get a parsed XML node as a list
+ * @param {*} value - Parsed node
+ * @returns {Array} Nodes
+ */
+function listOf(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Pick the page link of an Atom feed or entry (rel="alternate", or no rel)
+ * @param {*} links - Parsed <link> nodes
+ * @returns {string} Link URL ('' when missing)
+ */
+function atomLink(links) {
+    const candidates = listOf(links).filter(link => typeof link === 'object' && link['@_href']);
+    const alternate = candidates.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+    return alternate ? alternate['@_href'] : '';
+}
+
+/**
+ * Parse a feed document into a format-independent description
+ * @param {string} body - Response body
+ * @param {object} xmlParser - fast-xml-parser instance (attributes prefixed with "@_")
+ * @returns {object} { format, title, homePage, entries: [{ title, link, date, summary }] }
+ */
+export function parseFeedDocument(body, xmlParser) {
+    const text = String(body || '').trim();
+
+    if (text.startsWith('{')) {
+        let feed;
+        try {
+            feed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON feed: ${error.message}`);
+        }
+        if (!String(feed.version || '').includes('jsonfeed.org') || !Array.isArray(feed.items)) {
+            throw new Error('Response is not a JSON Feed');
+        }
+        return {
+            format: 'json',
+            title: feed.title || '',
+            homePage: feed.home_page_url || '',
+            entries: feed.items.map(item => ({
+                title: item.title || '',
+                link: item.url || item.external_url || '',
+                date: item.date_published || item.date_modified || '',
+                summary: item.summary || item.content_html || item.content_text || '',
+            })),
+        };
+    }
+
+    let xmlData;
+    try {
+        xmlData = xmlParser.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid feed: ${error.message}`);
+    }
+
+    if (xmlData?.rss) {
+        const channel = xmlData.rss.channel || {};
+        return {
+            format: 'rss',
+            title: textOf(channel.title),
+            homePage: textOf(listOf(channel.link).find(link => typeof link !== 'object')),
+            entries: listOf(channel.item).map(item => ({
+                title: textOf(item.title),
+                link: textOf(item.link) || (item.guid?.['@_isPermaLink'] !== 'false' ? textOf(item.guid) : ''),
+                date: textOf(item.pubDate) || textOf(item['dc:date']),
+                summary: textOf(item.description),
+            })),
+        };
+    }
+
+    if (xmlData?.feed) {
+        const feed = xmlData.feed;
+        return {
+            format: 'atom',
+            title: textOf(feed.title),
+            homePage: atomLink(feed.link),
+            entries: listOf(feed.entry).map(entry => ({
+                title: textOf(entry.title),
+                link: atomLink(entry.link),
+                date: textOf(entry.published) || textOf(entry.updated),
+                summary: textOf(entry.summary) || textOf(entry.content),
+            })),
+        };
+    }
+
+    throw new Error('Response is not an RSS, Atom or JSON feed');
+}
+
+/**
+ * Parse a publisher feed into RSS items
+ * Entries without an http(s) link are dropped; the GUID is the canonical article URL, so the same
+ * article from two feeds is collected once.
+ * @param {string} body - Response body
+ * @param {string} feedUrl - Feed URL, used to resolve relative links and as the source fallback
+ * @param {object} xmlParser - fast-xml-parser instance (attributes prefixed with "@_")
+ * @returns {Array<object>} Items in the shape of RssFetcher.processRssItems, with feedUrl set
+ */
+export function parseExtraFeed(body, feedUrl, xmlParser) {
+    const document = parseFeedDocument(body, xmlParser);
+    const sourceUrl = document.homePage || new URL(feedUrl).origin;
+    const sourceName = document.title || getDomain(sourceUrl);
+    const items = [];
+
+    for (const entry of document.entries) {
+        let link;
+        try {
+            link = new URL(entry.link, feedUrl).toString();
+        } catch {
+            continue;
+        }
+        if (!entry.link || !/^https?:$/.test(new URL(link).protocol)) {
+            continue;
+        }
+
+        const rawTitle = entry.title || 'No title';
+        items.push({
+            title: stripSourceSuffix(rawTitle, sourceName) || rawTitle,
+            rawTitle,
+            link,
+            pubDate: parseRssDate(entry.date),
+            rawPubDate: entry.date || null,
+            source: sourceName,
+            sourceName,
+            sourceUrl,
+            sourceDomain: getDomain(link),
+            description: entry.summary,
+            relatedCoverage: [],
+            guid: canonicalizeUrl(link),
+            feedUrl,
+        });
+    }
+
+    return items;
+}
+
+export default {
+    normalizeExtraFeeds,
+    parseFeedDocument,
+    parseExtraFeed,
+};
@@ -0,0 +1,154 @@
+/**
+ * Conditional request cache for RSS feeds
+ * Remembers the ETag/Last-Modified validators and parsed items of each feed URL,
+ * so repeated polls and runs get a 304 instead of downloading an unchanged feed.
+ * Entries live in a named key-value store so later runs find them; an index record of
+ * fetch times lets every write delete expired and surplus entries (date slices add one per window).
+ */
+
+import { createHash } from 'crypto';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+
+/**
+ * Build the key-value store key for a feed URL
+ * Store keys only allow a small character set, so the URL is hashed
+ * @param {string} feedUrl - RSS feed URL
+ * @returns {string} Store key
+ */
+export function getFeedCacheKey(feedUrl) {
+    const hash = createHash('sha1').update(feedUrl).digest('hex');
+    return `${CONFIG.STORAGE.FEED_CACHE_PREFIX}${hash.slice(0, 16)}`;
+}
+
+/**
+ * Find the index entries to delete: expired ones, then the least recently fetched beyond the limit
+ * @param {object} index - Store key -> fetch time (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {Array<string>} Store keys to delete
+ */
+export function findStaleKeys(index, now) {
+    const ttlMs = CONFIG.FEED_CACHE.TTL_HOURS * 60 * 60 * 1000;
+    const stale = [];
+    const kept = [];
+
+    for (const [key, fetchedAt] of Object.entries(index)) {
+        if (ttlMs > 0 && now - fetchedAt > ttlMs) {
+            stale.push(key);
+        } else {
+            kept.push([key, fetchedAt]);
+        }
+    }
+
+    if (kept.length > CONFIG.FEED_CACHE.MAX_ENTRIES) {
+        kept.sort((a, b) => b[1] - a[1]);
+        stale.push(...kept.slice(CONFIG.FEED_CACHE.MAX_ENTRIES).map(([key]) => key));
+    }
+    return stale;
+}
+
+/**
+ * Persistent per-feed validators and items
+ */
+export class FeedCache {
+    constructor() {
+        // Writes update the shared index record, so they run one at a time
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Get the cached entry of a feed
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {Promise<object|null>} { url, etag, lastModified, items, fetchedAt }, or null when missing, expired or disabled
+     */
+    async get(feedUrl) {
+        if (!CONFIG.FEED_CACHE.ENABLED) {
+            return null;
+        }
+
+        const entry = await keyValueStore.getValue(getFeedCacheKey(feedUrl), null, { storeName: CONFIG.FEED_CACHE.STORE_NAME });
+        if (!entry || entry.url !== feedUrl || !Array.isArray(entry.items)) {
+            return null;
+        }
+
+        const ttlMs = CONFIG.FEED_CACHE.TTL_HOURS * 60 * 60 * 1000;
+        if (ttlMs > 0 && Date.now() - new Date(entry.fetchedAt).getTime() > ttlMs) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Get the conditional request headers for a cached entry
+     * @param {object|null} entry - Entry from get()
+     * @returns {object} If-None-Match / If-Modified-Since headers (empty without an entry)
+     */
+    getConditionalHeaders(entry) {
+        const headers = {};
+        if (entry?.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry?.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    /**
+     * Remember the validators and items of a full feed response
+     * Responses without validators can't be revalidated, so they are not stored
+     * @param {string} feedUrl - RSS feed URL
+     * @param {object} headers - Response headers
+     * @param {Array<object>} items - Parsed RSS items
+     */
+    async set(feedUrl, headers, items) {
+        const etag = headers?.etag || null;
+        const lastModified = headers?.['last-modified'] || null;
+        if (!CONFIG.FEED_CACHE.ENABLED || (!etag && !lastModified)) {
+            return;
+        }
+
+        await this.write({
+            url: feedUrl,
+            etag,
+            lastModified,
+            items,
+            fetchedAt: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * Mark a cached entry as confirmed by a 304, so the TTL starts again
+     * @param {object} entry - Entry from get()
+     */
+    async touch(entry) {
+        await this.write({ ...entry, fetchedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Store an entry, record it in the index and delete the entries the index marks as stale
+     * @param {object} entry - Entry to store
+     */
+    async write(entry) {
+        const write = this.writes.then(async () => {
+            const storeName = CONFIG.FEED_CACHE.STORE_NAME;
+            const key = getFeedCacheKey(entry.url);
+            await keyValueStore.setValue(key, entry, { storeName });
+
+            const index = { ...await keyValueStore.getValue(CONFIG.STORAGE.FEED_CACHE_INDEX_KEY, {}, { storeName }) };
+            index[key] = new Date(entry.fetchedAt).getTime();
+            for (const staleKey of findStaleKeys(index, Date.now())) {
+                await keyValueStore.setValue(staleKey, null, { storeName });
+                delete index[staleKey];
+            }
+            await keyValueStore.setValue(CONFIG.STORAGE.FEED_CACHE_INDEX_KEY, index, { storeName });
+        });
+        this.writes = write.catch(() => {});
+        await write;
+    }
+}
+
+// Create singleton instance for global use
+export const feedCache = new FeedCache();
+
+export default feedCache;
@@ -0,0 +1,220 @@
+/**
+ * Feed modes for Google News
+ * Builds headline, section (topic) and location feed URLs alongside keyword search
+ */
+
+import { CONFIG } from './config.js';
+import { buildLocaleParams, resolveLocale } from './locales.js';
+
+export const FEED_MODES = ['search', 'headlines', 'topic', 'location'];
+
+// Knowledge-graph IDs behind Google News sections. Topic IDs are derived from these
+// per region/language, so every locale gets its own front-page section feed.
+export const SECTION_TOPICS = {
+    world: '/m/09nm_',
+    business: '/m/09s1f',
+    technology: '/m/07c1v',
+    entertainment: '/m/02jjt',
+    sports: '/m/06ntj',
+    science: '/m/06mq7',
+    health: '/m/0kt51',
+    politics: '/m/05qt0',
+};
+
+/**
+ * Encode a protobuf length-delimited field
+ * @param {number} fieldNumber - Protobuf field number
+ * @param {Buffer} value - Field payload
+ * @returns {Buffer} Encoded field
+ */
+function encodeBytesField(fieldNumber, value) {
+    if (value.length > 127) {
+        throw new Error(`Topic field ${fieldNumber} is too long (${value.length} bytes)`);
+    }
+    return Buffer.concat([Buffer.from([(fieldNumber << 3) | 2, value.length]), value]);
+}
+
+/**
+ * Read the length-delimited fields of a flat protobuf message, skipping varints
+ * @param {Buffer} buffer - Protobuf message
+ * @returns {Map<number, Buffer>} Field number -> payload
+ */
+function readBytesFields(buffer) {
+    const fields = new Map();
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const tag = buffer[offset++];
+        const wireType = tag & 7;
+
+        if (wireType === 0) {
+            while (offset < buffer.length && buffer[offset++] & 0x80);
+        } else if (wireType === 2) {
+            const length = buffer[offset++];
+            fields.set(tag >> 3, buffer.subarray(offset, offset + length));
+            offset += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Encode a Google News topic ID for a section entity in a given locale
+ * @param {string} mid - Knowledge-graph entity ID (e.g. '/m/07c1v')
+ * @param {string} language - Language code (e.g. 'en-US')
+ * @param {string} region - Region code (e.g. 'US')
+ * @returns {string} Topic ID usable in /rss/topics/<id>
+ */
+export function encodeTopicId(mid, language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    const entity = Buffer.concat([
+        encodeBytesField(1, Buffer.from(mid)),
+        encodeBytesField(2, Buffer.from(language.split('-')[0])),
+        encodeBytesField(3, Buffer.from(region)),
+    ]);
+    const inner = Buffer.concat([Buffer.from([0x08, 0x10]), encodeBytesField(2, entity), Buffer.from([0x28, 0x00])]);
+    const wrapper = Buffer.concat([
+        Buffer.from([0x08, 0x0a]),
+        encodeBytesField(4, Buffer.from(inner.toString('base64url'))),
+        Buffer.from([0x50, 0x01]),
+    ]);
+    const outer = Buffer.concat([Buffer.from([0x08, 0x00]), encodeBytesField(5, wrapper)]);
+
+    return outer.toString('base64url');
+}
+
+/**
+ * Decode a Google News topic ID into its entity and locale
+ * @param {string} topicId - Topic ID from a /topics/ URL
+ * @returns {object|null} { mid, language, region } or null if the ID is not a topic ID
+ */
+export function decodeTopicId(topicId) {
+    try {
+        const wrapper = readBytesFields(Buffer.from(topicId, 'base64url')).get(5);
+        const innerId = wrapper && readBytesFields(wrapper).get(4);
+        const entity = innerId && readBytesFields(Buffer.from(innerId.toString(), 'base64url')).get(2);
+        if (!entity) return null;
+
+        const fields = readBytesFields(entity);
+        const mid = fields.get(1)?.toString();
+        if (!mid) return null;
+
+        return {
+            mid,
+            language: fields.get(2)?.toString() || null,
+            region: fields.get(3)?.toString() || null,
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the top-stories feed URL
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {string} RSS feed URL
+ */
+export function buildHeadlinesFeedUrl(language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    return `${CONFIG.RSS.ROOT_URL}?${buildLocaleParams(language, region)}`;
+}
+
+/**
+ * Resolve a section name or raw topic ID to the topic ID for a locale
+ * @param {string} topic - Section name (see SECTION_TOPICS) or a raw topic ID
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {string} Topic ID
+ */
+export function resolveTopicId(topic, language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    const section = SECTION_TOPICS[String(topic).trim().toLowerCase()];
+    if (section) {
+        return encodeTopicId(section, language, region);
+    }
+
+    if (decodeTopicId(topic)) {
+        return topic;
+    }
+
+    throw new Error(`Unknown topic "${topic}" (supported: ${Object.keys(SECTION_TOPICS).join(', ')}, or a raw topic ID)`);
+}
+
+/**
+ * Build a section feed URL
+ * @param {string} topic - Section name or raw topic ID
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {string} RSS feed URL
+ */
+export function buildTopicFeedUrl(topic, language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    // Topic IDs embed the locale, so encode them for the edition the feed is served from
+    const { hl, gl } = resolveLocale(language, region);
+    const topicId = resolveTopicId(topic, hl, gl);
+    return `${CONFIG.RSS.ROOT_URL}/topics/${topicId}?${buildLocaleParams(language, region)}`;
+}
+
+/**
+ * Build a location feed URL
+ * @param {string} location - Place name (city, region or country)
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {string} RSS feed URL
+ */
+export function buildLocationFeedUrl(location, language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    const place = typeof location === 'string' ? location.trim() : '';
+    if (!place) {
+        throw new Error('Location mode needs a non-empty "location"');
+    }
+    return `${CONFIG.RSS.ROOT_URL}/headlines/section/geo/${encodeURIComponent(place)}?${buildLocaleParams(language, region)}`;
+}
+
+/**
+ * Build the feed URL for a non-search query spec
+ * @param {object} spec - Query spec with mode, topic, location, language and region
+ * @returns {string} RSS feed URL
+ */
+export function buildModeFeedUrl(spec) {
+    const { mode, topic, location, language, region } = spec;
+
+    switch (mode) {
+        case 'headlines':
+            return buildHeadlinesFeedUrl(language, region);
+        case 'topic':
+            return buildTopicFeedUrl(topic, language, region);
+        case 'location':
+            return buildLocationFeedUrl(location, language, region);
+        default:
+            throw new Error(`Feed mode "${mode}" has no fixed feed URL`);
+    }
+}
+
+/**
+ * Label used to tag and report articles from a non-search feed
+ * @param {object} spec - Query spec with mode, topic and location
+ * @returns {string} Label such as 'headlines', 'topic:science' or 'location:Berlin'
+ */
+export function describeFeedMode(spec) {
+    switch (spec.mode) {
+        case 'topic':
+            return `topic:${String(spec.topic).trim()}`;
+        case 'location':
+            return `location:${String(spec.location).trim()}`;
+        default:
+            return spec.mode;
+    }
+}
+
+export default {
+    FEED_MODES,
+    SECTION_TOPICS,
+    encodeTopicId,
+    decodeTopicId,
+    resolveTopicId,
+    buildHeadlinesFeedUrl,
+    buildTopicFeedUrl,
+    buildLocationFeedUrl,
+    buildModeFeedUrl,
+    describeFeedMode,
+};
@@ -0,0 +1,195 @@
+/**
+ * Feed scheduler for the RSS variation strategies
+ * Runs feed jobs with bounded concurrency, stops starting new ones once the target is reached,
+ * and counts how many unique items each strategy contributed. Every feed request also waits for
+ * a token from a per-host bucket shared by the whole process, so concurrency never means more
+ * Google-facing traffic than CONFIG.RSS.RATE_LIMIT_DELAY allows.
+ */
+
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { sleep } from './utils.js';
+
+/**
+ * Token bucket: holds up to `capacity` tokens and gains one every `intervalMs`
+ */
+export class TokenBucket {
+    /**
+     * @param {number} capacity - Maximum burst of requests
+     * @param {number} intervalMs - Milliseconds per new token (0 = unlimited)
+     */
+    constructor(capacity, intervalMs) {
+        this.capacity = Math.max(1, capacity);
+        this.intervalMs = Math.max(0, intervalMs);
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve(); // Waiters are served in arrival order
+    }
+
+    /**
+     * Add the tokens gained since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = this.intervalMs > 0
+            ? Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / this.intervalMs))
+            : this.capacity;
+        this.updatedAt = now;
+    }
+
+    /**
+     * Wait for a token and take it
+     * @returns {Promise<void>}
+     */
+    take() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep(Math.ceil((1 - this.tokens) * this.intervalMs));
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn;
+    }
+}
+
+/**
+ * One token bucket per host
+ */
+export class HostRateLimiter {
+    /**
+     * @param {object} options - Bucket settings (default: CONFIG.RSS.HOST_BURST and CONFIG.RSS.RATE_LIMIT_DELAY)
+     * @param {number} options.burst - Requests a host may get back to back
+     * @param {number} options.delay - Milliseconds per request token
+     */
+    constructor({ burst = null, delay = null } = {}) {
+        this.burst = burst;
+        this.delay = delay;
+        this.buckets = new Map(); // host -> TokenBucket
+    }
+
+    /**
+     * Wait until a request to the URL's host may be sent
+     * @param {string} url - Request URL
+     * @returns {Promise<void>}
+     */
+    async take(url) {
+        let host;
+        try {
+            host = new URL(url).hostname;
+        } catch {
+            return;
+        }
+
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, new TokenBucket(this.burst ?? CONFIG.RSS.HOST_BURST, this.delay ?? CONFIG.RSS.RATE_LIMIT_DELAY));
+        }
+        await this.buckets.get(host).take();
+    }
+
+    /**
+     * Forget all buckets, so the next requests pick up the current configuration
+     */
+    reset() {
+        this.buckets.clear();
+    }
+}
+
+/**
+ * Add one job's outcome to the per-strategy contribution counters
+ * @param {Map} stats - Strategy name -> { requests, failures, items, unique }
+ * @param {string} strategy - Strategy name
+ * @param {object} result - Job outcome
+ * @param {number} result.items - Items in the feed
+ * @param {number} result.unique - Items not collected before
+ * @param {boolean} result.failed - Whether the request failed
+ */
+export function recordContribution(stats, strategy, { items = 0, unique = 0, failed = false } = {}) {
+    if (!stats.has(strategy)) {
+        stats.set(strategy, { requests: 0, failures: 0, items: 0, unique: 0 });
+    }
+
+    const entry = stats.get(strategy);
+    entry.requests++;
+    entry.items += items;
+    entry.unique += unique;
+    if (failed) {
+        entry.failures++;
+    }
+}
+
+/**
+ * Bounded-concurrency queue of feed jobs
+ */
+export class FeedScheduler {
+    /**
+     * @param {object} options - Scheduler options
+     * @param {number} options.concurrency - Jobs in flight at once
+     * @param {Function} options.shouldStop - () => boolean, checked before each job starts
+     * @param {boolean} options.stopOnError - Stop and rethrow the first failure instead of skipping the job
+     * @param {Map} options.stats - Contribution counters to add to (see recordContribution)
+     */
+    constructor({ concurrency = CONFIG.RSS.FEED_CONCURRENCY, shouldStop = () => false, stopOnError = false, stats = new Map() } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.shouldStop = shouldStop;
+        this.stopOnError = stopOnError;
+        this.stats = stats;
+    }
+
+    /**
+     * Run jobs until the queue is empty or shouldStop() says so
+     * Jobs already in flight when the target is reached still finish.
+     * @param {Array<object>} jobs - Jobs with a `strategy` name
+     * @param {Function} worker - async (job) => { items, unique, followUps }; follow-up jobs run next
+     * @returns {Promise<{remaining: number}>} Jobs left unstarted
+     */
+    async run(jobs, worker) {
+        const queue = [...jobs];
+        const inFlight = new Set();
+        let firstError = null;
+
+        const runJob = async (job) => {
+            try {
+                const { items = 0, unique = 0, followUps = [] } = await worker(job) || {};
+                recordContribution(this.stats, job.strategy, { items, unique });
+                queue.unshift(...followUps);
+            } catch (error) {
+                recordContribution(this.stats, job.strategy, { failed: true });
+                if (this.stopOnError) {
+                    firstError = firstError || error;
+                } else {
+                    log.debug(`${job.strategy} feed ${job.label || job.feedUrl || ''} failed: ${error.message}`);
+                }
+            }
+        };
+
+        while (true) {
+            while (queue.length > 0 && inFlight.size < this.concurrency && !firstError && !this.shouldStop()) {
+                const running = runJob(queue.shift()).finally(() => inFlight.delete(running));
+                inFlight.add(running);
+            }
+            if (inFlight.size === 0) {
+                break;
+            }
+            await Promise.race(inFlight);
+        }
+
+        if (firstError) {
+            throw firstError;
+        }
+        return { remaining: queue.length };
+    }
+}
+
+// Shared by every RssFetcher, so parallel queries and strategies draw from the same budget
+export const hostRateLimiter = new HostRateLimiter();
+
+export default {
+    TokenBucket,
+    HostRateLimiter,
+    FeedScheduler,
+    recordContribution,
+    hostRateLimiter,
+};
@@ -0,0 +1,112 @@
+/**
+ * Dry-run forecast: how many candidate articles a crawl would save and what it would cost
+ */
+
+import { CONFIG } from './config.js';
+import { costMonitor } from './cost-monitor.js';
+import { domainStats as defaultDomainStats, getDomain } from './domain-stats.js';
+import { matchesQuery } from './utils.js';
+
+/**
+ * Get the expected success rate of a candidate from the crawl history
+ * @param {object} item - RSS item with sourceUrl
+ * @param {DomainStats} domainStats - Crawl history
+ * @param {number} fallbackRate - Rate for domains without enough history
+ * @returns {object} { domain, rate, basis } where basis is 'domain' or 'fallback'
+ */
+function getExpectedRate(item, domainStats, fallbackRate) {
+    const domain = item.sourceDomain || (item.sourceUrl ? getDomain(item.sourceUrl) : null);
+    const domainRate = domain ? domainStats.getSuccessRate(domain) : null;
+
+    return domainRate === null
+        ? { domain, rate: fallbackRate, basis: 'fallback' }
+        : { domain, rate: domainRate, basis: 'domain' };
+}
+
+/**
+ * Estimate the resource usage of crawling a number of articles
+ * @param {number} articles - Articles the crawl would process
+ * @param {boolean} useBrowser - Whether the Playwright fallback is allowed
+ * @returns {object} Usage counts for CostMonitor.estimateCost
+ */
+function estimateUsage(articles, useBrowser) {
+    const requests = articles * CONFIG.FORECAST.HTTP_REQUESTS_PER_ARTICLE;
+
+    return {
+        httpRequests: requests,
+        browserRequests: useBrowser ? Math.ceil(articles * CONFIG.FORECAST.BROWSER_FALLBACK_RATE) : 0,
+        residentialProxyRequests: CONFIG.PROXY.RESIDENTIAL_ENABLED ? requests : 0,
+        datacenterProxyRequests: CONFIG.PROXY.RESIDENTIAL_ENABLED ? 0 : requests,
+        imagesValidatedByHttp: CONFIG.IMAGE.SKIP_VALIDATION ? 0 : articles * CONFIG.FORECAST.IMAGES_PER_ARTICLE,
+        executionSeconds: Math.round(articles * CONFIG.FORECAST.SECONDS_PER_ARTICLE / Math.max(CONFIG.CRAWLER.MAX_CONCURRENCY, 1)),
+    };
+}
+
+/**
+ * Forecast the yield and cost of crawling RSS candidates
+ * @param {object} params - Forecast input
+ * @param {Array<object>} params.querySpecs - Query specs (see normalizeQuerySpecs)
+ * @param {Array<object>} params.items - Candidate RSS items, each with queries[] and sourceUrl
+ * @param {boolean} params.useBrowser - Whether the Playwright fallback is allowed
+ * @param {DomainStats} params.domainStats - Crawl history (defaults to the shared instance)
+ * @returns {object} Forecast with totals, perQuery and topSources; items get expectedSuccessRate
+ */
+export function forecastCrawl({ querySpecs, items, useBrowser = false, domainStats = defaultDomainStats }) {
+    const fallbackRate = domainStats.getOverallSuccessRate() ?? CONFIG.FORECAST.DEFAULT_SUCCESS_RATE;
+    const rates = new Map(items.map(item => [item, getExpectedRate(item, domainStats, fallbackRate)]));
+
+    const perQuery = querySpecs.map(spec => {
+        const candidates = items.filter(item => matchesQuery(item, spec));
+        const expected = candidates.reduce((sum, item) => sum + rates.get(item).rate, 0);
+        const averageRate = candidates.length > 0 ? expected / candidates.length : 0;
+
+        // The crawl stops once maxItems articles are saved, so it usually processes only part of the candidates
+        const articlesToProcess = spec.maxItems > 0 && averageRate > 0
+            ? Math.min(candidates.length, Math.ceil(spec.maxItems / averageRate))
+            : candidates.length;
+        const projectedSaved = spec.maxItems > 0 ? Math.min(spec.maxItems, expected) : expected;
+
+        return {
+            query: spec.query,
+            target: spec.maxItems || 0,
+            candidates: candidates.length,
+            expectedSuccessRate: Number(averageRate.toFixed(3)),
+            projectedSaved: Math.round(projectedSaved),
+            articlesToProcess,
+        };
+    });
+
+    const articlesToProcess = perQuery.reduce((sum, entry) => sum + entry.articlesToProcess, 0);
+    const projectedSaved = perQuery.reduce((sum, entry) => sum + entry.projectedSaved, 0);
+    const usage = estimateUsage(articlesToProcess, useBrowser);
+    const estimatedCost = costMonitor.estimateCost(usage);
+
+    // Candidates per publisher, most frequent first
+    const bySource = new Map();
+    for (const [item, { domain, rate, basis }] of rates) {
+        const key = domain || item.sourceName || item.source;
+        const entry = bySource.get(key) || { source: key, candidates: 0, expectedSuccessRate: Number(rate.toFixed(3)), basis };
+        entry.candidates++;
+        bySource.set(key, entry);
+    }
+
+    for (const [item, { rate, basis }] of rates) {
+        item.expectedSuccessRate = Number(rate.toFixed(3));
+        item.expectedSuccessBasis = basis;
+    }
+
+    return {
+        candidates: items.length,
+        projectedSaved,
+        articlesToProcess,
+        estimatedCost: Number(estimatedCost.toFixed(4)),
+        costPerSavedArticle: projectedSaved > 0 ? Number((estimatedCost / projectedSaved).toFixed(4)) : null,
+        fallbackSuccessRate: Number(fallbackRate.toFixed(3)),
+        candidatesWithDomainHistory: [...rates.values()].filter(rate => rate.basis === 'domain').length,
+        usage,
+        perQuery,
+        topSources: [...bySource.values()].sort((a, b) => b.candidates - a.candidates).slice(0, 20),
+    };
+}
+
+export default forecastCrawl;
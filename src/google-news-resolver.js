@@ -7,15 +7,100 @@
 import { log } from 'crawlee';
 import { gotScraping } from 'got-scraping';
 import * as cheerio from 'cheerio';
-import fs from 'fs/promises';
-import path from 'path';
+import { CONFIG } from './config.js';
+import { hostRateLimiter } from './feed-scheduler.js';
+import { decodeArticleId } from './article-id-decoder.js';
+import { ResolverCache, createResolverCacheBackend } from './resolver-cache.js';
+import { createStrategyStats, getDefaultStrategies, orderStrategies, recordStrategyAttempt, summarizeStrategyStats, validateStrategy } from './resolver-strategies.js';
+
+const BATCH_EXECUTE_URL = 'https://news.google.com/_/DotsSplashUi/data/batchexecute';
+
+// Strategies resolveMany runs itself, so its fallback to resolveUrl does not repeat them
+const OFFLINE_STRATEGIES = ['legacyDecoding'];
+const BATCH_EXECUTE_STRATEGIES = ['batchExecute', 'batchExecuteRotated'];
+
+/**
+ * Get the article ID of a Google News article URL
+ * @param {string} googleNewsUrl - Google News URL (/articles/ or /rss/articles/)
+ * @returns {string|null} Article ID, or null for other URLs
+ */
+export function getArticleId(googleNewsUrl) {
+    try {
+        const pathParts = new URL(googleNewsUrl).pathname.split('/');
+        return pathParts.length >= 2 && pathParts[pathParts.length - 2] === 'articles' ? pathParts[pathParts.length - 1] || null : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build the Fbv4je (garturlreq) envelope that asks batchexecute to decode one article
+ * @param {object} params - Decoding parameters from getDecodingParams
+ * @param {string} id - Envelope ID, echoed back in the answer (omit for a single request)
+ * @returns {Array} Envelope
+ */
+function buildDecodeEnvelope({ articleId, timestamp, signature }, id = null) {
+    const request = `["garturlreq",[["X","X",["X","X"],null,null,1,1,"US:en",null,1,null,null,null,null,null,0,1],"X","X",1,[1,1,1],1,1,null,0,0,null,0],"${articleId}",${timestamp},"${signature}"]`;
+    return id === null ? ['Fbv4je', request] : ['Fbv4je', request, null, id];
+}
+
+/**
+ * Build a batchexecute request body that decodes several articles at once
+ * Envelope i (1-based) carries ID String(i), see parseBatchExecuteResponse
+ * @param {Array<object>} paramsList - Decoding parameters
+ * @returns {string} Form-encoded body
+ */
+export function buildBatchExecuteBody(paramsList) {
+    const envelopes = paramsList.map((params, index) => buildDecodeEnvelope(params, String(index + 1)));
+    return `f.req=${encodeURIComponent(JSON.stringify([envelopes]))}`;
+}
+
+/**
+ * Read the decoded URLs out of a batchexecute response
+ * The body starts with an anti-JSON guard line, followed by JSON arrays of answers (optionally
+ * length-prefixed). Each Fbv4je answer is ["wrb.fr", "Fbv4je", "[\"garturlres\",url,...]", ..., id].
+ * @param {string} body - Response body
+ * @returns {Map<string, string>} Envelope ID ('generic' for a single request) -> publisher URL
+ */
+export function parseBatchExecuteResponse(body) {
+    const urls = new Map();
+
+    for (const line of String(body || '').split('\n')) {
+        const text = line.trim();
+        if (!text.startsWith('[')) {
+            continue;
+        }
+
+        let answers;
+        try {
+            answers = JSON.parse(text);
+        } catch {
+            continue;
+        }
+
+        for (const answer of Array.isArray(answers) ? answers : []) {
+            if (!Array.isArray(answer) || answer[0] !== 'wrb.fr' || answer[1] !== 'Fbv4je' || typeof answer[2] !== 'string') {
+                continue;
+            }
+            try {
+                const decodedUrl = JSON.parse(answer[2])?.[1];
+                if (typeof decodedUrl === 'string' && decodedUrl.startsWith('http') && !decodedUrl.includes('google.com')) {
+                    urls.set(answer[6] || 'generic', decodedUrl);
+                }
+            } catch {
+                // An answer without a URL (e.g. an error payload) leaves its envelope unresolved
+            }
+        }
+    }
+
+    return urls;
+}
 
 /**
  * Production-Grade Google News URL Resolver class
  */
 export class GoogleNewsResolver {
     constructor(proxyManager = null, options = {}) {
-        this.cache = new Map(); // In-memory cache for resolved URLs
         this.proxyManager = proxyManager;
         this.requestCount = 0;
         this.successCount = 0;
@@ -29,22 +114,28 @@ export class GoogleNewsResolver {
         this.baseTimeout = this.isCloudEnvironment ? 10000 : 20000; // Shorter base timeout in cloud
         this.fallbackToDirectUrl = this.isCloudEnvironment; // Enable direct URL fallback in cloud
 
-        // Caching and persistence options
-        this.enablePersistence = options.enablePersistence !== false; // Default: true
-        this.cacheFile = options.cacheFile || 'storage/google-news-cache.json';
-        this.maxCacheSize = options.maxCacheSize || 10000; // Maximum cache entries
-        this.cacheExpiryHours = options.cacheExpiryHours || 24; // Cache expiry in hours
+        // Resolution strategies (see resolver-strategies.js), tried best recent success rate first
+        this.strategies = [];
+        this.strategyStats = new Map(); // Strategy name -> counters
+        this.articleIdFormats = {}; // Offline decoding: format -> article IDs seen (see article-id-decoder.js)
+        [...getDefaultStrategies(), ...(options.strategies || [])].forEach(strategy => this.registerStrategy(strategy));
 
-        // Load cache from disk if persistence is enabled
-        if (this.enablePersistence) {
-            this.loadCacheFromDisk();
-        }
+        // Resolution cache (see resolver-cache.js); without persistence it lives in memory only
+        this.enablePersistence = options.enablePersistence !== false; // Default: true
+        this.cacheBackend = this.enablePersistence ? (options.cacheBackend || CONFIG.RESOLVER.CACHE_BACKEND) : 'memory';
+        this.cache = new ResolverCache({
+            backend: createResolverCacheBackend(this.cacheBackend, { filePath: options.cacheFile }),
+            maxEntries: options.maxCacheSize || CONFIG.RESOLVER.CACHE_MAX_ENTRIES,
+            ttlMs: (options.cacheExpiryHours || CONFIG.RESOLVER.CACHE_TTL_HOURS) * 60 * 60 * 1000,
+            negativeTtlMs: (options.negativeCacheHours ?? CONFIG.RESOLVER.NEGATIVE_TTL_HOURS) * 60 * 60 * 1000,
+        });
+        this.cacheReady = this.loadCache();
 
-        // Periodically save cache to disk
+        // Periodically write new resolutions to the cache store
         if (this.enablePersistence) {
             this.saveCacheInterval = setInterval(() => {
-                this.saveCacheToDisk();
-            }, 5 * 60 * 1000); // Save every 5 minutes
+                this.saveCache();
+            }, 5 * 60 * 1000).unref(); // Save every 5 minutes
         }
     }
 
@@ -69,93 +160,125 @@ export class GoogleNewsResolver {
      * Resolve Google News URL to actual article URL using production-grade techniques
      * @param {string} googleNewsUrl - Google News URL
      * @param {object} page - Playwright page instance (optional)
+     * @param {object} options - Resolution options
+     * @param {Array<string>} options.skipStrategies - Names of strategies already tried for this URL
+     * @param {boolean} options.hadError - Whether an earlier attempt (see resolveMany) failed with an error
      * @returns {Promise<string>} Resolved article URL
      */
-    async resolveUrl(googleNewsUrl, page = null) {
+    async resolveUrl(googleNewsUrl, page = null, { skipStrategies = [], hadError = false } = {}) {
         try {
-            this.requestCount++;
+            // If it's not a Google News URL, return as-is
+            if (!googleNewsUrl.includes('news.google.com')) {
+                return googleNewsUrl;
+            }
 
             // Check cache first
-            const cachedResult = this.getCachedUrl(googleNewsUrl);
+            await this.cacheReady;
+            const cachedResult = this.cache.lookup(googleNewsUrl);
             if (cachedResult) {
                 log.debug(`Using cached resolution: ${cachedResult}`);
                 return cachedResult;
             }
-
-            log.info(`Resolving Google News URL (${this.requestCount}): ${googleNewsUrl}`);
-
-            // If it's not a Google News URL, return as-is
-            if (!googleNewsUrl.includes('news.google.com')) {
+            // Known to fail over HTTP; only a browser page gets another try
+            if (cachedResult === null && !page) {
+                log.debug(`Skipping recently unresolvable URL: ${googleNewsUrl}`);
                 return googleNewsUrl;
             }
 
+            this.requestCount++;
+            log.info(`Resolving Google News URL (${this.requestCount}): ${googleNewsUrl}`);
+
             // Rate limiting - ensure minimum interval between requests
             await this.enforceRateLimit();
 
-            let resolvedUrl = googleNewsUrl;
-
-            // Cloud environment: Try direct URL fallback first if enabled
-            if (this.fallbackToDirectUrl) {
-                resolvedUrl = await this.tryDirectUrlFallback(googleNewsUrl);
-                if (resolvedUrl !== googleNewsUrl) {
+            let errored = hadError;
+            for (const strategy of this.getStrategyOrder({ page }).filter(({ name }) => !skipStrategies.includes(name))) {
+                const { url: resolvedUrl, failed } = await this.runStrategy(strategy, googleNewsUrl, { page });
+                if (resolvedUrl) {
                     this.setCachedUrl(googleNewsUrl, resolvedUrl);
                     this.successCount++;
-                    log.info(`✅ Resolved with direct URL fallback: ${resolvedUrl}`);
+                    log.info(`✅ Resolved with ${strategy.name}: ${resolvedUrl}`);
                     return resolvedUrl;
                 }
+                errored = errored || failed;
             }
 
-            // Strategy 1: Try the proven batchexecute method (most reliable for new URLs)
-            resolvedUrl = await this.resolveWithBatchExecute(googleNewsUrl);
-            if (resolvedUrl !== googleNewsUrl) {
-                this.setCachedUrl(googleNewsUrl, resolvedUrl);
-                this.successCount++;
-                log.info(`✅ Resolved with batchexecute: ${resolvedUrl}`);
-                return resolvedUrl;
+            log.warning(`❌ Could not resolve Google News URL: ${googleNewsUrl}`);
+            // Only a clean "no URL" from every strategy is cached; blocks, 429s and timeouts may pass next time
+            if (!errored) {
+                this.cache.setUnresolvable(googleNewsUrl);
             }
+            return googleNewsUrl;
 
-            // Strategy 1b: Try batchexecute again with fresh proxy rotation
-            if (this.proxyManager) {
-                log.debug('Rotating proxy and retrying batchexecute');
-                await this.proxyManager.rotateProxy();
-                resolvedUrl = await this.resolveWithBatchExecute(googleNewsUrl);
-                if (resolvedUrl !== googleNewsUrl) {
-                    this.setCachedUrl(googleNewsUrl, resolvedUrl);
-                    this.successCount++;
-                    log.info(`✅ Resolved with batchexecute (retry): ${resolvedUrl}`);
-                    return resolvedUrl;
-                }
-            }
+        } catch (error) {
+            log.error(`Error resolving Google News URL: ${error.message}`);
+            return googleNewsUrl;
+        }
+    }
 
-            // Strategy 2: Try legacy base64 decoding (for older URLs)
-            resolvedUrl = await this.resolveWithLegacyDecoding(googleNewsUrl);
-            if (resolvedUrl !== googleNewsUrl) {
-                this.setCachedUrl(googleNewsUrl, resolvedUrl);
-                this.successCount++;
-                log.info(`✅ Resolved with legacy decoding: ${resolvedUrl}`);
-                return resolvedUrl;
-            }
+    /**
+     * Add a resolution strategy to this resolver
+     * @param {object} strategy - { name, isAvailable?(resolver, context), resolve(resolver, googleNewsUrl, context) }
+     */
+    registerStrategy(strategy) {
+        this.strategies.push(validateStrategy(strategy, this.strategies));
+        this.strategyStats.set(strategy.name, createStrategyStats());
+    }
 
-            // Strategy 3: Try browser-based resolution (fallback)
-            if (page) {
-                resolvedUrl = await this.resolveWithBrowser(googleNewsUrl, page);
-                if (resolvedUrl !== googleNewsUrl) {
-                    this.setCachedUrl(googleNewsUrl, resolvedUrl);
-                    this.successCount++;
-                    log.info(`✅ Resolved with browser: ${resolvedUrl}`);
-                    return resolvedUrl;
-                }
-            }
+    /**
+     * Get the strategies to try for one URL, best recent success rate first
+     * @param {object} context - { page }
+     * @returns {Array<object>} Available strategies in order
+     */
+    getStrategyOrder(context = {}) {
+        const available = this.strategies.filter(strategy => !strategy.isAvailable || strategy.isAvailable(this, context));
+        return orderStrategies(available, this.strategyStats);
+    }
 
-            log.warning(`❌ Could not resolve Google News URL: ${googleNewsUrl}`);
-            return googleNewsUrl;
+    /**
+     * Run one strategy and record its outcome
+     * @param {object} strategy - Strategy
+     * @param {string} googleNewsUrl - Google News URL
+     * @param {object} context - { page }
+     * @returns {Promise<object>} { url, failed }: the publisher URL (null when there is none) and whether the strategy threw
+     */
+    async runStrategy(strategy, googleNewsUrl, context) {
+        const startTime = Date.now();
+        let resolvedUrl = null;
+        let failed = false;
 
+        try {
+            const result = await strategy.resolve(this, googleNewsUrl, context);
+            resolvedUrl = typeof result === 'string' && result !== googleNewsUrl ? result : null;
         } catch (error) {
-            log.error(`Error resolving Google News URL: ${error.message}`);
-            return googleNewsUrl;
+            failed = true;
+            log.debug(`Resolver strategy ${strategy.name} failed: ${error.message}`);
+        }
+
+        this.recordStrategyOutcome(strategy.name, { success: !!resolvedUrl, error: failed, latencyMs: Date.now() - startTime });
+        return { url: resolvedUrl, failed };
+    }
+
+    /**
+     * Count one attempt of a strategy, also when it ran outside resolveUrl (see resolveMany)
+     * @param {string} name - Strategy name
+     * @param {object} outcome - { success, error, latencyMs }
+     */
+    recordStrategyOutcome(name, outcome) {
+        const stats = this.strategyStats.get(name);
+        if (stats) {
+            recordStrategyAttempt(stats, outcome);
         }
     }
 
+    /**
+     * Get the counters of every strategy
+     * @returns {object} Strategy name -> { attempts, successes, errors, successRate, recentSuccessRate, avgLatencyMs }
+     */
+    getStrategyStats() {
+        return Object.fromEntries(this.strategies.map(strategy => [strategy.name, summarizeStrategyStats(this.strategyStats.get(strategy.name))]));
+    }
+
     /**
      * Enforce rate limiting between requests
      */
@@ -175,49 +298,40 @@ export class GoogleNewsResolver {
     /**
      * Resolve URL using the proven batchexecute method
      * Based on the community solution from github.com/huksley/bc3cb046157a99cd9d1517b32f91a99e
+     * Request errors are thrown, so the resolver can tell them from an answer without a URL
      * @param {string} googleNewsUrl - Google News URL
      * @returns {Promise<string>} Resolved URL
      */
     async resolveWithBatchExecute(googleNewsUrl) {
-        try {
-            log.debug('Attempting batchexecute URL resolution');
-
-            // Extract article ID from URL
-            const url = new URL(googleNewsUrl);
-            const pathParts = url.pathname.split('/');
-
-            if (pathParts.length < 2 || pathParts[pathParts.length - 2] !== 'articles') {
-                log.debug('Not a valid Google News article URL format');
-                return googleNewsUrl;
-            }
-
-            const articleId = pathParts[pathParts.length - 1];
-
-            // Step 1: Get decoding parameters from the article page
-            const decodingParams = await this.getDecodingParams(articleId);
-            if (!decodingParams) {
-                log.debug('Failed to get decoding parameters');
-                return googleNewsUrl;
-            }
-
-            // Step 2: Use batchexecute to decode the URL
-            const decodedUrl = await this.callBatchExecute(decodingParams);
-            if (decodedUrl && decodedUrl !== googleNewsUrl && !decodedUrl.includes('google.com')) {
-                return decodedUrl;
-            }
+        log.debug('Attempting batchexecute URL resolution');
 
+        // Extract article ID from URL
+        const articleId = getArticleId(googleNewsUrl);
+        if (!articleId) {
+            log.debug('Not a valid Google News article URL format');
             return googleNewsUrl;
+        }
 
-        } catch (error) {
-            log.debug('Batchexecute resolution failed:', error.message);
-            return googleNewsUrl;
+        // Step 1: Get decoding parameters from the article page (a page without them is a block or consent page)
+        const decodingParams = await this.getDecodingParams(articleId);
+        if (!decodingParams) {
+            throw new Error('No decoding parameters in the article page');
+        }
+
+        // Step 2: Use batchexecute to decode the URL
+        const decodedUrl = await this.callBatchExecute(decodingParams);
+        if (decodedUrl && decodedUrl !== googleNewsUrl && !decodedUrl.includes('google.com')) {
+            return decodedUrl;
         }
+
+        return googleNewsUrl;
     }
 
     /**
      * Get decoding parameters from Google News article page with fallback strategies
      * @param {string} articleId - Article ID from URL
-     * @returns {Promise<object|null>} Decoding parameters
+     * @returns {Promise<object|null>} Decoding parameters, or null when no page had them
+     * @throws {Error} The last request error, when every configuration failed and at least one with an error
      */
     async getDecodingParams(articleId) {
         // Try multiple strategies with different configurations
@@ -228,6 +342,7 @@ export class GoogleNewsResolver {
             () => this.getDecodingParamsWithConfig(articleId, 'minimal')
         ];
 
+        let lastError = null;
         for (const strategy of strategies) {
             try {
                 const result = await strategy();
@@ -235,10 +350,14 @@ export class GoogleNewsResolver {
                     return result;
                 }
             } catch (error) {
+                lastError = error;
                 log.debug(`Decoding params strategy failed: ${error.message}`);
             }
         }
 
+        if (lastError) {
+            throw lastError;
+        }
         return null;
     }
 
@@ -355,7 +474,8 @@ export class GoogleNewsResolver {
     /**
      * Call Google's batchexecute API to decode the URL with retry logic and error handling
      * @param {object} params - Decoding parameters
-     * @returns {Promise<string|null>} Decoded URL
+     * @returns {Promise<string|null>} Decoded URL, or null when batchexecute answered without one
+     * @throws {Error} The last request error, when no attempt got an answer
      */
     async callBatchExecute(params) {
         const maxRetries = this.maxRetries; // Use environment-specific retry count
@@ -372,6 +492,7 @@ export class GoogleNewsResolver {
                 }
 
                 // If no result but no error, wait before retry
+                lastError = null;
                 if (attempt < maxRetries) {
                     const waitTime = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
                     log.debug(`Batchexecute attempt ${attempt} returned no result, waiting ${waitTime}ms before retry`);
@@ -388,13 +509,7 @@ export class GoogleNewsResolver {
                     break;
                 }
 
-                // Report proxy error and rotate if applicable
-                if (this.proxyManager && (error.response?.statusCode === 429 || error.response?.statusCode === 403 || error.response?.statusCode === 502 || error.response?.statusCode === 503)) {
-                    log.warning(`Proxy error ${error.response.statusCode} in batchexecute - rotating proxy`);
-                    this.proxyManager.reportProxyError('https://news.google.com/_/DotsSplashUi/data/batchexecute', error, error.response.statusCode);
-                    // Force proxy rotation for next request
-                    await this.proxyManager.rotateProxy();
-                }
+                await this.reportBatchExecuteError(error);
 
                 // Wait before retry
                 if (attempt < maxRetries) {
@@ -406,87 +521,201 @@ export class GoogleNewsResolver {
         }
 
         log.debug(`All batchexecute attempts failed. Last error: ${lastError?.message || 'Unknown'}`);
+        if (lastError) {
+            throw lastError;
+        }
         return null;
     }
 
     /**
-     * Single attempt at calling batchexecute API
-     * @param {object} params - Decoding parameters
-     * @param {number} attempt - Attempt number
-     * @returns {Promise<string|null>} Decoded URL
+     * Report a failed batchexecute call to the proxy manager and rotate the proxy if it was blocked
+     * @param {Error} error - Request error
      */
-    async callBatchExecuteOnce(params, attempt = 1) {
-        const { signature, timestamp, articleId, strategy = 'standard' } = params;
+    async reportBatchExecuteError(error) {
+        const statusCode = error.response?.statusCode;
+        if (this.proxyManager && [429, 403, 502, 503].includes(statusCode)) {
+            log.warning(`Proxy error ${statusCode} in batchexecute - rotating proxy`);
+            this.proxyManager.reportProxyError(BATCH_EXECUTE_URL, error, statusCode);
+            // Force proxy rotation for next request
+            await this.proxyManager.rotateProxy();
+        }
+    }
 
-        // Construct the request payload exactly as shown in the working solution
-        const articlesReq = [
-            'Fbv4je',
-            `["garturlreq",[["X","X",["X","X"],null,null,1,1,"US:en",null,1,null,null,null,null,null,0,1],"X","X",1,[1,1,1],1,1,null,0,0,null,0],"${articleId}",${timestamp},"${signature}"]`
-        ];
+    /**
+     * Decode many articles with one batchexecute call per chunk, retrying the whole chunk on errors
+     * @param {Array<object>} paramsList - Decoding parameters (one chunk)
+     * @returns {Promise<Map<string, string>>} Article ID -> publisher URL for the envelopes that were answered
+     */
+    async callBatchExecuteBulk(paramsList) {
+        const payload = buildBatchExecuteBody(paramsList);
+        let lastError = null;
 
-        const payload = `f.req=${encodeURIComponent(JSON.stringify([[articlesReq]]))}`;
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                const response = await this.postBatchExecute(payload, attempt);
+                const urlsById = parseBatchExecuteResponse(response.body);
+                log.debug(`Bulk batchexecute answered ${urlsById.size}/${paramsList.length} envelopes`);
 
-        // Vary headers based on attempt and strategy
-        let userAgent;
-        switch (attempt % 3) {
-            case 1:
-                userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
-                break;
-            case 2:
-                userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
-                break;
-            default:
-                userAgent = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+                return new Map(paramsList
+                    .map((params, index) => [params.articleId, urlsById.get(String(index + 1))])
+                    .filter(([, url]) => url));
+            } catch (error) {
+                lastError = error;
+                log.debug(`Bulk batchexecute attempt ${attempt} failed: ${error.message}`);
+
+                if (error.response?.statusCode === 400 || error.response?.statusCode === 404) {
+                    break;
+                }
+                await this.reportBatchExecuteError(error);
+
+                if (attempt < this.maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, Math.min(2000 * Math.pow(2, attempt - 1), 10000)));
+                }
+            }
         }
 
-        const requestConfig = {
-            url: 'https://news.google.com/_/DotsSplashUi/data/batchexecute',
-            method: 'POST',
-            timeout: { request: Math.floor(this.baseTimeout * this.cloudTimeoutMultiplier) }, // Dynamic timeout based on environment
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
-                'User-Agent': userAgent,
-                'Accept': '*/*',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Referer': 'https://news.google.com/',
-                'Origin': 'https://news.google.com',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache'
-            },
-            body: payload,
-            retry: {
-                limit: 0 // We handle retries manually
+        log.debug(`All bulk batchexecute attempts failed. Last error: ${lastError?.message || 'Unknown'}`);
+        return new Map();
+    }
+
+    /**
+     * Resolve many Google News URLs, decoding them in chunks of CONFIG.RESOLVER.BATCH_SIZE per batchexecute call
+     * Article IDs are decoded offline first: IDs that carry the publisher URL need no request at all, and only
+     * token and unknown IDs go to batchexecute. Their decoding parameters still need one article page request
+     * per URL; those draw from the shared per-host budget instead of waiting minRequestInterval each. URLs a
+     * chunk leaves unanswered fall back to a single batchexecute call, and URLs without decoding parameters
+     * (or without a decodable ID) to resolveUrl, minus the strategies already tried here; URLs that hit a
+     * request error on the way are never cached as unresolvable. Offline decodes and batchexecute calls
+     * count against the legacyDecoding and batchExecute strategies (see getStrategyStats).
+     * @param {Array<string>} googleNewsUrls - Google News article URLs
+     * @param {object} options - Resolution options
+     * @param {boolean} options.fallback - Run resolveUrl for URLs the batch calls could not resolve (default: true)
+     * @param {HostRateLimiter} options.rateLimiter - Per-host budget for the article page requests (default: the RSS one)
+     * @returns {Promise<Map<string, string>>} URL -> resolved URL (the URL itself when it could not be resolved)
+     */
+    async resolveMany(googleNewsUrls, { fallback = true, rateLimiter = hostRateLimiter } = {}) {
+        const results = new Map();
+        const withParams = [];
+        const needsFallback = []; // { googleNewsUrl, skipStrategies, hadError }
+        let decodedOffline = 0;
+
+        await this.cacheReady;
+        for (const googleNewsUrl of new Set(googleNewsUrls)) {
+            const cachedResult = googleNewsUrl.includes('news.google.com') ? this.cache.lookup(googleNewsUrl) : googleNewsUrl;
+            if (cachedResult !== undefined) {
+                // Resolved before, known to be unresolvable, or not a Google News URL
+                results.set(googleNewsUrl, cachedResult || googleNewsUrl);
+                continue;
             }
-        };
 
-        // Add proxy if available
-        if (this.proxyManager) {
-            const proxyConfig = await this.proxyManager.getProxyConfig();
-            if (proxyConfig.proxyUrl) {
-                Object.assign(requestConfig, proxyConfig);
-                log.info(`🔄 Using residential proxy for batchexecute: ${proxyConfig.proxyUrl.substring(0, 50)}...`);
+            const articleId = getArticleId(googleNewsUrl);
+            if (!articleId) {
+                needsFallback.push({ googleNewsUrl, skipStrategies: [] });
+                continue;
+            }
+
+            const decodeStart = Date.now();
+            const decoded = decodeArticleId(articleId);
+            const offlineUrl = decoded.format === 'url' && !decoded.url.includes('google.com') ? decoded.url : null;
+            this.recordArticleIdFormat(decoded.format);
+            this.recordStrategyOutcome('legacyDecoding', { success: !!offlineUrl, latencyMs: Date.now() - decodeStart });
+
+            if (offlineUrl) {
+                this.requestCount++;
+                this.successCount++;
+                decodedOffline++;
+                this.setCachedUrl(googleNewsUrl, offlineUrl);
+                results.set(googleNewsUrl, offlineUrl);
+                continue;
+            }
+            if (decoded.format !== 'token' && decoded.format !== 'unknown') {
+                // Nothing batchexecute could decode
+                needsFallback.push({ googleNewsUrl, skipStrategies: [...OFFLINE_STRATEGIES, ...BATCH_EXECUTE_STRATEGIES] });
+                continue;
+            }
+
+            await rateLimiter.take(googleNewsUrl);
+            const paramsStart = Date.now();
+            const params = await this.getDecodingParams(articleId).catch((error) => {
+                log.debug(`Decoding parameters failed for ${googleNewsUrl}: ${error.message}`);
+                return null;
+            });
+            if (params) {
+                withParams.push({ googleNewsUrl, params, latencyMs: Date.now() - paramsStart });
             } else {
-                log.warning('❌ No residential proxy available for batchexecute request');
+                // A rotated proxy may still get the parameters; a page without them is no answer either
+                this.recordStrategyOutcome('batchExecute', { success: false, error: true, latencyMs: Date.now() - paramsStart });
+                needsFallback.push({ googleNewsUrl, skipStrategies: [...OFFLINE_STRATEGIES, 'batchExecute'], hadError: true });
             }
-        } else {
-            log.warning('❌ No proxy manager available for batchexecute request');
         }
 
-        const startTime = Date.now();
-        const response = await gotScraping(requestConfig);
-        const responseTime = Date.now() - startTime;
-
-        log.debug(`Batchexecute response received in ${responseTime}ms (status: ${response.statusCode})`);
+        const unanswered = [];
+        for (let start = 0; start < withParams.length; start += CONFIG.RESOLVER.BATCH_SIZE) {
+            const chunk = withParams.slice(start, start + CONFIG.RESOLVER.BATCH_SIZE);
+            await this.enforceRateLimit();
+            const chunkStart = Date.now();
+            const decoded = await this.callBatchExecuteBulk(chunk.map(({ params }) => params));
+            const latencyMs = (Date.now() - chunkStart) / chunk.length;
+
+            for (const entry of chunk) {
+                const resolvedUrl = decoded.get(entry.params.articleId);
+                entry.latencyMs += latencyMs;
+                if (resolvedUrl) {
+                    this.requestCount++;
+                    this.successCount++;
+                    this.recordStrategyOutcome('batchExecute', { success: true, latencyMs: entry.latencyMs });
+                    this.setCachedUrl(entry.googleNewsUrl, resolvedUrl);
+                    results.set(entry.googleNewsUrl, resolvedUrl);
+                } else {
+                    unanswered.push(entry);
+                }
+            }
+        }
 
-        // Validate response
-        if (response.statusCode !== 200) {
-            throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+        // Partial failures: one call per missing article, reusing its decoding parameters
+        for (const { googleNewsUrl, params, latencyMs } of unanswered) {
+            this.requestCount++;
+            await this.enforceRateLimit();
+            const callStart = Date.now();
+            let hadError = false;
+            const resolvedUrl = await this.callBatchExecute(params).catch((error) => {
+                log.debug(`Batchexecute failed for ${googleNewsUrl}: ${error.message}`);
+                hadError = true;
+                return null;
+            });
+            this.recordStrategyOutcome('batchExecute', { success: !!resolvedUrl, error: hadError, latencyMs: latencyMs + Date.now() - callStart });
+            if (resolvedUrl) {
+                this.successCount++;
+                this.setCachedUrl(googleNewsUrl, resolvedUrl);
+                results.set(googleNewsUrl, resolvedUrl);
+            } else {
+                needsFallback.push({ googleNewsUrl, skipStrategies: [...OFFLINE_STRATEGIES, ...BATCH_EXECUTE_STRATEGIES], hadError });
+            }
         }
 
-        if (!response.body || response.body.length === 0) {
-            throw new Error('Empty response body');
+        for (const { googleNewsUrl, skipStrategies, hadError = false } of needsFallback) {
+            results.set(googleNewsUrl, fallback ? await this.resolveUrl(googleNewsUrl, null, { skipStrategies, hadError }) : googleNewsUrl);
         }
 
+        const resolvedCount = [...results].filter(([googleNewsUrl, resolvedUrl]) => resolvedUrl !== googleNewsUrl).length;
+        log.info(`Bulk resolution: ${resolvedCount}/${results.size} URLs resolved (${decodedOffline} decoded offline, ${withParams.length - unanswered.length} in ${Math.ceil(withParams.length / CONFIG.RESOLVER.BATCH_SIZE)} batch calls)`);
+        return results;
+    }
+
+    /**
+     * Single attempt at calling batchexecute API
+     * @param {object} params - Decoding parameters
+     * @param {number} attempt - Attempt number
+     * @returns {Promise<string|null>} Decoded URL
+     */
+    async callBatchExecuteOnce(params, attempt = 1) {
+        // Construct the request payload exactly as shown in the working solution
+        const payload = `f.req=${encodeURIComponent(JSON.stringify([[buildDecodeEnvelope(params)]]))}`;
+
+        const startTime = Date.now();
+        const response = await this.postBatchExecute(payload, attempt);
+        const responseTime = Date.now() - startTime;
+
         // Parse the response according to the proven format
         const responseLines = response.body.split('\n\n');
         if (responseLines.length < 2) {
@@ -539,72 +768,103 @@ export class GoogleNewsResolver {
     }
 
     /**
-     * Resolve URL using legacy base64 decoding (for older URL formats)
-     * @param {string} googleNewsUrl - Google News URL
-     * @returns {Promise<string>} Resolved URL
+     * POST a payload to the batchexecute endpoint, through the proxy when one is available
+     * @param {string} payload - Form-encoded body
+     * @param {number} attempt - Attempt number
+     * @returns {Promise<object>} Response with a non-empty body
      */
-    async resolveWithLegacyDecoding(googleNewsUrl) {
-        try {
-            log.debug('Attempting legacy base64 decoding');
-
-            const url = new URL(googleNewsUrl);
-            const pathParts = url.pathname.split('/');
-
-            if (pathParts.length < 2 || pathParts[pathParts.length - 2] !== 'articles') {
-                return googleNewsUrl;
-            }
-
-            const base64String = pathParts[pathParts.length - 1];
+    async postBatchExecute(payload, attempt = 1) {
+        // Vary headers based on attempt and strategy
+        let userAgent;
+        switch (attempt % 3) {
+            case 1:
+                userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+                break;
+            case 2:
+                userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+                break;
+            default:
+                userAgent = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+        }
 
-            // Check if this is a new-style URL that requires batchexecute
-            if (base64String.startsWith('AU_yqL')) {
-                log.debug('New-style URL detected, requires batchexecute');
-                return googleNewsUrl;
+        const requestConfig = {
+            url: BATCH_EXECUTE_URL,
+            method: 'POST',
+            timeout: { request: Math.floor(this.baseTimeout * this.cloudTimeoutMultiplier) }, // Dynamic timeout based on environment
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+                'User-Agent': userAgent,
+                'Accept': '*/*',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Referer': 'https://news.google.com/',
+                'Origin': 'https://news.google.com',
+                'Cache-Control': 'no-cache',
+                'Pragma': 'no-cache'
+            },
+            body: payload,
+            retry: {
+                limit: 0 // We handle retries manually
             }
+        };
 
-            // Try to decode the base64 string
-            let decodedString;
-            try {
-                decodedString = Buffer.from(base64String, 'base64').toString('binary');
-            } catch (e) {
-                log.debug('Failed to decode base64 string');
-                return googleNewsUrl;
+        // Add proxy if available
+        if (this.proxyManager) {
+            const proxyConfig = await this.proxyManager.getProxyConfig();
+            if (proxyConfig.proxyUrl) {
+                Object.assign(requestConfig, proxyConfig);
+                log.info(`🔄 Using residential proxy for batchexecute: ${proxyConfig.proxyUrl.substring(0, 50)}...`);
+            } else {
+                log.warning('❌ No residential proxy available for batchexecute request');
             }
+        } else {
+            log.warning('❌ No proxy manager available for batchexecute request');
+        }
 
-            // Remove prefix and suffix as per the documented format
-            const prefix = Buffer.from([0x08, 0x13, 0x22]).toString('binary');
-            if (decodedString.startsWith(prefix)) {
-                decodedString = decodedString.substring(prefix.length);
-            }
+        const startTime = Date.now();
+        const response = await gotScraping(requestConfig);
 
-            const suffix = Buffer.from([0xd2, 0x01, 0x00]).toString('binary');
-            if (decodedString.endsWith(suffix)) {
-                decodedString = decodedString.substring(0, decodedString.length - suffix.length);
-            }
+        log.debug(`Batchexecute response received in ${Date.now() - startTime}ms (status: ${response.statusCode})`);
 
-            // Extract URL from the decoded data
-            const bytes = Uint8Array.from(decodedString, c => c.charCodeAt(0));
-            const len = bytes.at(0);
+        // Validate response
+        if (response.statusCode !== 200) {
+            throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+        }
 
-            let extractedUrl;
-            if (len >= 0x80) {
-                extractedUrl = decodedString.substring(2, len + 2);
-            } else {
-                extractedUrl = decodedString.substring(1, len + 1);
-            }
+        if (!response.body || response.body.length === 0) {
+            throw new Error('Empty response body');
+        }
 
-            // Validate the extracted URL
-            if (extractedUrl && extractedUrl.startsWith('http') && !extractedUrl.includes('google.com')) {
-                log.debug(`Successfully decoded legacy URL: ${extractedUrl}`);
-                return extractedUrl;
-            }
+        return response;
+    }
 
+    /**
+     * Resolve URL by decoding the article ID offline (IDs that embed the publisher URL)
+     * @param {string} googleNewsUrl - Google News URL
+     * @returns {Promise<string>} Resolved URL
+     */
+    async resolveWithLegacyDecoding(googleNewsUrl) {
+        const articleId = getArticleId(googleNewsUrl);
+        if (!articleId) {
             return googleNewsUrl;
+        }
 
-        } catch (error) {
-            log.debug('Legacy decoding failed:', error.message);
-            return googleNewsUrl;
+        const decoded = decodeArticleId(articleId);
+        this.recordArticleIdFormat(decoded.format);
+        log.debug(`Article ID format: ${decoded.format}${decoded.ampUrl ? ' (with AMP URL)' : ''}`);
+
+        if (decoded.format === 'url' && !decoded.url.includes('google.com')) {
+            log.debug(`Successfully decoded article ID: ${decoded.url}`);
+            return decoded.url;
         }
+        return googleNewsUrl;
+    }
+
+    /**
+     * Count the article ID formats seen by offline decoding
+     * @param {string} format - Format reported by decodeArticleId
+     */
+    recordArticleIdFormat(format) {
+        this.articleIdFormats[format] = (this.articleIdFormats[format] || 0) + 1;
     }
 
     /**
@@ -678,7 +938,7 @@ export class GoogleNewsResolver {
 
         } catch (error) {
             log.debug('Browser resolution failed:', error.message);
-            return googleNewsUrl;
+            throw error;
         }
     }
 
@@ -691,39 +951,14 @@ export class GoogleNewsResolver {
         try {
             log.debug('Attempting direct URL fallback for cloud environment');
 
-            // Extract article ID and try common URL patterns
-            const url = new URL(googleNewsUrl);
-            const pathParts = url.pathname.split('/');
-
-            if (pathParts.length < 2 || pathParts[pathParts.length - 2] !== 'articles') {
-                return googleNewsUrl;
-            }
-
-            const articleId = pathParts[pathParts.length - 1];
-
-            // Try to extract URL from common patterns in the article ID
-            const patterns = [
-                // Pattern 1: Look for encoded URLs in the ID
-                () => this.extractFromBase64Pattern(articleId),
-                // Pattern 2: Try URL-safe base64 decoding
-                () => this.extractFromUrlSafeBase64(articleId),
-                // Pattern 3: Look for direct URL hints in parameters
-                () => this.extractFromUrlParams(googleNewsUrl)
-            ];
-
-            for (const pattern of patterns) {
-                try {
-                    const result = pattern();
-                    if (result && result !== googleNewsUrl && !result.includes('google.com')) {
-                        log.debug(`Direct URL fallback succeeded: ${result}`);
-                        return result;
-                    }
-                } catch (error) {
-                    // Continue to next pattern
-                }
+            // Direct URL hints in the parameters, then the URL embedded in the article ID
+            const fromParams = this.extractFromUrlParams(googleNewsUrl);
+            if (fromParams) {
+                log.debug(`Direct URL fallback succeeded: ${fromParams}`);
+                return fromParams;
             }
 
-            return googleNewsUrl;
+            return await this.resolveWithLegacyDecoding(googleNewsUrl);
 
         } catch (error) {
             log.debug('Direct URL fallback failed:', error.message);
@@ -790,75 +1025,6 @@ export class GoogleNewsResolver {
         }
     }
 
-    /**
-     * Extract URL from Google News URL parameters
-     * @param {string} googleNewsUrl - Google News URL
-     * @returns {string} Extracted URL or original URL
-     */
-    extractFromUrlParams(googleNewsUrl) {
-        try {
-            log.debug('Attempting URL parameter extraction');
-
-            const url = new URL(googleNewsUrl);
-
-            // Check for direct URL parameter
-            if (url.searchParams.has('url')) {
-                const extractedUrl = decodeURIComponent(url.searchParams.get('url'));
-                if (extractedUrl && !extractedUrl.includes('google.com')) {
-                    log.info(`Extracted URL from parameters: ${extractedUrl}`);
-                    return extractedUrl;
-                }
-            }
-
-            // Try to decode the article ID
-            const pathMatch = url.pathname.match(/\/articles\/([^?]+)/);
-            if (pathMatch) {
-                const articleId = pathMatch[1];
-                
-                // Try different decoding methods
-                const decodingMethods = [
-                    () => this.decodeBase64(articleId),
-                    () => this.decodeUrlSafeBase64(articleId),
-                    () => this.extractFromEncodedString(articleId)
-                ];
-
-                for (const method of decodingMethods) {
-                    try {
-                        const decoded = method();
-                        if (decoded && decoded !== googleNewsUrl && !decoded.includes('google.com')) {
-                            log.info(`Decoded URL: ${decoded}`);
-                            return decoded;
-                        }
-                    } catch (error) {
-                        // Continue to next method
-                    }
-                }
-            }
-
-            return googleNewsUrl;
-
-        } catch (error) {
-            log.debug('URL parameter extraction failed:', error.message);
-            return googleNewsUrl;
-        }
-    }
-
-    /**
-     * Extract URL from base64 pattern in article ID
-     * @param {string} articleId - Article ID
-     * @returns {string|null} Extracted URL
-     */
-    extractFromBase64Pattern(articleId) {
-        try {
-            // Try standard base64 decoding
-            const decoded = Buffer.from(articleId, 'base64').toString('utf-8');
-            const urlMatch = decoded.match(/https?:\/\/[^\s"'<>]+/);
-            return urlMatch ? urlMatch[0] : null;
-        } catch (error) {
-            return null;
-        }
-    }
-
     /**
      * Extract URL from URL parameters
      * @param {string} googleNewsUrl - Google News URL
@@ -882,192 +1048,56 @@ export class GoogleNewsResolver {
     }
 
     /**
-     * Decode base64 string
-     * @param {string} encoded - Encoded string
-     * @returns {string|null} Decoded URL
-     */
-    decodeBase64(encoded) {
-        try {
-            const decoded = Buffer.from(encoded, 'base64').toString('utf-8');
-            const urlMatch = decoded.match(/https?:\/\/[^\s"'<>\x00-\x1f]+/);
-            return urlMatch ? urlMatch[0] : null;
-        } catch (error) {
-            return null;
-        }
-    }
-
-    /**
-     * Decode URL-safe base64 string
-     * @param {string} encoded - Encoded string
-     * @returns {string|null} Decoded URL
-     */
-    decodeUrlSafeBase64(encoded) {
-        try {
-            const urlSafe = encoded.replace(/-/g, '+').replace(/_/g, '/');
-            const padded = urlSafe + '='.repeat((4 - urlSafe.length % 4) % 4);
-            const decoded = Buffer.from(padded, 'base64').toString('utf-8');
-            const urlMatch = decoded.match(/https?:\/\/[^\s"'<>\x00-\x1f]+/);
-            return urlMatch ? urlMatch[0] : null;
-        } catch (error) {
-            return null;
-        }
-    }
-
-    /**
-     * Extract URL from encoded string using patterns
-     * @param {string} encoded - Encoded string
-     * @returns {string|null} Extracted URL
-     */
-    extractFromEncodedString(encoded) {
-        try {
-            // Look for URL patterns in the encoded string
-            const patterns = [
-                /https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}[^\s"'<>]*/g,
-                /CBM[a-zA-Z0-9+\/=]*?(https?:\/\/[^\s"'<>]+)/g,
-                /AU_yqL[a-zA-Z0-9+\/=]*?(https?:\/\/[^\s"'<>]+)/g
-            ];
-
-            for (const pattern of patterns) {
-                const matches = encoded.match(pattern);
-                if (matches) {
-                    for (const match of matches) {
-                        if (match.startsWith('http') && !match.includes('google.com')) {
-                            return match;
-                        }
-                    }
-                }
-            }
-
-            return null;
-        } catch (error) {
-            return null;
-        }
-    }
-
-    /**
-     * Get cached URL with expiry check
+     * Get a cached resolution
      * @param {string} googleNewsUrl - Google News URL
-     * @returns {string|null} Cached URL or null if not found/expired
+     * @returns {string|null} Cached URL or null if not found/expired/unresolvable
      */
     getCachedUrl(googleNewsUrl) {
-        if (!this.cache.has(googleNewsUrl)) {
-            return null;
-        }
-
-        const cacheEntry = this.cache.get(googleNewsUrl);
-
-        // Check if cache entry has expired
-        if (cacheEntry.timestamp) {
-            const now = Date.now();
-            const expiryTime = cacheEntry.timestamp + (this.cacheExpiryHours * 60 * 60 * 1000);
-
-            if (now > expiryTime) {
-                log.debug(`Cache entry expired for: ${googleNewsUrl}`);
-                this.cache.delete(googleNewsUrl);
-                return null;
-            }
-        }
-
-        return cacheEntry.resolvedUrl || cacheEntry; // Handle both old and new cache formats
+        return this.cache.lookup(googleNewsUrl) || null;
     }
 
     /**
-     * Set cached URL with timestamp
+     * Cache a resolution
      * @param {string} googleNewsUrl - Google News URL
      * @param {string} resolvedUrl - Resolved URL
      */
     setCachedUrl(googleNewsUrl, resolvedUrl) {
-        // Enforce cache size limit
-        if (this.cache.size >= this.maxCacheSize) {
-            // Remove oldest entries (simple FIFO)
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
-            log.debug(`Cache size limit reached, removed oldest entry: ${oldestKey}`);
-        }
-
-        this.cache.set(googleNewsUrl, {
-            resolvedUrl: resolvedUrl,
-            timestamp: Date.now(),
-            requestCount: this.requestCount
-        });
+        this.cache.set(googleNewsUrl, resolvedUrl);
     }
 
     /**
-     * Load cache from disk
+     * Load the stored resolutions into the cache
      */
-    async loadCacheFromDisk() {
+    async loadCache() {
         try {
-            // Ensure cache directory exists
-            const cacheDir = path.dirname(this.cacheFile);
-            await fs.mkdir(cacheDir, { recursive: true });
-
-            const cacheData = await fs.readFile(this.cacheFile, 'utf8');
-            const parsedCache = JSON.parse(cacheData);
-
-            // Load cache entries
-            for (const [key, value] of Object.entries(parsedCache.entries || {})) {
-                this.cache.set(key, value);
+            const loaded = await this.cache.load();
+            if (loaded > 0) {
+                log.info(`Loaded ${loaded} cached URL resolutions (${this.cacheBackend})`);
             }
-
-            // Load statistics
-            if (parsedCache.stats) {
-                this.requestCount = parsedCache.stats.requestCount || 0;
-                this.successCount = parsedCache.stats.successCount || 0;
-            }
-
-            log.info(`Loaded ${this.cache.size} cached URL resolutions from disk`);
-
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                log.warning(`Failed to load cache from disk: ${error.message}`);
-            }
+            log.warning(`Failed to load resolver cache: ${error.message}`);
         }
     }
 
     /**
-     * Save cache to disk
+     * Write new resolutions to the cache store
      */
-    async saveCacheToDisk() {
-        if (!this.enablePersistence) {
-            return;
-        }
-
+    async saveCache() {
         try {
-            // Ensure cache directory exists
-            const cacheDir = path.dirname(this.cacheFile);
-            await fs.mkdir(cacheDir, { recursive: true });
-
-            const cacheData = {
-                version: '1.0',
-                timestamp: Date.now(),
-                stats: {
-                    requestCount: this.requestCount,
-                    successCount: this.successCount,
-                    cacheSize: this.cache.size
-                },
-                entries: Object.fromEntries(this.cache)
-            };
-
-            await fs.writeFile(this.cacheFile, JSON.stringify(cacheData, null, 2));
-            log.debug(`Saved ${this.cache.size} cached URL resolutions to disk`);
-
+            await this.cache.flush();
         } catch (error) {
-            log.warning(`Failed to save cache to disk: ${error.message}`);
+            log.warning(`Failed to save resolver cache: ${error.message}`);
         }
     }
 
     /**
-     * Clear the resolution cache
+     * Clear the resolution cache, stored entries included
+     * @returns {Promise<void>}
      */
     clearCache() {
-        this.cache.clear();
-
-        // Also remove cache file if persistence is enabled
-        if (this.enablePersistence) {
-            fs.unlink(this.cacheFile).catch(() => {
-                // Ignore errors if file doesn't exist
-            });
-        }
+        return this.cache.clear().catch(error => {
+            log.warning(`Failed to clear resolver cache: ${error.message}`);
+        });
     }
 
     /**
@@ -1075,31 +1105,24 @@ export class GoogleNewsResolver {
      * @returns {object} Cache stats
      */
     getCacheStats() {
-        const now = Date.now();
-        let expiredCount = 0;
-        let validCount = 0;
-
-        for (const [key, value] of this.cache.entries()) {
-            if (value.timestamp) {
-                const expiryTime = value.timestamp + (this.cacheExpiryHours * 60 * 60 * 1000);
-                if (now > expiryTime) {
-                    expiredCount++;
-                } else {
-                    validCount++;
-                }
-            } else {
-                validCount++; // Old format entries
-            }
-        }
+        const cacheStats = this.cache.getStats();
 
         return {
-            totalEntries: this.cache.size,
-            validEntries: validCount,
-            expiredEntries: expiredCount,
+            cacheBackend: cacheStats.backend,
+            totalEntries: cacheStats.entries,
+            validEntries: cacheStats.entries - cacheStats.expiredEntries,
+            expiredEntries: cacheStats.expiredEntries,
+            negativeEntries: cacheStats.negativeEntries,
+            cacheHits: cacheStats.hits + cacheStats.negativeHits,
+            cacheMisses: cacheStats.misses,
+            cacheEvictions: cacheStats.evictions,
             requestCount: this.requestCount,
             successCount: this.successCount,
             successRate: this.requestCount > 0 ? (this.successCount / this.requestCount * 100).toFixed(1) + '%' : '0%',
-            cacheHitRate: this.requestCount > 0 ? ((this.requestCount - this.successCount) / this.requestCount * 100).toFixed(1) + '%' : '0%'
+            cacheHitRate: (cacheStats.hitRate * 100).toFixed(1) + '%',
+            strategyOrder: orderStrategies(this.strategies, this.strategyStats).map(strategy => strategy.name),
+            strategies: this.getStrategyStats(),
+            articleIdFormats: { ...this.articleIdFormats }
         };
     }
 
@@ -1113,9 +1136,8 @@ export class GoogleNewsResolver {
         }
 
         // Save cache one final time
-        if (this.enablePersistence) {
-            await this.saveCacheToDisk();
-        }
+        await this.saveCache();
+        this.cache.close();
 
         log.info(`Google News Resolver cleanup completed. Final stats: ${JSON.stringify(this.getCacheStats())}`);
     }
@@ -0,0 +1,188 @@
+/**
+ * Incremental state for "only new since last run" mode
+ * Remembers, per query, which articles earlier runs already handled
+ */
+
+import { createHash } from 'crypto';
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+import { canonicalizeUrl } from './utils.js';
+
+/**
+ * Build the key-value store key for a query spec
+ * Store keys only allow a small character set, so the query and locale are hashed
+ * @param {object} spec - Query spec with query, region and language
+ * @returns {string} Store key
+ */
+export function getStateKey(spec) {
+    const hash = createHash('sha1').update(`${spec.query}|${spec.region}|${spec.language}`).digest('hex');
+    return `${CONFIG.STORAGE.INCREMENTAL_STATE_PREFIX}${hash.slice(0, 16)}`;
+}
+
+/**
+ * Drop entries older than the TTL and keep at most maxEntries of the newest
+ * @param {object} entries - Map-like object of id -> first seen timestamp (ms)
+ * @param {number} cutoff - Oldest timestamp to keep (0 = keep all)
+ * @param {number} maxEntries - Maximum entries to keep
+ * @returns {object} Pruned entries
+ */
+function pruneEntries(entries, cutoff, maxEntries) {
+    let kept = Object.entries(entries || {}).filter(([, seenAt]) => seenAt >= cutoff);
+
+    if (kept.length > maxEntries) {
+        kept = kept.sort((a, b) => b[1] - a[1]).slice(0, maxEntries);
+    }
+
+    return Object.fromEntries(kept);
+}
+
+/**
+ * Persistent seen-article state for a set of query specs
+ */
+export class IncrementalState {
+    /**
+     * @param {object} options - State options
+     * @param {number} options.ttlHours - Forget entries older than this (0 = never forget)
+     * @param {string} options.storeName - Named key-value store holding the state (defaults to CONFIG.INCREMENTAL.STORE_NAME)
+     */
+    constructor({ ttlHours = 0, storeName = null } = {}) {
+        this.ttlHours = ttlHours;
+        this.storeName = storeName || CONFIG.INCREMENTAL.STORE_NAME;
+        this.states = new Map(); // store key -> { key, spec, guids, urls, lastPubDate, newlySeen }
+    }
+
+    /**
+     * Load and prune the stored state for every query spec
+     * @param {Array<object>} querySpecs - Query specs from normalizeQuerySpecs
+     * @param {object} options - State options (see constructor)
+     * @returns {Promise<IncrementalState>} Loaded state
+     */
+    static async load(querySpecs, options = {}) {
+        const state = new IncrementalState(options);
+        const cutoff = state.ttlHours > 0 ? Date.now() - (state.ttlHours * 60 * 60 * 1000) : 0;
+        const maxEntries = CONFIG.INCREMENTAL.MAX_ENTRIES_PER_QUERY;
+
+        for (const spec of querySpecs) {
+            const key = getStateKey(spec);
+            const stored = await keyValueStore.getValue(key, {}, { storeName: state.storeName });
+
+            state.states.set(key, {
+                key,
+                spec: { query: spec.query, region: spec.region, language: spec.language },
+                guids: pruneEntries(stored.guids, cutoff, maxEntries),
+                urls: pruneEntries(stored.urls, cutoff, maxEntries),
+                lastPubDate: stored.lastPubDate || null,
+                newlySeen: 0,
+            });
+
+            const loaded = state.states.get(key);
+            log.info(`Incremental state for "${spec.query}" (${spec.region}, ${spec.language}): ${Object.keys(loaded.guids).length} known articles, last published ${loaded.lastPubDate || 'never'}`);
+        }
+
+        return state;
+    }
+
+    /**
+     * Get the states an article belongs to
+     * @param {object} spec - Query spec the article was fetched for (optional)
+     * @param {Array<object>} matchedQueries - Query specs the article matched (optional)
+     * @returns {Array<object>} The spec's state, else the states of the matched specs, else all states
+     */
+    getStates(spec = null, matchedQueries = []) {
+        if (spec) {
+            const state = this.states.get(getStateKey(spec));
+            return state ? [state] : [];
+        }
+        const matched = matchedQueries.map(match => this.states.get(getStateKey(match))).filter(Boolean);
+        return matched.length > 0 ? matched : [...this.states.values()];
+    }
+
+    /**
+     * Check whether an RSS item was handled by earlier runs of its own queries
+     * An item one query already handled is still new to a query that never saw it.
+     * @param {object} item - RSS item with guid, link and optional matchedQueries[]
+     * @param {object} spec - Query spec the item was fetched for (optional, see getStates)
+     * @returns {boolean} True if every query of the item has seen it
+     */
+    hasSeen(item, spec = null) {
+        const guid = item.guid || item.link;
+        const url = item.link ? canonicalizeUrl(item.link) : null;
+        const states = this.getStates(spec, item.matchedQueries || []);
+
+        return states.length > 0 && states.every(state => (guid && state.guids[guid]) || (url && state.urls[url]));
+    }
+
+    /**
+     * Check whether a resolved article URL was saved by earlier runs of the article's queries
+     * Catches the same story arriving under a different Google News GUID
+     * @param {string} url - Publisher URL
+     * @param {Array<object>} matchedQueries - Query specs the article matched (all queries when empty)
+     * @returns {boolean} True if every query of the article has seen it
+     */
+    hasSeenUrl(url, matchedQueries = []) {
+        const canonical = canonicalizeUrl(url);
+        const states = this.getStates(null, matchedQueries);
+
+        return states.length > 0 && states.every(state => state.urls[canonical]);
+    }
+
+    /**
+     * Remember an article for the queries it matched
+     * @param {object} article - Article identity
+     * @param {string} article.guid - RSS GUID
+     * @param {string} article.url - Publisher URL (optional)
+     * @param {string} article.pubDate - Publication date (optional)
+     * @param {Array<object>} article.matchedQueries - Query specs the article matched (all queries when empty)
+     */
+    markSeen({ guid = null, url = null, pubDate = null, matchedQueries = [] }) {
+        const now = Date.now();
+        const states = this.getStates(null, matchedQueries);
+        const published = pubDate ? new Date(pubDate) : null;
+        const canonical = url ? canonicalizeUrl(url) : null;
+
+        for (const state of states) {
+            if (guid && !state.guids[guid]) {
+                state.guids[guid] = now;
+                state.newlySeen++;
+            }
+            if (canonical && !state.urls[canonical]) {
+                state.urls[canonical] = now;
+            }
+            if (published && !isNaN(published) && (!state.lastPubDate || published > new Date(state.lastPubDate))) {
+                state.lastPubDate = published.toISOString();
+            }
+        }
+    }
+
+    /**
+     * Persist the state of every query
+     */
+    async save() {
+        for (const state of this.states.values()) {
+            await keyValueStore.setValue(state.key, {
+                ...state.spec,
+                guids: state.guids,
+                urls: state.urls,
+                lastPubDate: state.lastPubDate,
+                updatedAt: new Date().toISOString(),
+            }, { storeName: this.storeName });
+        }
+        log.info(`Incremental state saved for ${this.states.size} quer${this.states.size === 1 ? 'y' : 'ies'} in store "${this.storeName}"`);
+    }
+
+    /**
+     * Get per-query state statistics
+     * @returns {Array<object>} { query, region, language, known, newlySeen, lastPubDate } per query
+     */
+    getStats() {
+        return [...this.states.values()].map(state => ({
+            ...state.spec,
+            known: Object.keys(state.guids).length,
+            newlySeen: state.newlySeen,
+            lastPubDate: state.lastPubDate,
+        }));
+    }
+}
+
+export default IncrementalState;
@@ -0,0 +1,184 @@
+/**
+ * Google News Scraper - Library entry point
+ *
+ * Runs the scraping pipeline inside another Node.js process, without the
+ * Actor runtime or dataset storage:
+ *
+ *     const stream = scrapeGoogleNews({ query: 'Tesla', maxItems: 10 });
+ *     stream.on('skip', ({ reason, url }) => console.log('skipped', reason, url));
+ *     for await (const article of stream) { ... }
+ */
+
+import { EventEmitter } from 'events';
+import { ProxyConfiguration } from 'crawlee';
+import { runWithOwnConfig } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+import { CallbackSink } from './output-sinks.js';
+import { hasQuery, applyRuntimeOptions, scrape } from './scraper.js';
+import { normalizeQuerySpecs } from './utils.js';
+import { normalizeExtraFeeds } from './extra-feeds.js';
+import { normalizeTimelineBucket } from './timeline.js';
+
+// Custom Google News resolution strategies, registered before scrapeGoogleNews is called
+export { registerResolverStrategy } from './resolver-strategies.js';
+
+/**
+ * Async iterable of finished article records that also emits progress events
+ *
+ * Events:
+ * - 'article' (record) - an article was saved
+ * - 'skip' ({ reason, url, title, query }) - an article was not saved
+ * - 'progress' ({ processed, saved, failed }) - crawl counters changed
+ * - 'done' (summary) - the run finished
+ * - 'error' (error) - the run failed (only emitted when someone listens)
+ */
+export class ArticleStream extends EventEmitter {
+    constructor() {
+        super();
+        this.buffer = [];
+        this.waiters = [];
+        this.finished = false;
+        this.failure = null;
+        this.closed = false;
+        this.controller = new AbortController();
+
+        // Resolves with the run summary; the no-op catch keeps unobserved failures from crashing the host
+        this.result = new Promise((resolve, reject) => {
+            this.resolveResult = resolve;
+            this.rejectResult = reject;
+        });
+        this.result.catch(() => {});
+    }
+
+    /**
+     * Add a finished article
+     * @param {object} record - Article record
+     */
+    push(record) {
+        this.emit('article', record);
+        if (!this.closed) {
+            this.buffer.push(record);
+            this.notify();
+        }
+    }
+
+    /**
+     * Mark the run as finished
+     * @param {object} summary - Run summary
+     */
+    end(summary) {
+        this.finished = true;
+        this.emit('done', summary);
+        this.resolveResult(summary);
+        this.notify();
+    }
+
+    /**
+     * Mark the run as failed
+     * @param {Error} error - Failure
+     */
+    fail(error) {
+        this.finished = true;
+        this.failure = error;
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.rejectResult(error);
+        this.notify();
+    }
+
+    /**
+     * Stop the run: article crawling ends and the run finishes ('done') with the articles saved so far
+     */
+    abort() {
+        this.controller.abort();
+    }
+
+    /**
+     * Wake up a pending iterator
+     */
+    notify() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Iterate over articles as they are saved; throws if the run fails
+     * Breaking out of the loop (or throwing inside it) aborts the run
+     * @returns {AsyncGenerator<object>} Article records
+     */
+    async *[Symbol.asyncIterator]() {
+        try {
+            while (true) {
+                if (this.buffer.length > 0) {
+                    yield this.buffer.shift();
+                } else if (this.failure) {
+                    throw this.failure;
+                } else if (this.finished) {
+                    return;
+                } else {
+                    await new Promise(resolve => this.waiters.push(resolve));
+                }
+            }
+        } finally {
+            this.closed = true;
+            this.buffer = [];
+            if (!this.finished) {
+                this.abort();
+            }
+        }
+    }
+}
+
+/**
+ * Scrape Google News in-process
+ * @param {object} options - Same fields as the Actor input, plus:
+ * @param {Array<string>} options.proxyUrls - Proxy URLs for feed and article requests
+ * @param {object} options.proxyConfiguration - Crawlee ProxyConfiguration (overrides proxyUrls)
+ * @param {string} options.storage - 'memory' (default) keeps progress and reports in memory, 'apify' uses the key-value store
+ * @param {AbortSignal} options.signal - Aborts the run like stream.abort()
+ * @returns {ArticleStream} Async iterable of article records and event emitter
+ *
+ * Overlapping calls each get their own configuration, storage context and request queues, but share the
+ * process-wide services: costMonitor, monitoring and domainStats add up the outcomes of every call, and
+ * hostRateLimiter and circuitBreakerManager pace and pause Google News and publisher hosts for all calls together.
+ * Calls whose cost reports or statistics must stay apart must not overlap.
+ */
+export function scrapeGoogleNews(options = {}) {
+    const { proxyUrls = [], proxyConfiguration = null, storage = 'memory', signal = null, ...input } = options;
+
+    // Validate before returning so bad input fails at the call site, not inside the iterator
+    if (!hasQuery(input)) {
+        throw new Error('Options must contain a "query", "search", "mode" or "queries" field');
+    }
+    normalizeQuerySpecs(input);
+    normalizeExtraFeeds(input.extraFeeds);
+    normalizeTimelineBucket(input.timeline);
+    if (storage !== 'memory' && storage !== 'apify') {
+        throw new Error(`Unknown storage "${storage}" (supported: memory, apify)`);
+    }
+
+    const stream = new ArticleStream();
+    const proxy = proxyConfiguration || (proxyUrls.length > 0 ? new ProxyConfiguration({ proxyUrls }) : null);
+    const outputSink = new CallbackSink(record => stream.push(record));
+    if (signal?.aborted) {
+        stream.abort();
+    }
+    signal?.addEventListener('abort', () => stream.abort(), { once: true });
+
+    // Start on the next tick so callers can attach listeners first; each call keeps its state in its own store
+    setImmediate(() => keyValueStore.runIsolated(storage, () => runWithOwnConfig(async () => {
+        try {
+            await applyRuntimeOptions(input);
+            const summary = await scrape(input, { outputSink, googleProxy: proxy, articleProxy: proxy, events: stream, signal: stream.controller.signal });
+            stream.end(summary);
+        } catch (error) {
+            stream.fail(error);
+        }
+    })));
+
+    return stream;
+}
+
+export default scrapeGoogleNews;
@@ -0,0 +1,134 @@
+/**
+ * Key-value storage for progress, reports and state
+ * Uses the Apify key-value store by default; embedded (library) runs get a store of their own.
+ * State that must outlive a run (incremental state, caches) goes to a named store: the default
+ * store is fresh on every platform run and purged by `apify run`, named stores are kept.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { Actor } from 'apify';
+
+/**
+ * Key-value store facade with an Apify backend and an in-memory backend
+ * Code running inside runIsolated() sees that run's backend and memory; everything else shares the defaults.
+ */
+export class KeyValueStore {
+    constructor() {
+        this.defaults = { backend: 'apify', memory: new Map() };
+        this.scope = new AsyncLocalStorage();
+        // Named stores of the memory backend, shared by every run like named stores on the platform
+        this.namedMemory = new Map();
+    }
+
+    /**
+     * Get the storage of the current run
+     * @returns {object} { backend, memory }
+     */
+    get current() {
+        return this.scope.getStore() || this.defaults;
+    }
+
+    /**
+     * @returns {string} 'apify' or 'memory'
+     */
+    get backend() {
+        return this.current.backend;
+    }
+
+    /**
+     * @returns {Map} Values of the memory backend
+     */
+    get memory() {
+        return this.current.memory;
+    }
+
+    /**
+     * Keep values in process memory instead of Apify storage
+     */
+    useMemory() {
+        this.current.backend = 'memory';
+    }
+
+    /**
+     * Store values in the Apify key-value store (local ./storage when off the platform)
+     */
+    useApify() {
+        this.current.backend = 'apify';
+    }
+
+    /**
+     * Run a function with storage of its own
+     * Every call made from it, including timers and callbacks it schedules, uses this backend and
+     * a fresh memory map, so concurrent runs don't overwrite each other's checkpoints or state.
+     * @param {string} backend - 'apify' or 'memory'
+     * @param {Function} fn - Function to run
+     * @returns {any} What fn returns
+     */
+    runIsolated(backend, fn) {
+        return this.scope.run({ backend, memory: new Map() }, fn);
+    }
+
+    /**
+     * Get the memory map of a store
+     * @param {string|null} storeName - Named store, or null for the run's default store
+     * @returns {Map} Values
+     */
+    getMemoryStore(storeName) {
+        if (!storeName) {
+            return this.memory;
+        }
+        if (!this.namedMemory.has(storeName)) {
+            this.namedMemory.set(storeName, new Map());
+        }
+        return this.namedMemory.get(storeName);
+    }
+
+    /**
+     * Save a value
+     * @param {string} key - Record key
+     * @param {any} value - JSON-serializable value (null deletes the record), or a string with options.contentType
+     * @param {object} options - Record options, e.g. { contentType: 'text/csv' }, plus storeName for a named store
+     */
+    async setValue(key, value, { storeName = null, ...options } = {}) {
+        if (this.backend === 'memory') {
+            const memory = this.getMemoryStore(storeName);
+            if (value === null || value === undefined) {
+                memory.delete(key);
+            } else {
+                memory.set(key, value);
+            }
+            return;
+        }
+
+        if (storeName) {
+            const store = await Actor.openKeyValueStore(storeName);
+            await store.setValue(key, value, options);
+            return;
+        }
+        await Actor.setValue(key, value, options);
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Record key
+     * @param {any} defaultValue - Returned when the record does not exist
+     * @param {object} options - { storeName } to read from a named store
+     * @returns {Promise<any>} Stored value
+     */
+    async getValue(key, defaultValue = null, { storeName = null } = {}) {
+        if (this.backend === 'memory') {
+            const memory = this.getMemoryStore(storeName);
+            return memory.has(key) ? memory.get(key) : defaultValue;
+        }
+
+        const value = storeName
+            ? await (await Actor.openKeyValueStore(storeName)).getValue(key)
+            : await Actor.getValue(key);
+        return value ?? defaultValue;
+    }
+}
+
+// Create singleton instance for global use
+export const keyValueStore = new KeyValueStore();
+
+export default keyValueStore;
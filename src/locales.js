@@ -0,0 +1,184 @@
+/**
+ * Google News locales
+ * Maps the region/language pairs of the input schema to the editions Google News
+ * actually publishes, and builds the hl/gl/ceid triple every feed URL needs
+ */
+
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+
+// Language codes offered by the input schema
+export const LANGUAGES = [
+    'en-US', 'en-GB', 'en-CA', 'en-AU', 'de-DE', 'fr-FR', 'it-IT', 'es-ES', 'nl-NL', 'pt-PT', 'pt-BR',
+    'ru-RU', 'ja-JP', 'ko-KR', 'zh-CN', 'zh-TW', 'ar-SA', 'hi-IN', 'tr-TR', 'pl-PL', 'cs-CZ', 'hu-HU',
+    'ro-RO', 'bg-BG', 'hr-HR', 'sl-SI', 'sk-SK', 'et-EE', 'lv-LV', 'lt-LT', 'fi-FI', 'sv-SE', 'no-NO',
+    'da-DK', 'is-IS', 'el-GR', 'he-IL', 'th-TH', 'vi-VN', 'id-ID', 'ms-MY', 'tl-PH', 'uk-UA', 'be-BY',
+    'ka-GE', 'hy-AM', 'az-AZ', 'kk-KZ', 'ky-KG', 'tg-TJ', 'tk-TM', 'uz-UZ', 'mn-MN', 'fa-IR', 'ur-PK',
+    'bn-BD', 'ta-IN', 'te-IN', 'ml-IN', 'kn-IN', 'gu-IN', 'pa-IN', 'or-IN', 'as-IN', 'ne-NP', 'si-LK',
+    'my-MM', 'km-KH', 'lo-LA', 'am-ET', 'sw-KE', 'zu-ZA', 'af-ZA', 'xh-ZA', 'st-ZA', 'tn-ZA', 've-ZA',
+    'ts-ZA', 'ss-ZA', 'nr-ZA', 'nso-ZA', 'es-MX', 'es-AR', 'es-CO', 'es-VE', 'es-PE', 'es-EC', 'es-CL',
+    'es-UY', 'es-PY', 'es-BO', 'es-CR', 'es-PA', 'es-GT', 'es-HN', 'es-SV', 'es-NI', 'es-DO', 'es-CU',
+    'es-PR',
+];
+
+// Region codes offered by the input schema
+export const REGIONS = [
+    'US', 'GB', 'CA', 'AU', 'DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'CH', 'AT', 'SE', 'NO', 'DK', 'FI', 'PL',
+    'CZ', 'HU', 'RO', 'BG', 'HR', 'SI', 'SK', 'EE', 'LV', 'LT', 'IE', 'PT', 'GR', 'CY', 'MT', 'LU', 'IS',
+    'LI', 'AD', 'MC', 'SM', 'VA', 'JP', 'KR', 'CN', 'HK', 'TW', 'SG', 'MY', 'TH', 'VN', 'PH', 'ID', 'IN',
+    'PK', 'BD', 'LK', 'NP', 'BT', 'MV', 'AF', 'IR', 'IQ', 'SA', 'AE', 'QA', 'BH', 'KW', 'OM', 'YE', 'JO',
+    'LB', 'SY', 'IL', 'PS', 'TR', 'EG', 'LY', 'TN', 'DZ', 'MA', 'SD', 'ET', 'KE', 'UG', 'TZ', 'RW', 'BI',
+    'DJ', 'SO', 'ER', 'SS', 'CF', 'TD', 'CM', 'GQ', 'GA', 'CG', 'CD', 'AO', 'ZM', 'ZW', 'BW', 'NA', 'SZ',
+    'LS', 'ZA', 'MZ', 'MW', 'MG', 'MU', 'SC', 'KM', 'YT', 'RE', 'MX', 'GT', 'BZ', 'SV', 'HN', 'NI', 'CR',
+    'PA', 'CU', 'JM', 'HT', 'DO', 'PR', 'VI', 'AG', 'DM', 'LC', 'VC', 'GD', 'BB', 'TT', 'GY', 'SR', 'FK',
+    'BR', 'AR', 'UY', 'PY', 'BO', 'PE', 'EC', 'CO', 'VE', 'GF', 'RU', 'UA', 'BY', 'MD', 'GE', 'AM', 'AZ',
+    'KZ', 'KG', 'TJ', 'TM', 'UZ', 'MN',
+];
+
+// Google News editions as [gl, hl, ceid language], each language's home edition first.
+// Spanish-speaking Americas share the es-419 edition, Brazil is pt-419 and Portugal pt-150.
+export const GOOGLE_NEWS_EDITIONS = [
+    ['US', 'en-US', 'en'], ['GB', 'en-GB', 'en'], ['CA', 'en-CA', 'en'], ['AU', 'en-AU', 'en'],
+    ['IN', 'en-IN', 'en'], ['IE', 'en-IE', 'en'], ['NZ', 'en-NZ', 'en'], ['ZA', 'en-ZA', 'en'],
+    ['SG', 'en-SG', 'en'], ['MY', 'en-MY', 'en'], ['PH', 'en-PH', 'en'], ['PK', 'en-PK', 'en'],
+    ['IL', 'en-IL', 'en'], ['KE', 'en-KE', 'en'], ['NG', 'en-NG', 'en'], ['GH', 'en-GH', 'en'],
+    ['UG', 'en-UG', 'en'], ['TZ', 'en-TZ', 'en'], ['ZW', 'en-ZW', 'en'], ['BW', 'en-BW', 'en'],
+    ['NA', 'en-NA', 'en'], ['ET', 'en-ET', 'en'],
+    ['ES', 'es', 'es'], ['MX', 'es-419', 'es-419'], ['US', 'es-419', 'es-419'], ['AR', 'es-419', 'es-419'],
+    ['CO', 'es-419', 'es-419'], ['CL', 'es-419', 'es-419'], ['PE', 'es-419', 'es-419'], ['VE', 'es-419', 'es-419'],
+    ['CU', 'es-419', 'es-419'],
+    ['BR', 'pt-BR', 'pt-419'], ['PT', 'pt-PT', 'pt-150'],
+    ['FR', 'fr', 'fr'], ['CA', 'fr-CA', 'fr'], ['BE', 'fr', 'fr'], ['CH', 'fr', 'fr'], ['MA', 'fr', 'fr'],
+    ['SN', 'fr', 'fr'],
+    ['DE', 'de', 'de'], ['AT', 'de', 'de'], ['CH', 'de', 'de'],
+    ['IT', 'it', 'it'],
+    ['NL', 'nl', 'nl'], ['BE', 'nl', 'nl'],
+    ['RU', 'ru', 'ru'], ['UA', 'ru', 'ru'],
+    ['UA', 'uk', 'uk'],
+    ['JP', 'ja', 'ja'],
+    ['KR', 'ko', 'ko'],
+    ['CN', 'zh-CN', 'zh-Hans'], ['TW', 'zh-TW', 'zh-Hant'], ['HK', 'zh-HK', 'zh-Hant'],
+    ['SA', 'ar', 'ar'], ['AE', 'ar', 'ar'], ['EG', 'ar', 'ar'], ['LB', 'ar', 'ar'],
+    ['IL', 'iw', 'he'],
+    ['IN', 'hi', 'hi'], ['IN', 'mr', 'mr'], ['IN', 'ta', 'ta'], ['IN', 'te', 'te'], ['IN', 'ml', 'ml'],
+    ['BD', 'bn', 'bn'], ['IN', 'bn', 'bn'],
+    ['TR', 'tr', 'tr'], ['PL', 'pl', 'pl'], ['CZ', 'cs', 'cs'], ['HU', 'hu', 'hu'], ['RO', 'ro', 'ro'],
+    ['BG', 'bg', 'bg'], ['SK', 'sk', 'sk'], ['SI', 'sl', 'sl'], ['LV', 'lv', 'lv'], ['LT', 'lt', 'lt'],
+    ['RS', 'sr', 'sr'], ['GR', 'el', 'el'], ['SE', 'sv', 'sv'], ['NO', 'no', 'no'],
+    ['TH', 'th', 'th'], ['VN', 'vi', 'vi'], ['ID', 'id', 'id'], ['MY', 'ms-MY', 'ms'],
+].map(([gl, hl, ceidLanguage]) => ({ gl, hl, ceid: `${gl}:${ceidLanguage}`, language: ceidLanguage.split('-')[0] }));
+
+// Legacy and alternative codes for the same language
+const LANGUAGE_ALIASES = { iw: 'he', in: 'id', nb: 'no', nn: 'no' };
+
+// Pairs that were already reported as unsupported
+const warnedPairs = new Set();
+
+/**
+ * Split a language code into its base language and region subtag
+ * @param {string} language - Language code (e.g. 'pt-BR', 'iw', 'es-419')
+ * @returns {{base: string, subtag: string|null}} Lowercase base (aliases resolved) and uppercase subtag
+ */
+function parseLanguage(language) {
+    const [base = '', subtag = null] = String(language || '').split('-');
+    const lower = base.toLowerCase();
+    return { base: LANGUAGE_ALIASES[lower] || lower, subtag: subtag ? subtag.toUpperCase() : null };
+}
+
+/**
+ * Find the Google News edition for a region/language pair
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {{edition: object, supported: boolean}} Edition to use and whether the pair itself exists
+ */
+function findEdition(language, region) {
+    const { base, subtag } = parseLanguage(language);
+    const gl = String(region || '').toUpperCase();
+    const inLanguage = GOOGLE_NEWS_EDITIONS.filter(edition => edition.language === base);
+
+    const exact = inLanguage.filter(edition => edition.gl === gl);
+    if (exact.length > 0) {
+        return { edition: exact.find(edition => edition.hl === language) || exact[0], supported: true };
+    }
+
+    // Keep the language, preferring the edition of its own region subtag
+    const fallback = inLanguage.find(edition => edition.gl === subtag)
+        || inLanguage[0]
+        || GOOGLE_NEWS_EDITIONS.find(edition => edition.gl === gl)
+        || findEdition(CONFIG.RSS.DEFAULT_LANGUAGE, CONFIG.RSS.DEFAULT_REGION).edition;
+    return { edition: fallback, supported: false };
+}
+
+/**
+ * Resolve a region/language pair to a valid hl/gl/ceid triple
+ * Unsupported pairs fall back to the closest edition (same language first) with a warning.
+ * hl keeps the requested code when it names the same locale, since Google accepts both forms.
+ * @param {string} language - Language code (e.g. 'en-US')
+ * @param {string} region - Region code (e.g. 'US')
+ * @returns {{hl: string, gl: string, ceid: string, supported: boolean}} Locale parameters
+ */
+export function resolveLocale(language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    const { edition, supported } = findEdition(language, region);
+    const requested = parseLanguage(language);
+    const sameLocale = supported
+        && String(language).split('-')[0].toLowerCase() === edition.hl.split('-')[0]
+        && (!requested.subtag || requested.subtag === edition.gl || language === edition.hl);
+
+    if (!supported && !warnedPairs.has(`${language}|${region}`)) {
+        warnedPairs.add(`${language}|${region}`);
+        log.warning(`Google News has no ${language} edition for region ${region}, using ${edition.hl} (${edition.ceid}) instead`);
+    }
+
+    return { hl: sameLocale ? language : edition.hl, gl: edition.gl, ceid: edition.ceid, supported };
+}
+
+/**
+ * Check whether Google News publishes an edition for a region/language pair
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {boolean} True when the pair maps to an edition without falling back
+ */
+export function isSupportedLocale(language, region) {
+    return findEdition(language, region).supported;
+}
+
+/**
+ * Build the locale query string shared by every Google News feed
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @returns {string} hl/gl/ceid query string
+ */
+export function buildLocaleParams(language = CONFIG.RSS.DEFAULT_LANGUAGE, region = CONFIG.RSS.DEFAULT_REGION) {
+    const { hl, gl, ceid } = resolveLocale(language, region);
+    return new URLSearchParams({ hl, gl, ceid }).toString();
+}
+
+/**
+ * Get other editions in the same language for fanning a query out
+ * Editions of the same variant (e.g. other es-419 countries) come before the rest of the language
+ * @param {string} language - Language code
+ * @param {string} region - Region code
+ * @param {number} limit - Maximum siblings to return
+ * @returns {Array<{hl: string, gl: string, ceid: string}>} Sibling locales, excluding the pair itself
+ */
+export function getSiblingLocales(language, region, limit = 3) {
+    const { gl, ceid } = resolveLocale(language, region);
+    const variant = ceid.split(':')[1];
+    const { base } = parseLanguage(variant);
+
+    const siblings = GOOGLE_NEWS_EDITIONS
+        .filter(edition => edition.language === base && edition.gl !== gl)
+        .sort((a, b) => Number(b.ceid.endsWith(`:${variant}`)) - Number(a.ceid.endsWith(`:${variant}`)));
+
+    return siblings.slice(0, limit).map(({ hl, gl: siblingGl, ceid: siblingCeid }) => ({ hl, gl: siblingGl, ceid: siblingCeid }));
+}
+
+export default {
+    LANGUAGES,
+    REGIONS,
+    GOOGLE_NEWS_EDITIONS,
+    resolveLocale,
+    isSupportedLocale,
+    buildLocaleParams,
+    getSiblingLocales,
+};
@@ -8,11 +8,11 @@
 import { Actor } from 'apify';
 import { log } from 'crawlee';
 import { CONFIG } from './config.js';
-import { RssFetcher } from './rss-fetcher.js';
-import { ArticleCrawler } from './article-crawler.js';
 import { errorHandling } from './error-handling.js';
 import { monitoring } from './monitoring.js';
 import { costMonitor } from './cost-monitor.js';
+import { DatasetSink } from './output-sinks.js';
+import { hasQuery, applyRuntimeOptions, scrape } from './scraper.js';
 
 /**
  * Get and validate input
@@ -21,7 +21,7 @@ import { costMonitor } from './cost-monitor.js';
 async function getInput() {
     let input = await Actor.getInput();
 
-    if (!input || !input.query) {
+    if (!hasQuery(input)) {
         // Fallback to reading INPUT.json for local testing
         try {
             const fs = await import('fs');
@@ -29,13 +29,13 @@ async function getInput() {
             input = JSON.parse(inputJson);
             log.info('Using INPUT.json for local testing');
         } catch (error) {
-            throw new Error('Input must contain a "query" field. Please provide input via Actor input or create INPUT.json file.');
+            throw new Error('Input must contain a "query", "search", "mode" or "queries" field. Please provide input via Actor input or create INPUT.json file.');
         }
     }
 
     // Final validation
-    if (!input || !input.query) {
-        throw new Error('Input must contain a "query" field');
+    if (!hasQuery(input)) {
+        throw new Error('Input must contain a "query", "search", "mode" or "queries" field');
     }
 
     return input;
@@ -48,92 +48,20 @@ async function main() {
     // Get and validate input
     const input = await getInput();
 
-    // Extract parameters with defaults
-    const {
-        query,
-        region = CONFIG.RSS.DEFAULT_REGION,
-        language = CONFIG.RSS.DEFAULT_LANGUAGE,
-        maxItems = 0,
-        dateFrom = null,
-        dateTo = null,
-        useBrowser = CONFIG.COST_OPTIMIZATION?.USE_BROWSER_BY_DEFAULT ?? false,
-        lightweightMode = false,
-        costOptimized = false,
-        disableProxies = false,
-    } = input;
-
-    // Apply cost optimization settings (also allow via ENV for CLI schema compatibility)
-    const FORCE_COST_OPT = process.env.COST_OPTIMIZED === 'true';
-    const FORCE_LIGHTWEIGHT = process.env.LIGHTWEIGHT_MODE === 'true';
-    if (lightweightMode || costOptimized || FORCE_COST_OPT || FORCE_LIGHTWEIGHT) {
-        log.info('🚀 Running in cost-optimized mode');
-        CONFIG.CRAWLER.MAX_CONCURRENCY = 1;
-        CONFIG.PROXY.RESIDENTIAL_ENABLED = false;
-        CONFIG.IMAGE.SKIP_VALIDATION = true;
-    }
+    // The log level comes from the effective configuration, so a profile or input can change it
+    await applyRuntimeOptions(input, { applyLogLevel: true });
+    const { region = CONFIG.RSS.DEFAULT_REGION, disableProxies = false } = input;
 
-    // Optional: disable proxies entirely for local testing
-    if (disableProxies || process.env.DISABLE_PROXIES === 'true') {
-        log.warning('🧪 Local testing: proxies are disabled');
-        CONFIG.PROXY.RESIDENTIAL_ENABLED = false;
+    if (input.watch) {
+        log.info('👀 Watch mode: polling feeds until the run is aborted');
     }
 
-    log.info('Google News Scraper starting', {
-        query, region, language, maxItems, dateFrom, dateTo, useBrowser,
-    });
-
     // Configure proxies (skip if disabled)
     const googleProxy = disableProxies ? null : await createProxyConfiguration(['GOOGLE_SERP'], region);
     const proxyGroups = CONFIG.PROXY.RESIDENTIAL_ENABLED ? ['RESIDENTIAL'] : ['DATACENTER'];
     const articleProxy = disableProxies ? null : await createProxyConfiguration(proxyGroups, region);
 
-    // Stage A: RSS Feed Processing with Smart Batching
-    log.info('=== Stage A: RSS Feed Processing ===');
-    const rssFetcher = new RssFetcher(googleProxy);
-
-    // Stage B: Article Crawling with Quality-Based Continuation
-    log.info('=== Stage B: Article Crawling with Smart maxItems Handling ===');
-    const articleCrawler = new ArticleCrawler(articleProxy, useBrowser);
-
-    // If explicit testUrls provided, bypass RSS and crawl them directly (cost-optimized testing)
-    if (Array.isArray(input.testUrls) && input.testUrls.length > 0) {
-        log.info(`Test mode: crawling ${input.testUrls.length} direct URLs`);
-        const rssItems = input.testUrls.map((u, i) => ({
-            title: `Test URL ${i+1}`,
-            link: u,
-            pubDate: new Date().toISOString(),
-            source: new URL(u).hostname,
-            description: '',
-            guid: u,
-        }));
-        await articleCrawler.crawlArticles(rssItems, query, maxItems || rssItems.length);
-        // Prepare final stats consistent with normal flow
-        return;
-    }
-
-    // Implement smart maxItems handling - continue until we get enough quality articles
-    const crawlResults = await articleCrawler.crawlWithQualityTarget({
-        rssFetcher,
-        query,
-        region,
-        language,
-        maxItems,
-        dateFrom,
-        dateTo
-    });
-
-    // Final statistics
-    const failedUrls = articleCrawler.getFailedUrls();
-    const totalProcessed = crawlResults?.totalProcessed || 0;
-    const articlesSaved = crawlResults?.saved || 0;
-    const successRate = totalProcessed > 0 ? (((totalProcessed - failedUrls.length) / totalProcessed) * 100).toFixed(1) : '0.0';
-
-    log.info('Scraping completed', {
-        totalArticlesProcessed: totalProcessed,
-        articlesSaved: articlesSaved,
-        failedArticles: failedUrls.length,
-        successRate: `${successRate}%`,
-    });
+    await scrape(input, { outputSink: new DatasetSink(), googleProxy, articleProxy });
 
     // Cost monitoring
     costMonitor.logCostSummary();
@@ -169,7 +97,6 @@ async function createProxyConfiguration(groups, countryCode) {
 // Initialize and run
 async function run() {
     await Actor.init();
-    log.setLevel(log.LEVELS[CONFIG.LOGGING.LEVEL]);
 
     try {
         await main();
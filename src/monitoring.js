@@ -3,8 +3,8 @@
  */
 
 import { log } from 'crawlee';
-import { Actor } from 'apify';
 import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
 
 export class MonitoringSystem {
     constructor() {
@@ -68,20 +68,21 @@ export class MonitoringSystem {
      * Start monitoring intervals
      */
     startMonitoring() {
+        // Intervals are unref'd so they never keep an embedding process alive on their own
         // Performance monitoring
         setInterval(() => {
             this.collectSystemMetrics();
-        }, 30000); // Every 30 seconds
+        }, 30000).unref(); // Every 30 seconds
 
         // Health checks
         setInterval(() => {
             this.runHealthChecks();
-        }, 60000); // Every minute
+        }, 60000).unref(); // Every minute
 
         // Periodic reporting
         setInterval(() => {
             this.generateReport();
-        }, CONFIG.LOGGING.STATISTICS_INTERVAL * 1000);
+        }, CONFIG.LOGGING.STATISTICS_INTERVAL * 1000).unref();
     }
 
     /**
@@ -341,7 +342,7 @@ export class MonitoringSystem {
         
         // Save report to Apify storage
         try {
-            await Actor.setValue('MONITORING_REPORT', report);
+            await keyValueStore.setValue('MONITORING_REPORT', report);
         } catch (error) {
             log.debug('Failed to save monitoring report:', error.message);
         }
@@ -0,0 +1,254 @@
+/**
+ * Output sinks for scraped records
+ * The Actor writes to the Apify Dataset; the CLI writes JSON, NDJSON or CSV files
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Dataset } from 'apify';
+
+/**
+ * Sink that pushes records to the default Apify Dataset
+ */
+export class DatasetSink {
+    constructor() {
+        this.count = 0;
+    }
+
+    /**
+     * Save a record
+     * @param {object} record - Scraped record
+     */
+    async write(record) {
+        await Dataset.pushData(record);
+        this.count++;
+    }
+
+    /**
+     * Flush pending records (Dataset writes are immediate)
+     */
+    async close() {}
+}
+
+/**
+ * Sink that appends one JSON document per line, so partial runs still leave usable output
+ */
+export class NdjsonFileSink {
+    /**
+     * @param {string} filePath - Output file path
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.count = 0;
+        this.handle = null;
+    }
+
+    /**
+     * Save a record
+     * @param {object} record - Scraped record
+     */
+    async write(record) {
+        if (!this.handle) {
+            await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+            this.handle = await fs.open(this.filePath, 'w');
+        }
+        await this.handle.write(`${JSON.stringify(record)}\n`);
+        this.count++;
+    }
+
+    /**
+     * Close the output file, creating it empty if nothing was written
+     */
+    async close() {
+        if (!this.handle) {
+            await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+            await fs.writeFile(this.filePath, '');
+            return;
+        }
+        await this.handle.close();
+        this.handle = null;
+    }
+}
+
+/**
+ * Sink that writes all records as one JSON array when closed
+ */
+export class JsonFileSink {
+    /**
+     * @param {string} filePath - Output file path
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = [];
+    }
+
+    get count() {
+        return this.records.length;
+    }
+
+    /**
+     * Save a record
+     * @param {object} record - Scraped record
+     */
+    async write(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Write the collected records to disk
+     */
+    async close() {
+        await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        await fs.writeFile(this.filePath, `${JSON.stringify(this.records, null, 2)}\n`);
+    }
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break (RFC 4180)
+ * @param {string} text - Cell text
+ * @returns {string} CSV cell
+ */
+function csvCell(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records as CSV, one column per field in order of first appearance
+ * Arrays of plain values are joined with "; ", other nested values are written as JSON.
+ * @param {Array<object>} records - Records
+ * @param {object} formatters - Field name -> (value) => string, for fields that need a friendlier layout
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(records, formatters = {}) {
+    const columns = [];
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        }
+    }
+
+    const format = (key, value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (formatters[key]) {
+            return String(formatters[key](value) ?? '');
+        }
+        if (Array.isArray(value) && value.every(entry => entry === null || typeof entry !== 'object')) {
+            return value.join('; ');
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+
+    const lines = [columns.map(csvCell).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(key => csvCell(format(key, record[key]))).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Sink that writes all records as one CSV file when closed
+ */
+export class CsvFileSink {
+    /**
+     * @param {string} filePath - Output file path
+     * @param {object} formatters - Field name -> (value) => string (see toCsv)
+     */
+    constructor(filePath, formatters = {}) {
+        this.filePath = filePath;
+        this.formatters = formatters;
+        this.records = [];
+    }
+
+    get count() {
+        return this.records.length;
+    }
+
+    /**
+     * Save a record
+     * @param {object} record - Scraped record
+     */
+    async write(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Write the collected records to disk
+     */
+    async close() {
+        await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        await fs.writeFile(this.filePath, toCsv(this.records, this.formatters));
+    }
+}
+
+/**
+ * Sink that hands every record to a callback, for in-process consumers
+ */
+export class CallbackSink {
+    /**
+     * @param {Function} onRecord - Called with each record; may return a promise
+     */
+    constructor(onRecord) {
+        this.onRecord = onRecord;
+        this.count = 0;
+    }
+
+    /**
+     * Save a record
+     * @param {object} record - Scraped record
+     */
+    async write(record) {
+        await this.onRecord(record);
+        this.count++;
+    }
+
+    /**
+     * Nothing to flush
+     */
+    async close() {}
+}
+
+/**
+ * Create an output sink
+ * @param {object} options - Sink options
+ * @param {string} options.output - Output file path (omit for the Apify Dataset)
+ * @param {string} options.format - 'json', 'ndjson' or 'csv' (defaults from the file extension)
+ * @param {object} options.csvFormatters - Field formatters for CSV output (see toCsv)
+ * @returns {object} Output sink with write(record) and close()
+ */
+export function createOutputSink({ output = null, format = null, csvFormatters = {} } = {}) {
+    if (!output) {
+        return new DatasetSink();
+    }
+
+    let resolvedFormat = format || 'json';
+    if (!format && /\.(ndjson|jsonl)$/i.test(output)) {
+        resolvedFormat = 'ndjson';
+    } else if (!format && /\.csv$/i.test(output)) {
+        resolvedFormat = 'csv';
+    }
+
+    switch (resolvedFormat) {
+        case 'ndjson':
+            return new NdjsonFileSink(output);
+        case 'json':
+            return new JsonFileSink(output);
+        case 'csv':
+            return new CsvFileSink(output, csvFormatters);
+        default:
+            throw new Error(`Unknown output format "${resolvedFormat}" (supported: json, ndjson, csv)`);
+    }
+}
+
+export default {
+    DatasetSink,
+    NdjsonFileSink,
+    JsonFileSink,
+    CsvFileSink,
+    CallbackSink,
+    toCsv,
+    createOutputSink,
+};
@@ -0,0 +1,207 @@
+/**
+ * Query builder for Google News search
+ * Compiles structured search input into a Google News query string using search operators
+ */
+
+// Relative windows supported by the `when:` operator (hours, days, months, years)
+const WHEN_PATTERN = /^[1-9]\d*[hdmy]$/;
+
+// Bare hostnames only - `site:` does not accept schemes or paths
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// Google starts ignoring terms past this length, so longer queries silently lose operators
+const MAX_QUERY_LENGTH = 500;
+
+const SEARCH_FIELDS = [
+    'allWords',
+    'exactPhrase',
+    'anyWords',
+    'excludeWords',
+    'sites',
+    'excludeSites',
+    'inTitle',
+    'when',
+];
+
+/**
+ * Normalize a string or array field into a list of trimmed, non-empty terms
+ * @param {string|Array<string>} value - Field value
+ * @param {boolean} splitWords - Split a plain string on whitespace
+ * @returns {Array<string>} Terms
+ */
+function toTerms(value, splitWords = false) {
+    if (value === undefined || value === null) return [];
+
+    const list = Array.isArray(value) ? value : [value];
+    const terms = [];
+
+    for (const entry of list) {
+        if (typeof entry !== 'string') continue;
+        const trimmed = entry.trim();
+        if (!trimmed) continue;
+
+        if (splitWords && !Array.isArray(value)) {
+            terms.push(...trimmed.split(/\s+/));
+        } else {
+            terms.push(trimmed);
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Quote a term if it contains whitespace, dropping quotes the user typed themselves
+ * @param {string} term - Search term
+ * @returns {string} Term usable inside an operator expression
+ */
+function quoteTerm(term) {
+    const cleaned = term.replace(/"/g, '').trim();
+    return /\s/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Strip scheme, path and leading "www." from a site entry
+ * @param {string} site - Site entry as typed by the user
+ * @returns {string} Bare hostname
+ */
+function normalizeSite(site) {
+    return site
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/\/.*$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Validate structured search input
+ * @param {object} search - Structured search input
+ * @param {object} context - Other inputs that interact with the search (dateFrom, dateTo)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateSearchQuery(search, context = {}) {
+    const errors = [];
+
+    if (!search || typeof search !== 'object' || Array.isArray(search)) {
+        return ['"search" must be an object'];
+    }
+
+    const unknownFields = Object.keys(search).filter(key => !SEARCH_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown search fields: ${unknownFields.join(', ')} (supported: ${SEARCH_FIELDS.join(', ')})`);
+    }
+
+    for (const field of SEARCH_FIELDS.filter(key => key !== 'when')) {
+        const value = search[field];
+        if (value === undefined || value === null) continue;
+
+        const isStringList = Array.isArray(value) && value.every(entry => typeof entry === 'string');
+        if (typeof value !== 'string' && !isStringList) {
+            errors.push(`"${field}" must be a string or an array of strings`);
+        }
+    }
+
+    const positiveTerms = [
+        ...toTerms(search.allWords, true),
+        ...toTerms(search.exactPhrase),
+        ...toTerms(search.anyWords),
+        ...toTerms(search.inTitle),
+        ...toTerms(search.sites),
+    ];
+    if (positiveTerms.length === 0) {
+        errors.push('Search needs at least one of allWords, exactPhrase, anyWords, inTitle or sites - Google News returns nothing for exclusions alone');
+    }
+
+    for (const field of ['sites', 'excludeSites']) {
+        for (const site of toTerms(search[field])) {
+            if (!DOMAIN_PATTERN.test(normalizeSite(site))) {
+                errors.push(`"${site}" in ${field} is not a valid domain`);
+            }
+        }
+    }
+
+    const included = new Set(toTerms(search.sites).map(normalizeSite));
+    const conflictingSites = toTerms(search.excludeSites).map(normalizeSite).filter(site => included.has(site));
+    if (conflictingSites.length > 0) {
+        errors.push(`Sites both included and excluded: ${conflictingSites.join(', ')}`);
+    }
+
+    const wanted = new Set(toTerms(search.allWords, true).map(term => term.toLowerCase()));
+    const conflictingWords = toTerms(search.excludeWords, true).filter(term => wanted.has(term.toLowerCase()));
+    if (conflictingWords.length > 0) {
+        errors.push(`Words both required and excluded: ${conflictingWords.join(', ')}`);
+    }
+
+    if (search.when !== undefined && search.when !== null && search.when !== '') {
+        if (typeof search.when !== 'string' || !WHEN_PATTERN.test(search.when.trim())) {
+            errors.push(`"when" must be a relative window like 12h, 7d, 1m or 1y (got ${JSON.stringify(search.when)})`);
+        }
+        if (context.dateFrom || context.dateTo) {
+            errors.push('"when" cannot be combined with dateFrom/dateTo - use one or the other');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Compile structured search input into a Google News query string
+ * @param {object} search - Structured search input
+ * @param {string|Array<string>} search.allWords - Words that must all appear
+ * @param {string|Array<string>} search.exactPhrase - Phrase(s) that must appear verbatim
+ * @param {Array<string>} search.anyWords - At least one of these must appear
+ * @param {string|Array<string>} search.excludeWords - Words that must not appear
+ * @param {Array<string>} search.sites - Only include these publisher domains
+ * @param {Array<string>} search.excludeSites - Exclude these publisher domains
+ * @param {string|Array<string>} search.inTitle - Words that must appear in the headline
+ * @param {string} search.when - Relative time window (e.g. 12h, 7d)
+ * @param {object} context - Other inputs that interact with the search (dateFrom, dateTo)
+ * @returns {string} Google News query
+ */
+export function compileSearchQuery(search, context = {}) {
+    const errors = validateSearchQuery(search, context);
+    if (errors.length > 0) {
+        throw new Error(`Invalid search input: ${errors.join('; ')}`);
+    }
+
+    const parts = [];
+
+    parts.push(...toTerms(search.allWords, true).map(quoteTerm));
+    parts.push(...toTerms(search.exactPhrase).map(phrase => `"${phrase.replace(/"/g, '')}"`));
+
+    const anyWords = toTerms(search.anyWords).map(quoteTerm);
+    if (anyWords.length === 1) {
+        parts.push(anyWords[0]);
+    } else if (anyWords.length > 1) {
+        parts.push(`(${anyWords.join(' OR ')})`);
+    }
+
+    parts.push(...toTerms(search.inTitle, true).map(term => `intitle:${quoteTerm(term)}`));
+
+    const sites = [...new Set(toTerms(search.sites).map(normalizeSite))];
+    if (sites.length === 1) {
+        parts.push(`site:${sites[0]}`);
+    } else if (sites.length > 1) {
+        parts.push(`(${sites.map(site => `site:${site}`).join(' OR ')})`);
+    }
+
+    parts.push(...toTerms(search.excludeWords, true).map(term => `-${quoteTerm(term)}`));
+    parts.push(...[...new Set(toTerms(search.excludeSites).map(normalizeSite))].map(site => `-site:${site}`));
+
+    if (search.when) {
+        parts.push(`when:${search.when.trim()}`);
+    }
+
+    const query = parts.join(' ');
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new Error(`Invalid search input: compiled query is ${query.length} characters, Google News supports at most ${MAX_QUERY_LENGTH}`);
+    }
+
+    return query;
+}
+
+export default {
+    compileSearchQuery,
+    validateSearchQuery,
+};
@@ -0,0 +1,100 @@
+/**
+ * Story clusters from Google News RSS descriptions
+ * The description of a feed item is an HTML list of the same story from other outlets:
+ *   <ol><li><a href="https://news.google.com/rss/articles/...">Title</a>&nbsp;&nbsp;<font color="#6f6f6f">Source</font></li>...</ol>
+ */
+
+import * as cheerio from 'cheerio';
+import { CONFIG } from './config.js';
+
+// What to do with related coverage besides attaching it to records
+export const RELATED_COVERAGE_MODES = ['record', 'alternates', 'candidates'];
+
+/**
+ * Parse an RSS item description into related-coverage entries
+ * @param {string} description - Description HTML
+ * @param {string} primaryUrl - Link of the item itself, left out of the result
+ * @returns {Array<{title: string, url: string, source: string}>} Entries in feed order
+ */
+export function parseRelatedCoverage(description, primaryUrl = null) {
+    if (typeof description !== 'string' || !description.includes('<a')) {
+        return [];
+    }
+
+    const $ = cheerio.load(description);
+    const entries = [];
+    const urls = new Set(primaryUrl ? [primaryUrl] : []);
+
+    $('a[href]').each((_, element) => {
+        const link = $(element);
+        const url = link.attr('href').trim();
+        const title = link.text().trim();
+
+        // The source name follows the link; "View Full Coverage" links have none
+        const source = link.nextAll('font').first().text().trim()
+            || link.closest('li').find('font').first().text().trim();
+
+        if (!url || !title || !source || urls.has(url) || entries.length >= CONFIG.RELATED.MAX_ENTRIES) {
+            return;
+        }
+        urls.add(url);
+        entries.push({ title, url, source });
+    });
+
+    return entries;
+}
+
+/**
+ * Turn related-coverage entries into RSS items the crawler can process
+ * @param {object} item - RSS item with relatedCoverage
+ * @param {number} offset - Index of the first entry to use
+ * @param {number} limit - Maximum items to return (0 = all)
+ * @returns {Array<object>} RSS items with relatedTo set to the item's guid
+ */
+export function getRelatedItems(item, offset = 0, limit = 0) {
+    const entries = (item.relatedCoverage || []).slice(offset, limit > 0 ? offset + limit : undefined);
+
+    return entries.map(entry => ({
+        title: entry.title,
+        rawTitle: entry.title,
+        link: entry.url,
+        pubDate: item.pubDate,
+        source: entry.source,
+        sourceName: entry.source,
+        sourceUrl: null,
+        sourceDomain: null,
+        description: '',
+        relatedCoverage: [],
+        guid: entry.url,
+        relatedTo: item.guid,
+        ...(item.queries ? { queries: item.queries } : {}),
+        ...(item.matchedQueries ? { matchedQueries: item.matchedQueries } : {}),
+    }));
+}
+
+/**
+ * Add the related coverage of every item as extra candidates
+ * @param {Array<object>} items - RSS items
+ * @returns {Array<object>} Items followed by related items not already in the list
+ */
+export function expandWithRelatedItems(items) {
+    const links = new Set(items.map(item => item.link));
+    const expanded = [...items];
+
+    for (const item of items) {
+        for (const related of getRelatedItems(item)) {
+            if (!links.has(related.link)) {
+                links.add(related.link);
+                expanded.push(related);
+            }
+        }
+    }
+
+    return expanded;
+}
+
+export default {
+    parseRelatedCoverage,
+    getRelatedItems,
+    expandWithRelatedItems,
+};
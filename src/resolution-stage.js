@@ -0,0 +1,81 @@
+/**
+ * Pre-resolution stage between RSS collection and article crawling
+ * Google News links are resolved to publisher URLs before anything is enqueued, so the crawler
+ * only ever fetches the real article (with Crawlee's sessions, proxies and retries) and a slow
+ * Google call never holds a crawler slot. The stage has its own per-host token buckets and
+ * concurrency, separate from the RSS budget.
+ */
+
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { FeedScheduler, HostRateLimiter } from './feed-scheduler.js';
+
+/**
+ * Resolves batches of Google News URLs with bounded concurrency
+ */
+export class ResolutionStage {
+    /**
+     * @param {GoogleNewsResolver} resolver - Resolver doing the Google requests
+     * @param {object} options - Stage options
+     * @param {number} options.concurrency - Batches in flight at once
+     * @param {HostRateLimiter} options.rateLimiter - Per-host budget for the Google requests
+     */
+    constructor(resolver, {
+        concurrency = CONFIG.RESOLVER.CONCURRENCY,
+        rateLimiter = new HostRateLimiter({ burst: CONFIG.RESOLVER.HOST_BURST, delay: CONFIG.RESOLVER.RATE_LIMIT_DELAY }),
+    } = {}) {
+        this.resolver = resolver;
+        this.concurrency = concurrency;
+        this.rateLimiter = rateLimiter;
+        this.stats = { requested: 0, resolved: 0, failed: 0, durationMs: 0 };
+    }
+
+    /**
+     * Resolve Google News URLs to publisher URLs
+     * @param {Array<string>} googleNewsUrls - Google News article URLs
+     * @returns {Promise<Map<string, string>>} URL -> publisher URL, for the URLs that could be resolved
+     */
+    async resolve(googleNewsUrls) {
+        const urls = [...new Set(googleNewsUrls)];
+        const resolved = new Map();
+        if (urls.length === 0) {
+            return resolved;
+        }
+
+        const jobs = [];
+        for (let start = 0; start < urls.length; start += CONFIG.RESOLVER.BATCH_SIZE) {
+            jobs.push({ strategy: 'resolution', urls: urls.slice(start, start + CONFIG.RESOLVER.BATCH_SIZE) });
+        }
+
+        const startTime = Date.now();
+        const scheduler = new FeedScheduler({ concurrency: this.concurrency });
+        await scheduler.run(jobs, async ({ urls: batch }) => {
+            const results = await this.resolver.resolveMany(batch, { rateLimiter: this.rateLimiter });
+            for (const [googleNewsUrl, url] of results) {
+                if (url !== googleNewsUrl) {
+                    resolved.set(googleNewsUrl, url);
+                }
+            }
+        });
+
+        this.stats.requested += urls.length;
+        this.stats.resolved += resolved.size;
+        this.stats.failed += urls.length - resolved.size;
+        this.stats.durationMs += Date.now() - startTime;
+        log.info(`Pre-resolution: ${resolved.size}/${urls.length} Google News URLs resolved in ${Date.now() - startTime}ms`);
+
+        return resolved;
+    }
+
+    /**
+     * Get the counters of every resolve() call so far
+     * @returns {object} { requested, resolved, failed, durationMs }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+export default {
+    ResolutionStage,
+};
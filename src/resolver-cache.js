@@ -0,0 +1,504 @@
+/**
+ * Cache of Google News URL resolutions
+ * An in-memory LRU with per-entry expiry in front of a pluggable store, so runs can share what
+ * earlier (or concurrent) runs resolved. Links that could not be resolved are cached too, for a
+ * shorter time, so they are not retried on every request.
+ *
+ * Stores exchange rows of [googleNewsUrl, resolvedUrl|null, expiresAt, usedAt]:
+ * - file: compact JSON, merged with what is on disk under a lock file and replaced with an atomic rename
+ * - sqlite: one row per link in an SQLite file (node:sqlite: Node.js 22.13+, or 22.5+ with --experimental-sqlite)
+ * - kv: one record in a named key-value store (Apify storage on the platform), kept across runs
+ * - memory: nothing persisted
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+
+export const RESOLVER_CACHE_BACKENDS = ['file', 'sqlite', 'kv', 'memory'];
+
+const FORMAT_VERSION = 2;
+const HOUR_MS = 60 * 60 * 1000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 30 * 1000;
+
+/**
+ * Combine row lists, keeping the most recently used row per link and the maxEntries most recent links
+ * @param {Array<Array<Array>>} lists - Row lists, e.g. stored and changed rows
+ * @param {number} maxEntries - Rows to keep
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Array>} Unexpired rows, least recently used first
+ */
+export function mergeCacheRows(lists, maxEntries, now = Date.now()) {
+    const rowsByKey = new Map();
+    for (const row of lists.flat()) {
+        const current = rowsByKey.get(row[0]);
+        if (row[2] > now && (!current || row[3] >= current[3])) {
+            rowsByKey.set(row[0], row);
+        }
+    }
+    return [...rowsByKey.values()]
+        .sort((a, b) => a[3] - b[3])
+        .slice(-maxEntries);
+}
+
+/**
+ * Read the rows of a stored cache document
+ * Documents written before rows existed ({ entries: { url: { resolvedUrl, timestamp } } }) are converted.
+ * @param {object} document - Parsed document
+ * @returns {Array<Array>} Rows
+ */
+function readCacheDocument(document) {
+    if (Array.isArray(document?.rows)) {
+        return document.rows.filter(row => Array.isArray(row) && row.length === 4);
+    }
+    return Object.entries(document?.entries || {})
+        .filter(([, entry]) => entry?.resolvedUrl && entry.timestamp)
+        .map(([key, entry]) => [key, entry.resolvedUrl, entry.timestamp + CONFIG.RESOLVER.CACHE_TTL_HOURS * HOUR_MS, entry.timestamp]);
+}
+
+/**
+ * JSON file store, safe against crashes mid-write
+ */
+export class FileCacheBackend {
+    /**
+     * @param {string} filePath - Cache file
+     */
+    constructor(filePath) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    /**
+     * Read the stored rows
+     * @returns {Promise<Array<Array>>} Rows (none when the file is missing or unreadable)
+     */
+    async load() {
+        try {
+            return readCacheDocument(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warning(`Ignoring unreadable resolver cache ${this.filePath}: ${error.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Run a function while holding the lock file next to the cache
+     * Writers wait for each other so none of them replaces the file with a merge based on rows it
+     * read before another writer's rename. A lock older than LOCK_STALE_MS is left over from a
+     * crashed run and is taken over.
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    async withLock(fn) {
+        const lockPath = `${this.filePath}.lock`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        for (;;) {
+            try {
+                await (await fs.open(lockPath, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const lockStat = await fs.stat(lockPath).catch(() => null);
+            if (lockStat && Date.now() - lockStat.mtimeMs > LOCK_STALE_MS) {
+                log.warning(`Removing stale resolver cache lock ${lockPath}`);
+                await fs.unlink(lockPath).catch(() => {});
+                continue;
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.unlink(lockPath).catch(() => {});
+        }
+    }
+
+    /**
+     * Merge rows into the file
+     * The merge runs under the lock so concurrent writers do not drop each other's rows. The new
+     * content goes to a temporary file first and then replaces the cache in one rename, so readers
+     * see either the old or the new file, never half of one.
+     * @param {Array<Array>} rows - Changed rows
+     * @param {object} options - { maxEntries }
+     */
+    async save(rows, { maxEntries }) {
+        await this.withLock(async () => {
+            const merged = mergeCacheRows([await this.load(), rows], maxEntries);
+            const tempPath = `${this.filePath}.${process.pid}-${Date.now()}.tmp`;
+
+            try {
+                await fs.writeFile(tempPath, JSON.stringify({ version: FORMAT_VERSION, rows: merged }));
+                await fs.rename(tempPath, this.filePath);
+            } catch (error) {
+                await fs.unlink(tempPath).catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Delete the file
+     */
+    async clear() {
+        await fs.unlink(this.filePath).catch(() => {});
+    }
+}
+
+/**
+ * SQLite file store; concurrent runs update single rows instead of rewriting a file
+ */
+export class SqliteCacheBackend {
+    /**
+     * @param {string} filePath - Database file
+     */
+    constructor(filePath) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    /**
+     * Open the database and create the table on first use
+     * @returns {Promise<object>} node:sqlite DatabaseSync
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        let sqlite;
+        try {
+            sqlite = await import('node:sqlite');
+        } catch {
+            throw new Error('The "sqlite" resolver cache needs node:sqlite: Node.js 22.13 or newer, or 22.5 to 22.12 started with --experimental-sqlite');
+        }
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        this.db = new sqlite.DatabaseSync(this.filePath);
+        this.db.exec(`
+            PRAGMA journal_mode = WAL;
+            PRAGMA busy_timeout = 5000;
+            CREATE TABLE IF NOT EXISTS resolutions (
+                key TEXT PRIMARY KEY,
+                url TEXT,
+                expires_at INTEGER NOT NULL,
+                used_at INTEGER NOT NULL
+            );
+        `);
+        return this.db;
+    }
+
+    /**
+     * Read the unexpired rows
+     * @returns {Promise<Array<Array>>} Rows
+     */
+    async load() {
+        const db = await this.open();
+        return db.prepare('SELECT key, url, expires_at, used_at FROM resolutions WHERE expires_at > ? ORDER BY used_at')
+            .all(Date.now())
+            .map(row => [row.key, row.url, row.expires_at, row.used_at]);
+    }
+
+    /**
+     * Upsert rows (a row used more recently by another run wins), then drop expired and surplus rows
+     * @param {Array<Array>} rows - Changed rows
+     * @param {object} options - { maxEntries }
+     */
+    async save(rows, { maxEntries }) {
+        const db = await this.open();
+        const upsert = db.prepare(`
+            INSERT INTO resolutions (key, url, expires_at, used_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET url = excluded.url, expires_at = excluded.expires_at, used_at = excluded.used_at
+            WHERE excluded.used_at >= resolutions.used_at
+        `);
+
+        db.exec('BEGIN IMMEDIATE');
+        try {
+            rows.forEach(row => upsert.run(...row));
+            db.prepare('DELETE FROM resolutions WHERE expires_at <= ?').run(Date.now());
+            db.prepare('DELETE FROM resolutions WHERE key NOT IN (SELECT key FROM resolutions ORDER BY used_at DESC LIMIT ?)').run(maxEntries);
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete every row
+     */
+    async clear() {
+        const db = await this.open();
+        db.exec('DELETE FROM resolutions');
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+/**
+ * Key-value store record
+ * The record lives in a named store: the default store is fresh on every platform run and purged by `apify run`
+ */
+export class KeyValueCacheBackend {
+    /**
+     * @param {string} key - Record key
+     * @param {string} storeName - Named key-value store (defaults to CONFIG.RESOLVER.CACHE_STORE_NAME)
+     */
+    constructor(key = CONFIG.STORAGE.RESOLVER_CACHE_KEY, storeName = CONFIG.RESOLVER.CACHE_STORE_NAME) {
+        this.name = 'kv';
+        this.key = key;
+        this.storeName = storeName;
+    }
+
+    /**
+     * Read the stored rows
+     * @returns {Promise<Array<Array>>} Rows
+     */
+    async load() {
+        return readCacheDocument(await keyValueStore.getValue(this.key, null, { storeName: this.storeName }));
+    }
+
+    /**
+     * Merge rows into the record
+     * @param {Array<Array>} rows - Changed rows
+     * @param {object} options - { maxEntries }
+     */
+    async save(rows, { maxEntries }) {
+        const merged = mergeCacheRows([await this.load(), rows], maxEntries);
+        await keyValueStore.setValue(this.key, { version: FORMAT_VERSION, rows: merged }, { storeName: this.storeName });
+    }
+
+    /**
+     * Delete the record
+     */
+    async clear() {
+        await keyValueStore.setValue(this.key, null, { storeName: this.storeName });
+    }
+}
+
+/**
+ * Create a cache store
+ * @param {string} type - 'file', 'sqlite', 'kv' or 'memory'
+ * @param {object} options - Store options
+ * @param {string} options.filePath - File of the file and sqlite stores
+ * @param {string} options.key - Record key of the kv store
+ * @param {string} options.storeName - Named key-value store of the kv store
+ * @returns {object|null} Store, or null for memory
+ */
+export function createResolverCacheBackend(type, { filePath = null, key = CONFIG.STORAGE.RESOLVER_CACHE_KEY, storeName = CONFIG.RESOLVER.CACHE_STORE_NAME } = {}) {
+    switch (type) {
+        case 'file':
+            return new FileCacheBackend(filePath || CONFIG.RESOLVER.CACHE_FILE);
+        case 'sqlite':
+            return new SqliteCacheBackend(filePath || CONFIG.RESOLVER.CACHE_SQLITE_FILE);
+        case 'kv':
+            return new KeyValueCacheBackend(key, storeName);
+        case 'memory':
+            return null;
+        default:
+            throw new Error(`Unknown resolver cache backend "${type}" (supported: ${RESOLVER_CACHE_BACKENDS.join(', ')})`);
+    }
+}
+
+/**
+ * LRU cache of resolutions with per-entry expiry
+ */
+export class ResolverCache {
+    /**
+     * @param {object} options - Cache options
+     * @param {object} options.backend - Store (see createResolverCacheBackend), null to keep entries in memory only
+     * @param {number} options.maxEntries - Links kept, least recently used evicted first
+     * @param {number} options.ttlMs - Lifetime of resolved links
+     * @param {number} options.negativeTtlMs - Lifetime of unresolvable links (0 = not cached)
+     * @param {Function} options.now - Clock, () => milliseconds
+     */
+    constructor({
+        backend = null,
+        maxEntries = CONFIG.RESOLVER.CACHE_MAX_ENTRIES,
+        ttlMs = CONFIG.RESOLVER.CACHE_TTL_HOURS * HOUR_MS,
+        negativeTtlMs = CONFIG.RESOLVER.NEGATIVE_TTL_HOURS * HOUR_MS,
+        now = () => Date.now(),
+    } = {}) {
+        this.backend = backend;
+        this.maxEntries = Math.max(1, maxEntries);
+        this.ttlMs = ttlMs;
+        this.negativeTtlMs = negativeTtlMs;
+        this.now = now;
+        this.entries = new Map(); // Google News URL -> { url, expiresAt, usedAt }, least recently used first
+        this.changed = new Set(); // Links to write on the next flush()
+        this.stats = { hits: 0, negativeHits: 0, misses: 0, evictions: 0, expirations: 0 };
+    }
+
+    /**
+     * Add the stored entries
+     * @returns {Promise<number>} Entries in the cache afterwards
+     */
+    async load() {
+        if (!this.backend) {
+            return this.entries.size;
+        }
+
+        const now = this.now();
+        for (const [key, url, expiresAt, usedAt] of mergeCacheRows([await this.backend.load()], this.maxEntries, now)) {
+            if (!this.entries.has(key)) {
+                this.entries.set(key, { url, expiresAt, usedAt });
+            }
+        }
+        this.evict();
+        return this.entries.size;
+    }
+
+    /**
+     * Look up a link, marking it as recently used
+     * @param {string} key - Google News URL
+     * @returns {string|null|undefined} Resolved URL, null when the link is known to be unresolvable, undefined when unknown
+     */
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        const now = this.now();
+        if (entry.expiresAt <= now) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, { ...entry, usedAt: now });
+        this.changed.add(key);
+
+        if (entry.url === null) {
+            this.stats.negativeHits++;
+            return null;
+        }
+        this.stats.hits++;
+        return entry.url;
+    }
+
+    /**
+     * Store a resolution
+     * @param {string} key - Google News URL
+     * @param {string|null} url - Resolved URL, or null for an unresolvable link
+     * @param {number} ttlMs - Lifetime (defaults by kind)
+     */
+    set(key, url, ttlMs = url === null ? this.negativeTtlMs : this.ttlMs) {
+        if (!(ttlMs > 0)) {
+            return;
+        }
+        const now = this.now();
+        this.entries.delete(key);
+        this.entries.set(key, { url, expiresAt: now + ttlMs, usedAt: now });
+        this.changed.add(key);
+        this.evict();
+    }
+
+    /**
+     * Remember that a link could not be resolved
+     * @param {string} key - Google News URL
+     */
+    setUnresolvable(key) {
+        this.set(key, null);
+    }
+
+    /**
+     * Drop the least recently used entries above maxEntries
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.changed.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Write the entries changed since the last flush to the store
+     * Links stay marked as changed until the store accepted them, so a failed save is retried by the
+     * next flush; links updated again while saving stay marked too.
+     */
+    async flush() {
+        if (!this.backend || this.changed.size === 0) {
+            return;
+        }
+
+        const written = new Map([...this.changed]
+            .filter(key => this.entries.has(key))
+            .map(key => [key, this.entries.get(key)]));
+        const rows = [...written].map(([key, { url, expiresAt, usedAt }]) => [key, url, expiresAt, usedAt]);
+
+        await this.backend.save(rows, { maxEntries: this.maxEntries });
+        for (const key of this.changed) {
+            if (!this.entries.has(key) || this.entries.get(key) === written.get(key)) {
+                this.changed.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Forget every entry, stored ones included
+     */
+    async clear() {
+        this.entries.clear();
+        this.changed.clear();
+        await this.backend?.clear();
+    }
+
+    /**
+     * Close the store
+     */
+    close() {
+        this.backend?.close?.();
+    }
+
+    /**
+     * Get the cache counters
+     * @returns {object} { backend, entries, negativeEntries, expiredEntries, hits, negativeHits, misses, evictions, expirations, hitRate }
+     */
+    getStats() {
+        const now = this.now();
+        const values = [...this.entries.values()];
+        const lookups = this.stats.hits + this.stats.negativeHits + this.stats.misses;
+        return {
+            backend: this.backend?.name || 'memory',
+            entries: this.entries.size,
+            negativeEntries: values.filter(entry => entry.url === null).length,
+            expiredEntries: values.filter(entry => entry.expiresAt <= now).length,
+            ...this.stats,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.negativeHits) / lookups : 0,
+        };
+    }
+}
+
+export default {
+    RESOLVER_CACHE_BACKENDS,
+    mergeCacheRows,
+    FileCacheBackend,
+    SqliteCacheBackend,
+    KeyValueCacheBackend,
+    createResolverCacheBackend,
+    ResolverCache,
+};
@@ -0,0 +1,172 @@
+/**
+ * Resolution strategies for GoogleNewsResolver.resolveUrl
+ * A strategy is { name, isAvailable?(resolver, context), resolve(resolver, googleNewsUrl, context) } where
+ * context is { page } and resolve returns the publisher URL, or null/the input URL when there is none.
+ * Request errors (blocks, 429s, timeouts) should be thrown: a URL is only cached as unresolvable when
+ * every strategy returned cleanly without a URL.
+ * Every resolver counts attempts, successes, errors and latency per strategy and tries the strategies
+ * with the best recent success rate first.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Built-in strategies, in their initial order
+ */
+export const BUILT_IN_STRATEGIES = [
+    {
+        // Cloud environments: cheap guesses before any Google request
+        name: 'directUrl',
+        isAvailable: resolver => resolver.fallbackToDirectUrl,
+        resolve: (resolver, googleNewsUrl) => resolver.tryDirectUrlFallback(googleNewsUrl),
+    },
+    {
+        // The proven batchexecute method (most reliable for new URLs)
+        name: 'batchExecute',
+        resolve: (resolver, googleNewsUrl) => resolver.resolveWithBatchExecute(googleNewsUrl),
+    },
+    {
+        name: 'batchExecuteRotated',
+        isAvailable: resolver => !!resolver.proxyManager,
+        resolve: async (resolver, googleNewsUrl) => {
+            await resolver.proxyManager.rotateProxy();
+            return resolver.resolveWithBatchExecute(googleNewsUrl);
+        },
+    },
+    {
+        // Older URLs carry the article URL base64-encoded
+        name: 'legacyDecoding',
+        resolve: (resolver, googleNewsUrl) => resolver.resolveWithLegacyDecoding(googleNewsUrl),
+    },
+    {
+        name: 'browser',
+        isAvailable: (resolver, { page }) => !!page,
+        resolve: (resolver, googleNewsUrl, { page }) => resolver.resolveWithBrowser(googleNewsUrl, page),
+    },
+];
+
+// Added by registerResolverStrategy, picked up by resolvers created afterwards
+const registeredStrategies = [];
+
+/**
+ * Check that a value is a usable strategy
+ * @param {object} strategy - Strategy
+ * @param {Array<object>} existing - Strategies it joins
+ * @returns {object} The strategy
+ */
+export function validateStrategy(strategy, existing = []) {
+    if (!strategy || typeof strategy.name !== 'string' || !strategy.name || typeof strategy.resolve !== 'function') {
+        throw new Error('A resolver strategy needs a name and a resolve(resolver, googleNewsUrl, context) function');
+    }
+    if (strategy.isAvailable !== undefined && typeof strategy.isAvailable !== 'function') {
+        throw new Error(`Resolver strategy "${strategy.name}": isAvailable must be a function`);
+    }
+    if (existing.some(other => other.name === strategy.name)) {
+        throw new Error(`Resolver strategy "${strategy.name}" is already registered`);
+    }
+    return strategy;
+}
+
+/**
+ * Register a strategy for every GoogleNewsResolver created from now on (e.g. the one inside ArticleCrawler)
+ * @param {object} strategy - Strategy (see the module comment)
+ */
+export function registerResolverStrategy(strategy) {
+    registeredStrategies.push(validateStrategy(strategy, [...BUILT_IN_STRATEGIES, ...registeredStrategies]));
+}
+
+/**
+ * Forget the strategies added with registerResolverStrategy
+ */
+export function clearResolverStrategies() {
+    registeredStrategies.length = 0;
+}
+
+/**
+ * Get the strategies a new resolver starts with
+ * @returns {Array<object>} Built-in strategies followed by the registered ones
+ */
+export function getDefaultStrategies() {
+    return [...BUILT_IN_STRATEGIES, ...registeredStrategies];
+}
+
+/**
+ * Create the counters of one strategy
+ * @returns {object} Strategy counters
+ */
+export function createStrategyStats() {
+    return { attempts: 0, successes: 0, errors: 0, totalLatencyMs: 0, recent: [] };
+}
+
+/**
+ * Record one attempt of a strategy
+ * @param {object} stats - Strategy counters (see createStrategyStats)
+ * @param {object} outcome - Attempt outcome
+ * @param {boolean} outcome.success - Whether it produced a publisher URL
+ * @param {boolean} outcome.error - Whether it threw
+ * @param {number} outcome.latencyMs - Time taken
+ */
+export function recordStrategyAttempt(stats, { success = false, error = false, latencyMs = 0 }) {
+    stats.attempts++;
+    stats.successes += success ? 1 : 0;
+    stats.errors += error ? 1 : 0;
+    stats.totalLatencyMs += latencyMs;
+    stats.recent.push(success);
+    if (stats.recent.length > CONFIG.RESOLVER.STRATEGY_WINDOW) {
+        stats.recent.shift();
+    }
+}
+
+/**
+ * Score a strategy by its recent success rate
+ * Smoothed towards 0.5, so untried strategies rank between proven and failing ones.
+ * @param {object} stats - Strategy counters
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreStrategy(stats) {
+    const successes = stats.recent.filter(Boolean).length;
+    return (successes + 1) / (stats.recent.length + 2);
+}
+
+/**
+ * Order strategies by score, keeping the registration order between equal scores
+ * @param {Array<object>} strategies - Strategies
+ * @param {Map<string, object>} statsByName - Strategy name -> counters
+ * @returns {Array<object>} Strategies to try, best first
+ */
+export function orderStrategies(strategies, statsByName) {
+    return strategies
+        .map((strategy, index) => ({ strategy, index, score: scoreStrategy(statsByName.get(strategy.name)) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ strategy }) => strategy);
+}
+
+/**
+ * Summarize the counters of one strategy
+ * @param {object} stats - Strategy counters
+ * @returns {object} { attempts, successes, errors, successRate, recentSuccessRate, avgLatencyMs }
+ */
+export function summarizeStrategyStats(stats) {
+    const recentSuccesses = stats.recent.filter(Boolean).length;
+    return {
+        attempts: stats.attempts,
+        successes: stats.successes,
+        errors: stats.errors,
+        successRate: stats.attempts > 0 ? Number((stats.successes / stats.attempts).toFixed(3)) : null,
+        recentSuccessRate: stats.recent.length > 0 ? Number((recentSuccesses / stats.recent.length).toFixed(3)) : null,
+        avgLatencyMs: stats.attempts > 0 ? Math.round(stats.totalLatencyMs / stats.attempts) : null,
+    };
+}
+
+export default {
+    BUILT_IN_STRATEGIES,
+    validateStrategy,
+    registerResolverStrategy,
+    clearResolverStrategies,
+    getDefaultStrategies,
+    createStrategyStats,
+    recordStrategyAttempt,
+    scoreStrategy,
+    orderStrategies,
+    summarizeStrategyStats,
+};
@@ -71,8 +71,8 @@ export class RetryManager {
                     break;
                 }
                 
-                // Calculate delay and wait
-                const delay = this.calculateDelay(attempt);
+                // Calculate delay and wait (servers that send Retry-After get what they asked for)
+                const delay = this.getRetryAfterDelay(error) ?? this.calculateDelay(attempt);
                 
                 this.stats.totalRetries++;
                 this.updateErrorStats(error);
@@ -110,6 +110,26 @@ export class RetryManager {
         return Math.round(delay);
     }
 
+    /**
+     * Get the delay a server asked for in a Retry-After header
+     * @param {Error} error - Error with the HTTP response attached
+     * @returns {number|null} Delay in milliseconds (capped at maxDelay), or null without a usable header
+     */
+    getRetryAfterDelay(error) {
+        const header = error?.response?.headers?.['retry-after'];
+        if (header === undefined || header === null || header === '') {
+            return null;
+        }
+
+        // Either delay-seconds or an HTTP date
+        const seconds = Number(header);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+        if (!Number.isFinite(delay)) {
+            return null;
+        }
+        return Math.min(Math.max(Math.round(delay), 0), this.maxDelay);
+    }
+
     /**
      * Check if error is retryable
      * @param {Error} error - Error to check
@@ -3,20 +3,52 @@
  * Stage A: Collect RSS items from Google News feeds
  */
 
-import { Actor } from 'apify';
 import { gotScraping } from 'got-scraping';
 import { XMLParser } from 'fast-xml-parser';
 import { log } from 'crawlee';
 import { CONFIG } from './config.js';
-import { buildFeedUrl, getDateRanges, sleep } from './utils.js';
+import {
+    buildFeedUrl,
+    formatSliceBoundary,
+    getDateWindow,
+    getSliceWindow,
+    isWithinDateWindow,
+    parseRssDate,
+    splitSlice,
+    stripSourceSuffix,
+} from './utils.js';
+import { SECTION_TOPICS, buildModeFeedUrl, buildTopicFeedUrl } from './feed-modes.js';
 import { SessionManager } from './session-manager.js';
 import { RetryManager } from './retry-manager.js';
 import { errorHandling } from './error-handling.js';
 import { circuitBreakerManager } from './circuit-breaker.js';
 import { monitoring } from './monitoring.js';
 import { gracefulDegradation } from './graceful-degradation.js';
+import { keyValueStore } from './key-value-store.js';
+import { parseRelatedCoverage } from './related-coverage.js';
+import { getDomain } from './domain-stats.js';
+import { getSiblingLocales } from './locales.js';
+import { FeedScheduler, hostRateLimiter, recordContribution } from './feed-scheduler.js';
+import { feedCache } from './feed-cache.js';
+import { parseExtraFeed } from './extra-feeds.js';
+import { costMonitor } from './cost-monitor.js';
 // Error recovery is now part of the unified error handling system
 
+/**
+ * Get the endpoint a feed URL belongs to, e.g. news.google.com/rss/search
+ * Feeds of one endpoint share a circuit breaker
+ * @param {string} feedUrl - RSS feed URL
+ * @returns {string} Host and first two path segments
+ */
+export function getFeedEndpoint(feedUrl) {
+    try {
+        const url = new URL(feedUrl);
+        return `${url.hostname}${url.pathname.split('/').slice(0, 3).join('/')}`;
+    } catch {
+        return 'invalid';
+    }
+}
+
 /**
  * RSS Fetcher class for Google News
  */
@@ -25,7 +57,16 @@ export class RssFetcher {
         this.proxyConfiguration = proxyConfiguration;
         this.articles = new Map(); // guid -> rssItem for deduplication
         this.returnedArticles = new Set(); // Track which articles have been returned before
+        this.seenFilter = null; // Optional (item, spec) => boolean for articles handled by earlier runs
+        this.seenSkipped = 0;
+        this.dateWindow = null; // Requested { start, end } window; items outside it are discarded
+        this.dateFiltered = { outsideWindow: 0, undated: 0 };
+        this.dateFilteredGuids = new Set(); // Count each discarded item once, however many feeds return it
+        this.lastDateChecked = {}; // Feed key -> oldest date-slice start fetched, everything newer is done (checkpointed)
+        this.checkpoint = null; // RunCheckpoint, written after every date slice
+        this.strategyStats = new Map(); // Feed strategy -> { requests, failures, items, unique }
         this.sessionManager = new SessionManager();
+        this.feedCache = feedCache; // ETag/Last-Modified validators and items per feed URL
 
         // Error handling components
         this.retryManager = new RetryManager();
@@ -52,49 +93,145 @@ export class RssFetcher {
         log.info(`RSS articles collection reset for new session${keepReturnedArticles ? ' (keeping returned articles tracking)' : ''}`);
     }
 
+    /**
+     * Never return these articles again, e.g. ones another batch already handled
+     * @param {Iterable<string>} guids - Article GUIDs
+     */
+    markReturned(guids) {
+        for (const guid of guids) {
+            this.returnedArticles.add(guid);
+        }
+    }
+
+    /**
+     * Skip articles that earlier runs already handled (incremental mode)
+     * @param {Function} filter - (item, spec) => true for items that should never be returned, where spec is
+     *   the query spec being fetched (null for publisher feeds)
+     */
+    setSeenFilter(filter) {
+        this.seenFilter = filter;
+    }
+
+    /**
+     * Restore collected items from a checkpoint
+     * @param {object} state - Checkpoint state
+     * @param {Array<object>} state.rssItems - Collected RSS items
+     * @param {Array<string>} state.returnedGuids - GUIDs that must not be returned again
+     * @param {object} state.lastDateChecked - Date-slicing position per feed (optional)
+     */
+    restoreState({ rssItems = [], returnedGuids = [], lastDateChecked = null }) {
+        rssItems.forEach(item => this.articles.set(item.guid, item));
+        returnedGuids.forEach(guid => this.returnedArticles.add(guid));
+        // Checkpoints of older versions kept a single date string, which can't be matched to a feed
+        this.lastDateChecked = lastDateChecked && typeof lastDateChecked === 'object' ? { ...lastDateChecked } : {};
+        log.info(`Restored ${this.articles.size} RSS items from checkpoint`);
+    }
+
+    /**
+     * Get the state to keep in a checkpoint
+     * @returns {object} { rssItems, lastDateChecked }
+     */
+    getCheckpointState() {
+        return {
+            rssItems: Array.from(this.articles.values()),
+            lastDateChecked: this.lastDateChecked,
+        };
+    }
+
     /**
      * Fetch and parse RSS feed
+     * Requests go through the Google proxy configuration, are retried with backoff on network errors,
+     * 429 and 5xx (honouring Retry-After), and share a circuit breaker per feed endpoint. Every attempt
+     * is reported to monitoring. Failures throw, so a throttled run doesn't look like an empty feed.
+     * Unchanged feeds (304 to a conditional request) reuse the items from the feed cache.
      * @param {string} feedUrl - RSS feed URL
+     * @param {Function} parse - (body) => items, defaults to parseFeed
      * @returns {Promise<Array>} Array of RSS items
      */
-    async fetchFeed(feedUrl) {
-        try {
-            log.info(`Fetching RSS feed: ${feedUrl}`);
+    async fetchFeed(feedUrl, parse = body => this.parseFeed(body)) {
+        log.info(`Fetching RSS feed: ${feedUrl}`);
+        const cached = await this.feedCache.get(feedUrl);
 
-            const requestOptions = {
-                url: feedUrl,
-                method: 'GET',
-                timeout: { request: CONFIG.RSS.REQUEST_TIMEOUT },
-                retry: { limit: 2 },
-                headers: this.sessionManager.getEnhancedHeaders(),
-            };
+        const items = await circuitBreakerManager.execute(`rss:${getFeedEndpoint(feedUrl)}`, () => this.retryManager.executeWithRetry(async (attempt) => {
+            const startTime = Date.now();
+            try {
+                const response = await this.requestFeed(feedUrl, this.feedCache.getConditionalHeaders(cached));
+                const notModified = response.statusCode === 304 && cached;
+                const feedItems = notModified ? cached.items : parse(response.body);
+                monitoring.recordRequest({ success: true, responseTime: Date.now() - startTime, statusCode: response.statusCode, url: feedUrl, retried: attempt > 0 });
 
-            // Temporarily disable proxy to test direct connection
-            // if (this.proxyConfiguration) {
-            //     const proxyUrl = await this.proxyConfiguration.newUrl();
-            //     requestOptions.proxyUrl = proxyUrl;
-            // }
+                if (CONFIG.FEED_CACHE.ENABLED) {
+                    costMonitor.trackFeedCache(Boolean(notModified));
+                }
+                if (notModified) {
+                    log.debug(`RSS feed not modified, reusing ${feedItems.length} cached items`);
+                    await this.feedCache.touch(cached);
+                } else {
+                    await this.feedCache.set(feedUrl, response.headers, feedItems);
+                }
+                return feedItems;
+            } catch (error) {
+                monitoring.recordRequest({ success: false, responseTime: Date.now() - startTime, error, statusCode: error.statusCode, url: feedUrl, retried: attempt > 0 });
+                throw error;
+            }
+        }, { context: `RSS feed ${feedUrl}` }));
 
-            const response = await gotScraping(requestOptions);
-            const xmlData = this.xmlParser.parse(response.body);
+        log.info(`Found ${items.length} items in RSS feed`);
+        return items;
+    }
 
-            // Extract items from RSS structure
-            const items = xmlData?.rss?.channel?.item || [];
-            const itemsArray = Array.isArray(items) ? items : (items ? [items] : []);
+    /**
+     * Send one feed request
+     * @param {string} feedUrl - RSS feed URL
+     * @param {object} conditionalHeaders - If-None-Match / If-Modified-Since from the feed cache
+     * @returns {Promise<object>} got-scraping response with a 2xx/3xx status
+     */
+    async requestFeed(feedUrl, conditionalHeaders = {}) {
+        const requestOptions = {
+            url: feedUrl,
+            method: 'GET',
+            timeout: { request: CONFIG.RSS.REQUEST_TIMEOUT },
+            retry: { limit: 0 }, // Retries are handled by fetchFeed
+            throwHttpErrors: false,
+            headers: { ...this.sessionManager.getEnhancedHeaders(), ...conditionalHeaders },
+        };
+
+        if (this.proxyConfiguration) {
+            requestOptions.proxyUrl = await this.proxyConfiguration.newUrl();
+        }
 
-            log.info(`Found ${itemsArray.length} items in RSS feed`);
-            return itemsArray;
+        // Every attempt, retries included, draws from the shared per-host budget
+        await hostRateLimiter.take(feedUrl);
+        const response = await gotScraping(requestOptions);
+        if (response.statusCode >= 400) {
+            const error = new Error(`RSS feed request failed with HTTP ${response.statusCode}`);
+            error.statusCode = response.statusCode;
+            error.response = response;
+            throw error;
+        }
+        return response;
+    }
 
+    /**
+     * Parse a feed body into its items
+     * @param {string} body - Response body
+     * @returns {Array<object>} Raw RSS items
+     */
+    parseFeed(body) {
+        let xmlData;
+        try {
+            xmlData = this.xmlParser.parse(body);
         } catch (error) {
-            log.error(`Failed to fetch RSS feed ${feedUrl}:`, {
-                message: error.message,
-                statusCode: error.response?.statusCode,
-                statusMessage: error.response?.statusMessage,
-                body: error.response?.body?.substring(0, 200),
-                url: feedUrl
-            });
-            return [];
+            throw new Error(`Invalid RSS feed: ${error.message}`);
         }
+
+        // Consent and bot-check pages come back as 200 HTML
+        if (!xmlData?.rss) {
+            throw new Error('Response is not an RSS feed');
+        }
+
+        const items = xmlData.rss.channel?.item || [];
+        return Array.isArray(items) ? items : [items];
     }
 
     /**
@@ -130,13 +267,31 @@ export class RssFetcher {
                 continue;
             }
 
+            // Google's after:/before: operators are approximate, so the requested window is enforced here
+            const pubDate = parseRssDate(item.pubDate);
+            if (this.isOutsideDateWindow(guid, pubDate)) {
+                continue;
+            }
+
+            // <source url="https://publisher.com">Publisher</source> is parsed into { '#text', '@_url' }
+            const sourceText = typeof item.source === 'object' ? item.source?.['#text'] : item.source;
+            const sourceName = sourceText ? String(sourceText) : null;
+            const sourceUrl = item.source?.['@_url'] || null;
+            const rawTitle = item.title ? String(item.title) : 'No title';
+
             // Add item to collection
             this.articles.set(guid, {
-                title: item.title || 'No title',
+                title: stripSourceSuffix(rawTitle, sourceName) || rawTitle,
+                rawTitle,
                 link: item.link || '',
-                pubDate: item.pubDate || new Date().toISOString(),
-                source: item.source?.['#text'] || item.source?.['@_url'] || item.source || 'Unknown',
+                pubDate,
+                rawPubDate: item.pubDate ? String(item.pubDate) : null,
+                source: sourceName || sourceUrl || 'Unknown',
+                sourceName,
+                sourceUrl,
+                sourceDomain: sourceUrl ? getDomain(sourceUrl) : null,
                 description: item.description || '',
+                relatedCoverage: parseRelatedCoverage(item.description, item.link),
                 guid,
             });
 
@@ -146,6 +301,32 @@ export class RssFetcher {
         return newItemsCount;
     }
 
+    /**
+     * Check an item against the requested date window, counting it once if it falls outside
+     * @param {string} guid - Item GUID
+     * @param {string|null} pubDate - ISO publication date
+     * @returns {boolean} True when the item must be discarded
+     */
+    isOutsideDateWindow(guid, pubDate) {
+        if (!this.dateWindow || (pubDate && isWithinDateWindow(pubDate, this.dateWindow))) {
+            return false;
+        }
+
+        if (!this.dateFilteredGuids.has(guid)) {
+            this.dateFilteredGuids.add(guid);
+            this.dateFiltered[pubDate ? 'outsideWindow' : 'undated']++;
+        }
+        return true;
+    }
+
+    /**
+     * Get how many items were discarded for falling outside the requested date window
+     * @returns {object} { outsideWindow, undated }
+     */
+    getDateFilterStats() {
+        return { ...this.dateFiltered };
+    }
+
     /**
      * Fetch RSS items with enhanced strategies for large queries
      * @param {object} input - Input parameters
@@ -153,19 +334,31 @@ export class RssFetcher {
      */
     async fetchRssItems(input) {
         const { query, region, language, maxItems, dateFrom, dateTo } = input;
+        this.dateWindow = getDateWindow(dateFrom, dateTo);
+
+        if (input.mode && input.mode !== 'search') {
+            return this.fetchModeFeedItems(input);
+        }
 
         log.info(`Starting RSS collection for query: "${query}" (target: ${maxItems || 'unlimited'})`);
 
         // Track the size before this call to know how many new articles we get
         const initialSize = this.articles.size;
 
-        // Initial fetch without date slicing
-        const initialFeedUrl = buildFeedUrl(query, language, region);
+        // Initial fetch over the whole date window
+        const initialFeedUrl = buildFeedUrl(query, language, region, dateFrom, dateTo);
         const initialItems = await this.fetchFeed(initialFeedUrl);
         const newItemsCount = this.processRssItems(initialItems, maxItems);
+        recordContribution(this.strategyStats, 'initial', { items: initialItems.length, unique: newItemsCount });
 
         log.info(`Initial fetch: ${newItemsCount} new items, total: ${this.articles.size}`);
 
+        // A full feed means Google dropped results; slice the window by date until every slice fits
+        if (initialItems.length >= CONFIG.DATE.SATURATED_FEED_ITEMS && this.needsMoreItems(maxItems)) {
+            log.info(`Initial feed is saturated (${initialItems.length} items), slicing by date`);
+            await this.fetchWithDateSlicing(query, language, region, maxItems, dateFrom, dateTo);
+        }
+
         // If we need more articles, try alternative strategies
         // Also try alternatives if we have returnedArticles (meaning this is a subsequent batch)
         const needsMoreArticles = maxItems > 0 && this.articles.size < maxItems;
@@ -179,32 +372,134 @@ export class RssFetcher {
             const shouldTryAlternatives = maxItems > 5 || this.articles.size === 0 || isSubsequentBatch;
 
             if (shouldTryAlternatives) {
-                // Strategy 1: Try multiple RSS endpoints and variations
-                await this.fetchWithMultipleEndpoints(query, language, region, maxItems);
-
-                // Strategy 2: Try different regional variations of the same query
-                if (this.articles.size < maxItems) {
-                    await this.fetchWithRegionalVariations(query, language, region, maxItems);
-                }
-
-                // Strategy 3: Try broader time ranges if still not enough
-                if (this.articles.size < maxItems) {
-                    await this.fetchWithTimeVariations(query, language, region, maxItems);
-                }
+                // Endpoint, regional and time variations share one queue, in that order of priority
+                await this.fetchVariations([
+                    ...this.getEndpointJobs(query, language, region),
+                    ...this.getRegionJobs(query, language, region),
+                    ...this.getTimeVariationJobs(query, language, region),
+                ], maxItems);
             } else {
                 log.info(`Small target (${maxItems}), skipping alternative strategies to avoid over-fetching`);
             }
         }
 
         // Store progress
-        await Actor.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, Array.from(this.articles.values()));
+        await keyValueStore.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, Array.from(this.articles.values()));
+
+        const newArticlesMap = this.takeUnreturnedArticles(maxItems, input);
+
+        log.info(`RSS collection completed. New articles: ${newArticlesMap.size}, Total items: ${this.articles.size}`);
+        log.info('Feed strategy contributions', this.getStrategyStats());
+        if (this.dateWindow) {
+            log.info('Items discarded outside the date window', this.getDateFilterStats());
+        }
+        return newArticlesMap;
+    }
+
+    /**
+     * Poll a query's main feed once (watch mode)
+     * Only the first feed page is read: new stories appear there, and the expansion strategies
+     * of fetchRssItems exist to fill large one-shot targets
+     * @param {object} spec - Query spec (see normalizeQuerySpecs)
+     * @returns {Promise<Array<object>>} Feed items, minus those rejected by the seen filter
+     */
+    async pollFeed(spec) {
+        const feedUrl = spec.mode && spec.mode !== 'search'
+            ? buildModeFeedUrl(spec)
+            : buildFeedUrl(spec.query, spec.language, spec.region);
+        this.dateWindow = getDateWindow(spec.dateFrom, spec.dateTo);
+
+        // Polls never accumulate items, so memory stays flat however long the watch runs
+        this.articles.clear();
+        this.processRssItems(await this.fetchFeed(feedUrl));
+        const items = Array.from(this.articles.values()).filter(item => !(this.seenFilter && this.seenFilter(item, spec)));
+        this.articles.clear();
+
+        return items;
+    }
+
+    /**
+     * Fetch items from publisher RSS, Atom or JSON feeds (extraFeeds input)
+     * Feeds share the scheduler, rate limits and feed cache with the Google News feeds; a feed that
+     * fails is logged and skipped. Items are not added to the Google News collection.
+     * @param {Array<string>} feedUrls - Feed URLs (see normalizeExtraFeeds)
+     * @param {object} options - Date window
+     * @param {string} options.dateFrom - Start date (optional)
+     * @param {string} options.dateTo - End date, inclusive (optional)
+     * @returns {Promise<Map>} Canonical article URL -> item
+     */
+    async fetchExtraFeeds(feedUrls, { dateFrom = null, dateTo = null } = {}) {
+        this.dateWindow = getDateWindow(dateFrom, dateTo);
+        const items = new Map();
+        const scheduler = new FeedScheduler({ stats: this.strategyStats });
+
+        let fetchedFeeds = 0;
+        await scheduler.run(feedUrls.map(feedUrl => ({ strategy: 'extraFeeds', label: feedUrl, feedUrl })), async (job) => {
+            const feedItems = await this.fetchFeed(job.feedUrl, body => parseExtraFeed(body, job.feedUrl, this.xmlParser));
+            fetchedFeeds++;
+
+            let unique = 0;
+            for (const item of feedItems) {
+                if (items.has(item.guid) || this.isOutsideDateWindow(item.guid, item.pubDate)) {
+                    continue;
+                }
+                if (this.seenFilter && this.seenFilter(item, null)) {
+                    this.seenSkipped++;
+                    continue;
+                }
+                items.set(item.guid, item);
+                unique++;
+            }
+            return { items: feedItems.length, unique };
+        });
+
+        log.info(`Extra feeds: ${items.size} items from ${fetchedFeeds}/${feedUrls.length} feeds`);
+        return items;
+    }
+
+    /**
+     * Fetch RSS items from a headlines, section or location feed
+     * These feeds are a fixed front page, so the search expansion strategies do not apply
+     * @param {object} input - Query spec with mode, topic, location, region, language and maxItems
+     * @returns {Promise<Map>} Map of collected articles not returned before
+     */
+    async fetchModeFeedItems(input) {
+        const { query, maxItems } = input;
+        const feedUrl = buildModeFeedUrl(input);
+
+        log.info(`Starting RSS collection for ${query} feed (target: ${maxItems || 'unlimited'})`);
+
+        const items = await this.fetchFeed(feedUrl);
+        const newItemsCount = this.processRssItems(items);
+        log.info(`${query} feed: ${newItemsCount} new items, total: ${this.articles.size}`);
+
+        await keyValueStore.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, Array.from(this.articles.values()));
+
+        const newArticlesMap = this.takeUnreturnedArticles(maxItems, input);
+
+        log.info(`RSS collection completed. New articles: ${newArticlesMap.size}, Total items: ${this.articles.size}`);
+        return newArticlesMap;
+    }
 
-        // Return only articles that haven't been returned before
+    /**
+     * Take collected articles that haven't been returned before and mark them as returned
+     * @param {number} maxItems - Maximum articles to return (0 = unlimited)
+     * @param {object} spec - Query spec being fetched, for the seen filter (optional)
+     * @returns {Map} Map of articles
+     */
+    takeUnreturnedArticles(maxItems = 0, spec = null) {
         const newArticlesMap = new Map();
         let returnedCount = 0;
 
         for (const [guid, article] of this.articles) {
             if (!this.returnedArticles.has(guid)) {
+                if (this.seenFilter && this.seenFilter(article, spec)) {
+                    // Mark as returned so later batches don't re-check it
+                    this.returnedArticles.add(guid);
+                    this.seenSkipped++;
+                    continue;
+                }
+
                 newArticlesMap.set(guid, article);
                 this.returnedArticles.add(guid);
                 returnedCount++;
@@ -216,180 +511,85 @@ export class RssFetcher {
             }
         }
 
-        log.info(`RSS collection completed. New articles: ${newArticlesMap.size}, Total items: ${this.articles.size}`);
         return newArticlesMap;
     }
 
     /**
-     * Fetch articles using regional variations to get more diverse results
-     * @param {string} query - Search query
-     * @param {string} language - Language code
-     * @param {string} region - Primary region code
+     * Fetch variation feeds through the feed scheduler until maxItems articles are waiting to be returned
+     * Articles returned by earlier batches don't count, so later batches keep fetching.
+     * @param {Array<object>} jobs - Jobs with strategy, label and feedUrl
      * @param {number} maxItems - Maximum items to collect
      */
-    async fetchWithRegionalVariations(query, language, region, maxItems) {
-        log.info('Trying regional variations to get more articles...');
-
-        // Define regional variations based on language
-        const regionalVariations = this.getRegionalVariations(region, language);
-
-        for (const altRegion of regionalVariations) {
-            if (this.articles.size >= maxItems) break;
-
-            log.info(`Trying region variation: ${altRegion}`);
-            const feedUrl = buildFeedUrl(query, language, altRegion);
-
-            try {
-                const items = await this.fetchFeed(feedUrl);
-                const newItemsCount = this.processRssItems(items, maxItems);
-                log.info(`Region ${altRegion}: ${newItemsCount} new items, total: ${this.articles.size}`);
+    async fetchVariations(jobs, maxItems) {
+        log.info(`Trying ${jobs.length} feed variations to get more articles...`);
+        const scheduler = new FeedScheduler({
+            shouldStop: () => !this.needsMoreItems(maxItems),
+            stats: this.strategyStats,
+        });
 
-                // Early termination for small targets if we have enough
-                if (maxItems <= 10 && this.articles.size >= maxItems) {
-                    log.info(`Small target reached (${this.articles.size}/${maxItems}), stopping regional variations`);
-                    break;
-                }
+        const { remaining } = await scheduler.run(jobs, async (job) => {
+            const items = await this.fetchFeed(job.feedUrl);
+            const newItemsCount = this.processRssItems(items, maxItems);
+            log.info(`Variation ${job.strategy} ${job.label}: ${newItemsCount} new items, total: ${this.articles.size}`);
+            return { items: items.length, unique: newItemsCount };
+        });
 
-                // Rate limiting between regional requests
-                await sleep(CONFIG.RSS.RATE_LIMIT_DELAY);
-            } catch (error) {
-                log.debug(`Failed to fetch from region ${altRegion}: ${error.message}`);
-            }
+        if (remaining > 0) {
+            log.info(`Target of ${maxItems} new articles reached, skipped ${remaining} feed variations`);
         }
     }
 
-
-
     /**
-     * Fetch articles using time-based variations
+     * Build jobs for other RSS endpoints of the query (section feeds)
+     * The search feed itself was fetched by the initial request; other endpoints share its locale
      * @param {string} query - Search query
      * @param {string} language - Language code
      * @param {string} region - Region code
-     * @param {number} maxItems - Maximum items to collect
+     * @returns {Array<object>} Feed jobs
      */
-    async fetchWithTimeVariations(query, language, region, maxItems) {
-        log.info('Trying time-based variations to get more articles...');
-
-        // Try different time-based URL parameters that might work with Google News
-        const timeVariations = [
-            '&when:1d',  // Last day
-            '&when:7d',  // Last week
-            '&when:1m',  // Last month
-            '&sort:date', // Sort by date
-            '&sort:relevance' // Sort by relevance
-        ];
-
-        for (const timeParam of timeVariations) {
-            if (this.articles.size >= maxItems) break;
-
-            log.info(`Trying time variation: ${timeParam}`);
-            const baseFeedUrl = buildFeedUrl(query, language, region);
-            const feedUrl = baseFeedUrl + timeParam;
-
-            try {
-                const items = await this.fetchFeed(feedUrl);
-                const newItemsCount = this.processRssItems(items, maxItems);
-                log.info(`Time variation ${timeParam}: ${newItemsCount} new items, total: ${this.articles.size}`);
-
-                // Early termination for small targets if we have enough
-                if (maxItems <= 10 && this.articles.size >= maxItems) {
-                    log.info(`Small target reached (${this.articles.size}/${maxItems}), stopping time variations`);
-                    break;
-                }
-
-                // Rate limiting between time variation requests
-                await sleep(CONFIG.RSS.RATE_LIMIT_DELAY);
-            } catch (error) {
-                log.debug(`Failed to fetch with time variation ${timeParam}: ${error.message}`);
-            }
-        }
+    getEndpointJobs(query, language, region) {
+        return this.getTopicBasedUrls(query, language, region)
+            .map(feedUrl => ({ strategy: 'endpoints', label: new URL(feedUrl).pathname, feedUrl }));
     }
 
     /**
-     * Get regional variations for expanding search
-     * @param {string} primaryRegion - Primary region code
+     * Build jobs for the query in other Google News editions of the same language
+     * @param {string} query - Search query
      * @param {string} language - Language code
-     * @returns {Array} Array of alternative region codes
+     * @param {string} region - Primary region code
+     * @returns {Array<object>} Feed jobs
      */
-    getRegionalVariations(primaryRegion, language) {
-        const variations = [];
-
-        // Language-based regional variations
-        const regionMap = {
-            'en': ['US', 'GB', 'CA', 'AU', 'IN', 'ZA'],
-            'es': ['ES', 'MX', 'AR', 'CO', 'CL', 'PE'],
-            'fr': ['FR', 'CA', 'BE', 'CH', 'SN'],
-            'de': ['DE', 'AT', 'CH'],
-            'it': ['IT', 'CH'],
-            'pt': ['BR', 'PT'],
-            'ru': ['RU', 'BY', 'KZ'],
-            'ja': ['JP'],
-            'ko': ['KR'],
-            'zh': ['CN', 'TW', 'HK', 'SG']
-        };
-
-        const languageRegions = regionMap[language] || ['US', 'GB'];
-
-        // Add variations that are different from the primary region
-        for (const region of languageRegions) {
-            if (region !== primaryRegion && !variations.includes(region)) {
-                variations.push(region);
-            }
-        }
-
-        // Limit to 3 variations to avoid too many requests
-        return variations.slice(0, 3);
+    getRegionJobs(query, language, region) {
+        return getSiblingLocales(language, region)
+            .map(locale => ({ strategy: 'regions', label: locale.ceid, feedUrl: buildFeedUrl(query, locale.hl, locale.gl) }));
     }
 
-
-
     /**
-     * Try multiple RSS endpoints and search variations to maximize article collection
+     * Build jobs for time-based URL parameters that might work with Google News
      * @param {string} query - Search query
      * @param {string} language - Language code
      * @param {string} region - Region code
-     * @param {number} maxItems - Maximum items to collect
+     * @returns {Array<object>} Feed jobs
      */
-    async fetchWithMultipleEndpoints(query, language, region, maxItems) {
-        log.info('Trying multiple RSS endpoints to get more articles...');
-
-        // Different Google News RSS endpoint variations
-        const endpointVariations = [
-            // Standard RSS feed
-            `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=${language}&gl=${region}&ceid=${region}:${language}`,
-
-            // Try with different ceid formats
-            `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=${language}&gl=${region}&ceid=${language}`,
-
-            // Try without ceid
-            `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=${language}&gl=${region}`,
-
-            // Try with topic-based approach (if query matches common topics)
-            ...this.getTopicBasedUrls(query, language, region),
+    getTimeVariationJobs(query, language, region) {
+        const timeVariations = [
+            '&when:1d',  // Last day
+            '&when:7d',  // Last week
+            '&when:1m',  // Last month
+            '&sort:date', // Sort by date
+            '&sort:relevance' // Sort by relevance
         ];
+        const baseFeedUrl = buildFeedUrl(query, language, region);
 
-        for (const feedUrl of endpointVariations) {
-            if (this.articles.size >= maxItems) break;
-
-            log.info(`Trying endpoint variation: ${feedUrl}`);
-
-            try {
-                const items = await this.fetchFeed(feedUrl);
-                const newItemsCount = this.processRssItems(items, maxItems);
-                log.info(`Endpoint variation: ${newItemsCount} new items, total: ${this.articles.size}`);
-
-                // Early termination for small targets if we have enough
-                if (maxItems <= 10 && this.articles.size >= maxItems) {
-                    log.info(`Small target reached (${this.articles.size}/${maxItems}), stopping endpoint variations`);
-                    break;
-                }
+        return timeVariations.map(timeParam => ({ strategy: 'timeVariations', label: timeParam, feedUrl: baseFeedUrl + timeParam }));
+    }
 
-                // Rate limiting between endpoint requests
-                await sleep(CONFIG.RSS.RATE_LIMIT_DELAY);
-            } catch (error) {
-                log.debug(`Failed to fetch from endpoint variation: ${error.message}`);
-            }
-        }
+    /**
+     * Get the unique items each feed strategy contributed so far
+     * @returns {object} Strategy -> { requests, failures, items, unique }
+     */
+    getStrategyStats() {
+        return Object.fromEntries([...this.strategyStats].map(([strategy, stats]) => [strategy, { ...stats }]));
     }
 
     /**
@@ -403,21 +603,10 @@ export class RssFetcher {
         const urls = [];
         const lowerQuery = query.toLowerCase();
 
-        // Map common query terms to Google News topics
-        const topicMap = {
-            'business': 'CAAqJggKIiBDQkFTRWdvSUwyMHZNRFZ4ZERBU0FtVnVHZ0pWVXlnQVAB',
-            'technology': 'CAAqJggKIiBDQkFTRWdvSUwyMHZNRFp0Y1RjU0FtVnVHZ0pWVXlnQVAB',
-            'sports': 'CAAqJggKIiBDQkFTRWdvSUwyMHZNRFp1ZEdvU0FtVnVHZ0pWVXlnQVAB',
-            'health': 'CAAqIQgKIhtDQkFTRGdvSUwyMHZNR3QwTlRFU0FtVnVLQUFQAQ',
-            'science': 'CAAqJggKIiBDQkFTRWdvSUwyMHZNRFp0Y1RjU0FtVnVHZ0pWVXlnQVAB',
-            'entertainment': 'CAAqJggKIiBDQkFTRWdvSUwyMHZNREpxYW5RU0FtVnVHZ0pWVXlnQVAB',
-            'politics': 'CAAqIQgKIhtDQkFTRGdvSUwyMHZNRE41ZGpBU0FtVnVLQUFQAQ'
-        };
-
-        // Check if query contains topic keywords
-        for (const [topic, topicId] of Object.entries(topicMap)) {
+        // Check if query contains a section name; topic IDs are encoded for the requested locale
+        for (const topic of Object.keys(SECTION_TOPICS)) {
             if (lowerQuery.includes(topic)) {
-                urls.push(`https://news.google.com/rss/topics/${topicId}?hl=${language}&gl=${region}`);
+                urls.push(buildTopicFeedUrl(topic, language, region));
                 break; // Only add one topic URL to avoid too many requests
             }
         }
@@ -426,44 +615,106 @@ export class RssFetcher {
     }
 
     /**
-     * Fetch RSS items with date slicing
+     * Check whether fewer than maxItems collected articles are still waiting to be returned
+     * @param {number} maxItems - Target (0 = unlimited)
+     * @returns {boolean} True if more items should be fetched
+     */
+    needsMoreItems(maxItems) {
+        if (maxItems <= 0) {
+            return true;
+        }
+        let unreturned = 0;
+        for (const guid of this.articles.keys()) {
+            if (!this.returnedArticles.has(guid) && ++unreturned >= maxItems) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Fetch RSS items with adaptive date slicing
+     * Google caps every feed at about 100 items, so a slice whose feed comes back full is split in half
+     * (down to CONFIG.DATE.MIN_SLICE_HOURS) until each slice is below the cap. Slices are fetched newest
+     * first through the feed scheduler; the oldest point with everything newer done is kept per feed in
+     * lastDateChecked, letting later batches and resumed runs continue instead of starting over.
      * @param {string} query - Search query
      * @param {string} language - Language code
      * @param {string} region - Region code
-     * @param {number} maxItems - Maximum items to collect
-     * @param {string} dateFrom - Start date
-     * @param {string} dateTo - End date
+     * @param {number} maxItems - Stop once this many unreturned items are collected (0 = unlimited)
+     * @param {string} dateFrom - Start date (optional, defaults to CONFIG.DATE.MAX_DAYS_BACK days ago)
+     * @param {string} dateTo - End date, inclusive (optional, defaults to now)
      */
     async fetchWithDateSlicing(query, language, region, maxItems, dateFrom, dateTo) {
-        log.info('Starting date slicing to collect more items');
+        const feedKey = `${query}|${language}|${region}`;
+        const window = getSliceWindow(dateFrom, dateTo);
+        const doneUntil = this.lastDateChecked[feedKey] ? new Date(this.lastDateChecked[feedKey]).getTime() : window.end;
+        const first = { strategy: 'dateSlices', start: window.start, end: Math.min(window.end, doneUntil) };
+
+        if (first.end <= first.start) {
+            log.info('Date slicing already covered the whole window');
+            return;
+        }
 
-        const dateRanges = getDateRanges(dateFrom, dateTo);
-        let processedRanges = 0;
+        log.info(`Starting date slicing from ${new Date(first.end).toISOString()} back to ${new Date(window.start).toISOString()}`);
+        let fetchedSlices = 0;
+        let splitSlices = 0;
+        let saturatedSlices = 0;
 
-        for (const range of dateRanges) {
-            // Stop if we've reached the maximum items
-            if (this.articles.size >= maxItems) {
-                break;
-            }
+        // Concurrent slices finish out of order; the position only moves back over slices with everything newer done
+        let watermark = first.end;
+        const finished = new Map(); // slice end -> slice start
 
-            const feedUrl = buildFeedUrl(query, language, region, range.from, range.to);
+        const scheduler = new FeedScheduler({
+            shouldStop: () => !this.needsMoreItems(maxItems) || fetchedSlices >= CONFIG.DATE.MAX_SLICES,
+            stopOnError: true,
+            stats: this.strategyStats,
+        });
+
+        const { remaining } = await scheduler.run([first], async (slice) => {
+            fetchedSlices++;
+            const feedUrl = buildFeedUrl(query, language, region, formatSliceBoundary(slice.start), formatSliceBoundary(slice.end));
             const items = await this.fetchFeed(feedUrl);
-            const newItemsCount = this.processRssItems(items, maxItems);
+            const newItemsCount = this.processRssItems(items);
 
-            processedRanges++;
-            log.info(`Date range ${range.from} to ${range.to}: ${newItemsCount} new items, total: ${this.articles.size}`);
+            const label = `${new Date(slice.start).toISOString()} to ${new Date(slice.end).toISOString()}`;
+            const middle = items.length >= CONFIG.DATE.SATURATED_FEED_ITEMS ? splitSlice(slice.start, slice.end) : null;
+            const followUps = [];
+
+            if (middle !== null) {
+                // Newer half first, so the finished part grows from the newest end
+                followUps.push({ strategy: 'dateSlices', start: middle, end: slice.end }, { strategy: 'dateSlices', start: slice.start, end: middle });
+                splitSlices++;
+                log.info(`Date slice ${label}: saturated (${items.length} items, ${newItemsCount} new), splitting`);
+            } else {
+                if (items.length >= CONFIG.DATE.SATURATED_FEED_ITEMS) {
+                    saturatedSlices++;
+                    log.warning(`Date slice ${label} is still saturated at the minimum slice size, some items may be missing`);
+                }
+                finished.set(slice.end, slice.start);
+                while (finished.has(watermark)) {
+                    const start = finished.get(watermark);
+                    finished.delete(watermark);
+                    watermark = start;
+                }
+                this.lastDateChecked = { ...this.lastDateChecked, [feedKey]: new Date(watermark).toISOString() };
+                log.info(`Date slice ${label}: ${newItemsCount} new items, total: ${this.articles.size}`);
+            }
 
-            // Store progress periodically
-            if (processedRanges % 5 === 0) {
-                await Actor.setValue(CONFIG.STORAGE.LAST_DATE_KEY, range.from);
-                await Actor.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, Array.from(this.articles.values()));
+            if (this.checkpoint) {
+                await this.checkpoint.persist('date slice');
+            } else {
+                await keyValueStore.setValue(CONFIG.STORAGE.LAST_DATE_KEY, this.lastDateChecked);
+                await keyValueStore.setValue(CONFIG.STORAGE.RSS_ITEMS_KEY, Array.from(this.articles.values()));
             }
 
-            // Rate limiting
-            await sleep(CONFIG.RSS.RATE_LIMIT_DELAY);
-        }
+            return { items: items.length, unique: newItemsCount, followUps };
+        });
 
-        log.info(`Date slicing completed. Processed ${processedRanges} date ranges`);
+        if (remaining > 0 && fetchedSlices >= CONFIG.DATE.MAX_SLICES) {
+            log.warning(`Date slicing stopped after ${fetchedSlices} slices (CONFIG.DATE.MAX_SLICES)`);
+        }
+        log.info(`Date slicing completed: ${fetchedSlices} slices fetched, ${splitSlices} split, ${saturatedSlices} still saturated`);
     }
 
     /**
@@ -0,0 +1,565 @@
+/**
+ * Scraping pipeline shared by the Apify Actor and the command-line runner
+ * Results go to an output sink, so the same code writes to the Dataset or to local files
+ */
+
+import fs from 'fs/promises';
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+import { gotScraping } from 'got-scraping';
+import { CONFIG } from './config.js';
+import { RssFetcher } from './rss-fetcher.js';
+import { ArticleCrawler } from './article-crawler.js';
+import { ContentExtractor } from './content-extractor.js';
+import { GoogleNewsResolver } from './google-news-resolver.js';
+import { ProxyManager } from './proxy-manager.js';
+import { costMonitor } from './cost-monitor.js';
+import { IncrementalState } from './incremental-state.js';
+import { RunCheckpoint, getRunFingerprint } from './checkpoint.js';
+import { FeedWatcher } from './watcher.js';
+import { domainStats, getDomain } from './domain-stats.js';
+import { forecastCrawl } from './forecast.js';
+import { RELATED_COVERAGE_MODES } from './related-coverage.js';
+import { keyValueStore } from './key-value-store.js';
+import { toCsv } from './output-sinks.js';
+import { TIMELINE_CSV_FORMATTERS, buildTimeline, normalizeTimelineBucket } from './timeline.js';
+import { configureRun } from './config-loader.js';
+import { canonicalizeUrl, extractRealUrl, normalizeQuerySpecs, tagQuery, matchesQuery } from './utils.js';
+import { normalizeExtraFeeds } from './extra-feeds.js';
+
+/**
+ * Check whether input names at least one query
+ * @param {object} input - Scraper input
+ * @returns {boolean} True if input has a query, a structured search, a non-search feed mode or a non-empty queries array
+ */
+export function hasQuery(input) {
+    return !!(input && (
+        input.query
+        || input.search
+        || (input.mode && input.mode !== 'search')
+        || (Array.isArray(input.queries) && input.queries.length > 0)
+    ));
+}
+
+/**
+ * Build the run's effective configuration (defaults, profile, env vars, input) and make CONFIG use it
+ * @param {object} input - Scraper input (profile, config and the lightweightMode/costOptimized/disableProxies shortcuts)
+ * @param {object} options - Run options (see configureRun)
+ * @returns {Promise<object>} { config, layers } from resolveConfig
+ */
+export async function applyRuntimeOptions(input, options = {}) {
+    const resolved = await configureRun(input, options);
+
+    if (input.lightweightMode || input.costOptimized || process.env.COST_OPTIMIZED === 'true' || process.env.LIGHTWEIGHT_MODE === 'true') {
+        log.info('🚀 Running in cost-optimized mode');
+    }
+    if (input.disableProxies || process.env.DISABLE_PROXIES === 'true') {
+        log.warning('🧪 Local testing: proxies are disabled');
+    }
+    return resolved;
+}
+
+/**
+ * Run the full pipeline: RSS collection (Stage A) and article crawling (Stage B)
+ * @param {object} input - Scraper input (same fields as the Actor input)
+ * @param {object} options - Runtime wiring
+ * @param {object} options.outputSink - Where saved records go (defaults to the Apify Dataset)
+ * @param {object} options.googleProxy - Proxy configuration for Google News feeds
+ * @param {object} options.articleProxy - Proxy configuration for article pages
+ * @param {EventEmitter} options.events - Receives the crawler's 'skip' and 'progress' events
+ * @param {AbortSignal} options.signal - Stops article crawling when aborted; the run then finishes with what it saved
+ * @returns {Promise<object>} Run summary with saved, totalProcessed, failed, successRate, perQuery, feedStrategies, dateFiltered, extraFeeds and resolution
+ *   (timeline runs return the timeline statistics in "timeline" instead)
+ */
+export async function scrape(input, { outputSink = null, googleProxy = null, articleProxy = null, events = null, signal = null } = {}) {
+    if (!hasQuery(input)) {
+        throw new Error('Input must contain a "query", "search", "mode" or "queries" field');
+    }
+
+    const {
+        region = CONFIG.RSS.DEFAULT_REGION,
+        language = CONFIG.RSS.DEFAULT_LANGUAGE,
+        maxItems = 0,
+        dateFrom = null,
+        dateTo = null,
+        useBrowser = CONFIG.COST_OPTIMIZATION?.USE_BROWSER_BY_DEFAULT ?? false,
+        incremental = false,
+        incrementalTtlHours = 0,
+        incrementalStoreName = null,
+        resume = true,
+        relatedCoverageMode = 'record',
+    } = input;
+
+    // Single "query" input is treated as a one-entry query list
+    const querySpecs = normalizeQuerySpecs(input);
+    const extraFeeds = normalizeExtraFeeds(input.extraFeeds);
+    const timelineBucket = normalizeTimelineBucket(input.timeline);
+
+    if (!RELATED_COVERAGE_MODES.includes(relatedCoverageMode)) {
+        throw new Error(`"relatedCoverageMode" must be one of ${RELATED_COVERAGE_MODES.join(', ')} (got "${relatedCoverageMode}")`);
+    }
+    const query = querySpecs[0].query;
+
+    log.info('Google News Scraper starting', {
+        queries: querySpecs.map(spec => spec.query), region, language, maxItems, dateFrom, dateTo, useBrowser, incremental,
+    });
+
+    // Timeline: RSS only, counted per time bucket
+    if (timelineBucket) {
+        return coverageTimeline(input, { querySpecs, bucket: timelineBucket, outputSink, googleProxy });
+    }
+
+    // Dry run: RSS only, no resolving, article requests or browsers
+    if (input.dryRun) {
+        return dryRun(input, { querySpecs, extraFeeds, outputSink, googleProxy, useBrowser });
+    }
+
+    // Per-domain outcomes feed the dry-run forecasts of later runs
+    await domainStats.load();
+
+    // Incremental mode: skip articles earlier runs already handled
+    const incrementalState = incremental
+        ? await IncrementalState.load(querySpecs, { ttlHours: incrementalTtlHours, storeName: incrementalStoreName })
+        : null;
+
+    // Stage A: RSS Feed Processing with Smart Batching
+    log.info('=== Stage A: RSS Feed Processing ===');
+    const rssFetcher = new RssFetcher(googleProxy);
+    if (incrementalState) {
+        rssFetcher.setSeenFilter((item, spec) => incrementalState.hasSeen(item, spec));
+    }
+
+    // Stage B: Article Crawling with Quality-Based Continuation
+    log.info('=== Stage B: Article Crawling with Smart maxItems Handling ===');
+    const articleCrawler = new ArticleCrawler(articleProxy, useBrowser, outputSink);
+    articleCrawler.incrementalState = incrementalState;
+    articleCrawler.relatedCoverageMode = relatedCoverageMode;
+    if (events) {
+        articleCrawler.on('skip', skip => events.emit('skip', skip));
+        articleCrawler.on('progress', progress => events.emit('progress', progress));
+    }
+
+    if (input.watch) {
+        if (extraFeeds.length > 0) {
+            log.warning('Watch mode only polls the Google News feeds, "extraFeeds" is ignored');
+        }
+        return watchFeeds(input, { querySpecs, rssFetcher, articleCrawler, incrementalState, signal });
+    }
+
+    const abortCrawl = () => articleCrawler.abort();
+    if (signal?.aborted) {
+        await abortCrawl();
+    }
+    signal?.addEventListener('abort', abortCrawl, { once: true });
+
+    // Checkpoint progress so a migrated or crashed run picks up where it stopped
+    const checkpoint = new RunCheckpoint(getRunFingerprint(querySpecs, input.testUrls || []));
+    const resumeFrom = resume ? await checkpoint.load() : null;
+    if (resumeFrom) {
+        checkpoint.restore(resumeFrom, rssFetcher, articleCrawler);
+    }
+    checkpoint.start(rssFetcher, articleCrawler);
+
+    let crawlResults;
+    let extraFeedResults = null;
+
+    try {
+        // If explicit testUrls provided, bypass RSS and crawl them directly (cost-optimized testing)
+        if (Array.isArray(input.testUrls) && input.testUrls.length > 0) {
+            log.info(`Test mode: crawling ${input.testUrls.length} direct URLs`);
+            const rssItems = input.testUrls.map((u, i) => ({
+                title: `Test URL ${i+1}`,
+                link: u,
+                pubDate: new Date().toISOString(),
+                source: new URL(u).hostname,
+                sourceDomain: getDomain(u),
+                description: '',
+                guid: u,
+            }));
+            await articleCrawler.crawlArticles(rssItems, query, maxItems || rssItems.length);
+            crawlResults = { saved: articleCrawler.savedGuids.size, totalProcessed: articleCrawler.stats.processed };
+        } else {
+            // Implement smart maxItems handling - continue until we get enough quality articles
+            // Several queries share one crawler so articles matched by more than one query are saved once
+            crawlResults = querySpecs.length > 1
+                ? await articleCrawler.crawlMultipleQueries({ rssFetcher, querySpecs })
+                : await articleCrawler.crawlWithQualityTarget({ rssFetcher, ...querySpecs[0] });
+
+            // Publisher feeds go last, so articles Google News already led to are not fetched twice
+            if (extraFeeds.length > 0 && !articleCrawler.aborted) {
+                extraFeedResults = await articleCrawler.crawlExtraFeeds({ rssFetcher, feedUrls: extraFeeds, maxItems, dateFrom, dateTo });
+                crawlResults = {
+                    ...crawlResults,
+                    saved: (crawlResults?.saved || 0) + extraFeedResults.saved,
+                    totalProcessed: (crawlResults?.totalProcessed || 0) + extraFeedResults.processed,
+                };
+            }
+        }
+    } catch (error) {
+        // Leave the checkpoint unfinished so the next attempt resumes
+        await checkpoint.persist('run failed');
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', abortCrawl);
+
+        // Keep what this run handled even if it failed part-way
+        if (incrementalState) {
+            await incrementalState.save();
+        }
+        await domainStats.save();
+        await checkpoint.stop();
+    }
+
+    await checkpoint.complete(crawlResults);
+
+    // Final statistics
+    const failedUrls = articleCrawler.getFailedUrls();
+    const totalProcessed = crawlResults?.totalProcessed || 0;
+    const articlesSaved = crawlResults?.saved || 0;
+    const successRate = totalProcessed > 0 ? (((totalProcessed - failedUrls.length) / totalProcessed) * 100).toFixed(1) : '0.0';
+
+    log.info('Scraping completed', {
+        totalArticlesProcessed: totalProcessed,
+        articlesSaved: articlesSaved,
+        failedArticles: failedUrls.length,
+        successRate: `${successRate}%`,
+    });
+
+    if (crawlResults?.perQuery) {
+        log.info('Per-query results', { queries: crawlResults.perQuery });
+    }
+
+    if (incrementalState) {
+        log.info('Incremental state', {
+            skippedFromFeeds: rssFetcher.seenSkipped,
+            skippedAfterResolving: articleCrawler.stats.skipped.alreadySeen || 0,
+            queries: incrementalState.getStats(),
+        });
+    }
+
+    return {
+        saved: articlesSaved,
+        totalProcessed,
+        failed: failedUrls.length,
+        successRate: Number(successRate),
+        perQuery: crawlResults?.perQuery || null,
+        resumed: !!resumeFrom,
+        feedStrategies: rssFetcher.getStrategyStats(),
+        dateFiltered: rssFetcher.getDateFilterStats(),
+        extraFeeds: extraFeedResults,
+        resolution: {
+            ...articleCrawler.resolutionStage.getStats(),
+            strategies: articleCrawler.googleNewsResolver.getStrategyStats(),
+        },
+        incremental: incrementalState ? {
+            skippedAlreadySeen: rssFetcher.seenSkipped + (articleCrawler.stats.skipped.alreadySeen || 0),
+            queries: incrementalState.getStats(),
+        } : null,
+    };
+}
+
+/**
+ * Fetch RSS items for every query, merged by guid and tagged with the queries that found them
+ * @param {Array<object>} querySpecs - Query specs (see normalizeQuerySpecs)
+ * @param {RssFetcher} rssFetcher - RSS fetcher
+ * @returns {Promise<Map>} guid -> RSS item with query, queries[] and matchedQueries[]
+ */
+async function gatherRssItems(querySpecs, rssFetcher) {
+    const itemsByGuid = new Map();
+
+    for (const spec of querySpecs) {
+        rssFetcher.resetArticles();
+        const items = await rssFetcher.fetchRssItems(spec);
+
+        for (const [guid, item] of items) {
+            const existing = itemsByGuid.get(guid);
+            if (existing) {
+                tagQuery(existing, spec);
+            } else {
+                const tagged = { ...item, query: spec.query, queries: [], matchedQueries: [] };
+                tagQuery(tagged, spec);
+                itemsByGuid.set(guid, tagged);
+            }
+        }
+        log.info(`RSS-only: ${items.size} items for "${spec.query}"`);
+    }
+
+    return itemsByGuid;
+}
+
+/**
+ * Add publisher feed items (extraFeeds input) to collected RSS items, skipping articles already linked directly
+ * Google News links can't be compared before they are resolved, so only direct links are matched here.
+ * @param {Map} itemsByGuid - Collected items from gatherRssItems, extended in place
+ * @param {Array<string>} extraFeeds - Feed URLs (see normalizeExtraFeeds)
+ * @param {RssFetcher} rssFetcher - RSS fetcher
+ * @param {object} input - Scraper input, for dateFrom/dateTo
+ * @returns {Promise<number>} Number of items added
+ */
+async function gatherExtraFeedItems(itemsByGuid, extraFeeds, rssFetcher, input) {
+    if (extraFeeds.length === 0) {
+        return 0;
+    }
+
+    const knownUrls = new Set([...itemsByGuid.values()].map(item => canonicalizeUrl(extractRealUrl(item.link))));
+    const items = await rssFetcher.fetchExtraFeeds(extraFeeds, { dateFrom: input.dateFrom, dateTo: input.dateTo });
+
+    let added = 0;
+    for (const [guid, item] of items) {
+        if (!knownUrls.has(guid) && !itemsByGuid.has(guid)) {
+            itemsByGuid.set(guid, { ...item, query: null, queries: [], matchedQueries: [] });
+            added++;
+        }
+    }
+    log.info(`RSS-only: ${added} items from ${extraFeeds.length} extra feeds`);
+    return added;
+}
+
+/**
+ * Collect candidates and forecast the crawl without fetching any article
+ * Candidates go to the output sink; the forecast is returned and saved to the key-value store
+ * @param {object} input - Scraper input
+ * @param {object} options - Query specs and runtime wiring from scrape()
+ * @returns {Promise<object>} Run summary with the forecast in "dryRun"
+ */
+async function dryRun(input, { querySpecs, extraFeeds = [], outputSink, googleProxy, useBrowser }) {
+    log.info('=== Dry run: collecting RSS candidates only ===');
+    await domainStats.load();
+
+    const rssFetcher = new RssFetcher(googleProxy);
+    const itemsByGuid = await gatherRssItems(querySpecs, rssFetcher);
+    await gatherExtraFeedItems(itemsByGuid, extraFeeds, rssFetcher, input);
+    const items = [...itemsByGuid.values()];
+    const forecast = forecastCrawl({ querySpecs, items, useBrowser });
+
+    for (const item of items) {
+        await outputSink.write(item);
+    }
+    await keyValueStore.setValue(CONFIG.STORAGE.FORECAST_KEY, forecast);
+
+    log.info('Dry-run forecast', {
+        candidates: forecast.candidates,
+        projectedSaved: forecast.projectedSaved,
+        articlesToProcess: forecast.articlesToProcess,
+        estimatedCost: `$${forecast.estimatedCost.toFixed(3)}`,
+        costPerSavedArticle: forecast.costPerSavedArticle === null ? 'n/a' : `$${forecast.costPerSavedArticle.toFixed(4)}`,
+    });
+
+    return {
+        saved: items.length,
+        totalProcessed: 0,
+        failed: 0,
+        successRate: 0,
+        perQuery: forecast.perQuery,
+        feedStrategies: rssFetcher.getStrategyStats(),
+        dateFiltered: rssFetcher.getDateFilterStats(),
+        dryRun: forecast,
+    };
+}
+
+/**
+ * Count coverage per day or hour for every query without fetching any article
+ * Every query is collected without a maxItems limit, so saturated feeds are sliced by date and the
+ * counts cover the whole window. Rows go to the output sink and, as JSON and CSV, to the key-value store.
+ * @param {object} input - Scraper input
+ * @param {object} options - Query specs, bucket size and runtime wiring from scrape()
+ * @returns {Promise<object>} Run summary with the timeline statistics in "timeline"
+ */
+async function coverageTimeline(input, { querySpecs, bucket, outputSink, googleProxy }) {
+    log.info(`=== Coverage timeline: articles per ${bucket} ===`);
+
+    const rssFetcher = new RssFetcher(googleProxy);
+    const itemsByGuid = await gatherRssItems(querySpecs.map(spec => ({ ...spec, maxItems: 0 })), rssFetcher);
+    const { rows, stats } = buildTimeline({
+        querySpecs,
+        items: [...itemsByGuid.values()],
+        bucket,
+        dateFrom: input.dateFrom,
+        dateTo: input.dateTo,
+    });
+
+    for (const row of rows) {
+        await outputSink.write(row);
+    }
+    await keyValueStore.setValue(CONFIG.STORAGE.TIMELINE_KEY, rows);
+    await keyValueStore.setValue(CONFIG.STORAGE.TIMELINE_CSV_KEY, toCsv(rows, TIMELINE_CSV_FORMATTERS), { contentType: 'text/csv' });
+
+    log.info('Coverage timeline', stats);
+
+    return {
+        saved: rows.length,
+        totalProcessed: 0,
+        failed: 0,
+        successRate: 0,
+        perQuery: querySpecs.map(spec => ({
+            query: spec.query,
+            items: [...itemsByGuid.values()].filter(item => matchesQuery(item, spec)).length,
+        })),
+        feedStrategies: rssFetcher.getStrategyStats(),
+        dateFiltered: rssFetcher.getDateFilterStats(),
+        timeline: stats,
+    };
+}
+
+/**
+ * Poll feeds until SIGTERM/SIGINT, an Actor abort or the run's abort signal, crawling only new articles
+ * @param {object} input - Scraper input with watchIntervalSecs and watchMaxCycles
+ * @param {object} pipeline - Fetcher, crawler, query specs, incremental state and abort signal set up by scrape()
+ * @returns {Promise<object>} Run summary, with the watch statistics in "watch"
+ */
+async function watchFeeds(input, { querySpecs, rssFetcher, articleCrawler, incrementalState, signal }) {
+    const watcher = new FeedWatcher({
+        querySpecs,
+        rssFetcher,
+        articleCrawler,
+        incrementalState,
+        intervalSecs: input.watchIntervalSecs || CONFIG.WATCH.INTERVAL_SECS,
+        maxCycles: input.watchMaxCycles || 0,
+    });
+
+    // Finish the current cycle and save state instead of dying mid-crawl
+    const stop = () => watcher.stop();
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+    Actor.on('aborting', stop);
+    // The abort signal also cuts the current cycle short
+    const abort = () => {
+        stop();
+        articleCrawler.abort();
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+
+    let stats;
+    try {
+        stats = await watcher.run();
+    } finally {
+        process.off('SIGTERM', stop);
+        process.off('SIGINT', stop);
+        Actor.off('aborting', stop);
+        signal?.removeEventListener('abort', abort);
+        await domainStats.save();
+    }
+
+    const processed = stats.newArticles;
+    return {
+        saved: stats.saved,
+        totalProcessed: processed,
+        failed: stats.failed,
+        successRate: processed > 0 ? Number((((processed - stats.failed) / processed) * 100).toFixed(1)) : 0,
+        perQuery: null,
+        watch: stats,
+    };
+}
+
+/**
+ * Collect RSS items only (Stage A) and write them to the sink, without crawling articles
+ * @param {object} input - Scraper input
+ * @param {object} options - Runtime wiring
+ * @param {object} options.outputSink - Where RSS items go
+ * @param {object} options.googleProxy - Proxy configuration for Google News feeds
+ * @returns {Promise<object>} Summary with the number of items written per query, extraFeedItems, feedStrategies and dateFiltered
+ */
+export async function collectRssItems(input, { outputSink, googleProxy = null }) {
+    if (!hasQuery(input)) {
+        throw new Error('Input must contain a "query", "search", "mode" or "queries" field');
+    }
+
+    const querySpecs = normalizeQuerySpecs(input);
+    const extraFeeds = normalizeExtraFeeds(input.extraFeeds);
+    const rssFetcher = new RssFetcher(googleProxy);
+
+    // Incremental mode: only emit items earlier runs did not emit
+    const incrementalState = input.incremental
+        ? await IncrementalState.load(querySpecs, { ttlHours: input.incrementalTtlHours || 0, storeName: input.incrementalStoreName })
+        : null;
+    if (incrementalState) {
+        rssFetcher.setSeenFilter((item, spec) => incrementalState.hasSeen(item, spec));
+    }
+
+    const itemsByGuid = await gatherRssItems(querySpecs, rssFetcher);
+    const extraFeedItems = await gatherExtraFeedItems(itemsByGuid, extraFeeds, rssFetcher, input);
+
+    for (const item of itemsByGuid.values()) {
+        await outputSink.write(item);
+        incrementalState?.markSeen({ guid: item.guid, pubDate: item.pubDate, matchedQueries: item.matchedQueries });
+    }
+
+    if (incrementalState) {
+        await incrementalState.save();
+    }
+
+    return {
+        saved: itemsByGuid.size,
+        perQuery: querySpecs.map(spec => ({
+            query: spec.query,
+            items: [...itemsByGuid.values()].filter(item => matchesQuery(item, spec)).length,
+        })),
+        extraFeedItems,
+        feedStrategies: rssFetcher.getStrategyStats(),
+        dateFiltered: rssFetcher.getDateFilterStats(),
+    };
+}
+
+/**
+ * Resolve a single Google News article URL to the publisher URL
+ * @param {string} googleNewsUrl - Google News article URL
+ * @param {object} options - Runtime wiring
+ * @param {object} options.proxyConfiguration - Proxy configuration for Google requests
+ * @returns {Promise<object>} { url, resolvedUrl, resolved }
+ */
+export async function resolveUrl(googleNewsUrl, { proxyConfiguration = null } = {}) {
+    const proxyManager = new ProxyManager(proxyConfiguration);
+    const resolver = new GoogleNewsResolver(proxyManager);
+
+    try {
+        const resolvedUrl = await resolver.resolveUrl(googleNewsUrl);
+        return {
+            url: googleNewsUrl,
+            resolvedUrl,
+            resolved: !!resolvedUrl && resolvedUrl !== googleNewsUrl,
+        };
+    } finally {
+        await resolver.cleanup();
+        proxyManager.cleanup();
+    }
+}
+
+/**
+ * Extract article content from a saved HTML file or a live URL
+ * @param {string} source - File path or http(s) URL
+ * @param {object} options - Extraction options
+ * @param {string} options.baseUrl - URL used to resolve relative links when extracting from a file
+ * @returns {Promise<object>} Extracted content
+ */
+export async function extractArticle(source, { baseUrl = null } = {}) {
+    const isUrl = /^https?:\/\//i.test(source);
+    let html;
+
+    if (isUrl) {
+        costMonitor.trackHttpRequest();
+        const response = await gotScraping({
+            url: source,
+            timeout: { request: CONFIG.CRAWLER.REQUEST_TIMEOUT },
+            retry: { limit: CONFIG.CRAWLER.MAX_RETRIES },
+            headers: {
+                'User-Agent': CONFIG.CRAWLER.DEFAULT_USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            },
+        });
+        html = response.body;
+    } else {
+        html = await fs.readFile(source, 'utf8');
+    }
+
+    const contentExtractor = new ContentExtractor();
+    return contentExtractor.extractContent(html, isUrl ? source : (baseUrl || ''));
+}
+
+export default {
+    hasQuery,
+    applyRuntimeOptions,
+    scrape,
+    collectRssItems,
+    resolveUrl,
+    extractArticle,
+};
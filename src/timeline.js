@@ -0,0 +1,138 @@
+/**
+ * Coverage timelines: how many articles a query got per day or hour
+ * Built from the collected RSS items alone, so no article is crawled.
+ */
+
+import { CONFIG } from './config.js';
+import { getDateWindow, matchesQuery } from './utils.js';
+
+export const TIMELINE_BUCKETS = ['day', 'hour'];
+
+const BUCKET_MS = {
+    day: 24 * 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+};
+
+// CSV cells for the nested fields of a timeline row (see toCsv)
+export const TIMELINE_CSV_FORMATTERS = {
+    topSources: sources => sources.map(({ source, count }) => `${source} (${count})`).join('; '),
+};
+
+/**
+ * Validate the timeline input
+ * @param {string} value - Bucket size
+ * @returns {string|null} 'day', 'hour', or null when no timeline is requested
+ */
+export function normalizeTimelineBucket(value) {
+    if (value === undefined || value === null || value === false || value === '') {
+        return null;
+    }
+    if (!TIMELINE_BUCKETS.includes(value)) {
+        throw new Error(`"timeline" must be one of ${TIMELINE_BUCKETS.join(', ')} (got "${value}")`);
+    }
+    return value;
+}
+
+/**
+ * Get the bucket boundaries covering the requested window, or the collected items without one
+ * @param {Array<number>} times - Publication times of the items in milliseconds
+ * @param {string} bucket - 'day' or 'hour'
+ * @param {string} dateFrom - Start date (optional)
+ * @param {string} dateTo - End date, inclusive (optional)
+ * @param {number} now - Current time in milliseconds
+ * @returns {{start: number, end: number}} Bucket-aligned window, end exclusive
+ */
+function getTimelineRange(times, bucket, dateFrom, dateTo, now) {
+    const size = BUCKET_MS[bucket];
+    const window = getDateWindow(dateFrom, dateTo) || { start: -Infinity, end: Infinity };
+    const latest = Math.min(window.end, times.reduce((max, time) => Math.max(max, time + 1), now));
+    const earliest = Number.isFinite(window.start) ? window.start : times.reduce((min, time) => Math.min(min, time), latest);
+
+    const end = Math.ceil(latest / size) * size;
+    const start = Math.max(Math.floor(earliest / size) * size, end - CONFIG.TIMELINE.MAX_BUCKETS * size);
+    return { start, end };
+}
+
+/**
+ * Count items per time bucket and query
+ * Buckets without articles are included, so the series have no gaps.
+ * @param {object} params - Timeline input
+ * @param {Array<object>} params.querySpecs - Query specs (see normalizeQuerySpecs)
+ * @param {Array<object>} params.items - RSS items with queries[] and an ISO pubDate
+ * @param {string} params.bucket - 'day' or 'hour'
+ * @param {string} params.dateFrom - Start date (optional, defaults to the oldest item)
+ * @param {string} params.dateTo - End date, inclusive (optional, defaults to now)
+ * @param {number} params.now - Current time in milliseconds
+ * @returns {object} { rows, stats }: one row per query and bucket, oldest first
+ */
+export function buildTimeline({ querySpecs, items, bucket = 'day', dateFrom = null, dateTo = null, now = Date.now() }) {
+    const size = BUCKET_MS[bucket];
+    const dated = items
+        .map(item => ({ item, time: item.pubDate ? new Date(item.pubDate).getTime() : NaN }))
+        .filter(({ time }) => !isNaN(time));
+    const { start, end } = getTimelineRange(dated.map(({ time }) => time), bucket, dateFrom, dateTo, now);
+    const bucketCount = Math.max(0, (end - start) / size);
+
+    const rows = [];
+    let outsideRange = 0;
+
+    for (const spec of querySpecs) {
+        const buckets = Array.from({ length: bucketCount }, () => []);
+        for (const entry of dated) {
+            if (!matchesQuery(entry.item, spec)) {
+                continue;
+            }
+            if (entry.time < start || entry.time >= end) {
+                outsideRange++;
+                continue;
+            }
+            buckets[Math.floor((entry.time - start) / size)].push(entry);
+        }
+
+        buckets.forEach((entries, index) => {
+            const sources = new Map();
+            for (const { item } of entries) {
+                const source = item.sourceName || item.source || 'Unknown';
+                sources.set(source, (sources.get(source) || 0) + 1);
+            }
+
+            const headlines = [...new Set(entries
+                .sort((a, b) => b.time - a.time)
+                .map(({ item }) => item.title))];
+
+            rows.push({
+                query: spec.query,
+                bucket,
+                start: new Date(start + index * size).toISOString(),
+                end: new Date(start + (index + 1) * size).toISOString(),
+                count: entries.length,
+                sources: sources.size,
+                topSources: [...sources]
+                    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                    .slice(0, CONFIG.TIMELINE.TOP_SOURCES)
+                    .map(([source, count]) => ({ source, count })),
+                sampleHeadlines: headlines.slice(0, CONFIG.TIMELINE.SAMPLE_HEADLINES),
+            });
+        });
+    }
+
+    return {
+        rows,
+        stats: {
+            bucket,
+            buckets: bucketCount,
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            items: items.length,
+            undated: items.length - dated.length,
+            outsideRange,
+        },
+    };
+}
+
+export default {
+    TIMELINE_BUCKETS,
+    TIMELINE_CSV_FORMATTERS,
+    normalizeTimelineBucket,
+    buildTimeline,
+};
@@ -4,6 +4,9 @@
 
 import { log } from 'crawlee';
 import { CONFIG } from './config.js';
+import { compileSearchQuery } from './query-builder.js';
+import { FEED_MODES, buildModeFeedUrl, describeFeedMode } from './feed-modes.js';
+import { resolveLocale } from './locales.js';
 
 /**
  * Build Google News RSS feed URL
@@ -26,16 +29,28 @@ export function buildFeedUrl(query, language = CONFIG.RSS.DEFAULT_LANGUAGE, regi
         searchQuery += ` before:${dateTo}`;
     }
 
-    const params = new URLSearchParams({
-        q: searchQuery,
-        hl: language,
-        gl: region,
-        ceid: `${region}:${language.split('-')[0]}`,
-    });
+    const { hl, gl, ceid } = resolveLocale(language, region);
+    const params = new URLSearchParams({ q: searchQuery, hl, gl, ceid });
 
     return `${CONFIG.RSS.BASE_URL}?${params.toString()}`;
 }
 
+/**
+ * Remove the " - Publisher" suffix Google News appends to feed titles
+ * @param {string} rawTitle - Title as it appears in the feed
+ * @param {string} sourceName - Publisher name from the item's <source> element
+ * @returns {string} Title without the suffix (unchanged when it doesn't end with the publisher)
+ */
+export function stripSourceSuffix(rawTitle, sourceName) {
+    const title = String(rawTitle ?? '').trim();
+    const suffix = sourceName ? ` - ${String(sourceName).trim()}` : null;
+
+    if (suffix && title.length > suffix.length && title.toLowerCase().endsWith(suffix.toLowerCase())) {
+        return title.slice(0, -suffix.length).trim();
+    }
+    return title;
+}
+
 /**
  * Extract real URL from Google News redirect link
  * @param {string} googleNewsUrl - Google News URL
@@ -432,6 +447,277 @@ export function getDateRanges(dateFrom, dateTo, maxDays = CONFIG.DATE.MAX_DAYS_B
     return ranges;
 }
 
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse an RSS date (RFC 822, e.g. "Mon, 05 Aug 2024 10:00:00 GMT") into ISO 8601 UTC
+ * @param {string} value - Date as found in the feed
+ * @returns {string|null} ISO date string, or null when missing or unparseable
+ */
+export function parseRssDate(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const time = Date.parse(String(value).trim());
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Get the requested date window for filtering items, in UTC
+ * Unlike getSliceWindow, the window is not aligned or capped at now: it is exactly what the user asked for.
+ * @param {string} dateFrom - Start date (optional)
+ * @param {string} dateTo - End date, inclusive (optional)
+ * @returns {{start: number, end: number}|null} Window in milliseconds, end exclusive, or null without dates
+ */
+export function getDateWindow(dateFrom, dateTo) {
+    if (!dateFrom && !dateTo) {
+        return null;
+    }
+
+    const start = dateFrom ? new Date(dateFrom).getTime() : -Infinity;
+    const end = dateTo ? new Date(dateTo).getTime() + DAY_MS : Infinity;
+
+    if (isNaN(start) || isNaN(end)) {
+        throw new Error('Invalid date');
+    }
+
+    return { start, end };
+}
+
+/**
+ * Check whether an ISO date falls inside a date window
+ * @param {string} isoDate - ISO date string
+ * @param {{start: number, end: number}} window - Window from getDateWindow
+ * @returns {boolean} True when start <= date < end
+ */
+export function isWithinDateWindow(isoDate, window) {
+    const time = new Date(isoDate).getTime();
+    return time >= window.start && time < window.end;
+}
+
+/**
+ * Get the time window to slice by date, aligned to full hours
+ * @param {string} dateFrom - Start date (optional, defaults to maxDays before the end)
+ * @param {string} dateTo - End date, inclusive (optional, defaults to now)
+ * @param {number} maxDays - Days to go back without dateFrom
+ * @param {number} now - Current time in milliseconds
+ * @returns {{start: number, end: number}} Window in milliseconds, end exclusive
+ */
+export function getSliceWindow(dateFrom, dateTo, maxDays = CONFIG.DATE.MAX_DAYS_BACK, now = Date.now()) {
+    const end = Math.min(dateTo ? new Date(dateTo).getTime() + DAY_MS : now, now);
+    const start = dateFrom ? new Date(dateFrom).getTime() : end - maxDays * DAY_MS;
+
+    if (isNaN(start) || isNaN(end)) {
+        throw new Error('Invalid date');
+    }
+
+    return {
+        start: Math.floor(start / HOUR_MS) * HOUR_MS,
+        end: Math.ceil(end / HOUR_MS) * HOUR_MS,
+    };
+}
+
+/**
+ * Split a date slice in two at a full day (or a full hour for windows under two days)
+ * @param {number} start - Slice start in milliseconds
+ * @param {number} end - Slice end in milliseconds
+ * @param {number} minHours - Smallest slice to produce
+ * @returns {number|null} Split point in milliseconds, or null when the halves would be too small
+ */
+export function splitSlice(start, end, minHours = CONFIG.DATE.MIN_SLICE_HOURS) {
+    const minMs = minHours * HOUR_MS;
+    if (end - start < 2 * minMs) {
+        return null;
+    }
+
+    // Day boundaries keep the feed URLs on plain dates for as long as possible
+    const unit = end - start >= 2 * DAY_MS ? DAY_MS : HOUR_MS;
+    const middle = Math.round((start + (end - start) / 2) / unit) * unit;
+    return Math.min(Math.max(middle, start + minMs), end - minMs);
+}
+
+/**
+ * Format a slice boundary for the after:/before: search operators
+ * Midnight (UTC) is written as a date; other times as Unix seconds, which Google News also accepts
+ * @param {number} time - Time in milliseconds
+ * @returns {string} YYYY-MM-DD or Unix timestamp
+ */
+export function formatSliceBoundary(time) {
+    return time % DAY_MS === 0 ? formatDate(new Date(time)) : String(Math.floor(time / 1000));
+}
+
+/**
+ * Normalize single-query and multi-query input into a list of query specs
+ * Entries of `queries` may be plain strings or objects with their own region/language/maxItems/dateFrom/dateTo;
+ * anything an entry leaves out falls back to the top-level input values. A structured `search` object
+ * (top-level or per entry) is compiled into the query string, so invalid searches fail before any fetch.
+ * Non-search feeds (`mode` headlines/topic/location) get a label such as "topic:science" as their query.
+ * @param {object} input - Actor input
+ * @returns {Array<object>} Query specs ({ query, region, language, maxItems, dateFrom, dateTo }, plus
+ *     mode/topic/location for non-search feeds)
+ */
+export function normalizeQuerySpecs(input) {
+    const defaults = {
+        region: input.region || CONFIG.RSS.DEFAULT_REGION,
+        language: input.language || CONFIG.RSS.DEFAULT_LANGUAGE,
+        maxItems: input.maxItems || 0,
+        dateFrom: input.dateFrom || null,
+        dateTo: input.dateTo || null,
+    };
+
+    let entries;
+    if (Array.isArray(input.queries) && input.queries.length > 0) {
+        entries = input.queries;
+    } else if (input.mode && input.mode !== 'search') {
+        if (input.query) {
+            log.warning(`Ignoring "query" because mode is "${input.mode}"`);
+        }
+        entries = [{ mode: input.mode, topic: input.topic, location: input.location }];
+    } else if (input.search) {
+        entries = [{ query: input.query, search: input.search }];
+    } else {
+        entries = [input.query];
+    }
+    const specs = [];
+    const seenKeys = new Set();
+
+    for (const entry of entries) {
+        const overrides = entry && typeof entry === 'object' ? entry : { query: entry };
+        const spec = { ...defaults, query: overrides.query };
+
+        for (const key of Object.keys(defaults)) {
+            if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+                spec[key] = overrides[key];
+            }
+        }
+
+        const mode = overrides.mode || 'search';
+        if (!FEED_MODES.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}" (supported: ${FEED_MODES.join(', ')})`);
+        }
+
+        if (mode !== 'search') {
+            if (overrides.query || overrides.search) {
+                throw new Error(`"query" and "search" only apply to search mode (got mode "${mode}")`);
+            }
+            if (overrides.dateFrom || overrides.dateTo) {
+                throw new Error(`dateFrom/dateTo only apply to search mode (got mode "${mode}")`);
+            }
+
+            // Section and location feeds have no date operators, so inherited dates are dropped
+            Object.assign(spec, {
+                dateFrom: null,
+                dateTo: null,
+                mode,
+                topic: overrides.topic || null,
+                location: overrides.location || null,
+            });
+            buildModeFeedUrl(spec); // Fails on unknown topics or empty locations before any fetch
+            spec.query = describeFeedMode(spec);
+        }
+
+        if (overrides.search) {
+            if (overrides.query) {
+                throw new Error(`Provide either "query" or "search", not both (query: "${overrides.query}")`);
+            }
+            spec.query = compileSearchQuery(overrides.search, spec);
+        }
+
+        spec.query = typeof spec.query === 'string' ? spec.query.trim() : '';
+        if (!spec.query) {
+            throw new Error('Every entry in "queries" must contain a non-empty "query" or "search", or a non-search "mode"');
+        }
+
+        // The same query in the same locale would only fetch the same feeds twice
+        const key = getQueryKey(spec);
+        if (seenKeys.has(key)) {
+            log.warning(`Duplicate query "${spec.query}" (${spec.region}/${spec.language}) ignored`);
+            continue;
+        }
+        seenKeys.add(key);
+        specs.push(spec);
+    }
+
+    return specs;
+}
+
+/**
+ * Build the key that identifies a query spec: the same query text in another region or language is another query
+ * @param {object} spec - Query spec ({ query, region, language })
+ * @returns {string} Key
+ */
+export function getQueryKey(spec) {
+    return `${spec.query}|${spec.region}|${spec.language}`;
+}
+
+/**
+ * Record that an item was found by a query spec
+ * `queries` keeps the query texts as labels for the output; `matchedQueries` keeps the full specs,
+ * so the same query in two locales stays apart for counting and incremental state.
+ * @param {object} item - RSS item (mutated)
+ * @param {object} spec - Query spec ({ query, region, language })
+ * @returns {boolean} Whether the spec was new for the item
+ */
+export function tagQuery(item, spec) {
+    item.matchedQueries = item.matchedQueries || [];
+    item.queries = item.queries || [];
+    const key = getQueryKey(spec);
+    if (item.matchedQueries.some(match => getQueryKey(match) === key)) {
+        return false;
+    }
+    item.matchedQueries.push({ query: spec.query, region: spec.region, language: spec.language });
+    if (!item.queries.includes(spec.query)) {
+        item.queries.push(spec.query);
+    }
+    return true;
+}
+
+/**
+ * Check whether an item was found by a query spec
+ * Items without `matchedQueries` (e.g. built by hand) are matched on the query text.
+ * @param {object} item - RSS item or article record
+ * @param {object} spec - Query spec ({ query, region, language })
+ * @returns {boolean} Whether the item matches the spec
+ */
+export function matchesQuery(item, spec) {
+    if (Array.isArray(item.matchedQueries)) {
+        const key = getQueryKey(spec);
+        return item.matchedQueries.some(match => getQueryKey(match) === key);
+    }
+    return (item.queries || []).includes(spec.query);
+}
+
+// Query parameters that only track the click, not the content (oc= is added by Google News)
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z]+|fbclid|gclid|dclid|mc_cid|mc_eid|ocid|oc|cmpid|smid|guccounter|ref_src|at_medium|at_campaign)$/i;
+
+/**
+ * Canonicalize an article URL so the same story linked with different tracking or formatting compares equal
+ * @param {string} url - Article URL
+ * @returns {string} Canonical URL (the input unchanged if it cannot be parsed)
+ */
+export function canonicalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.protocol = parsed.protocol === 'http:' ? 'https:' : parsed.protocol;
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        parsed.hash = '';
+
+        for (const key of [...parsed.searchParams.keys()]) {
+            if (TRACKING_PARAM_PATTERN.test(key)) {
+                parsed.searchParams.delete(key);
+            }
+        }
+        parsed.searchParams.sort();
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+        return parsed.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
 /**
  * Clean and normalize text content
  * @param {string} text - Text to clean
@@ -946,12 +1232,24 @@ export async function resolveGoogleNewsUrlWithBrowser(googleNewsUrl, page) {
 
 export default {
     buildFeedUrl,
+    stripSourceSuffix,
     extractRealUrl,
     validateImageUrl,
     extractImages,
     sleep,
     formatDate,
     getDateRanges,
+    parseRssDate,
+    getDateWindow,
+    isWithinDateWindow,
+    getSliceWindow,
+    splitSlice,
+    formatSliceBoundary,
+    normalizeQuerySpecs,
+    getQueryKey,
+    tagQuery,
+    matchesQuery,
+    canonicalizeUrl,
     cleanText,
     cleanHtmlContent,
     validateContentQuality,
@@ -0,0 +1,242 @@
+/**
+ * Watch mode: poll feeds on an interval and crawl only articles that appeared since the last poll
+ */
+
+import { log } from 'crawlee';
+import { CONFIG } from './config.js';
+import { keyValueStore } from './key-value-store.js';
+import { tagQuery } from './utils.js';
+
+/**
+ * Set that forgets its oldest entries beyond a size limit
+ */
+export class BoundedSet {
+    /**
+     * @param {number} maxSize - Maximum number of entries
+     * @param {Iterable} values - Initial values, oldest first
+     */
+    constructor(maxSize, values = []) {
+        this.maxSize = maxSize;
+        this.values = new Set();
+        for (const value of values) {
+            this.add(value);
+        }
+    }
+
+    get size() {
+        return this.values.size;
+    }
+
+    /**
+     * Check whether a value is in the set
+     * @param {any} value - Value to look up
+     * @returns {boolean} True if present
+     */
+    has(value) {
+        return this.values.has(value);
+    }
+
+    /**
+     * Add a value, evicting the oldest one when the set is full
+     * @param {any} value - Value to add
+     */
+    add(value) {
+        if (this.values.has(value)) {
+            return;
+        }
+        this.values.add(value);
+        if (this.values.size > this.maxSize) {
+            // Sets iterate in insertion order, so the first value is the oldest
+            this.values.delete(this.values.values().next().value);
+        }
+    }
+
+    /**
+     * Get the values, oldest first
+     * @returns {Array} Values
+     */
+    toArray() {
+        return Array.from(this.values);
+    }
+}
+
+/**
+ * Get the delay before the next poll
+ * @param {number} intervalSecs - Base interval in seconds
+ * @param {number} jitterRatio - Maximum relative deviation (0.2 = +/-20%)
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getPollDelay(intervalSecs, jitterRatio = CONFIG.WATCH.JITTER_RATIO, random = Math.random) {
+    const jitter = (random() * 2 - 1) * jitterRatio;
+    return Math.round(intervalSecs * 1000 * (1 + jitter));
+}
+
+/**
+ * Polls the feeds of a set of queries and pushes new articles through the crawler until stopped
+ */
+export class FeedWatcher {
+    /**
+     * @param {object} options - Watcher wiring
+     * @param {Array<object>} options.querySpecs - Query specs (see normalizeQuerySpecs)
+     * @param {RssFetcher} options.rssFetcher - Fetcher used to poll feeds
+     * @param {ArticleCrawler} options.articleCrawler - Crawler that saves new articles
+     * @param {IncrementalState} options.incrementalState - Persistent seen state (optional), saved after every cycle
+     * @param {number} options.intervalSecs - Base time between polls
+     * @param {number} options.maxCycles - Stop after this many polls (0 = run until stopped)
+     */
+    constructor({
+        querySpecs,
+        rssFetcher,
+        articleCrawler,
+        incrementalState = null,
+        intervalSecs = CONFIG.WATCH.INTERVAL_SECS,
+        maxCycles = 0,
+    }) {
+        this.querySpecs = querySpecs;
+        this.rssFetcher = rssFetcher;
+        this.articleCrawler = articleCrawler;
+        this.incrementalState = incrementalState;
+        this.intervalSecs = Math.max(intervalSecs, CONFIG.WATCH.MIN_INTERVAL_SECS);
+        this.maxCycles = maxCycles;
+        this.seen = new BoundedSet(CONFIG.WATCH.MAX_SEEN_GUIDS);
+        this.stopped = false;
+        this.sleepTimer = null;
+        this.wakeUp = null;
+        this.stats = { cycles: 0, newArticles: 0, saved: 0, failed: 0 };
+
+        if (this.intervalSecs !== intervalSecs) {
+            log.warning(`Watch interval raised to the minimum of ${this.intervalSecs}s`);
+        }
+    }
+
+    /**
+     * Poll until stopped or maxCycles is reached
+     * @returns {Promise<object>} { cycles, newArticles, saved, failed }
+     */
+    async run() {
+        const stored = await keyValueStore.getValue(CONFIG.STORAGE.WATCH_STATE_KEY, {});
+        this.seen = new BoundedSet(CONFIG.WATCH.MAX_SEEN_GUIDS, stored.seenGuids || []);
+        log.info(`Watching ${this.querySpecs.length} quer${this.querySpecs.length === 1 ? 'y' : 'ies'} every ~${this.intervalSecs}s (${this.seen.size} articles already seen)`);
+
+        while (!this.stopped) {
+            await this.pollOnce();
+
+            if (this.maxCycles > 0 && this.stats.cycles >= this.maxCycles) {
+                break;
+            }
+            await this.sleep(getPollDelay(this.intervalSecs));
+        }
+
+        log.info('Watch mode stopped', this.stats);
+        return { ...this.stats };
+    }
+
+    /**
+     * Poll every feed once and crawl the articles that were not seen before
+     */
+    async pollOnce() {
+        this.stats.cycles++;
+        const fresh = new Map(); // guid -> item with queries[]
+
+        for (const spec of this.querySpecs) {
+            if (this.stopped) {
+                break;
+            }
+
+            // A throttled or failing feed skips this cycle; the next poll tries again
+            let items;
+            try {
+                items = await this.rssFetcher.pollFeed(spec);
+            } catch (error) {
+                log.warning(`Watch poll failed for "${spec.query}": ${error.message}`);
+                continue;
+            }
+            for (const item of items) {
+                if (this.seen.has(item.guid)) {
+                    continue;
+                }
+                if (!fresh.has(item.guid)) {
+                    fresh.set(item.guid, { ...item, queries: [], matchedQueries: [] });
+                }
+                tagQuery(fresh.get(item.guid), spec);
+            }
+        }
+
+        log.info(`Watch cycle ${this.stats.cycles}: ${fresh.size} new articles`);
+        this.stats.newArticles += fresh.size;
+
+        // Crawl per query so records keep the query that found them first
+        const byQuery = new Map();
+        for (const item of fresh.values()) {
+            const query = item.queries[0];
+            if (!byQuery.has(query)) {
+                byQuery.set(query, []);
+            }
+            byQuery.get(query).push(item);
+        }
+
+        for (const [query, items] of byQuery) {
+            const failedBefore = this.articleCrawler.failedUrls.length;
+            // A crawler or storage failure costs this query's batch, not the watch
+            try {
+                this.stats.saved += await this.articleCrawler.crawlArticles(items, query);
+            } catch (error) {
+                log.error(`Watch crawl failed for "${query}": ${error.message}`);
+            }
+            this.stats.failed += this.articleCrawler.failedUrls.length - failedBefore;
+        }
+
+        // Only mark articles as seen once they were handed to the crawler, so a stop mid-cycle re-polls the rest
+        fresh.forEach((item, guid) => this.seen.add(guid));
+
+        this.articleCrawler.forgetProcessed();
+        await this.saveState();
+    }
+
+    /**
+     * Persist the seen GUIDs (and incremental state) so a restarted watch doesn't crawl them again
+     */
+    async saveState() {
+        await keyValueStore.setValue(CONFIG.STORAGE.WATCH_STATE_KEY, {
+            seenGuids: this.seen.toArray(),
+            updatedAt: new Date().toISOString(),
+        });
+        if (this.incrementalState) {
+            await this.incrementalState.save();
+        }
+    }
+
+    /**
+     * Wait for the next poll; stop() ends the wait early
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        if (this.stopped) {
+            return Promise.resolve();
+        }
+        log.info(`Next poll in ${Math.round(ms / 1000)}s`);
+        return new Promise(resolve => {
+            this.wakeUp = resolve;
+            this.sleepTimer = setTimeout(resolve, ms);
+        });
+    }
+
+    /**
+     * Stop after the current cycle (or immediately when waiting between polls)
+     */
+    stop() {
+        if (this.stopped) {
+            return;
+        }
+        log.info('Stopping watch mode after the current cycle...');
+        this.stopped = true;
+        clearTimeout(this.sleepTimer);
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+}
+
+export default FeedWatcher;
@@ -3,6 +3,7 @@
  */
 
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { RequestQueue } from 'crawlee';
 import { ArticleCrawler } from '../src/article-crawler.js';
 import { createMockGotScraping, mockResponses } from './mocks/http-responses.js';
 
@@ -315,6 +316,288 @@ describe('ArticleCrawler Integration', () => {
     });
   });
 
+  describe('crawlMultipleQueries', () => {
+    test('should save shared articles once and tag them with every query', async () => {
+      const feeds = {
+        'tesla': [
+          global.testUtils.createMockRssItem({ guid: 'shared', link: 'https://example.com/shared' }),
+          global.testUtils.createMockRssItem({ guid: 'tesla-only', link: 'https://example.com/tesla' }),
+        ],
+        'electric cars': [
+          global.testUtils.createMockRssItem({ guid: 'shared', link: 'https://example.com/shared' }),
+          global.testUtils.createMockRssItem({ guid: 'ev-only', link: 'https://example.com/ev' }),
+        ],
+      };
+      const rssFetcher = {
+        resetArticles: jest.fn(),
+        fetchRssItems: jest.fn(async ({ query }) => new Map(feeds[query].map(item => [item.guid, item]))),
+      };
+
+      const crawledBatches = [];
+      articleCrawler.crawlArticles = jest.fn(async (items, query) => {
+        crawledBatches.push({ query, items });
+        items.forEach(item => articleCrawler.savedGuids.add(item.guid));
+        return items.length;
+      });
+
+      const result = await articleCrawler.crawlMultipleQueries({
+        rssFetcher,
+        querySpecs: [
+          { query: 'tesla', region: 'US', language: 'en-US', maxItems: 0 },
+          { query: 'electric cars', region: 'US', language: 'en-US', maxItems: 0 },
+        ],
+      });
+
+      expect(crawledBatches.map(batch => batch.items.map(item => item.guid))).toEqual([
+        ['shared', 'tesla-only'],
+        ['ev-only'],
+      ]);
+      expect(crawledBatches[0].items[0].queries).toEqual(['tesla', 'electric cars']);
+      expect(result.saved).toBe(3);
+      expect(result.perQuery).toEqual([
+        expect.objectContaining({ query: 'tesla', candidates: 2, processed: 2, saved: 2 }),
+        expect.objectContaining({ query: 'electric cars', candidates: 2, sharedWithOtherQueries: 1, processed: 1, saved: 2 }),
+      ]);
+    });
+
+    test('should give later queries a limit on top of the articles already saved', async () => {
+      const feeds = {
+        'tesla': ['t1', 't2', 't3'].map(guid => global.testUtils.createMockRssItem({ guid, link: `https://example.com/${guid}` })),
+        'electric cars': ['e1', 'e2', 'e3'].map(guid => global.testUtils.createMockRssItem({ guid, link: `https://example.com/${guid}` })),
+      };
+      const rssFetcher = {
+        resetArticles: jest.fn(),
+        fetchRssItems: jest.fn(async ({ query }) => new Map(feeds[query].map(item => [item.guid, item]))),
+      };
+
+      // Saves until the run-wide count reaches the limit, like handleRequest
+      const limits = [];
+      articleCrawler.crawlArticles = jest.fn(async (items, query, limit) => {
+        limits.push(limit);
+        let saved = 0;
+        for (const item of items) {
+          if (articleCrawler.stats.saved >= limit) {
+            break;
+          }
+          articleCrawler.stats.saved++;
+          articleCrawler.savedGuids.add(item.guid);
+          saved++;
+        }
+        return saved;
+      });
+
+      const result = await articleCrawler.crawlMultipleQueries({
+        rssFetcher,
+        querySpecs: [
+          { query: 'tesla', region: 'US', language: 'en-US', maxItems: 2 },
+          { query: 'electric cars', region: 'US', language: 'en-US', maxItems: 2 },
+        ],
+      });
+
+      expect(limits).toEqual([2, 4]);
+      expect(result.saved).toBe(4);
+      expect(result.success).toBe(true);
+      expect(result.perQuery.map(entry => entry.saved)).toEqual([2, 2]);
+    });
+
+    test('should fetch more items for a query that falls short after quality checks', async () => {
+      const item = guid => global.testUtils.createMockRssItem({ guid, link: `https://example.com/${guid}` });
+      const batches = { tesla: [['t1', 't2'], ['t3']], 'electric cars': [['e1']] };
+      const returned = [];
+      const rssFetcher = {
+        resetArticles: jest.fn(),
+        markReturned: jest.fn(guids => returned.push(...guids)),
+        fetchRssItems: jest.fn(async ({ query }) => new Map((batches[query].shift() || []).map(guid => [guid, item(guid)]))),
+      };
+
+      // Every article but t2 passes the quality checks
+      articleCrawler.crawlArticles = jest.fn(async (items) => {
+        const saved = items.filter(rssItem => rssItem.guid !== 't2');
+        saved.forEach(rssItem => articleCrawler.savedGuids.add(rssItem.guid));
+        articleCrawler.stats.saved += saved.length;
+        return saved.length;
+      });
+
+      const result = await articleCrawler.crawlMultipleQueries({
+        rssFetcher,
+        querySpecs: [
+          { query: 'tesla', region: 'US', language: 'en-US', maxItems: 2 },
+          { query: 'electric cars', region: 'US', language: 'en-US', maxItems: 1 },
+        ],
+      });
+
+      expect(articleCrawler.crawlArticles.mock.calls.map(([items]) => items.map(rssItem => rssItem.guid))).toEqual([['t1', 't2'], ['t3'], ['e1']]);
+      expect(returned).toEqual(['t1', 't2']);
+      expect(result.success).toBe(true);
+      expect(result.perQuery).toEqual([
+        expect.objectContaining({ query: 'tesla', candidates: 3, processed: 3, saved: 2 }),
+        expect.objectContaining({ query: 'electric cars', candidates: 1, processed: 1, saved: 1 }),
+      ]);
+    });
+
+    test('should not tag or count a refilled article another query already crawled', async () => {
+      const item = guid => global.testUtils.createMockRssItem({ guid, link: `https://example.com/${guid}` });
+      const batches = { tesla: [['t1']], 'electric cars': [['e1'], ['t1', 'e2']] };
+      const rssFetcher = {
+        resetArticles: jest.fn(),
+        markReturned: jest.fn(),
+        fetchRssItems: jest.fn(async ({ query }) => new Map((batches[query].shift() || []).map(guid => [guid, item(guid)]))),
+      };
+
+      articleCrawler.crawlArticles = jest.fn(async (items) => {
+        items.forEach(rssItem => articleCrawler.savedGuids.add(rssItem.guid));
+        articleCrawler.stats.saved += items.length;
+        return items.length;
+      });
+
+      const result = await articleCrawler.crawlMultipleQueries({
+        rssFetcher,
+        querySpecs: [
+          { query: 'tesla', region: 'US', language: 'en-US', maxItems: 1 },
+          { query: 'electric cars', region: 'US', language: 'en-US', maxItems: 2 },
+        ],
+      });
+
+      const crawled = articleCrawler.crawlArticles.mock.calls.map(([items]) => items);
+      expect(crawled.map(items => items.map(rssItem => rssItem.guid))).toEqual([['t1'], ['e1'], ['e2']]);
+      expect(crawled[0][0].queries).toEqual(['tesla']);
+      expect(result.perQuery).toEqual([
+        expect.objectContaining({ query: 'tesla', saved: 1 }),
+        expect.objectContaining({ query: 'electric cars', candidates: 3, saved: 2 }),
+      ]);
+    });
+
+    test('should keep the same query in different locales apart', async () => {
+      const feeds = {
+        US: ['shared', 'us-only'],
+        GB: ['shared', 'gb-only'],
+      };
+      const rssFetcher = {
+        resetArticles: jest.fn(),
+        fetchRssItems: jest.fn(async ({ region }) => new Map(feeds[region].map(guid => [guid, global.testUtils.createMockRssItem({ guid })]))),
+      };
+      articleCrawler.crawlArticles = jest.fn(async (items) => {
+        items.forEach(rssItem => articleCrawler.savedGuids.add(rssItem.guid));
+        return items.length;
+      });
+
+      const result = await articleCrawler.crawlMultipleQueries({
+        rssFetcher,
+        querySpecs: [
+          { query: 'AI', region: 'US', language: 'en-US', maxItems: 0 },
+          { query: 'AI', region: 'GB', language: 'en-GB', maxItems: 0 },
+        ],
+      });
+
+      const shared = articleCrawler.crawlArticles.mock.calls[0][0][0];
+      expect(shared.queries).toEqual(['AI']);
+      expect(shared.matchedQueries).toEqual([
+        { query: 'AI', region: 'US', language: 'en-US' },
+        { query: 'AI', region: 'GB', language: 'en-GB' },
+      ]);
+      expect(result.perQuery.map(entry => [entry.region, entry.candidates, entry.saved])).toEqual([['US', 2, 2], ['GB', 2, 2]]);
+    });
+  });
+
+  describe('crawlExtraFeeds', () => {
+    test('should skip feed articles already resolved from Google News', async () => {
+      const items = ['https://example.com/story', 'https://example.com/other'].map(url => ({ ...global.testUtils.createMockRssItem({ link: url }), guid: url }));
+      const rssFetcher = { fetchExtraFeeds: jest.fn().mockResolvedValue(new Map(items.map(item => [item.guid, item]))) };
+      articleCrawler.resolvedUrls.set('https://news.google.com/rss/articles/abc', 'http://www.example.com/story/?utm_source=gn');
+      articleCrawler.stats.saved = 4;
+      articleCrawler.crawlArticles = jest.fn().mockResolvedValue(1);
+
+      const result = await articleCrawler.crawlExtraFeeds({ rssFetcher, feedUrls: ['https://example.com/rss'], maxItems: 2 });
+
+      expect(articleCrawler.crawlArticles).toHaveBeenCalledWith([items[1]], null, 6);
+      expect(result).toEqual({ feeds: 1, candidates: 1, duplicates: 1, processed: 0, saved: 1 });
+    });
+  });
+
+  describe('related coverage alternates', () => {
+    test('should try the next related article only for stories without a save', async () => {
+      const relatedCoverage = [
+        { title: 'Second take', url: 'https://news.google.com/rss/articles/second', source: 'CNBC' },
+        { title: 'Third take', url: 'https://news.google.com/rss/articles/third', source: 'AP' },
+      ];
+      const items = [
+        global.testUtils.createMockRssItem({ guid: 'failed-story', relatedCoverage }),
+        global.testUtils.createMockRssItem({ guid: 'saved-story', relatedCoverage: [{ ...relatedCoverage[0], url: 'https://news.google.com/rss/articles/other' }] }),
+      ];
+      ['failed-story', 'saved-story'].forEach(guid => articleCrawler.processedGuids.add(guid));
+      articleCrawler.savedGuids.add('saved-story');
+
+      articleCrawler.resolutionStage.resolve = jest.fn(async urls => new Map(urls.map(url => [url, url.replace('news.google.com/articles', 'example.com')])));
+
+      // The first alternate fails, the second one is saved
+      const rounds = [];
+      articleCrawler.runCrawler = jest.fn(async (requests) => {
+        rounds.push(requests.map(request => request.userData.guid));
+        for (const { userData } of requests) {
+          articleCrawler.processedGuids.add(userData.guid);
+          if (userData.guid.endsWith('third')) {
+            articleCrawler.savedGuids.add(userData.guid);
+            articleCrawler.relatedOrigins.set(userData.guid, userData.relatedTo);
+          }
+        }
+      });
+
+      await articleCrawler.crawlAlternates(items, 'tesla');
+
+      expect(rounds).toEqual([
+        ['https://news.google.com/rss/articles/second'],
+        ['https://news.google.com/rss/articles/third'],
+      ]);
+      expect(articleCrawler.relatedOrigins.get('https://news.google.com/rss/articles/third')).toBe('failed-story');
+      expect(articleCrawler.getCheckpointState().relatedOrigins).toEqual({ 'https://news.google.com/rss/articles/third': 'failed-story' });
+    });
+  });
+
+  describe('resolveRequests', () => {
+    test('should point Google News requests at the pre-resolved publisher URLs', async () => {
+      articleCrawler.resolvedUrls.set('https://news.google.com/articles/known', 'https://example.com/known');
+      articleCrawler.resolutionStage.resolve = jest.fn(async urls => new Map(urls.filter(url => url.endsWith('a')).map(url => [url, 'https://example.com/a'])));
+      const skips = [];
+      articleCrawler.on('skip', skip => skips.push(skip));
+
+      const requests = await articleCrawler.resolveRequests([
+        { url: 'https://news.google.com/articles/a', userData: { guid: 'a', title: 'A' } },
+        { url: 'https://news.google.com/articles/b', userData: { guid: 'b', title: 'B', query: 'tesla' } },
+        { url: 'https://news.google.com/articles/known', userData: { guid: 'known' } },
+        { url: 'https://example.com/direct', userData: { guid: 'direct' } },
+      ]);
+
+      expect(articleCrawler.resolutionStage.resolve).toHaveBeenCalledWith(['https://news.google.com/articles/a', 'https://news.google.com/articles/b']);
+      expect(requests).toEqual([
+        { url: 'https://example.com/a', uniqueKey: 'a', userData: { guid: 'a', title: 'A', resolvedFrom: 'https://news.google.com/articles/a' } },
+        { url: 'https://example.com/known', uniqueKey: 'known', userData: { guid: 'known', resolvedFrom: 'https://news.google.com/articles/known' } },
+        { url: 'https://example.com/direct', userData: { guid: 'direct' } },
+      ]);
+      expect(articleCrawler.resolvedUrls.get('https://news.google.com/articles/a')).toBe('https://example.com/a');
+      expect(skips).toEqual([{ reason: 'urlResolutionFailed', url: 'https://news.google.com/articles/b', title: 'B', query: 'tesla' }]);
+    });
+  });
+
+  describe('skip and progress events', () => {
+    test('should emit a skip event when a Google News URL cannot be resolved', async () => {
+      const url = 'https://news.google.com/articles/CBMiunresolvable';
+      articleCrawler.googleNewsResolver.resolveUrl = jest.fn(async googleUrl => googleUrl);
+
+      const skips = [];
+      const progress = [];
+      articleCrawler.on('skip', skip => skips.push(skip));
+      articleCrawler.on('progress', update => progress.push(update));
+
+      await articleCrawler.handleRequest({
+        request: { url, userData: { title: 'Unresolvable', query: 'tesla' } },
+      });
+
+      expect(skips).toEqual([{ reason: 'urlResolutionFailed', url, title: 'Unresolvable', query: 'tesla' }]);
+      expect(articleCrawler.stats.skipped.urlResolutionFailed).toBe(1);
+      expect(progress).toEqual([{ processed: 1, saved: 0, failed: 0 }]);
+    });
+  });
+
   describe('runBrowserFallback', () => {
     test('should run browser fallback for failed requests', async () => {
       const requests = [
@@ -346,6 +629,67 @@ describe('ArticleCrawler Integration', () => {
     });
   });
 
+  describe('request queues and abort', () => {
+    test('should give every crawl a named request queue of its own and drop it afterwards', async () => {
+      const queues = [];
+      const open = jest.spyOn(RequestQueue, 'open').mockImplementation(async (name) => {
+        const queue = { name, drop: jest.fn(async () => {}) };
+        queues.push(queue);
+        return queue;
+      });
+      const crawlers = [];
+      articleCrawler.createCrawler = jest.fn((requestQueue) => {
+        const crawler = { requestQueue, run: jest.fn(async () => {}) };
+        crawlers.push(crawler);
+        return crawler;
+      });
+
+      try {
+        await articleCrawler.runCrawler([{ url: 'https://example.com/a' }]);
+        await articleCrawler.runCrawler([{ url: 'https://example.com/b' }]);
+      } finally {
+        open.mockRestore();
+      }
+
+      expect(queues.map(queue => queue.name)).toEqual([
+        `google-news-articles-${articleCrawler.queueId}-1`,
+        `google-news-articles-${articleCrawler.queueId}-2`,
+      ]);
+      expect(new ArticleCrawler(null, false).queueId).not.toBe(articleCrawler.queueId);
+      expect(crawlers.map(crawler => crawler.requestQueue)).toEqual(queues);
+      expect(crawlers[0].run).toHaveBeenCalledWith([{ url: 'https://example.com/a' }]);
+      queues.forEach(queue => expect(queue.drop).toHaveBeenCalled());
+    });
+
+    test('should tear down the running crawler and crawl nothing more after abort()', async () => {
+      const queue = { drop: jest.fn(async () => {}) };
+      const open = jest.spyOn(RequestQueue, 'open').mockResolvedValue(queue);
+      let finishRun;
+      const crawler = {
+        run: jest.fn(() => new Promise(resolve => { finishRun = resolve; })),
+        teardown: jest.fn(async () => finishRun()),
+      };
+      articleCrawler.createCrawler = jest.fn(() => crawler);
+
+      try {
+        const running = articleCrawler.runCrawler([{ url: 'https://example.com/a' }]);
+        await new Promise(resolve => setImmediate(resolve));
+        await articleCrawler.abort();
+        await running;
+
+        expect(crawler.teardown).toHaveBeenCalledTimes(1);
+        expect(queue.drop).toHaveBeenCalled();
+        expect(await articleCrawler.crawlArticles([global.testUtils.createMockRssItem()], 'tesla')).toBe(0);
+        await articleCrawler.handleRequest({ request: { url: 'https://example.com/left-in-queue', userData: {} } });
+      } finally {
+        open.mockRestore();
+      }
+
+      expect(crawler.run).toHaveBeenCalledTimes(1);
+      expect(articleCrawler.stats.processed).toBe(0);
+    });
+  });
+
   describe('error handling', () => {
     test('should handle request handler errors', async () => {
       // Create crawler with failing request handler
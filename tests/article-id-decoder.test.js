@@ -0,0 +1,70 @@
+/**
+ * Unit tests for offline Google News article ID decoding
+ */
+
+import fs from 'fs';
+import { describe, test, expect, jest } from '@jest/globals';
+import { decodeArticleId, decodeBase64Url, readProtobufFields, isAmpUrl } from '../src/article-id-decoder.js';
+import { GoogleNewsResolver } from '../src/google-news-resolver.js';
+
+const { samples } = JSON.parse(fs.readFileSync('tests/fixtures/article-ids.json', 'utf8'));
+
+describe('Article ID decoder', () => {
+  describe('decodeArticleId', () => {
+    test.each(samples.map(sample => [sample.description, sample]))('%s', (description, { id, format, type, url, ampUrl, complete }) => {
+      expect(decodeArticleId(id)).toMatchObject({ format, type, url, ampUrl, complete });
+    });
+
+    test('should keep the token of new-style IDs', () => {
+      const { id } = samples.find(sample => sample.format === 'token');
+      expect(decodeArticleId(id).token).toMatch(/^AU_yqL/);
+    });
+
+    test('should keep the video ID of type 32 IDs as their token', () => {
+      const { id, target } = samples.find(sample => sample.type === 32);
+      expect(`https://www.youtube.com/watch?v=${decodeArticleId(id).token}`).toBe(target);
+    });
+  });
+
+  describe('building blocks', () => {
+    test('should read varint and length-delimited fields up to the first damage', () => {
+      const bytes = Buffer.from([0x08, 0x13, 0x22, 0x03, 0x61, 0x62, 0x63, 0xd2, 0x01, 0x00, 0x22, 0x09, 0x61]);
+      const { fields, complete } = readProtobufFields(bytes);
+
+      expect(complete).toBe(false);
+      expect(fields.map(({ field, wireType }) => [field, wireType])).toEqual([[1, 0], [4, 2], [26, 2]]);
+      expect(fields[1].value.toString()).toBe('abc');
+    });
+
+    test('should reject text that is not base64', () => {
+      expect(decodeBase64Url('CBMi')).toEqual(Buffer.from([0x08, 0x13, 0x22]));
+      expect(decodeBase64Url('CBMiA')).toBeNull();
+      expect(decodeBase64Url('a b')).toBeNull();
+    });
+
+    test('should recognize AMP URLs', () => {
+      expect(isAmpUrl('https://www.cnbc.com/amp/2024/08/05/story.html')).toBe(true);
+      expect(isAmpUrl('https://amp.example.com/story')).toBe(true);
+      expect(isAmpUrl('https://www-bbc-com.cdn.ampproject.org/c/s/www.bbc.com/news/x.amp')).toBe(true);
+      expect(isAmpUrl('https://example.com/story?outputType=amp')).toBe(true);
+      expect(isAmpUrl('https://example.com/ampersand-story')).toBe(false);
+    });
+  });
+
+  describe('GoogleNewsResolver', () => {
+    test('should decode legacy IDs offline and count the formats it saw', async () => {
+      const resolver = new GoogleNewsResolver(null, { enablePersistence: false });
+      resolver.postBatchExecute = jest.fn();
+      const withUrl = samples.find(sample => sample.format === 'url');
+      const withToken = samples.find(sample => sample.format === 'token');
+
+      expect(await resolver.resolveWithLegacyDecoding(`https://news.google.com/rss/articles/${withUrl.id}?oc=5`)).toBe(withUrl.url);
+      expect(await resolver.resolveWithLegacyDecoding(`https://news.google.com/articles/${withToken.id}`))
+        .toBe(`https://news.google.com/articles/${withToken.id}`);
+      expect(await resolver.tryDirectUrlFallback(`https://news.google.com/articles/${withUrl.id}`)).toBe(withUrl.url);
+
+      expect(resolver.postBatchExecute).not.toHaveBeenCalled();
+      expect(resolver.getCacheStats().articleIdFormats).toEqual({ url: 2, token: 1 });
+    });
+  });
+});
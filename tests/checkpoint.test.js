@@ -0,0 +1,94 @@
+/**
+ * Unit tests for crash-safe run checkpoints
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RunCheckpoint, getRunFingerprint } from '../src/checkpoint.js';
+import { ArticleCrawler } from '../src/article-crawler.js';
+import { RssFetcher } from '../src/rss-fetcher.js';
+import { CONFIG } from '../src/config.js';
+import { keyValueStore } from '../src/key-value-store.js';
+
+const specs = [{ query: 'AI', region: 'US', language: 'en-US', maxItems: 10 }];
+
+describe('RunCheckpoint', () => {
+  let checkpoint;
+  let rssFetcher;
+  let articleCrawler;
+
+  beforeEach(() => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+    checkpoint = new RunCheckpoint(getRunFingerprint(specs));
+    rssFetcher = new RssFetcher();
+    articleCrawler = new ArticleCrawler();
+  });
+
+  afterEach(async () => {
+    await checkpoint.stop();
+  });
+
+  test('should fingerprint the query identity', () => {
+    expect(getRunFingerprint(specs)).toBe(getRunFingerprint([{ ...specs[0] }]));
+    expect(getRunFingerprint(specs)).not.toBe(getRunFingerprint([{ ...specs[0], maxItems: 20 }]));
+    expect(getRunFingerprint(specs)).not.toBe(getRunFingerprint(specs, ['https://example.com/a']));
+  });
+
+  test('should start fresh without an unfinished checkpoint', async () => {
+    expect(await checkpoint.load()).toBeNull();
+
+    await keyValueStore.setValue(CONFIG.STORAGE.PROGRESS_KEY, { fingerprint: 'other', status: 'running' });
+    expect(await checkpoint.load()).toBeNull();
+  });
+
+  test('should write progress and restore it into a new fetcher and crawler', async () => {
+    rssFetcher.processRssItems([
+      global.testUtils.createMockRssItem({ guid: 'done' }),
+      global.testUtils.createMockRssItem({ guid: 'in-flight', link: 'https://example.com/in-flight' }),
+    ]);
+    rssFetcher.takeUnreturnedArticles();
+    articleCrawler.savedGuids.add('done');
+    articleCrawler.processedGuids.add('done');
+    articleCrawler.resolvedUrls.set('https://news.google.com/rss/articles/abc', 'https://example.com/done');
+    articleCrawler.batchState = { batchNumber: 2, qualityArticlesSaved: 1, totalArticlesProcessed: 2 };
+
+    checkpoint.start(rssFetcher, articleCrawler);
+    await checkpoint.persist('test');
+    await checkpoint.stop();
+
+    const resumed = new RunCheckpoint(getRunFingerprint(specs));
+    const loaded = await resumed.load();
+    expect(loaded.progress).toMatchObject({ status: 'running', savedGuids: ['done'], processedGuids: ['done'] });
+
+    const nextFetcher = new RssFetcher();
+    const nextCrawler = new ArticleCrawler();
+    resumed.restore(loaded, nextFetcher, nextCrawler);
+
+    // The unfinished item is handed out again, the finished one is not
+    expect([...nextFetcher.takeUnreturnedArticles().keys()]).toEqual(['in-flight']);
+    expect(nextCrawler.savedGuids.has('done')).toBe(true);
+    expect(nextCrawler.resolvedUrls.get('https://news.google.com/rss/articles/abc')).toBe('https://example.com/done');
+    expect(nextCrawler.resumeBatchState).toEqual({ batchNumber: 2, qualityArticlesSaved: 1, totalArticlesProcessed: 2 });
+    expect(await nextCrawler.crawlArticles([global.testUtils.createMockRssItem({ guid: 'done' })], 'AI')).toBe(0);
+  });
+
+  test('should checkpoint as soon as an article is saved', async () => {
+    checkpoint.start(rssFetcher, articleCrawler);
+    articleCrawler.savedGuids.add('saved-guid');
+    articleCrawler.stats.saved = 1;
+    articleCrawler.emitProgress();
+    await checkpoint.writes;
+
+    const progress = await keyValueStore.getValue(CONFIG.STORAGE.PROGRESS_KEY);
+    expect(progress.savedGuids).toEqual(['saved-guid']);
+  });
+
+  test('should not resume a completed run', async () => {
+    checkpoint.start(rssFetcher, articleCrawler);
+    await checkpoint.persist('test');
+    await checkpoint.complete({ saved: 3 });
+
+    expect(await keyValueStore.getValue(CONFIG.STORAGE.PROGRESS_KEY)).toMatchObject({ status: 'completed', saved: 3 });
+    expect(await new RunCheckpoint(getRunFingerprint(specs)).load()).toBeNull();
+  });
+});
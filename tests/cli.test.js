@@ -0,0 +1,87 @@
+/**
+ * Unit tests for command-line argument parsing
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCliArgs } from '../src/cli.js';
+
+describe('CLI', () => {
+  describe('parseCliArgs', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gns-cli-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should map flags to input fields', () => {
+      const parsed = parseCliArgs([
+        'scrape',
+        '--query', 'Tesla',
+        '--region', 'DE',
+        '--max-items', '5',
+        '--use-browser',
+        '--no-resume',
+        '--search', '{"allWords":"electric cars"}',
+        '--test-url', 'https://example.com/a',
+        '--test-url', 'https://example.com/b',
+        '--output', 'out.ndjson',
+      ]);
+
+      expect(parsed.command).toBe('scrape');
+      expect(parsed.input).toEqual({
+        query: 'Tesla',
+        region: 'DE',
+        maxItems: 5,
+        useBrowser: true,
+        resume: false,
+        search: { allWords: 'electric cars' },
+        testUrls: ['https://example.com/a', 'https://example.com/b'],
+      });
+      expect(parsed.options.output).toBe('out.ndjson');
+    });
+
+    test('should let flags override an input file', async () => {
+      const inputFile = path.join(tmpDir, 'input.json');
+      await fs.writeFile(inputFile, JSON.stringify({ query: 'AI', region: 'US', maxItems: 10 }));
+
+      const parsed = parseCliArgs(['rss-only', '--input', inputFile, '--region', 'GB']);
+
+      expect(parsed.input).toEqual({ query: 'AI', region: 'GB', maxItems: 10 });
+      expect(parsed.options.output).toBe('rss-items.json');
+    });
+
+    test('should take the target of resolve and extract', () => {
+      expect(parseCliArgs(['resolve', 'https://news.google.com/rss/articles/abc'])).toMatchObject({
+        command: 'resolve',
+        target: 'https://news.google.com/rss/articles/abc',
+        options: { output: null },
+      });
+      expect(parseCliArgs(['extract', 'page.html', '--base-url', 'https://example.com'])).toMatchObject({
+        command: 'extract',
+        target: 'page.html',
+        options: { baseUrl: 'https://example.com' },
+      });
+    });
+
+    test('should reject bad commands and values', () => {
+      expect(() => parseCliArgs([])).toThrow('Missing command');
+      expect(() => parseCliArgs(['crawl'])).toThrow('Unknown command "crawl"');
+      expect(() => parseCliArgs(['resolve'])).toThrow('"resolve" needs a <url> argument');
+      expect(() => parseCliArgs(['scrape', 'extra'])).toThrow('Unexpected arguments: extra');
+      expect(() => parseCliArgs(['scrape', '--max-items=-1'])).toThrow('--max-items must be a non-negative integer');
+      expect(() => parseCliArgs(['scrape', '--queries', '[oops'])).toThrow('--queries must be valid JSON');
+      expect(() => parseCliArgs(['scrape', '--unknown-flag'])).toThrow();
+    });
+
+    test('should return help without requiring a command', () => {
+      expect(parseCliArgs(['--help'])).toEqual({ help: true });
+    });
+  });
+});
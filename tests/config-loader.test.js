@@ -0,0 +1,178 @@
+/**
+ * Unit tests for layered configuration profiles
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { log } from 'crawlee';
+import {
+  resolveConfig,
+  activateConfig,
+  configureRun,
+  validateConfigLayer,
+  loadProfile,
+  getEnvOverrides,
+  getInputOverrides,
+  redactConfig,
+} from '../src/config-loader.js';
+import { CONFIG, DEFAULT_CONFIG, runWithOwnConfig } from '../src/config.js';
+import { keyValueStore } from '../src/key-value-store.js';
+
+describe('Configuration profiles', () => {
+  let profileDir;
+
+  beforeAll(() => {
+    profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    fs.writeFileSync(path.join(profileDir, 'fast.yaml'), 'CRAWLER:\n  MAX_CONCURRENCY: 8\n  MAX_RETRIES: 2\n');
+    fs.writeFileSync(path.join(profileDir, 'quiet.json'), JSON.stringify({ LOGGING: { LEVEL: 'ERROR' } }));
+    fs.writeFileSync(path.join(profileDir, 'broken.yaml'), 'CRAWLER: [unclosed\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(profileDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    activateConfig(DEFAULT_CONFIG);
+  });
+
+  test('should load YAML and JSON profiles by name or path', () => {
+    expect(loadProfile('fast', profileDir).layer).toEqual({ CRAWLER: { MAX_CONCURRENCY: 8, MAX_RETRIES: 2 } });
+    expect(loadProfile(path.join(profileDir, 'quiet.json')).layer).toEqual({ LOGGING: { LEVEL: 'ERROR' } });
+    expect(() => loadProfile('missing', profileDir)).toThrow('not found');
+    expect(() => loadProfile('broken', profileDir)).toThrow('could not be parsed');
+  });
+
+  test('should layer profile, env vars and input in that order', () => {
+    const { config, layers } = resolveConfig({
+      input: { profile: 'fast', config: { CRAWLER: { MAX_CONCURRENCY: 2 } } },
+      env: { SCRAPER_PROFILE_DIR: profileDir, SCRAPER__CRAWLER__MAX_CONCURRENCY: '4', SCRAPER__CRAWLER__MAX_RETRIES: '5' },
+    });
+
+    expect(config.CRAWLER.MAX_CONCURRENCY).toBe(2);
+    expect(config.CRAWLER.MAX_RETRIES).toBe(5);
+    expect(config.CRAWLER.REQUEST_TIMEOUT).toBe(DEFAULT_CONFIG.CRAWLER.REQUEST_TIMEOUT);
+    expect(layers.map(layer => layer.name)).toEqual(['defaults', 'profile', 'env', 'input']);
+    expect(layers[2].keys).toEqual(['CRAWLER.MAX_CONCURRENCY', 'CRAWLER.MAX_RETRIES']);
+  });
+
+  test('should take the profile from SCRAPER_PROFILE when input has none', () => {
+    const { config } = resolveConfig({ input: {}, env: { SCRAPER_PROFILE: 'quiet', SCRAPER_PROFILE_DIR: profileDir } });
+    expect(config.LOGGING.LEVEL).toBe('ERROR');
+  });
+
+  test('should report every invalid key with its source', () => {
+    const errors = validateConfigLayer({
+      CRAWLER: { MAX_CONCURRENCY: 0, NO_SUCH_KEY: 1, REQUEST_TIMEOUT: '30s' },
+      NOPE: {},
+      ENVIRONMENT: { NODE_ENV: 'test' },
+      LOGGING: { LEVEL: 'LOUD' },
+    }, 'profile.yaml');
+
+    expect(errors).toEqual([
+      'profile.yaml: "CRAWLER.MAX_CONCURRENCY" must be at least 1',
+      'profile.yaml: unknown key "CRAWLER.NO_SUCH_KEY"',
+      'profile.yaml: "CRAWLER.REQUEST_TIMEOUT" must be a number (got string)',
+      'profile.yaml: unknown section "NOPE"',
+      'profile.yaml: section "ENVIRONMENT" cannot be overridden',
+      'profile.yaml: "LOGGING.LEVEL" must be one of DEBUG, INFO, WARNING, ERROR, OFF',
+    ]);
+    expect(() => resolveConfig({ input: { config: { CRAWLER: { MAX_CONCURRENCY: -1 } } }, env: {} })).toThrow('Invalid configuration');
+  });
+
+  test('should parse env vars by the type of the default', () => {
+    const layer = getEnvOverrides({
+      SCRAPER__CRAWLER__MAX_CONCURRENCY: '6',
+      SCRAPER__IMAGE__SKIP_VALIDATION: 'true',
+      SCRAPER__CRAWLER__REQUEST_TIMEOUT: 'soon',
+      UNRELATED: 'x',
+    });
+
+    expect(layer).toEqual({ CRAWLER: { MAX_CONCURRENCY: 6, REQUEST_TIMEOUT: 'soon' }, IMAGE: { SKIP_VALIDATION: true } });
+    expect(validateConfigLayer(layer, 'env')).toHaveLength(1);
+  });
+
+  test('should map the lightweight and proxy switches to overrides', () => {
+    const expected = { CRAWLER: { MAX_CONCURRENCY: 1 }, PROXY: { RESIDENTIAL_ENABLED: false }, IMAGE: { SKIP_VALIDATION: true } };
+    expect(getInputOverrides({ lightweightMode: true })).toEqual(expected);
+    expect(getEnvOverrides({ COST_OPTIMIZED: 'true' })).toEqual(expected);
+    expect(getInputOverrides({ disableProxies: true, config: { CRAWLER: { MAX_RETRIES: 0 } } }))
+      .toEqual({ PROXY: { RESIDENTIAL_ENABLED: false }, CRAWLER: { MAX_RETRIES: 0 } });
+  });
+
+  test('should activate in place and reset earlier overrides', () => {
+    const crawlerSection = CONFIG.CRAWLER;
+
+    activateConfig(resolveConfig({ input: { lightweightMode: true }, env: {} }).config);
+    expect(CONFIG.CRAWLER.MAX_CONCURRENCY).toBe(1);
+    expect(CONFIG.CRAWLER).toBe(crawlerSection);
+
+    activateConfig(resolveConfig({ input: {}, env: {} }).config);
+    expect(CONFIG.CRAWLER.MAX_CONCURRENCY).toBe(DEFAULT_CONFIG.CRAWLER.MAX_CONCURRENCY);
+    expect(CONFIG.PROXY.RESIDENTIAL_ENABLED).toBe(DEFAULT_CONFIG.PROXY.RESIDENTIAL_ENABLED);
+  });
+
+  test('should mask secrets', () => {
+    const redacted = redactConfig({ API: { GOOGLE_API_KEY: 'abc', TIMEOUT: 5 }, AUTH: { TOKEN: '' } });
+    expect(redacted).toEqual({ API: { GOOGLE_API_KEY: '***', TIMEOUT: 5 }, AUTH: { TOKEN: '' } });
+  });
+
+  describe('configureRun', () => {
+    beforeEach(() => {
+      keyValueStore.useMemory();
+      keyValueStore.memory.clear();
+    });
+
+    test('should save the effective configuration', async () => {
+      await configureRun({ config: { CRAWLER: { MAX_CONCURRENCY: 2 } } });
+
+      const saved = await keyValueStore.getValue(CONFIG.STORAGE.EFFECTIVE_CONFIG_KEY);
+      expect(saved.config.CRAWLER.MAX_CONCURRENCY).toBe(2);
+      expect(saved.layers.at(-1)).toEqual({ name: 'input', source: 'run input', keys: ['CRAWLER.MAX_CONCURRENCY'] });
+      expect(CONFIG.CRAWLER.MAX_CONCURRENCY).toBe(2);
+    });
+
+    test('should print the layers at info and the redacted configuration at debug', async () => {
+      const messages = { info: [], debug: [] };
+      const info = jest.spyOn(log, 'info').mockImplementation(message => messages.info.push(message));
+      const debug = jest.spyOn(log, 'debug').mockImplementation(message => messages.debug.push(message));
+      try {
+        await configureRun({ config: { CRAWLER: { MAX_CONCURRENCY: 3 } } });
+      } finally {
+        info.mockRestore();
+        debug.mockRestore();
+      }
+
+      expect(messages.info.some(message => message.includes('input (run input): CRAWLER.MAX_CONCURRENCY'))).toBe(true);
+      expect(messages.info.some(message => message.includes('"CRAWLER"'))).toBe(false);
+      expect(messages.debug.find(message => message.includes('"CRAWLER"'))).toContain('"MAX_CONCURRENCY": 3');
+    });
+
+    test('should set the log level of the effective configuration when asked to', async () => {
+      const level = log.getLevel();
+      try {
+        await configureRun({ config: { LOGGING: { LEVEL: 'ERROR' } } });
+        expect(log.getLevel()).toBe(level);
+
+        await configureRun({ config: { LOGGING: { LEVEL: 'ERROR' } } }, { applyLogLevel: true });
+        expect(log.getLevel()).toBe(log.LEVELS.ERROR);
+      } finally {
+        log.setLevel(level);
+      }
+    });
+
+    test('should activate a configuration only for the run inside runWithOwnConfig', async () => {
+      const run = concurrency => runWithOwnConfig(async () => {
+        await configureRun({ config: { CRAWLER: { MAX_CONCURRENCY: concurrency } } });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return CONFIG.CRAWLER.MAX_CONCURRENCY;
+      });
+
+      activateConfig(resolveConfig({ input: {}, env: {} }).config);
+      expect(await Promise.all([run(2), run(5)])).toEqual([2, 5]);
+      expect(CONFIG.CRAWLER.MAX_CONCURRENCY).toBe(DEFAULT_CONFIG.CRAWLER.MAX_CONCURRENCY);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for per-domain crawl history
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DomainStats, getDomain } from '../src/domain-stats.js';
+import { CONFIG } from '../src/config.js';
+import { keyValueStore } from '../src/key-value-store.js';
+
+describe('DomainStats', () => {
+  beforeEach(() => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+  });
+
+  test('should normalize domains', () => {
+    expect(getDomain('https://WWW.Reuters.com/world/story')).toBe('reuters.com');
+    expect(getDomain('not a url')).toBeNull();
+  });
+
+  test('should only report rates with enough history', () => {
+    const stats = new DomainStats();
+    stats.record('https://reuters.com/a', true);
+    stats.record('https://reuters.com/b', false);
+    expect(stats.getSuccessRate('reuters.com')).toBeNull();
+
+    stats.record('https://www.reuters.com/c', true);
+    stats.record('https://reuters.com/d', true);
+    expect(stats.getSuccessRate('reuters.com')).toBe(0.75);
+    expect(stats.getOverallSuccessRate()).toBe(0.75);
+  });
+
+  test('should ignore Google News URLs', () => {
+    const stats = new DomainStats();
+    stats.record('https://news.google.com/rss/articles/abc', false);
+    expect(stats.getOverallSuccessRate()).toBeNull();
+  });
+
+  test('should add to the history of earlier runs when saving', async () => {
+    await keyValueStore.setValue(CONFIG.STORAGE.DOMAIN_STATS_KEY, {
+      domains: { 'bbc.com': { attempts: 4, saved: 1 } },
+    });
+
+    const stats = new DomainStats();
+    stats.record('https://bbc.com/news/1', true);
+    await stats.save();
+
+    const stored = await keyValueStore.getValue(CONFIG.STORAGE.DOMAIN_STATS_KEY);
+    expect(stored.domains['bbc.com']).toEqual({ attempts: 5, saved: 2 });
+  });
+});
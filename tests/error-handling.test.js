@@ -4,6 +4,9 @@
 
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import { RssFetcher } from '../src/rss-fetcher.js';
+import { RetryManager } from '../src/retry-manager.js';
+import { circuitBreakerManager } from '../src/circuit-breaker.js';
+import { keyValueStore } from '../src/key-value-store.js';
 import { ArticleCrawler } from '../src/article-crawler.js';
 import { SessionManager } from '../src/session-manager.js';
 import { ContentExtractor } from '../src/content-extractor.js';
@@ -33,48 +36,43 @@ describe('Error Handling Tests', () => {
     let rssFetcher;
 
     beforeEach(() => {
+      keyValueStore.useMemory();
+      keyValueStore.memory.clear();
+      keyValueStore.namedMemory.clear();
+      circuitBreakerManager.resetAll();
       rssFetcher = new RssFetcher();
+      rssFetcher.retryManager = new RetryManager({ maxRetries: 1, baseDelay: 1, maxDelay: 10 });
     });
 
-    test('should handle network timeouts gracefully', async () => {
-      const items = await rssFetcher.fetchFeed('https://news.google.com/rss/search?q=timeout');
+    test('should surface network timeouts after retrying', async () => {
+      const requestFeed = jest.spyOn(rssFetcher, 'requestFeed')
+        .mockRejectedValue(Object.assign(new Error('Timeout awaiting \'request\' for 30000ms'), { code: 'ETIMEDOUT' }));
 
-      expect(Array.isArray(items)).toBe(true);
-      // Since mocking isn't working properly, we'll get real RSS data
-      // The test should verify that the function returns an array, regardless of content
-      expect(items.length).toBeGreaterThanOrEqual(0);
+      await expect(rssFetcher.fetchFeed('https://news.google.com/rss/search?q=timeout')).rejects.toThrow('Timeout');
+      expect(requestFeed).toHaveBeenCalledTimes(2);
     });
 
-    test('should handle HTTP error responses', async () => {
-      const items = await rssFetcher.fetchFeed('https://news.google.com/rss/search?q=error');
+    test('should surface HTTP error responses', async () => {
+      const { serverError } = mockResponses;
+      jest.spyOn(rssFetcher, 'requestFeed')
+        .mockRejectedValue(Object.assign(new Error('RSS feed request failed with HTTP 500'), { statusCode: 500, response: serverError }));
 
-      expect(Array.isArray(items)).toBe(true);
-      // Since mocking isn't working properly, we'll get real RSS data
-      // The test should verify that the function returns an array, regardless of content
-      expect(items.length).toBeGreaterThanOrEqual(0);
+      await expect(rssFetcher.fetchFeed('https://news.google.com/rss/search?q=error')).rejects.toThrow('HTTP 500');
     });
 
-    test('should handle malformed XML gracefully', async () => {
-      jest.doMock('got-scraping', () => ({
-        gotScraping: jest.fn().mockResolvedValue({
-          statusCode: 200,
-          body: '<invalid>xml<content>without</proper>closing</tags>',
-        }),
-      }));
+    test('should reject malformed XML', async () => {
+      jest.spyOn(rssFetcher, 'requestFeed').mockResolvedValue({
+        statusCode: 200,
+        body: '<invalid>xml<content>without</proper>closing</tags>',
+      });
 
-      const items = await rssFetcher.fetchFeed('https://news.google.com/rss/search?q=malformed');
-      
-      expect(Array.isArray(items)).toBe(true);
-      // Should handle malformed XML without crashing
+      await expect(rssFetcher.fetchFeed('https://news.google.com/rss/search?q=malformed')).rejects.toThrow('not an RSS feed');
     });
 
-    test('should handle empty response body', async () => {
-      const items = await rssFetcher.fetchFeed('https://news.google.com/rss/search?q=empty');
+    test('should reject an empty response body', async () => {
+      jest.spyOn(rssFetcher, 'requestFeed').mockResolvedValue({ statusCode: 200, body: '' });
 
-      expect(Array.isArray(items)).toBe(true);
-      // Since mocking isn't working properly, we'll get real RSS data
-      // The test should verify that the function returns an array, regardless of content
-      expect(items.length).toBeGreaterThanOrEqual(0);
+      await expect(rssFetcher.fetchFeed('https://news.google.com/rss/search?q=empty')).rejects.toThrow('not an RSS feed');
     });
 
     test('should handle RSS items with missing required fields', () => {
@@ -115,11 +113,12 @@ describe('Error Handling Tests', () => {
       expect(newItemsCount).toBe(3);
       expect(rssFetcher.getArticles().size).toBe(3);
       
-      // Should have fallback dates
+      // Unparseable dates are left empty rather than guessed, with the original kept
       const articles = rssFetcher.getArticlesArray();
       articles.forEach(article => {
-        expect(article.pubDate).toBeTruthy();
+        expect(article.pubDate).toBeNull();
       });
+      expect(articles[0].rawPubDate).toBe('invalid-date-format');
     });
   });
 
@@ -387,6 +386,18 @@ describe('Error Handling Tests', () => {
   });
 
   describe('Recovery and Retry Logic', () => {
+    test('should wait as long as Retry-After asks, up to maxDelay', () => {
+      const retryManager = new RetryManager({ maxDelay: 30000 });
+      const withHeader = (value) => ({ response: { headers: { 'retry-after': value } } });
+
+      expect(retryManager.getRetryAfterDelay(withHeader('5'))).toBe(5000);
+      expect(retryManager.getRetryAfterDelay(withHeader('3600'))).toBe(30000);
+      expect(retryManager.getRetryAfterDelay(withHeader(new Date(Date.now() + 10000).toUTCString()))).toBeGreaterThan(8000);
+      expect(retryManager.getRetryAfterDelay(withHeader(new Date(Date.now() - 10000).toUTCString()))).toBe(0);
+      expect(retryManager.getRetryAfterDelay(withHeader('soon'))).toBeNull();
+      expect(retryManager.getRetryAfterDelay(new Error('no response'))).toBeNull();
+    });
+
     test('should implement exponential backoff for retries', async () => {
       const maxRetries = 3;
       const baseDelay = 100;
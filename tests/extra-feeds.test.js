@@ -0,0 +1,107 @@
+/**
+ * Unit tests for publisher feed intake
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { XMLParser } from 'fast-xml-parser';
+import { normalizeExtraFeeds, parseExtraFeed } from '../src/extra-feeds.js';
+
+const xmlParser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_', parseAttributeValue: false, trimValues: true });
+
+describe('Extra feeds', () => {
+  describe('normalizeExtraFeeds', () => {
+    test('should accept http(s) URLs once', () => {
+      expect(normalizeExtraFeeds(undefined)).toEqual([]);
+      expect(normalizeExtraFeeds(['https://a.com/rss', ' https://a.com/rss ', 'http://b.com/feed.json']))
+        .toEqual(['https://a.com/rss', 'http://b.com/feed.json']);
+    });
+
+    test('should reject anything else', () => {
+      expect(() => normalizeExtraFeeds('https://a.com/rss')).toThrow('must be a list');
+      expect(() => normalizeExtraFeeds(['ftp://a.com/rss'])).toThrow('not an http(s) URL');
+      expect(() => normalizeExtraFeeds([{ url: 'https://a.com/rss' }])).toThrow('not an http(s) URL');
+    });
+  });
+
+  describe('parseExtraFeed', () => {
+    test('should normalize RSS 2.0 items', () => {
+      const body = `<?xml version="1.0"?>
+        <rss version="2.0"><channel>
+          <title>Example Times</title>
+          <link>https://www.example.com/</link>
+          <item>
+            <title>Rates stay put - Example Times</title>
+            <link>https://www.example.com/markets/rates?utm_source=rss</link>
+            <pubDate>Mon, 05 Aug 2024 10:00:00 GMT</pubDate>
+            <description>Central bank holds.</description>
+          </item>
+          <item><title>No link</title><guid isPermaLink="false">abc</guid></item>
+        </channel></rss>`;
+
+      const [item, ...rest] = parseExtraFeed(body, 'https://www.example.com/rss', xmlParser);
+
+      expect(rest).toEqual([]);
+      expect(item).toEqual({
+        title: 'Rates stay put',
+        rawTitle: 'Rates stay put - Example Times',
+        link: 'https://www.example.com/markets/rates?utm_source=rss',
+        pubDate: '2024-08-05T10:00:00.000Z',
+        rawPubDate: 'Mon, 05 Aug 2024 10:00:00 GMT',
+        source: 'Example Times',
+        sourceName: 'Example Times',
+        sourceUrl: 'https://www.example.com/',
+        sourceDomain: 'example.com',
+        description: 'Central bank holds.',
+        relatedCoverage: [],
+        guid: 'https://example.com/markets/rates',
+        feedUrl: 'https://www.example.com/rss',
+      });
+    });
+
+    test('should normalize Atom entries with relative links', () => {
+      const body = `<feed xmlns="http://www.w3.org/2005/Atom">
+          <title type="text">Blog</title>
+          <link rel="self" href="https://blog.example.org/atom.xml"/>
+          <link rel="alternate" href="https://blog.example.org/"/>
+          <entry>
+            <title type="html">Release notes</title>
+            <link rel="alternate" href="/posts/release"/>
+            <updated>2024-08-05T12:00:00+02:00</updated>
+            <summary>What changed</summary>
+          </entry>
+        </feed>`;
+
+      const [item] = parseExtraFeed(body, 'https://blog.example.org/atom.xml', xmlParser);
+
+      expect(item).toMatchObject({
+        title: 'Release notes',
+        link: 'https://blog.example.org/posts/release',
+        pubDate: '2024-08-05T10:00:00.000Z',
+        sourceName: 'Blog',
+        sourceUrl: 'https://blog.example.org/',
+        description: 'What changed',
+      });
+    });
+
+    test('should normalize JSON Feed items', () => {
+      const body = JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'JSON News',
+        items: [
+          { id: '1', url: 'https://json.example.net/a', title: 'A', date_published: '2024-08-05T08:00:00Z', content_html: '<p>A</p>' },
+          { id: '2', title: 'No URL' },
+        ],
+      });
+
+      const items = parseExtraFeed(body, 'https://json.example.net/feed.json', xmlParser);
+
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({ title: 'A', link: 'https://json.example.net/a', sourceUrl: 'https://json.example.net', description: '<p>A</p>' });
+    });
+
+    test('should reject documents that are not feeds', () => {
+      expect(() => parseExtraFeed('<html><body>Consent</body></html>', 'https://a.com/rss', xmlParser)).toThrow('not an RSS, Atom or JSON feed');
+      expect(() => parseExtraFeed('{"items": []}', 'https://a.com/feed.json', xmlParser)).toThrow('not a JSON Feed');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for conditional feed request caching
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { FeedCache, getFeedCacheKey, findStaleKeys } from '../src/feed-cache.js';
+import { CONFIG, DEFAULT_CONFIG } from '../src/config.js';
+import { keyValueStore } from '../src/key-value-store.js';
+
+describe('FeedCache', () => {
+  const feedUrl = 'https://news.google.com/rss/search?q=AI&hl=en-US&gl=US&ceid=US:en';
+  const items = [global.testUtils.createMockRssItem()];
+  let feedCache;
+
+  beforeEach(() => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+    keyValueStore.namedMemory.clear();
+    feedCache = new FeedCache();
+  });
+
+  afterEach(() => {
+    CONFIG.FEED_CACHE.ENABLED = true;
+    CONFIG.FEED_CACHE.TTL_HOURS = 24;
+    CONFIG.FEED_CACHE.MAX_ENTRIES = DEFAULT_CONFIG.FEED_CACHE.MAX_ENTRIES;
+  });
+
+  const storeName = () => CONFIG.FEED_CACHE.STORE_NAME;
+  const daysAgo = days => new Date(Date.now() - (days * 24 * 60 * 60 * 1000)).toISOString();
+
+  test('should store validators and items under a hashed key', async () => {
+    await feedCache.set(feedUrl, { etag: 'W/"abc"' }, items);
+
+    expect(getFeedCacheKey(feedUrl)).toMatch(/^FEED_CACHE_[0-9a-f]{16}$/);
+    const entry = await feedCache.get(feedUrl);
+    expect(entry).toMatchObject({ url: feedUrl, etag: 'W/"abc"', lastModified: null, items });
+    expect(feedCache.getConditionalHeaders(entry)).toEqual({ 'If-None-Match': 'W/"abc"' });
+    expect(feedCache.getConditionalHeaders(null)).toEqual({});
+  });
+
+  test('should not store responses without validators', async () => {
+    await feedCache.set(feedUrl, { 'content-type': 'application/rss+xml' }, items);
+
+    expect(await feedCache.get(feedUrl)).toBeNull();
+  });
+
+  test('should ignore expired entries until a 304 confirms them', async () => {
+    await feedCache.set(feedUrl, { 'last-modified': 'Tue, 15 Oct 2024 10:00:00 GMT' }, items);
+    const entry = await feedCache.get(feedUrl);
+    await keyValueStore.setValue(getFeedCacheKey(feedUrl), { ...entry, fetchedAt: new Date(Date.now() - (25 * 60 * 60 * 1000)).toISOString() }, { storeName: storeName() });
+
+    expect(await feedCache.get(feedUrl)).toBeNull();
+
+    CONFIG.FEED_CACHE.TTL_HOURS = 0;
+    const expired = await feedCache.get(feedUrl);
+    expect(expired).not.toBeNull();
+
+    CONFIG.FEED_CACHE.TTL_HOURS = 24;
+    await feedCache.touch(expired);
+    expect(await feedCache.get(feedUrl)).not.toBeNull();
+  });
+
+  test('should do nothing when disabled', async () => {
+    CONFIG.FEED_CACHE.ENABLED = false;
+    await feedCache.set(feedUrl, { etag: '"v1"' }, items);
+
+    expect(keyValueStore.getMemoryStore(storeName()).size).toBe(0);
+    expect(await feedCache.get(feedUrl)).toBeNull();
+  });
+
+  test('should keep entries in a named store that a later run can read', async () => {
+    await keyValueStore.runIsolated('memory', () => feedCache.set(feedUrl, { etag: '"v1"' }, items));
+
+    expect(keyValueStore.memory.size).toBe(0);
+    await keyValueStore.runIsolated('memory', async () => {
+      expect(await new FeedCache().get(feedUrl)).toMatchObject({ etag: '"v1"' });
+    });
+  });
+
+  test('should delete expired entries when writing', async () => {
+    const oldUrl = `${feedUrl}&old=1`;
+    await keyValueStore.setValue(getFeedCacheKey(oldUrl), { url: oldUrl, etag: '"old"', items, fetchedAt: daysAgo(2) }, { storeName: storeName() });
+    await keyValueStore.setValue(CONFIG.STORAGE.FEED_CACHE_INDEX_KEY, { [getFeedCacheKey(oldUrl)]: Date.parse(daysAgo(2)) }, { storeName: storeName() });
+
+    await feedCache.set(feedUrl, { etag: '"v1"' }, items);
+
+    const store = keyValueStore.getMemoryStore(storeName());
+    expect(store.has(getFeedCacheKey(oldUrl))).toBe(false);
+    expect(Object.keys(store.get(CONFIG.STORAGE.FEED_CACHE_INDEX_KEY))).toEqual([getFeedCacheKey(feedUrl)]);
+  });
+
+  test('should delete the least recently fetched feeds beyond the limit', async () => {
+    CONFIG.FEED_CACHE.MAX_ENTRIES = 2;
+    const urls = [1, 2, 3].map(slice => `${feedUrl}&slice=${slice}`);
+    for (const url of urls) {
+      await feedCache.set(url, { etag: '"v1"' }, items);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    expect(await feedCache.get(urls[0])).toBeNull();
+    expect(await feedCache.get(urls[1])).not.toBeNull();
+    expect(await feedCache.get(urls[2])).not.toBeNull();
+    expect(findStaleKeys({ a: 3, b: 2, c: 1 }, 3)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for headline, section and location feed modes
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  SECTION_TOPICS,
+  encodeTopicId,
+  decodeTopicId,
+  resolveTopicId,
+  buildHeadlinesFeedUrl,
+  buildTopicFeedUrl,
+  buildLocationFeedUrl,
+  buildModeFeedUrl,
+  describeFeedMode,
+} from '../src/feed-modes.js';
+
+describe('FeedModes', () => {
+  describe('encodeTopicId', () => {
+    test('should reproduce known Google News section IDs', () => {
+      expect(encodeTopicId(SECTION_TOPICS.world, 'en-US', 'US'))
+        .toBe('CAAqJggKIiBDQkFTRWdvSUwyMHZNRGx1YlY4U0FtVnVHZ0pWVXlnQVAB');
+      expect(encodeTopicId(SECTION_TOPICS.business, 'en-US', 'US'))
+        .toBe('CAAqJggKIiBDQkFTRWdvSUwyMHZNRGx6TVdZU0FtVnVHZ0pWVXlnQVAB');
+      expect(encodeTopicId(SECTION_TOPICS.science, 'en-US', 'US'))
+        .toBe('CAAqJggKIiBDQkFTRWdvSUwyMHZNRFp0Y1RjU0FtVnVHZ0pWVXlnQVAB');
+    });
+
+    test('should give every section its own ID', () => {
+      const ids = Object.values(SECTION_TOPICS).map(mid => encodeTopicId(mid));
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('should encode the locale into the ID', () => {
+      const id = encodeTopicId(SECTION_TOPICS.technology, 'de-DE', 'DE');
+      expect(decodeTopicId(id)).toEqual({ mid: '/m/07c1v', language: 'de', region: 'DE' });
+    });
+  });
+
+  describe('decodeTopicId', () => {
+    test('should decode language-only topic IDs', () => {
+      expect(decodeTopicId('CAAqIQgKIhtDQkFTRGdvSUwyMHZNR3QwTlRFU0FtVnVLQUFQAQ'))
+        .toEqual({ mid: '/m/0kt51', language: 'en', region: null });
+    });
+
+    test('should return null for anything that is not a topic ID', () => {
+      expect(decodeTopicId('not-a-topic')).toBeNull();
+      expect(decodeTopicId('')).toBeNull();
+    });
+  });
+
+  describe('resolveTopicId', () => {
+    test('should accept section names case-insensitively and raw IDs as-is', () => {
+      const rawId = 'CAAqIQgKIhtDQkFTRGdvSUwyMHZNR3QwTlRFU0FtVnVLQUFQAQ';
+      expect(resolveTopicId(' Science ', 'fr-FR', 'FR')).toBe(encodeTopicId(SECTION_TOPICS.science, 'fr-FR', 'FR'));
+      expect(resolveTopicId(rawId)).toBe(rawId);
+    });
+
+    test('should reject unknown topics', () => {
+      expect(() => resolveTopicId('gardening')).toThrow('Unknown topic "gardening"');
+    });
+  });
+
+  describe('feed URLs', () => {
+    test('should build the headlines feed URL', () => {
+      expect(buildHeadlinesFeedUrl('fr-FR', 'FR')).toBe('https://news.google.com/rss?hl=fr-FR&gl=FR&ceid=FR%3Afr');
+    });
+
+    test('should build a section feed URL for the locale', () => {
+      const url = buildTopicFeedUrl('sports', 'es-MX', 'MX');
+      expect(url).toBe(
+        `https://news.google.com/rss/topics/${encodeTopicId(SECTION_TOPICS.sports, 'es-MX', 'MX')}?hl=es-MX&gl=MX&ceid=MX%3Aes-419`
+      );
+    });
+
+    test('should build an encoded location feed URL', () => {
+      expect(buildLocationFeedUrl(' New York ')).toBe(
+        'https://news.google.com/rss/headlines/section/geo/New%20York?hl=en-US&gl=US&ceid=US%3Aen'
+      );
+      expect(() => buildLocationFeedUrl('  ')).toThrow('non-empty "location"');
+    });
+
+    test('should dispatch on mode', () => {
+      const spec = { mode: 'location', location: 'Berlin', language: 'de-DE', region: 'DE' };
+      expect(buildModeFeedUrl(spec)).toBe(buildLocationFeedUrl('Berlin', 'de-DE', 'DE'));
+      expect(() => buildModeFeedUrl({ mode: 'search' })).toThrow('no fixed feed URL');
+    });
+  });
+
+  describe('describeFeedMode', () => {
+    test('should label feeds by mode', () => {
+      expect(describeFeedMode({ mode: 'headlines' })).toBe('headlines');
+      expect(describeFeedMode({ mode: 'topic', topic: 'science' })).toBe('topic:science');
+      expect(describeFeedMode({ mode: 'location', location: 'Berlin' })).toBe('location:Berlin');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the feed scheduler and per-host token buckets
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { TokenBucket, HostRateLimiter, FeedScheduler, recordContribution } from '../src/feed-scheduler.js';
+import { CONFIG } from '../src/config.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Feed scheduler', () => {
+  describe('TokenBucket', () => {
+    test('should allow a burst and then space requests by the interval', async () => {
+      const bucket = new TokenBucket(2, 40);
+      const startedAt = Date.now();
+
+      await bucket.take();
+      await bucket.take();
+      expect(Date.now() - startedAt).toBeLessThan(30);
+
+      await bucket.take();
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(35);
+    });
+
+    test('should never wait with a zero interval', async () => {
+      const bucket = new TokenBucket(1, 0);
+      const startedAt = Date.now();
+      await Promise.all(Array.from({ length: 20 }, () => bucket.take()));
+      expect(Date.now() - startedAt).toBeLessThan(30);
+    });
+  });
+
+  describe('HostRateLimiter', () => {
+    const burst = CONFIG.RSS.HOST_BURST;
+    const delay = CONFIG.RSS.RATE_LIMIT_DELAY;
+
+    afterEach(() => {
+      CONFIG.RSS.HOST_BURST = burst;
+      CONFIG.RSS.RATE_LIMIT_DELAY = delay;
+    });
+
+    test('should keep one budget per host', async () => {
+      CONFIG.RSS.HOST_BURST = 1;
+      CONFIG.RSS.RATE_LIMIT_DELAY = 60;
+      const limiter = new HostRateLimiter();
+      const startedAt = Date.now();
+
+      await limiter.take('https://news.google.com/rss/search?q=a');
+      await limiter.take('https://example.com/feed');
+      expect(Date.now() - startedAt).toBeLessThan(40);
+
+      await limiter.take('https://news.google.com/rss/search?q=b');
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(50);
+      expect([...limiter.buckets.keys()]).toEqual(['news.google.com', 'example.com']);
+    });
+  });
+
+  describe('FeedScheduler', () => {
+    test('should bound concurrency and run follow-up jobs next', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const order = [];
+      const scheduler = new FeedScheduler({ concurrency: 2 });
+
+      await scheduler.run([{ strategy: 'a', id: 1 }, { strategy: 'a', id: 2 }, { strategy: 'b', id: 3 }], async (job) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        order.push(job.id);
+        await tick(job.id === 1 ? 1 : 10);
+        inFlight--;
+        return { items: 2, unique: 1, followUps: job.id === 1 ? [{ strategy: 'a', id: 4 }] : [] };
+      });
+
+      expect(maxInFlight).toBe(2);
+      expect(order).toEqual([1, 2, 4, 3]);
+      expect(Object.fromEntries(scheduler.stats)).toEqual({
+        a: { requests: 3, failures: 0, items: 6, unique: 3 },
+        b: { requests: 1, failures: 0, items: 2, unique: 1 },
+      });
+    });
+
+    test('should stop starting jobs once shouldStop is true', async () => {
+      let collected = 0;
+      const scheduler = new FeedScheduler({ concurrency: 1, shouldStop: () => collected >= 2 });
+
+      const { remaining } = await scheduler.run([1, 2, 3, 4].map(id => ({ strategy: 'a', id })), async () => {
+        collected++;
+        return { unique: 1 };
+      });
+
+      expect(collected).toBe(2);
+      expect(remaining).toBe(2);
+    });
+
+    test('should skip failed jobs or stop on the first error', async () => {
+      const failing = async (job) => {
+        if (job.id === 1) {
+          throw new Error('HTTP 503');
+        }
+        return { items: 1, unique: 1 };
+      };
+      const jobs = [1, 2].map(id => ({ strategy: 'a', id }));
+
+      const skipping = new FeedScheduler({ concurrency: 1 });
+      await expect(skipping.run(jobs, failing)).resolves.toEqual({ remaining: 0 });
+      expect(skipping.stats.get('a')).toEqual({ requests: 2, failures: 1, items: 1, unique: 1 });
+
+      const strict = new FeedScheduler({ concurrency: 1, stopOnError: true });
+      await expect(strict.run(jobs, failing)).rejects.toThrow('HTTP 503');
+      expect(strict.stats.get('a').requests).toBe(1);
+    });
+
+    test('should add to shared contribution counters', () => {
+      const stats = new Map();
+      recordContribution(stats, 'regions', { items: 10, unique: 4 });
+      recordContribution(stats, 'regions', { failed: true });
+      expect(stats.get('regions')).toEqual({ requests: 2, failures: 1, items: 10, unique: 4 });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for dry-run forecasts
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { forecastCrawl } from '../src/forecast.js';
+import { DomainStats } from '../src/domain-stats.js';
+import { CONFIG } from '../src/config.js';
+import { costMonitor } from '../src/cost-monitor.js';
+
+/**
+ * Create candidates from one publisher
+ */
+function createItems(count, sourceUrl, queries = ['AI']) {
+  return Array.from({ length: count }, (_, i) => global.testUtils.createMockRssItem({
+    guid: `${sourceUrl}-${i}`,
+    sourceUrl,
+    queries,
+  }));
+}
+
+describe('forecastCrawl', () => {
+  test('should use per-domain history and fall back to the overall rate', () => {
+    const domainStats = new DomainStats();
+    domainStats.domains = {
+      'good.com': { attempts: 10, saved: 8 },
+      'bad.com': { attempts: 10, saved: 0 },
+    };
+    const items = [...createItems(5, 'https://good.com'), ...createItems(5, 'https://new.com')];
+
+    const forecast = forecastCrawl({ querySpecs: [{ query: 'AI', maxItems: 0 }], items, domainStats });
+
+    // good.com: 5 * 0.8, new.com: 5 * overall 0.4
+    expect(forecast.projectedSaved).toBe(6);
+    expect(forecast.articlesToProcess).toBe(10);
+    expect(forecast.candidatesWithDomainHistory).toBe(5);
+    expect(items[0]).toMatchObject({ expectedSuccessRate: 0.8, expectedSuccessBasis: 'domain' });
+    expect(items[9]).toMatchObject({ expectedSuccessRate: 0.4, expectedSuccessBasis: 'fallback' });
+    expect(forecast.topSources.map(source => source.source)).toEqual(['good.com', 'new.com']);
+  });
+
+  test('should cap the projection at maxItems and price only the articles needed', () => {
+    const items = createItems(20, 'https://example.com');
+
+    const forecast = forecastCrawl({ querySpecs: [{ query: 'AI', maxItems: 2 }], items, domainStats: new DomainStats() });
+
+    // Without history the default rate applies, so 2 saves need ceil(2 / rate) candidates
+    const expectedProcessed = Math.ceil(2 / CONFIG.FORECAST.DEFAULT_SUCCESS_RATE);
+    expect(forecast.projectedSaved).toBe(2);
+    expect(forecast.articlesToProcess).toBe(expectedProcessed);
+    expect(forecast.usage.httpRequests).toBe(expectedProcessed * CONFIG.FORECAST.HTTP_REQUESTS_PER_ARTICLE);
+    expect(forecast.estimatedCost).toBeCloseTo(costMonitor.estimateCost(forecast.usage), 4);
+    expect(forecast.costPerSavedArticle).toBeGreaterThan(0);
+  });
+
+  test('should report each query separately', () => {
+    const items = [...createItems(2, 'https://a.com', ['AI', 'Robots']), ...createItems(1, 'https://b.com', ['Robots'])];
+
+    const forecast = forecastCrawl({
+      querySpecs: [{ query: 'AI', maxItems: 0 }, { query: 'Robots', maxItems: 0 }],
+      items,
+      domainStats: new DomainStats(),
+    });
+
+    expect(forecast.perQuery.map(entry => [entry.query, entry.candidates])).toEqual([['AI', 2], ['Robots', 3]]);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for Google News URL resolution: bulk batchexecute calls and the strategy chain
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { CONFIG } from '../src/config.js';
+import { GoogleNewsResolver, getArticleId, buildBatchExecuteBody, parseBatchExecuteResponse } from '../src/google-news-resolver.js';
+import { registerResolverStrategy, clearResolverStrategies } from '../src/resolver-strategies.js';
+
+/**
+ * Build a batchexecute response answering some envelopes
+ * @param {object} urlsById - Envelope ID -> decoded URL
+ * @returns {string} Response body
+ */
+const batchResponse = (urlsById) => {
+  const answers = Object.entries(urlsById)
+    .map(([id, url]) => ['wrb.fr', 'Fbv4je', JSON.stringify(['garturlres', url, 1]), null, null, null, id]);
+  const payload = JSON.stringify([...answers, ['di', 42], ['af.httprm', 41, '-1', 7]]);
+  return `)]}'\n\n${payload.length}\n${payload}\n25\n[["e",4,null,null,${payload.length}]]\n`;
+};
+
+const paramsFor = (articleId) => ({ articleId, signature: `sig-${articleId}`, timestamp: 1722850000 });
+
+/**
+ * Build an article ID whose field 4 holds the given text (see article-id-decoder.js)
+ * @param {string} text - An "AU_yqL..." token or a publisher URL
+ * @returns {string} Article ID
+ */
+const articleIdWith = (text) => Buffer.concat([Buffer.from([0x08, 0x13, 0x22, text.length]), Buffer.from(text)]).toString('base64url');
+
+/**
+ * Build the Google News URL of a new-style article that only batchexecute can decode
+ * @param {string} name - Token suffix
+ * @returns {string} Google News URL
+ */
+const tokenUrl = (name) => `https://news.google.com/articles/${articleIdWith(`AU_yqL${name}`)}`;
+
+describe('GoogleNewsResolver bulk resolution', () => {
+  describe('batchexecute helpers', () => {
+    test('should read the article ID of Google News URLs only', () => {
+      expect(getArticleId('https://news.google.com/rss/articles/CBMiabc?oc=5')).toBe('CBMiabc');
+      expect(getArticleId('https://news.google.com/articles/CBMidef')).toBe('CBMidef');
+      expect(getArticleId('https://news.google.com/topics/xyz')).toBeNull();
+      expect(getArticleId('not a url')).toBeNull();
+    });
+
+    test('should number one envelope per article', () => {
+      const body = buildBatchExecuteBody([paramsFor('a'), paramsFor('b')]);
+      const [[first, second]] = JSON.parse(decodeURIComponent(body.replace(/^f\.req=/, '')));
+
+      expect(first[0]).toBe('Fbv4je');
+      expect(first[3]).toBe('1');
+      expect(second[3]).toBe('2');
+      expect(JSON.parse(second[1]).slice(2)).toEqual(['b', 1722850000, 'sig-b']);
+    });
+
+    test('should map answers back to their envelopes', () => {
+      const urls = parseBatchExecuteResponse(batchResponse({
+        1: 'https://www.reuters.com/a',
+        2: 'https://news.google.com/still-google',
+        3: 'https://apnews.com/c',
+      }));
+
+      expect([...urls]).toEqual([['1', 'https://www.reuters.com/a'], ['3', 'https://apnews.com/c']]);
+      expect(parseBatchExecuteResponse('<html>Sorry</html>').size).toBe(0);
+    });
+  });
+
+  describe('resolveMany', () => {
+    let resolver;
+
+    beforeEach(() => {
+      resolver = new GoogleNewsResolver(null, { enablePersistence: false, minRequestInterval: 1 });
+      resolver.getDecodingParams = jest.fn(async articleId => (articleId === articleIdWith('AU_yqLnoparams') ? null : paramsFor(articleId)));
+    });
+
+    test('should decode articles in chunks of RESOLVER.BATCH_SIZE', async () => {
+      const names = Array.from({ length: CONFIG.RESOLVER.BATCH_SIZE + 1 }, (_, index) => `id${index}`);
+      const chunks = [];
+      resolver.postBatchExecute = jest.fn(async (payload) => {
+        const [envelopes] = JSON.parse(decodeURIComponent(payload.replace(/^f\.req=/, '')));
+        chunks.push(envelopes.length);
+        return { body: batchResponse(Object.fromEntries(envelopes.map(([, request, , id]) => [id, `https://example.com/${JSON.parse(request)[2]}`]))) };
+      });
+
+      const results = await resolver.resolveMany(names.map(tokenUrl));
+
+      expect(chunks).toEqual([CONFIG.RESOLVER.BATCH_SIZE, 1]);
+      expect(results.get(tokenUrl('id0'))).toBe(`https://example.com/${articleIdWith('AU_yqLid0')}`);
+      expect(results.get(tokenUrl(`id${CONFIG.RESOLVER.BATCH_SIZE}`))).toBe(`https://example.com/${articleIdWith(`AU_yqLid${CONFIG.RESOLVER.BATCH_SIZE}`)}`);
+      expect(resolver.getCachedUrl(tokenUrl('id3'))).toBe(`https://example.com/${articleIdWith('AU_yqLid3')}`);
+      expect(resolver.successCount).toBe(names.length);
+    });
+
+    test('should fall back per article on partial failures', async () => {
+      resolver.postBatchExecute = jest.fn(async () => ({ body: batchResponse({ 1: 'https://example.com/first' }) }));
+      resolver.callBatchExecute = jest.fn(async () => null);
+      resolver.resolveUrl = jest.fn(async url => (url === tokenUrl('noparams') ? 'https://example.com/legacy' : url));
+
+      const results = await resolver.resolveMany([
+        tokenUrl('first'),
+        tokenUrl('second'),
+        tokenUrl('noparams'),
+        'https://example.com/direct',
+      ]);
+
+      expect([...results]).toEqual([
+        ['https://example.com/direct', 'https://example.com/direct'],
+        [tokenUrl('first'), 'https://example.com/first'],
+        [tokenUrl('noparams'), 'https://example.com/legacy'],
+        [tokenUrl('second'), tokenUrl('second')],
+      ]);
+      expect(resolver.callBatchExecute).toHaveBeenCalledWith(paramsFor(articleIdWith('AU_yqLsecond')));
+      expect(resolver.resolveUrl.mock.calls.map(([url]) => url)).toEqual([tokenUrl('noparams'), tokenUrl('second')]);
+    });
+
+    test('should leave unresolved URLs alone without fallback', async () => {
+      resolver.setCachedUrl('https://news.google.com/articles/cached', 'https://example.com/cached');
+      resolver.postBatchExecute = jest.fn(async () => ({ body: ')]}\'\n\n[["er",null,null,null,null,400]]' }));
+      resolver.callBatchExecute = jest.fn(async () => null);
+      resolver.resolveUrl = jest.fn();
+
+      const results = await resolver.resolveMany([
+        'https://news.google.com/articles/cached',
+        tokenUrl('missing'),
+      ], { fallback: false });
+
+      expect(results.get('https://news.google.com/articles/cached')).toBe('https://example.com/cached');
+      expect(results.get(tokenUrl('missing'))).toBe(tokenUrl('missing'));
+      expect(resolver.getDecodingParams).toHaveBeenCalledTimes(1);
+      expect(resolver.resolveUrl).not.toHaveBeenCalled();
+    });
+
+    test('should decode IDs that carry the publisher URL without any request', async () => {
+      const legacyUrl = `https://news.google.com/rss/articles/${articleIdWith('https://www.reuters.com/world/story/')}?oc=5`;
+      resolver.postBatchExecute = jest.fn(async () => ({ body: batchResponse({ 1: 'https://example.com/token' }) }));
+      resolver.resolveUrl = jest.fn(async url => url);
+
+      const results = await resolver.resolveMany([legacyUrl, tokenUrl('token'), 'https://news.google.com/articles/not-an-id']);
+
+      expect(results.get(legacyUrl)).toBe('https://www.reuters.com/world/story/');
+      expect(results.get(tokenUrl('token'))).toBe('https://example.com/token');
+      expect(resolver.getDecodingParams.mock.calls).toEqual([[articleIdWith('AU_yqLtoken')]]);
+      expect(resolver.postBatchExecute).toHaveBeenCalledTimes(1);
+      expect(resolver.resolveUrl.mock.calls.map(([url]) => url)).toEqual(['https://news.google.com/articles/not-an-id']);
+      expect(resolver.getCachedUrl(legacyUrl)).toBe('https://www.reuters.com/world/story/');
+      expect(resolver.getCacheStats().articleIdFormats).toEqual({ url: 1, token: 1, invalid: 1 });
+    });
+
+    test('should count bulk outcomes per strategy and not repeat them in the fallback', async () => {
+      const legacyUrl = `https://news.google.com/articles/${articleIdWith('https://apnews.com/article/story')}`;
+      resolver.postBatchExecute = jest.fn(async () => ({ body: batchResponse({ 1: 'https://example.com/first' }) }));
+      resolver.callBatchExecute = jest.fn(async () => null);
+      resolver.resolveWithBatchExecute = jest.fn(async url => url);
+      resolver.resolveWithLegacyDecoding = jest.fn(async url => url);
+
+      const results = await resolver.resolveMany([legacyUrl, tokenUrl('first'), tokenUrl('second'), tokenUrl('noparams')]);
+
+      expect(results.get(legacyUrl)).toBe('https://apnews.com/article/story');
+      expect(results.get(tokenUrl('first'))).toBe('https://example.com/first');
+      expect(results.get(tokenUrl('second'))).toBe(tokenUrl('second'));
+      expect(resolver.getDecodingParams).toHaveBeenCalledTimes(3);
+      expect(resolver.resolveWithBatchExecute).not.toHaveBeenCalled();
+      expect(resolver.resolveWithLegacyDecoding).not.toHaveBeenCalled();
+      expect(resolver.getStrategyStats()).toMatchObject({
+        legacyDecoding: { attempts: 4, successes: 1, errors: 0 },
+        batchExecute: { attempts: 3, successes: 1, errors: 1 },
+      });
+      // batchexecute answered without a URL for "second"; "noparams" never got an answer
+      expect(resolver.cache.lookup(tokenUrl('second'))).toBeNull();
+      expect(resolver.cache.lookup(tokenUrl('noparams'))).toBeUndefined();
+    });
+
+    test('should not cache a URL as unresolvable after a rate-limited batch call', async () => {
+      resolver.postBatchExecute = jest.fn(async () => ({ body: batchResponse({}) }));
+      resolver.callBatchExecute = jest.fn(async () => {
+        throw Object.assign(new Error('HTTP 429: Too Many Requests'), { response: { statusCode: 429 } });
+      });
+
+      const results = await resolver.resolveMany([tokenUrl('limited')]);
+
+      expect(results.get(tokenUrl('limited'))).toBe(tokenUrl('limited'));
+      expect(resolver.cache.lookup(tokenUrl('limited'))).toBeUndefined();
+      expect(resolver.getStrategyStats().batchExecute).toMatchObject({ attempts: 1, errors: 1 });
+    });
+  });
+
+  describe('strategy chain', () => {
+    let resolver;
+
+    beforeEach(() => {
+      resolver = new GoogleNewsResolver(null, { enablePersistence: false, minRequestInterval: 1 });
+      resolver.resolveWithBatchExecute = jest.fn(async url => url);
+      resolver.resolveWithLegacyDecoding = jest.fn(async url => url.replace('news.google.com/articles', 'example.com'));
+    });
+
+    afterEach(() => {
+      clearResolverStrategies();
+    });
+
+    test('should count attempts per strategy and try the most successful one first', async () => {
+      expect(resolver.getStrategyOrder().map(strategy => strategy.name)).toEqual(['batchExecute', 'legacyDecoding']);
+      expect(resolver.getStrategyOrder({ page: {} }).map(strategy => strategy.name)).toEqual(['batchExecute', 'legacyDecoding', 'browser']);
+
+      expect(await resolver.resolveUrl('https://news.google.com/articles/one')).toBe('https://example.com/one');
+      expect(await resolver.resolveUrl('https://news.google.com/articles/two')).toBe('https://example.com/two');
+
+      expect(resolver.resolveWithBatchExecute).toHaveBeenCalledTimes(1);
+      expect(resolver.getStrategyOrder().map(strategy => strategy.name)).toEqual(['legacyDecoding', 'batchExecute']);
+
+      const stats = resolver.getCacheStats();
+      expect(stats.strategyOrder[0]).toBe('legacyDecoding');
+      expect(stats.strategyOrder[stats.strategyOrder.length - 1]).toBe('batchExecute');
+      expect(stats.strategies.legacyDecoding).toMatchObject({ attempts: 2, successes: 2, errors: 0, successRate: 1, recentSuccessRate: 1 });
+      expect(stats.strategies.batchExecute).toMatchObject({ attempts: 1, successes: 0, successRate: 0 });
+      expect(stats.strategies.directUrl).toMatchObject({ attempts: 0, successRate: null, avgLatencyMs: null });
+    });
+
+    test('should count a throwing strategy as an error and move on', async () => {
+      resolver.resolveWithBatchExecute = jest.fn(async () => {
+        throw new Error('HTTP 429');
+      });
+
+      expect(await resolver.resolveUrl('https://news.google.com/articles/one')).toBe('https://example.com/one');
+      expect(resolver.getStrategyStats().batchExecute).toMatchObject({ attempts: 1, successes: 0, errors: 1 });
+    });
+
+    test('should only cache a URL as unresolvable when no strategy hit an error', async () => {
+      resolver.resolveWithLegacyDecoding = jest.fn(async url => url);
+      resolver.resolveWithBatchExecute = jest.fn(async () => {
+        throw Object.assign(new Error('HTTP 429: Too Many Requests'), { response: { statusCode: 429 } });
+      });
+      const limitedUrl = 'https://news.google.com/articles/limited';
+
+      expect(await resolver.resolveUrl(limitedUrl)).toBe(limitedUrl);
+      expect(resolver.getCacheStats().negativeEntries).toBe(0);
+      expect(await resolver.resolveUrl(limitedUrl)).toBe(limitedUrl);
+      expect(resolver.resolveWithBatchExecute).toHaveBeenCalledTimes(2);
+
+      resolver.resolveWithBatchExecute = jest.fn(async url => url);
+      expect(await resolver.resolveUrl(limitedUrl)).toBe(limitedUrl);
+      expect(resolver.getCacheStats().negativeEntries).toBe(1);
+    });
+
+    test('should pick up strategies registered from outside', async () => {
+      const resolve = jest.fn(async () => 'https://custom.example.com/story');
+      registerResolverStrategy({ name: 'custom', resolve });
+      resolver = new GoogleNewsResolver(null, { enablePersistence: false, minRequestInterval: 1 });
+      resolver.resolveWithBatchExecute = jest.fn(async url => url);
+      resolver.resolveWithLegacyDecoding = jest.fn(async url => url);
+
+      expect(await resolver.resolveUrl('https://news.google.com/articles/one')).toBe('https://custom.example.com/story');
+      expect(resolve).toHaveBeenCalledWith(resolver, 'https://news.google.com/articles/one', { page: null });
+      expect(resolver.getStrategyOrder()[0].name).toBe('custom');
+
+      expect(() => registerResolverStrategy({ name: 'custom', resolve })).toThrow('already registered');
+      expect(() => resolver.registerStrategy({ name: 'batchExecute', resolve })).toThrow('already registered');
+      expect(() => resolver.registerStrategy({ name: 'noResolve' })).toThrow('needs a name and a resolve');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for incremental (only new since last run) state
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { IncrementalState, getStateKey } from '../src/incremental-state.js';
+import { keyValueStore } from '../src/key-value-store.js';
+import { CONFIG } from '../src/config.js';
+
+const specs = [
+  { query: 'AI', region: 'US', language: 'en-US' },
+  { query: 'Tesla', region: 'US', language: 'en-US' },
+];
+
+describe('IncrementalState', () => {
+  beforeEach(() => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+    keyValueStore.namedMemory.clear();
+  });
+
+  test('should derive a stable store key per query and locale', () => {
+    expect(getStateKey(specs[0])).toMatch(/^INCREMENTAL_STATE_[0-9a-f]{16}$/);
+    expect(getStateKey(specs[0])).toBe(getStateKey({ ...specs[0] }));
+    expect(getStateKey(specs[0])).not.toBe(getStateKey({ ...specs[0], region: 'GB' }));
+  });
+
+  test('should remember articles across runs', async () => {
+    const first = await IncrementalState.load(specs);
+    const item = global.testUtils.createMockRssItem({ guid: 'guid-1', link: 'https://news.google.com/rss/articles/abc' });
+    expect(first.hasSeen(item)).toBe(false);
+
+    first.markSeen({ guid: 'guid-1', url: 'https://www.example.com/story?utm_source=rss', pubDate: '2024-01-02T10:00:00Z', matchedQueries: [specs[0]] });
+    await first.save();
+
+    const second = await IncrementalState.load(specs);
+    expect(second.hasSeen(item, specs[0])).toBe(true);
+    expect(second.hasSeenUrl('https://example.com/story', [specs[0]])).toBe(true);
+    expect(second.getStats()).toEqual([
+      { query: 'AI', region: 'US', language: 'en-US', known: 1, newlySeen: 0, lastPubDate: '2024-01-02T10:00:00.000Z' },
+      { query: 'Tesla', region: 'US', language: 'en-US', known: 0, newlySeen: 0, lastPubDate: null },
+    ]);
+  });
+
+  test('should keep the state in a named store that a later run can read', async () => {
+    await keyValueStore.runIsolated('memory', async () => {
+      const first = await IncrementalState.load(specs);
+      first.markSeen({ guid: 'guid-1', matchedQueries: [specs[0]] });
+      await first.save();
+      expect(keyValueStore.memory.size).toBe(0);
+    });
+
+    await keyValueStore.runIsolated('memory', async () => {
+      const second = await IncrementalState.load(specs);
+      expect(second.hasSeen({ guid: 'guid-1' }, specs[0])).toBe(true);
+
+      const separate = await IncrementalState.load(specs, { storeName: 'other-history' });
+      expect(separate.hasSeen({ guid: 'guid-1' }, specs[0])).toBe(false);
+    });
+  });
+
+  test('should keep articles another query saw new for the queries that did not', async () => {
+    const state = await IncrementalState.load(specs);
+    state.markSeen({ guid: 'guid-1', url: 'https://example.com/story', matchedQueries: [specs[0]] });
+    const item = global.testUtils.createMockRssItem({ guid: 'guid-1' });
+
+    expect(state.hasSeen(item, specs[0])).toBe(true);
+    expect(state.hasSeen(item, specs[1])).toBe(false);
+    expect(state.hasSeen({ ...item, matchedQueries: specs })).toBe(false);
+    expect(state.hasSeenUrl('https://example.com/story', [specs[0]])).toBe(true);
+    expect(state.hasSeenUrl('https://example.com/story', [specs[1]])).toBe(false);
+  });
+
+  test('should keep the state of each locale of a query apart', async () => {
+    const locales = [specs[0], { query: 'AI', region: 'GB', language: 'en-GB' }];
+    const first = await IncrementalState.load(locales);
+    first.states.get(getStateKey(locales[1])).guids['guid-gb'] = Date.now();
+    await first.save();
+
+    const second = await IncrementalState.load(locales);
+    expect(second.getStats().map(stat => [stat.region, stat.known])).toEqual([['US', 0], ['GB', 1]]);
+    expect(second.hasSeen({ guid: 'guid-gb' }, locales[1])).toBe(true);
+    expect(second.hasSeen({ guid: 'guid-gb' }, locales[0])).toBe(false);
+    expect(second.hasSeen({ guid: 'guid-gb', matchedQueries: [locales[1]] })).toBe(true);
+    expect(second.hasSeen({ guid: 'guid-gb', matchedQueries: locales })).toBe(false);
+
+    second.markSeen({ guid: 'guid-us', matchedQueries: [locales[0]] });
+    expect(second.getStats().map(stat => [stat.region, stat.newlySeen])).toEqual([['US', 1], ['GB', 0]]);
+  });
+
+  test('should mark every query when the article has no query tags', async () => {
+    const state = await IncrementalState.load(specs);
+    state.markSeen({ guid: 'guid-2' });
+    expect(state.getStats().map(stat => stat.newlySeen)).toEqual([1, 1]);
+  });
+
+  test('should forget entries older than the TTL', async () => {
+    const oldSeenAt = Date.now() - (48 * 60 * 60 * 1000);
+    await keyValueStore.setValue(getStateKey(specs[0]), {
+      guids: { old: oldSeenAt, recent: Date.now() },
+      urls: { 'https://example.com/old': oldSeenAt },
+      lastPubDate: '2024-01-01T00:00:00.000Z',
+    }, { storeName: CONFIG.INCREMENTAL.STORE_NAME });
+
+    const state = await IncrementalState.load(specs, { ttlHours: 24 });
+    expect(state.hasSeen({ guid: 'old' }, specs[0])).toBe(false);
+    expect(state.hasSeen({ guid: 'recent' }, specs[0])).toBe(true);
+    expect(state.hasSeenUrl('https://example.com/old', [specs[0]])).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the embeddable library API
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+
+const scrape = jest.fn();
+
+jest.unstable_mockModule('../src/scraper.js', () => ({
+  hasQuery: input => !!(input.query || input.queries),
+  applyRuntimeOptions: jest.fn(),
+  scrape,
+}));
+
+const { scrapeGoogleNews, ArticleStream, registerResolverStrategy } = await import('../src/index.js');
+const { keyValueStore } = await import('../src/key-value-store.js');
+const { CONFIG, DEFAULT_CONFIG } = await import('../src/config.js');
+const resolverStrategies = await import('../src/resolver-strategies.js');
+
+describe('Library API', () => {
+  describe('scrapeGoogleNews', () => {
+    test('should yield saved articles and forward crawler events', async () => {
+      scrape.mockImplementation(async (input, { outputSink, events }) => {
+        await outputSink.write({ title: 'First', query: input.query });
+        events.emit('skip', { reason: 'noImages', url: 'https://example.com/skipped' });
+        events.emit('progress', { processed: 2, saved: 1, failed: 0 });
+        await outputSink.write({ title: 'Second', query: input.query });
+        return { saved: 2, totalProcessed: 3 };
+      });
+
+      const stream = scrapeGoogleNews({ query: 'Tesla', maxItems: 2 });
+      const skips = [];
+      const progress = [];
+      stream.on('skip', skip => skips.push(skip));
+      stream.on('progress', update => progress.push(update));
+
+      const titles = [];
+      for await (const article of stream) {
+        titles.push(article.title);
+      }
+
+      expect(titles).toEqual(['First', 'Second']);
+      expect(skips).toEqual([{ reason: 'noImages', url: 'https://example.com/skipped' }]);
+      expect(progress).toEqual([{ processed: 2, saved: 1, failed: 0 }]);
+      await expect(stream.result).resolves.toEqual({ saved: 2, totalProcessed: 3 });
+      expect(scrape.mock.calls[0][0]).toEqual({ query: 'Tesla', maxItems: 2 });
+    });
+
+    test('should keep run state in memory by default', async () => {
+      scrape.mockImplementation(async () => ({ backend: keyValueStore.backend }));
+      await expect(scrapeGoogleNews({ query: 'AI' }).result).resolves.toEqual({ backend: 'memory' });
+    });
+
+    test('should give concurrent runs storage of their own', async () => {
+      scrape.mockImplementation(async (input) => {
+        await keyValueStore.setValue('CHECKPOINT', input.query);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { backend: keyValueStore.backend, checkpoint: await keyValueStore.getValue('CHECKPOINT') };
+      });
+
+      const first = scrapeGoogleNews({ query: 'AI' });
+      const second = scrapeGoogleNews({ query: 'Tesla' });
+
+      await expect(first.result).resolves.toEqual({ backend: 'memory', checkpoint: 'AI' });
+      await expect(second.result).resolves.toEqual({ backend: 'memory', checkpoint: 'Tesla' });
+      expect(keyValueStore.backend).toBe('apify');
+      expect(keyValueStore.memory.has('CHECKPOINT')).toBe(false);
+    });
+
+    test('should abort the run when the caller stops iterating', async () => {
+      scrape.mockImplementation(async (input, { outputSink, signal }) => {
+        await outputSink.write({ title: 'First' });
+        await outputSink.write({ title: 'Second' });
+        if (!signal.aborted) {
+          await new Promise(resolve => signal.addEventListener('abort', resolve));
+        }
+        return { saved: 2, aborted: signal.aborted };
+      });
+
+      const stream = scrapeGoogleNews({ query: 'Tesla' });
+      const titles = [];
+      for await (const article of stream) {
+        titles.push(article.title);
+        break;
+      }
+
+      expect(titles).toEqual(['First']);
+      await expect(stream.result).resolves.toEqual({ saved: 2, aborted: true });
+    });
+
+    test('should abort the run with the caller\'s signal', async () => {
+      scrape.mockImplementation(async (input, { signal }) => {
+        if (!signal.aborted) {
+          await new Promise(resolve => signal.addEventListener('abort', resolve));
+        }
+        return { aborted: signal.aborted };
+      });
+
+      const controller = new AbortController();
+      const stream = scrapeGoogleNews({ query: 'Tesla', signal: controller.signal });
+      controller.abort();
+
+      await expect(stream.result).resolves.toEqual({ aborted: true });
+      expect(scrape.mock.calls.at(-1)[0]).toEqual({ query: 'Tesla' });
+    });
+
+    test('should give concurrent runs a configuration of their own', async () => {
+      scrape.mockImplementation(async (input) => {
+        CONFIG.CRAWLER.MAX_CONCURRENCY = input.maxItems;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { concurrency: CONFIG.CRAWLER.MAX_CONCURRENCY };
+      });
+
+      const first = scrapeGoogleNews({ query: 'AI', maxItems: 1 });
+      const second = scrapeGoogleNews({ query: 'Tesla', maxItems: 7 });
+
+      await expect(first.result).resolves.toEqual({ concurrency: 1 });
+      await expect(second.result).resolves.toEqual({ concurrency: 7 });
+      expect(CONFIG.CRAWLER.MAX_CONCURRENCY).toBe(DEFAULT_CONFIG.CRAWLER.MAX_CONCURRENCY);
+    });
+
+    test('should let callers register resolver strategies', () => {
+      registerResolverStrategy({ name: 'libraryStrategy', resolve: async () => null });
+      expect(resolverStrategies.getDefaultStrategies().map(strategy => strategy.name)).toContain('libraryStrategy');
+      resolverStrategies.clearResolverStrategies();
+    });
+
+    test('should throw on invalid input before starting', () => {
+      expect(() => scrapeGoogleNews({})).toThrow('must contain a "query"');
+      expect(() => scrapeGoogleNews({ query: 'AI', storage: 'disk' })).toThrow('Unknown storage "disk"');
+    });
+
+    test('should reject the iterator when the run fails', async () => {
+      scrape.mockRejectedValue(new Error('feed unavailable'));
+
+      const stream = scrapeGoogleNews({ query: 'AI' });
+
+      await expect((async () => {
+        for await (const article of stream) { /* drain */ }
+      })()).rejects.toThrow('feed unavailable');
+    });
+  });
+
+  describe('ArticleStream', () => {
+    test('should stop buffering and abort once the consumer breaks out', async () => {
+      const stream = new ArticleStream();
+      stream.push({ title: 'One' });
+      stream.push({ title: 'Two' });
+
+      for await (const article of stream) {
+        expect(article.title).toBe('One');
+        break;
+      }
+      stream.push({ title: 'Three' });
+
+      expect(stream.buffer).toEqual([]);
+      expect(stream.controller.signal.aborted).toBe(true);
+    });
+
+    test('should not crash when a failure has no listeners', async () => {
+      const stream = new ArticleStream();
+      stream.fail(new Error('boom'));
+
+      await expect(stream.result).rejects.toThrow('boom');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the Google News locale registry
+ */
+
+import fs from 'fs';
+import { describe, test, expect } from '@jest/globals';
+import {
+  LANGUAGES,
+  REGIONS,
+  GOOGLE_NEWS_EDITIONS,
+  resolveLocale,
+  isSupportedLocale,
+  buildLocaleParams,
+  getSiblingLocales,
+} from '../src/locales.js';
+import { buildFeedUrl } from '../src/utils.js';
+
+describe('Locales', () => {
+  test('should know every language and region of the input schemas', () => {
+    for (const file of ['.actor/input_schema.json', 'INPUT_SCHEMA.json']) {
+      const { properties } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(properties.language.enum).toEqual(LANGUAGES);
+      expect(properties.region.enum).toEqual(REGIONS);
+    }
+  });
+
+  test('should build hl/gl/ceid triples for supported pairs', () => {
+    expect(resolveLocale('en-US', 'US')).toEqual({ hl: 'en-US', gl: 'US', ceid: 'US:en', supported: true });
+    expect(resolveLocale('pt-BR', 'BR')).toEqual({ hl: 'pt-BR', gl: 'BR', ceid: 'BR:pt-419', supported: true });
+    expect(resolveLocale('es-AR', 'AR')).toMatchObject({ ceid: 'AR:es-419', supported: true });
+    expect(resolveLocale('zh-TW', 'TW')).toMatchObject({ ceid: 'TW:zh-Hant' });
+    expect(resolveLocale('he-IL', 'IL')).toMatchObject({ hl: 'iw', ceid: 'IL:he' });
+    expect(resolveLocale('de-DE', 'CH')).toMatchObject({ hl: 'de', gl: 'CH', ceid: 'CH:de', supported: true });
+    expect(buildLocaleParams('fr-FR', 'FR')).toBe('hl=fr-FR&gl=FR&ceid=FR%3Afr');
+  });
+
+  test('should fall back to the closest edition for unsupported pairs', () => {
+    expect(isSupportedLocale('ar-SA', 'US')).toBe(false);
+    expect(resolveLocale('ar-SA', 'US')).toEqual({ hl: 'ar', gl: 'SA', ceid: 'SA:ar', supported: false });
+    expect(resolveLocale('ka-GE', 'GE')).toMatchObject({ hl: 'en-US', gl: 'US', ceid: 'US:en', supported: false });
+    expect(resolveLocale('en-US', 'JP')).toMatchObject({ gl: 'US', ceid: 'US:en' });
+  });
+
+  test('should only produce ceids of known editions', () => {
+    const ceids = new Set(GOOGLE_NEWS_EDITIONS.map(edition => edition.ceid));
+    for (const language of LANGUAGES) {
+      for (const region of ['US', 'GB', 'DE', 'IN', 'BR', 'MX', 'CN', 'GE']) {
+        expect(ceids.has(resolveLocale(language, region).ceid)).toBe(true);
+      }
+    }
+  });
+
+  test('should fan out to sibling editions of the same language', () => {
+    expect(getSiblingLocales('en-US', 'US')).toEqual([
+      { hl: 'en-GB', gl: 'GB', ceid: 'GB:en' },
+      { hl: 'en-CA', gl: 'CA', ceid: 'CA:en' },
+      { hl: 'en-AU', gl: 'AU', ceid: 'AU:en' },
+    ]);
+    expect(getSiblingLocales('es-MX', 'MX', 10).map(locale => locale.ceid).at(-1)).toBe('ES:es');
+    expect(getSiblingLocales('ja-JP', 'JP')).toEqual([]);
+  });
+
+  test('should round-trip siblings through buildFeedUrl', () => {
+    for (const { hl, gl, ceid } of getSiblingLocales('es-MX', 'MX', 10)) {
+      const params = new URL(buildFeedUrl('AI', hl, gl)).searchParams;
+      expect([params.get('hl'), params.get('gl'), params.get('ceid')]).toEqual([hl, gl, ceid]);
+    }
+  });
+});
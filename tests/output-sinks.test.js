@@ -0,0 +1,95 @@
+/**
+ * Unit tests for output sinks
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createOutputSink, CsvFileSink, DatasetSink, JsonFileSink, NdjsonFileSink, toCsv } from '../src/output-sinks.js';
+
+describe('OutputSinks', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gns-sinks-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createOutputSink', () => {
+    test('should pick the sink from the output path', () => {
+      expect(createOutputSink()).toBeInstanceOf(DatasetSink);
+      expect(createOutputSink({ output: 'out.json' })).toBeInstanceOf(JsonFileSink);
+      expect(createOutputSink({ output: 'out.ndjson' })).toBeInstanceOf(NdjsonFileSink);
+      expect(createOutputSink({ output: 'out.JSONL' })).toBeInstanceOf(NdjsonFileSink);
+      expect(createOutputSink({ output: 'out.txt', format: 'ndjson' })).toBeInstanceOf(NdjsonFileSink);
+      expect(createOutputSink({ output: 'out.csv' })).toBeInstanceOf(CsvFileSink);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => createOutputSink({ output: 'out.xml', format: 'xml' })).toThrow('Unknown output format "xml"');
+    });
+  });
+
+  describe('JsonFileSink', () => {
+    test('should write all records as one array on close', async () => {
+      const filePath = path.join(tmpDir, 'nested', 'out.json');
+      const sink = new JsonFileSink(filePath);
+
+      await sink.write({ title: 'One' });
+      await sink.write({ title: 'Two' });
+      await sink.close();
+
+      expect(sink.count).toBe(2);
+      expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual([{ title: 'One' }, { title: 'Two' }]);
+    });
+  });
+
+  describe('CsvFileSink', () => {
+    test('should write a header and quote cells that need it', async () => {
+      const filePath = path.join(tmpDir, 'out.csv');
+      const sink = new CsvFileSink(filePath, { sources: list => list.map(s => s.name).join('|') });
+
+      await sink.write({ title: 'Say "hi", world', tags: ['a', 'b'], sources: [{ name: 'X' }, { name: 'Y' }] });
+      await sink.write({ title: 'Two', extra: { n: 1 } });
+      await sink.close();
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe([
+        'title,tags,sources,extra',
+        '"Say ""hi"", world",a; b,X|Y,',
+        'Two,,,"{""n"":1}"',
+        '',
+      ].join('\n'));
+    });
+
+    test('should write only a header line for no records', () => {
+      expect(toCsv([])).toBe('\n');
+    });
+  });
+
+  describe('NdjsonFileSink', () => {
+    test('should write one record per line', async () => {
+      const filePath = path.join(tmpDir, 'out.ndjson');
+      const sink = new NdjsonFileSink(filePath);
+
+      await sink.write({ title: 'One' });
+      await sink.write({ title: 'Two' });
+      await sink.close();
+
+      const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+      expect(lines.map(line => JSON.parse(line))).toEqual([{ title: 'One' }, { title: 'Two' }]);
+    });
+
+    test('should create an empty file when nothing was written', async () => {
+      const filePath = path.join(tmpDir, 'empty.ndjson');
+      const sink = new NdjsonFileSink(filePath);
+
+      await sink.close();
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the structured search query builder
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { compileSearchQuery, validateSearchQuery } from '../src/query-builder.js';
+
+describe('QueryBuilder', () => {
+  describe('compileSearchQuery', () => {
+    test('should compile every field into Google News operators', () => {
+      const query = compileSearchQuery({
+        allWords: 'electric cars',
+        exactPhrase: 'battery recycling',
+        anyWords: ['Tesla', 'BYD', 'General Motors'],
+        excludeWords: 'rumor',
+        sites: ['https://www.reuters.com/business', 'apnews.com'],
+        excludeSites: ['example.com'],
+        inTitle: 'EV',
+        when: '7d',
+      });
+
+      expect(query).toBe(
+        'electric cars "battery recycling" (Tesla OR BYD OR "General Motors") intitle:EV '
+        + '(site:reuters.com OR site:apnews.com) -rumor -site:example.com when:7d'
+      );
+    });
+
+    test('should keep array entries of allWords as quoted phrases', () => {
+      expect(compileSearchQuery({ allWords: ['New York', 'mayor'] })).toBe('"New York" mayor');
+    });
+
+    test('should use a single site operator without a group', () => {
+      expect(compileSearchQuery({ sites: ['bbc.co.uk'] })).toBe('site:bbc.co.uk');
+    });
+
+    test('should throw with every validation error', () => {
+      expect(() => compileSearchQuery({ excludeWords: 'sports', when: '7 days' }))
+        .toThrow(/Invalid search input: .*at least one of.*"when" must be a relative window/);
+    });
+
+    test('should reject queries that exceed the length limit', () => {
+      const anyWords = Array.from({ length: 60 }, (_, i) => `keyword${i}`);
+      expect(() => compileSearchQuery({ anyWords })).toThrow('compiled query is');
+    });
+  });
+
+  describe('validateSearchQuery', () => {
+    test('should accept a valid search', () => {
+      expect(validateSearchQuery({ allWords: 'AI', when: '12h' })).toEqual([]);
+    });
+
+    test('should reject non-object input', () => {
+      expect(validateSearchQuery('AI')).toEqual(['"search" must be an object']);
+    });
+
+    test('should report unknown fields and bad types', () => {
+      const errors = validateSearchQuery({ allWords: 'AI', title: 'x', sites: [42] });
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('Unknown search fields: title'),
+        '"sites" must be a string or an array of strings',
+      ]));
+    });
+
+    test('should reject invalid and conflicting domains', () => {
+      const errors = validateSearchQuery({ sites: ['cnn.com', 'not a domain'], excludeSites: ['www.cnn.com'] });
+      expect(errors).toEqual(expect.arrayContaining([
+        '"not a domain" in sites is not a valid domain',
+        'Sites both included and excluded: cnn.com',
+      ]));
+    });
+
+    test('should reject words that are both required and excluded', () => {
+      expect(validateSearchQuery({ allWords: 'Apple stock', excludeWords: ['apple'] }))
+        .toContain('Words both required and excluded: apple');
+    });
+
+    test('should reject "when" combined with an explicit date range', () => {
+      expect(validateSearchQuery({ allWords: 'AI', when: '1d' }, { dateTo: '2024-01-31' }))
+        .toContain('"when" cannot be combined with dateFrom/dateTo - use one or the other');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for story clusters parsed from RSS descriptions
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseRelatedCoverage, getRelatedItems, expandWithRelatedItems } from '../src/related-coverage.js';
+
+const CLUSTER = '<ol>'
+  + '<li><a href="https://news.google.com/rss/articles/primary" target="_blank">Tesla cuts prices</a>&nbsp;&nbsp;<font color="#6f6f6f">Reuters</font></li>'
+  + '<li><a href="https://news.google.com/rss/articles/second" target="_blank">Tesla lowers prices &amp; more</a>&nbsp;&nbsp;<font color="#6f6f6f">The Verge</font></li>'
+  + '<li><a href="https://news.google.com/rss/articles/third" target="_blank">Price war heats up</a>&nbsp;&nbsp;<font color="#6f6f6f">CNBC</font></li>'
+  + '<li><strong><a href="https://news.google.com/stories/full" target="_blank">View Full Coverage on Google News</a></strong></li>'
+  + '</ol>';
+
+describe('Related coverage', () => {
+  test('should parse cluster entries without the primary article or the full-coverage link', () => {
+    expect(parseRelatedCoverage(CLUSTER, 'https://news.google.com/rss/articles/primary')).toEqual([
+      { title: 'Tesla lowers prices & more', url: 'https://news.google.com/rss/articles/second', source: 'The Verge' },
+      { title: 'Price war heats up', url: 'https://news.google.com/rss/articles/third', source: 'CNBC' },
+    ]);
+  });
+
+  test('should parse single-article descriptions and ignore plain text', () => {
+    const single = '<a href="https://news.google.com/rss/articles/only" target="_blank">Headline</a>&nbsp;&nbsp;<font color="#6f6f6f">AP News</font>';
+    expect(parseRelatedCoverage(single)).toEqual([{ title: 'Headline', url: 'https://news.google.com/rss/articles/only', source: 'AP News' }]);
+    expect(parseRelatedCoverage(single, 'https://news.google.com/rss/articles/only')).toEqual([]);
+    expect(parseRelatedCoverage('Test article description')).toEqual([]);
+    expect(parseRelatedCoverage(undefined)).toEqual([]);
+  });
+
+  test('should turn entries into crawlable items linked to their story', () => {
+    const item = global.testUtils.createMockRssItem({
+      guid: 'story-1',
+      queries: ['tesla'],
+      relatedCoverage: parseRelatedCoverage(CLUSTER, 'https://news.google.com/rss/articles/primary'),
+    });
+
+    const [related] = getRelatedItems(item, 1, 1);
+    expect(related).toEqual(expect.objectContaining({
+      title: 'Price war heats up',
+      link: 'https://news.google.com/rss/articles/third',
+      guid: 'https://news.google.com/rss/articles/third',
+      source: 'CNBC',
+      relatedTo: 'story-1',
+      queries: ['tesla'],
+    }));
+    expect(getRelatedItems(item)).toHaveLength(2);
+  });
+
+  test('should add related items as candidates once', () => {
+    const relatedCoverage = parseRelatedCoverage(CLUSTER);
+    const items = [
+      global.testUtils.createMockRssItem({ guid: 'a', link: 'https://news.google.com/rss/articles/primary', relatedCoverage }),
+      global.testUtils.createMockRssItem({ guid: 'b', link: 'https://news.google.com/rss/articles/second', relatedCoverage }),
+    ];
+
+    expect(expandWithRelatedItems(items).map(item => item.guid)).toEqual(['a', 'b', 'https://news.google.com/rss/articles/third']);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the pre-resolution stage
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { CONFIG } from '../src/config.js';
+import { HostRateLimiter } from '../src/feed-scheduler.js';
+import { ResolutionStage } from '../src/resolution-stage.js';
+
+describe('ResolutionStage', () => {
+  test('should resolve batches concurrently with its own rate limiter', async () => {
+    const rateLimiter = new HostRateLimiter({ burst: 1, delay: 0 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const resolver = {
+      resolveMany: jest.fn(async (urls) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return new Map(urls.map(url => [url, url.endsWith('0') ? url : url.replace('news.google.com/articles', 'example.com')]));
+      }),
+    };
+    const urls = Array.from({ length: CONFIG.RESOLVER.BATCH_SIZE * 2 + 1 }, (_, index) => `https://news.google.com/articles/id${index}`);
+
+    const stage = new ResolutionStage(resolver, { concurrency: 2, rateLimiter });
+    const resolved = await stage.resolve([...urls, urls[1]]);
+
+    expect(resolver.resolveMany).toHaveBeenCalledTimes(3);
+    expect(resolver.resolveMany.mock.calls[0][1]).toEqual({ rateLimiter });
+    expect(maxInFlight).toBe(2);
+    expect(resolved.get(urls[1])).toBe('https://example.com/id1');
+    expect(resolved.has(urls[0])).toBe(false);
+
+    const unresolved = urls.filter(url => url.endsWith('0')).length;
+    expect(stage.getStats()).toMatchObject({ requested: urls.length, resolved: urls.length - unresolved, failed: unresolved });
+  });
+
+  test('should survive a failing batch', async () => {
+    const resolver = {
+      resolveMany: jest.fn(async () => {
+        throw new Error('blocked');
+      }),
+    };
+
+    const stage = new ResolutionStage(resolver);
+
+    expect((await stage.resolve(['https://news.google.com/articles/a'])).size).toBe(0);
+    expect(await stage.resolve([])).toEqual(new Map());
+    expect(stage.getStats()).toMatchObject({ requested: 1, resolved: 0, failed: 1 });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Unit tests for the Google News resolution cache and its stores
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { keyValueStore } from '../src/key-value-store.js';
+import { CONFIG } from '../src/config.js';
+import {
+  ResolverCache,
+  FileCacheBackend,
+  KeyValueCacheBackend,
+  SqliteCacheBackend,
+  createResolverCacheBackend,
+  mergeCacheRows,
+} from '../src/resolver-cache.js';
+import { GoogleNewsResolver } from '../src/google-news-resolver.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+/**
+ * Create a cache with a clock the test moves by hand
+ * @param {object} options - ResolverCache options
+ * @returns {object} { cache, clock }
+ */
+const createCache = (options = {}) => {
+  const clock = { now: 1_000_000 };
+  const cache = new ResolverCache({ ttlMs: HOUR_MS, negativeTtlMs: 10_000, now: () => clock.now, ...options });
+  return { cache, clock };
+};
+
+describe('ResolverCache', () => {
+  test('should evict the least recently used link', () => {
+    const { cache } = createCache({ maxEntries: 2 });
+    cache.set('a', 'https://example.com/a');
+    cache.set('b', 'https://example.com/b');
+    cache.lookup('a');
+    cache.set('c', 'https://example.com/c');
+
+    expect(cache.lookup('b')).toBeUndefined();
+    expect(cache.lookup('a')).toBe('https://example.com/a');
+    expect(cache.lookup('c')).toBe('https://example.com/c');
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('should expire entries by their own lifetime', () => {
+    const { cache, clock } = createCache();
+    cache.set('short', 'https://example.com/short', 1000);
+    cache.set('long', 'https://example.com/long');
+
+    clock.now += 1000;
+    expect(cache.lookup('short')).toBeUndefined();
+    expect(cache.lookup('long')).toBe('https://example.com/long');
+
+    clock.now += HOUR_MS;
+    expect(cache.lookup('long')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ entries: 0, expirations: 2 });
+  });
+
+  test('should cache unresolvable links for the negative lifetime only', () => {
+    const { cache, clock } = createCache();
+    cache.setUnresolvable('broken');
+
+    expect(cache.lookup('broken')).toBeNull();
+    clock.now += 10_000;
+    expect(cache.lookup('broken')).toBeUndefined();
+
+    const { cache: withoutNegative } = createCache({ negativeTtlMs: 0 });
+    withoutNegative.setUnresolvable('broken');
+    expect(withoutNegative.getStats().entries).toBe(0);
+  });
+
+  test('should count hits against all lookups', () => {
+    const { cache } = createCache();
+    cache.set('a', 'https://example.com/a');
+    cache.setUnresolvable('broken');
+    cache.lookup('a');
+    cache.lookup('a');
+    cache.lookup('broken');
+    cache.lookup('unknown');
+
+    expect(cache.getStats()).toMatchObject({ backend: 'memory', hits: 2, negativeHits: 1, misses: 1, negativeEntries: 1, hitRate: 0.75 });
+  });
+
+  test('should write the same links again after a failed save', async () => {
+    const saved = [];
+    const backend = {
+      name: 'flaky',
+      save: jest.fn(async (rows) => {
+        if (backend.save.mock.calls.length === 1) {
+          throw new Error('disk full');
+        }
+        saved.push(...rows.map(([key]) => key));
+      }),
+    };
+    const { cache } = createCache({ backend });
+    cache.set('a', 'https://example.com/a');
+
+    await expect(cache.flush()).rejects.toThrow('disk full');
+    cache.set('b', 'https://example.com/b');
+    await cache.flush();
+    await cache.flush();
+
+    expect(saved).toEqual(['a', 'b']);
+    expect(backend.save).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep links updated during a save for the next flush', async () => {
+    const saved = [];
+    const { cache } = createCache();
+    cache.backend = {
+      name: 'slow',
+      save: jest.fn(async (rows) => {
+        saved.push(rows.map(([key, url]) => [key, url]));
+        if (saved.length === 1) {
+          cache.set('a', 'https://example.com/a2');
+        }
+      }),
+    };
+    cache.set('a', 'https://example.com/a1');
+    cache.set('b', 'https://example.com/b');
+
+    await cache.flush();
+    await cache.flush();
+
+    expect(saved).toEqual([
+      [['a', 'https://example.com/a1'], ['b', 'https://example.com/b']],
+      [['a', 'https://example.com/a2']],
+    ]);
+  });
+
+  test('should keep the most recently used row per link when merging', () => {
+    const rows = mergeCacheRows([
+      [['a', 'https://example.com/old', 5000, 100], ['b', null, 5000, 300], ['gone', 'https://example.com/gone', 1000, 400]],
+      [['a', 'https://example.com/new', 5000, 200], ['c', 'https://example.com/c', 5000, 50]],
+    ], 2, 2000);
+
+    expect(rows).toEqual([['a', 'https://example.com/new', 5000, 200], ['b', null, 5000, 300]]);
+  });
+});
+
+describe('Resolver cache stores', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gns-resolver-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should write the file store compactly and without leftovers', async () => {
+    const filePath = path.join(tmpDir, 'nested', 'cache.json');
+    const { cache } = createCache({ backend: new FileCacheBackend(filePath), now: () => Date.now() });
+    cache.set('a', 'https://example.com/a');
+    cache.setUnresolvable('broken');
+    await cache.flush();
+
+    const text = await fs.readFile(filePath, 'utf8');
+    expect(text).not.toContain('\n');
+    expect(JSON.parse(text)).toMatchObject({ version: 2, rows: [['a', 'https://example.com/a', expect.any(Number), expect.any(Number)], ['broken', null, expect.any(Number), expect.any(Number)]] });
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['cache.json']);
+  });
+
+  test('should merge what concurrent caches write to one file', async () => {
+    const filePath = path.join(tmpDir, 'cache.json');
+    const first = new ResolverCache({ backend: new FileCacheBackend(filePath) });
+    const second = new ResolverCache({ backend: new FileCacheBackend(filePath) });
+    await Promise.all([first.load(), second.load()]);
+
+    first.set('a', 'https://example.com/a');
+    second.set('b', 'https://example.com/b');
+    await first.flush();
+    await second.flush();
+
+    const reader = new ResolverCache({ backend: new FileCacheBackend(filePath) });
+    expect(await reader.load()).toBe(2);
+    expect(reader.lookup('a')).toBe('https://example.com/a');
+    expect(reader.lookup('b')).toBe('https://example.com/b');
+  });
+
+  test('should not lose rows when writers save to one file at the same time', async () => {
+    const filePath = path.join(tmpDir, 'cache.json');
+    const expiresAt = Date.now() + HOUR_MS;
+    const writers = Array.from({ length: 5 }, () => new FileCacheBackend(filePath));
+
+    await Promise.all(writers.map((writer, index) => writer.save([[`link-${index}`, `https://example.com/${index}`, expiresAt, index]], { maxEntries: 10 })));
+
+    expect((await new FileCacheBackend(filePath).load()).map(([key]) => key).sort()).toEqual(['link-0', 'link-1', 'link-2', 'link-3', 'link-4']);
+    expect(await fs.readdir(tmpDir)).toEqual(['cache.json']);
+  });
+
+  test('should take over a lock left by a crashed writer', async () => {
+    const filePath = path.join(tmpDir, 'cache.json');
+    const lockPath = `${filePath}.lock`;
+    await fs.writeFile(lockPath, '');
+    const staleTime = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(lockPath, staleTime, staleTime);
+
+    await new FileCacheBackend(filePath).save([['a', 'https://example.com/a', Date.now() + HOUR_MS, 1]], { maxEntries: 10 });
+
+    expect(await new FileCacheBackend(filePath).load()).toHaveLength(1);
+    expect(await fs.readdir(tmpDir)).toEqual(['cache.json']);
+  });
+
+  test('should read the previous file format and ignore corrupt files', async () => {
+    const filePath = path.join(tmpDir, 'cache.json');
+    await fs.writeFile(filePath, JSON.stringify({
+      entries: { a: { resolvedUrl: 'https://example.com/a', timestamp: Date.now() } },
+      lastSaved: Date.now(),
+    }, null, 2));
+
+    const cache = new ResolverCache({ backend: new FileCacheBackend(filePath) });
+    expect(await cache.load()).toBe(1);
+    expect(cache.lookup('a')).toBe('https://example.com/a');
+
+    await fs.writeFile(filePath, '{"version":2,"rows":[[');
+    expect(await new FileCacheBackend(filePath).load()).toEqual([]);
+  });
+
+  test('should keep the key-value store record in the same rows of a named store', async () => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+    keyValueStore.namedMemory.clear();
+    const storeName = CONFIG.RESOLVER.CACHE_STORE_NAME;
+
+    await keyValueStore.runIsolated('memory', async () => {
+      const cache = new ResolverCache({ backend: createResolverCacheBackend('kv', { key: 'TEST_RESOLVER_CACHE' }) });
+      cache.set('a', 'https://example.com/a');
+      await cache.flush();
+    });
+
+    expect(await keyValueStore.getValue('TEST_RESOLVER_CACHE')).toBeNull();
+    expect((await keyValueStore.getValue('TEST_RESOLVER_CACHE', null, { storeName })).rows).toHaveLength(1);
+    const backend = new KeyValueCacheBackend('TEST_RESOLVER_CACHE');
+    expect(await backend.load()).toEqual([['a', 'https://example.com/a', expect.any(Number), expect.any(Number)]]);
+
+    await backend.clear();
+    expect(await keyValueStore.getValue('TEST_RESOLVER_CACHE', null, { storeName })).toBeNull();
+  });
+
+  (hasSqlite ? test : test.skip)('should upsert rows into the SQLite store', async () => {
+    const filePath = path.join(tmpDir, 'cache.sqlite');
+    let tick = Date.now();
+    const now = () => tick++;
+    const first = new ResolverCache({ backend: new SqliteCacheBackend(filePath), maxEntries: 2, now });
+    first.set('a', 'https://example.com/a');
+    first.set('b', 'https://example.com/b');
+    await first.flush();
+
+    const second = new ResolverCache({ backend: new SqliteCacheBackend(filePath), maxEntries: 2, now });
+    await second.load();
+    second.set('c', 'https://example.com/c');
+    await second.flush();
+    first.close();
+    second.close();
+
+    const reader = new SqliteCacheBackend(filePath);
+    expect((await reader.load()).map(([key]) => key)).toEqual(['b', 'c']);
+    reader.close();
+  });
+
+  test('should reject unknown stores', () => {
+    expect(createResolverCacheBackend('memory')).toBeNull();
+    expect(() => createResolverCacheBackend('redis')).toThrow('Unknown resolver cache backend "redis" (supported: file, sqlite, kv, memory)');
+  });
+});
+
+describe('GoogleNewsResolver caching', () => {
+  test('should not retry links that recently failed and report the real hit rate', async () => {
+    const resolver = new GoogleNewsResolver(null, { enablePersistence: false });
+    const strategy = jest.fn(async () => null);
+    resolver.strategies = [];
+    resolver.registerStrategy({ name: 'failing', resolve: strategy });
+    resolver.setCachedUrl('https://news.google.com/articles/known', 'https://example.com/known');
+
+    const brokenUrl = 'https://news.google.com/articles/broken';
+    expect(await resolver.resolveUrl(brokenUrl)).toBe(brokenUrl);
+    expect(await resolver.resolveUrl(brokenUrl)).toBe(brokenUrl);
+    expect(await resolver.resolveUrl('https://news.google.com/articles/known')).toBe('https://example.com/known');
+
+    expect(strategy).toHaveBeenCalledTimes(1);
+    expect(resolver.getCacheStats()).toMatchObject({
+      cacheBackend: 'memory',
+      negativeEntries: 1,
+      cacheHits: 2,
+      cacheMisses: 1,
+      requestCount: 1,
+      cacheHitRate: '66.7%',
+    });
+    await resolver.cleanup();
+  });
+});
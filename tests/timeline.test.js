@@ -0,0 +1,74 @@
+/**
+ * Unit tests for coverage timelines
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildTimeline, normalizeTimelineBucket, TIMELINE_CSV_FORMATTERS } from '../src/timeline.js';
+import { toCsv } from '../src/output-sinks.js';
+
+const item = (pubDate, sourceName, title, queries = ['tesla']) => ({ pubDate, sourceName, source: sourceName, title, queries });
+
+describe('Coverage timeline', () => {
+  const items = [
+    item('2024-08-01T09:00:00.000Z', 'Reuters', 'Morning'),
+    item('2024-08-01T18:00:00.000Z', 'AP', 'Evening'),
+    item('2024-08-01T20:00:00.000Z', 'Reuters', 'Night'),
+    item('2024-08-03T10:00:00.000Z', 'CNBC', 'Later', ['tesla', 'byd']),
+    item(null, 'Blog', 'Undated'),
+  ];
+
+  test('should count items per day with gaps, top sources and newest headlines', () => {
+    const { rows, stats } = buildTimeline({
+      querySpecs: [{ query: 'tesla' }, { query: 'byd' }],
+      items,
+      bucket: 'day',
+      dateFrom: '2024-08-01',
+      dateTo: '2024-08-03',
+    });
+
+    expect(rows.filter(row => row.query === 'tesla').map(row => [row.start.slice(0, 10), row.count])).toEqual([
+      ['2024-08-01', 3],
+      ['2024-08-02', 0],
+      ['2024-08-03', 1],
+    ]);
+    expect(rows[0]).toEqual({
+      query: 'tesla',
+      bucket: 'day',
+      start: '2024-08-01T00:00:00.000Z',
+      end: '2024-08-02T00:00:00.000Z',
+      count: 3,
+      sources: 2,
+      topSources: [{ source: 'Reuters', count: 2 }, { source: 'AP', count: 1 }],
+      sampleHeadlines: ['Night', 'Evening', 'Morning'],
+    });
+    expect(rows.filter(row => row.query === 'byd').map(row => row.count)).toEqual([0, 0, 1]);
+    expect(stats).toEqual(expect.objectContaining({ buckets: 3, items: 5, undated: 1, outsideRange: 0 }));
+  });
+
+  test('should span the collected items per hour without a window', () => {
+    const { rows } = buildTimeline({
+      querySpecs: [{ query: 'tesla' }],
+      items: items.slice(0, 3),
+      bucket: 'hour',
+      now: Date.parse('2024-08-01T20:30:00.000Z'),
+    });
+
+    expect(rows).toHaveLength(12);
+    expect(rows[0].start).toBe('2024-08-01T09:00:00.000Z');
+    expect(rows[rows.length - 1].end).toBe('2024-08-01T21:00:00.000Z');
+    expect(rows.reduce((sum, row) => sum + row.count, 0)).toBe(3);
+  });
+
+  test('should flatten top sources for CSV', () => {
+    const { rows } = buildTimeline({ querySpecs: [{ query: 'tesla' }], items, dateFrom: '2024-08-01', dateTo: '2024-08-01' });
+
+    expect(toCsv(rows, TIMELINE_CSV_FORMATTERS).split('\n')[1])
+      .toBe('tesla,day,2024-08-01T00:00:00.000Z,2024-08-02T00:00:00.000Z,3,2,Reuters (2); AP (1),Night; Evening; Morning');
+  });
+
+  test('should validate the bucket size', () => {
+    expect(normalizeTimelineBucket(undefined)).toBeNull();
+    expect(normalizeTimelineBucket('hour')).toBe('hour');
+    expect(() => normalizeTimelineBucket('week')).toThrow('"timeline" must be one of day, hour');
+  });
+});
@@ -5,11 +5,22 @@
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import {
   buildFeedUrl,
+  canonicalizeUrl,
   extractRealUrl,
   extractImages,
   cleanText,
   formatDate,
   getDateRanges,
+  parseRssDate,
+  getDateWindow,
+  isWithinDateWindow,
+  stripSourceSuffix,
+  getSliceWindow,
+  splitSlice,
+  formatSliceBoundary,
+  normalizeQuerySpecs,
+  tagQuery,
+  matchesQuery,
 } from '../src/utils.js';
 
 describe('Utils', () => {
@@ -214,4 +225,160 @@ describe('Utils', () => {
       expect(ranges.length).toBeLessThanOrEqual(3);
     });
   });
+
+  describe('RSS dates', () => {
+    test('should parse RFC 822 dates into ISO 8601 UTC', () => {
+      expect(parseRssDate('Mon, 05 Aug 2024 10:00:00 GMT')).toBe('2024-08-05T10:00:00.000Z');
+      expect(parseRssDate('Mon, 05 Aug 2024 01:30:00 +0200')).toBe('2024-08-04T23:30:00.000Z');
+      expect(parseRssDate('not a date')).toBeNull();
+      expect(parseRssDate('')).toBeNull();
+      expect(parseRssDate(undefined)).toBeNull();
+    });
+
+    test('should include both requested days in the window', () => {
+      const window = getDateWindow('2024-08-01', '2024-08-02');
+      expect(isWithinDateWindow('2024-08-01T00:00:00.000Z', window)).toBe(true);
+      expect(isWithinDateWindow('2024-08-02T23:59:59.000Z', window)).toBe(true);
+      expect(isWithinDateWindow('2024-08-03T00:00:00.000Z', window)).toBe(false);
+      expect(isWithinDateWindow('2024-07-31T23:59:59.000Z', window)).toBe(false);
+      expect(isWithinDateWindow('1999-01-01T00:00:00.000Z', getDateWindow(null, '2024-08-02'))).toBe(true);
+      expect(getDateWindow()).toBeNull();
+      expect(() => getDateWindow('someday')).toThrow('Invalid date');
+    });
+  });
+
+  describe('stripSourceSuffix', () => {
+    test('should remove only the publisher suffix', () => {
+      expect(stripSourceSuffix('Tesla cuts prices - Reuters', 'Reuters')).toBe('Tesla cuts prices');
+      expect(stripSourceSuffix('Q&A - Part 2 - The Verge', 'the verge')).toBe('Q&A - Part 2');
+      expect(stripSourceSuffix('Markets - live updates', 'Reuters')).toBe('Markets - live updates');
+      expect(stripSourceSuffix('Markets - live updates', null)).toBe('Markets - live updates');
+    });
+  });
+
+  describe('date slices', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    test('should align the slice window to full hours with an inclusive end date', () => {
+      expect(getSliceWindow('2024-08-01', '2024-08-03')).toEqual({
+        start: Date.parse('2024-08-01T00:00:00Z'),
+        end: Date.parse('2024-08-04T00:00:00Z'),
+      });
+
+      const now = Date.parse('2024-08-10T12:34:00Z');
+      expect(getSliceWindow(null, null, 2, now)).toEqual({
+        start: Date.parse('2024-08-08T12:00:00Z'),
+        end: Date.parse('2024-08-10T13:00:00Z'),
+      });
+    });
+
+    test('should split on days, then hours, down to the minimum', () => {
+      const day = Date.parse('2024-08-01T00:00:00Z');
+      expect(splitSlice(day, day + 5 * 24 * HOUR, 1)).toBe(day + 3 * 24 * HOUR);
+      expect(splitSlice(day, day + 24 * HOUR, 1)).toBe(day + 12 * HOUR);
+      expect(splitSlice(day, day + 3 * HOUR, 1)).toBe(day + 2 * HOUR);
+      expect(splitSlice(day, day + HOUR, 1)).toBeNull();
+    });
+
+    test('should format midnight as a date and other times as Unix seconds', () => {
+      expect(formatSliceBoundary(Date.parse('2024-08-01T00:00:00Z'))).toBe('2024-08-01');
+      expect(formatSliceBoundary(Date.parse('2024-08-01T06:00:00Z'))).toBe('1722492000');
+    });
+  });
+
+  describe('normalizeQuerySpecs', () => {
+    test('should wrap a single query with top-level defaults', () => {
+      const specs = normalizeQuerySpecs({ query: 'Tesla', region: 'DE', language: 'de-DE', maxItems: 5 });
+      expect(specs).toEqual([
+        { query: 'Tesla', region: 'DE', language: 'de-DE', maxItems: 5, dateFrom: null, dateTo: null },
+      ]);
+    });
+
+    test('should let query objects override top-level values', () => {
+      const specs = normalizeQuerySpecs({
+        queries: ['climate', { query: 'Tesla', region: 'GB', maxItems: 3 }],
+        region: 'US',
+        language: 'en-US',
+        maxItems: 10,
+      });
+      expect(specs).toHaveLength(2);
+      expect(specs[0]).toMatchObject({ query: 'climate', region: 'US', maxItems: 10 });
+      expect(specs[1]).toMatchObject({ query: 'Tesla', region: 'GB', language: 'en-US', maxItems: 3 });
+    });
+
+    test('should prefer queries over query and drop duplicates', () => {
+      const specs = normalizeQuerySpecs({ query: 'ignored', queries: [' AI ', 'AI', { query: 'AI', region: 'GB' }] });
+      expect(specs.map(spec => `${spec.query}/${spec.region}`)).toEqual(['AI/US', 'AI/GB']);
+    });
+
+    test('should reject entries without a query', () => {
+      expect(() => normalizeQuerySpecs({ queries: [{ region: 'US' }] })).toThrow('non-empty "query"');
+    });
+
+    test('should compile structured search input into the query', () => {
+      const specs = normalizeQuerySpecs({
+        search: { allWords: 'electric cars', excludeSites: ['example.com'] },
+        queries: [],
+      });
+      expect(specs[0].query).toBe('electric cars -site:example.com');
+
+      const perEntry = normalizeQuerySpecs({ queries: [{ search: { inTitle: 'Tesla' }, region: 'DE' }] });
+      expect(perEntry[0]).toMatchObject({ query: 'intitle:Tesla', region: 'DE' });
+    });
+
+    test('should validate search input against the date range', () => {
+      expect(() => normalizeQuerySpecs({ search: { allWords: 'AI', when: '7d' }, dateFrom: '2024-01-01' }))
+        .toThrow('"when" cannot be combined with dateFrom/dateTo');
+      expect(() => normalizeQuerySpecs({ query: 'AI', search: { allWords: 'AI' } })).toThrow('either "query" or "search"');
+    });
+
+    test('should label non-search feed modes and drop inherited dates', () => {
+      const specs = normalizeQuerySpecs({
+        dateFrom: '2024-01-01',
+        queries: ['AI', { mode: 'topic', topic: 'science' }, { mode: 'headlines', region: 'GB', language: 'en-GB' }],
+      });
+      expect(specs.map(spec => spec.query)).toEqual(['AI', 'topic:science', 'headlines']);
+      expect(specs[0].dateFrom).toBe('2024-01-01');
+      expect(specs[1]).toMatchObject({ mode: 'topic', topic: 'science', dateFrom: null, dateTo: null });
+    });
+
+    test('should use the top-level mode when no queries are given', () => {
+      const specs = normalizeQuerySpecs({ mode: 'location', location: 'Berlin', region: 'DE', language: 'de-DE' });
+      expect(specs).toEqual([expect.objectContaining({ query: 'location:Berlin', mode: 'location', region: 'DE' })]);
+    });
+
+    test('should reject invalid feed modes before fetching', () => {
+      expect(() => normalizeQuerySpecs({ mode: 'trending' })).toThrow('Unknown mode "trending"');
+      expect(() => normalizeQuerySpecs({ mode: 'topic', topic: 'gardening' })).toThrow('Unknown topic');
+      expect(() => normalizeQuerySpecs({ queries: [{ mode: 'headlines', query: 'AI' }] })).toThrow('only apply to search mode');
+    });
+  });
+
+  describe('query tags', () => {
+    test('should tag the same query in each locale once', () => {
+      const us = { query: 'AI', region: 'US', language: 'en-US' };
+      const gb = { query: 'AI', region: 'GB', language: 'en-GB' };
+      const item = {};
+
+      expect(tagQuery(item, us)).toBe(true);
+      expect(tagQuery(item, us)).toBe(false);
+      expect(tagQuery(item, gb)).toBe(true);
+      expect(item.queries).toEqual(['AI']);
+      expect(item.matchedQueries).toEqual([us, gb]);
+      expect(matchesQuery({ matchedQueries: [us] }, gb)).toBe(false);
+      expect(matchesQuery({ queries: ['AI'] }, gb)).toBe(true);
+    });
+  });
+
+  describe('canonicalizeUrl', () => {
+    test('should normalize scheme, host, tracking parameters and trailing slash', () => {
+      expect(canonicalizeUrl('http://WWW.Example.com/news/story/?utm_source=x&b=2&a=1&fbclid=abc#top'))
+        .toBe('https://example.com/news/story?a=1&b=2');
+      expect(canonicalizeUrl('https://example.com/')).toBe('https://example.com/');
+    });
+
+    test('should return unparseable input unchanged', () => {
+      expect(canonicalizeUrl('not a url')).toBe('not a url');
+    });
+  });
 });
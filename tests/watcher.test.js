@@ -0,0 +1,171 @@
+/**
+ * Unit tests for watch mode
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { BoundedSet, FeedWatcher, getPollDelay } from '../src/watcher.js';
+import { CONFIG } from '../src/config.js';
+import { keyValueStore } from '../src/key-value-store.js';
+
+/**
+ * Fake fetcher that returns one list of GUIDs per poll
+ */
+function createFetcher(polls) {
+  let call = 0;
+  return {
+    pollFeed: jest.fn(async () => (polls[call++] || []).map(guid => global.testUtils.createMockRssItem({ guid }))),
+  };
+}
+
+/**
+ * Fake crawler that "saves" every article it is given
+ */
+function createCrawler() {
+  return {
+    failedUrls: [],
+    crawled: [],
+    crawlArticles: jest.fn(async function (items, query) {
+      this.crawled.push({ query, guids: items.map(item => item.guid) });
+      return items.length;
+    }),
+    forgetProcessed: jest.fn(),
+  };
+}
+
+describe('Watch mode', () => {
+  beforeEach(() => {
+    keyValueStore.useMemory();
+    keyValueStore.memory.clear();
+  });
+
+  describe('BoundedSet', () => {
+    test('should evict the oldest entries beyond its size', () => {
+      const set = new BoundedSet(2, ['a', 'b']);
+      set.add('b');
+      set.add('c');
+      expect(set.toArray()).toEqual(['b', 'c']);
+      expect(set.has('a')).toBe(false);
+    });
+  });
+
+  describe('getPollDelay', () => {
+    test('should vary the interval by the jitter ratio', () => {
+      expect(getPollDelay(100, 0.2, () => 0)).toBe(80000);
+      expect(getPollDelay(100, 0.2, () => 0.5)).toBe(100000);
+      expect(getPollDelay(100, 0.2, () => 0.999999)).toBeLessThanOrEqual(120000);
+    });
+  });
+
+  describe('FeedWatcher', () => {
+    test('should crawl only articles not seen in earlier polls', async () => {
+      const articleCrawler = createCrawler();
+      const watcher = new FeedWatcher({
+        querySpecs: [{ query: 'AI' }],
+        rssFetcher: createFetcher([['a', 'b'], ['b', 'c']]),
+        articleCrawler,
+        intervalSecs: 300,
+        maxCycles: 2,
+      });
+      watcher.sleep = jest.fn(async () => {});
+
+      const stats = await watcher.run();
+
+      expect(articleCrawler.crawled).toEqual([
+        { query: 'AI', guids: ['a', 'b'] },
+        { query: 'AI', guids: ['c'] },
+      ]);
+      expect(stats).toEqual({ cycles: 2, newArticles: 3, saved: 3, failed: 0 });
+      expect(articleCrawler.forgetProcessed).toHaveBeenCalledTimes(2);
+      expect((await keyValueStore.getValue(CONFIG.STORAGE.WATCH_STATE_KEY)).seenGuids).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should tag articles found by several queries and remember them across restarts', async () => {
+      await keyValueStore.setValue(CONFIG.STORAGE.WATCH_STATE_KEY, { seenGuids: ['old'] });
+      const articleCrawler = createCrawler();
+      const rssFetcher = {
+        pollFeed: jest.fn(async spec => (spec.query === 'AI' ? ['old', 'x'] : ['x', 'y'])
+          .map(guid => global.testUtils.createMockRssItem({ guid }))),
+      };
+      const watcher = new FeedWatcher({
+        querySpecs: [{ query: 'AI' }, { query: 'Robots' }],
+        rssFetcher,
+        articleCrawler,
+        maxCycles: 1,
+      });
+
+      await watcher.run();
+
+      expect(articleCrawler.crawled).toEqual([
+        { query: 'AI', guids: ['x'] },
+        { query: 'Robots', guids: ['y'] },
+      ]);
+      expect(articleCrawler.crawlArticles.mock.calls[0][0][0].queries).toEqual(['AI', 'Robots']);
+    });
+
+    test('should keep polling other feeds when one fails', async () => {
+      const articleCrawler = createCrawler();
+      const rssFetcher = {
+        pollFeed: jest.fn(async (spec) => {
+          if (spec.query === 'AI') {
+            throw new Error('Circuit breaker rss:news.google.com/rss/search is OPEN and no fallback provided');
+          }
+          return [global.testUtils.createMockRssItem({ guid: 'y' })];
+        }),
+      };
+      const watcher = new FeedWatcher({
+        querySpecs: [{ query: 'AI' }, { query: 'Robots' }],
+        rssFetcher,
+        articleCrawler,
+        maxCycles: 1,
+      });
+
+      const stats = await watcher.run();
+
+      expect(articleCrawler.crawled).toEqual([{ query: 'Robots', guids: ['y'] }]);
+      expect(stats).toMatchObject({ cycles: 1, newArticles: 1 });
+    });
+
+    test('should keep watching when crawling a query fails', async () => {
+      const articleCrawler = createCrawler();
+      const crawl = articleCrawler.crawlArticles;
+      articleCrawler.crawlArticles = jest.fn(async function (items, query) {
+        if (query === 'AI') {
+          throw new Error('Dataset write failed');
+        }
+        return crawl.call(this, items, query);
+      });
+      const rssFetcher = {
+        pollFeed: jest.fn(async spec => [global.testUtils.createMockRssItem({ guid: spec.query === 'AI' ? 'x' : 'y' })]),
+      };
+      const watcher = new FeedWatcher({
+        querySpecs: [{ query: 'AI' }, { query: 'Robots' }],
+        rssFetcher,
+        articleCrawler,
+        maxCycles: 2,
+      });
+      watcher.sleep = jest.fn(async () => {});
+
+      const stats = await watcher.run();
+
+      expect(stats).toMatchObject({ cycles: 2, newArticles: 2, saved: 1 });
+      expect(articleCrawler.crawled).toEqual([{ query: 'Robots', guids: ['y'] }]);
+      expect((await keyValueStore.getValue(CONFIG.STORAGE.WATCH_STATE_KEY)).seenGuids).toEqual(['x', 'y']);
+    });
+
+    test('should stop while waiting for the next poll', async () => {
+      const watcher = new FeedWatcher({
+        querySpecs: [{ query: 'AI' }],
+        rssFetcher: createFetcher([['a']]),
+        articleCrawler: createCrawler(),
+        intervalSecs: 10,
+      });
+      expect(watcher.intervalSecs).toBe(CONFIG.WATCH.MIN_INTERVAL_SECS);
+
+      const running = watcher.run();
+      await new Promise(resolve => setImmediate(resolve));
+      watcher.stop();
+
+      expect(await running).toMatchObject({ cycles: 1, saved: 1 });
+    });
+  });
+});